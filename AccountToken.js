@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// How long each kind of link stays valid
+const TOKEN_TTL_MS = {
+  'email-verification': 24 * 60 * 60 * 1000,
+  'password-reset': 60 * 60 * 1000
+};
+
+// Helper to build the errors the confirm routes report as 400
+const accountTokenError = (message, code) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+};
+
+// A link sent by email (verify an address, reset a password). The link carries a JWT
+// signed with JWT_SECRET whose `jti` names one of these documents; confirming marks
+// it used, so every link works once. Asking again replaces earlier unused links.
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: Object.keys(TOKEN_TTL_MS),
+    required: true
+  },
+
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Address a verification link was sent to; it only verifies that address
+  email: {
+    type: String,
+    default: null
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Static to issue a token; resolves with the signed token to put in the link
+accountTokenSchema.statics.issue = async function(userId, purpose, { email = null } = {}) {
+  const now = new Date();
+  const jti = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(now.getTime() + TOKEN_TTL_MS[purpose]);
+
+  await this.updateMany({ userId, purpose, usedAt: null }, { $set: { usedAt: now } });
+  await this.create({ userId, purpose, jti, email, expiresAt });
+
+  return jwt.sign(
+    { userId: userId.toString(), type: purpose, jti: jti },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(TOKEN_TTL_MS[purpose] / 1000) }
+  );
+};
+
+// Static to check a token and mark it used. Resolves with { userId, email }; rejects
+// with status 400 and code INVALID_TOKEN, TOKEN_EXPIRED or TOKEN_USED.
+accountTokenSchema.statics.consume = async function(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      throw accountTokenError('This link has expired. Please ask for a new one.', 'TOKEN_EXPIRED');
+    }
+    throw accountTokenError('Invalid link', 'INVALID_TOKEN');
+  }
+
+  if (decoded.type !== purpose || !decoded.jti) {
+    throw accountTokenError('Invalid link', 'INVALID_TOKEN');
+  }
+
+  const accountToken = await this.findOneAndUpdate(
+    { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!accountToken) {
+    throw accountTokenError('This link has already been used or replaced by a newer one', 'TOKEN_USED');
+  }
+
+  return { userId: accountToken.userId, email: accountToken.email };
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
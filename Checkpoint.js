@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Copy of a Session.executionHistory entry
+const executionSnapshotSchema = new mongoose.Schema({
+  language: String,
+  input: String,
+  output: String,
+  error: String,
+  executionTime: Number, // in milliseconds
+  memoryUsed: Number, // in KB
+  runtimeVersion: String,
+  kind: String, // 'run' or 'test'
+  tests: {
+    total: Number,
+    passed: Number,
+    failed: Number
+  },
+  executedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  executedAt: Date
+}, { _id: false });
+
+// Revision pinned for one file of the project
+const checkpointFileSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  path: String, // Path at checkpoint time
+  revisionNumber: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Named, immutable marker on a saved revision ("before refactor", "passing tests")
+const checkpointSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    immutable: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Checkpoint name is required'],
+    trim: true,
+    maxlength: [100, 'Checkpoint name cannot exceed 100 characters'],
+    immutable: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: '',
+    immutable: true
+  },
+
+  // Revision of the entry point file at this point (see Revision.js)
+  revisionNumber: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+
+  // Live document version when the checkpoint was taken
+  documentRevision: {
+    type: Number,
+    immutable: true
+  },
+
+  // Revisions of every file in the project (empty for single-file checkpoints)
+  files: {
+    type: [checkpointFileSchema],
+    default: [],
+    immutable: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  // Most recent execution result at checkpoint time
+  execution: {
+    type: executionSnapshotSchema,
+    default: null,
+    immutable: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+checkpointSchema.index({ sessionId: 1, name: 1 }, { unique: true });
+checkpointSchema.index({ sessionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Checkpoint', checkpointSchema);
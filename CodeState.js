@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const ot = require('./ot-engine');
+const CrdtDocument = require('./crdt-document');
+const { LANGUAGE_NAMES } = require('./languages');
 
 // Real-time code state management for collaborative editing
 const codeStateSchema = new mongoose.Schema({
@@ -6,8 +9,13 @@ const codeStateSchema = new mongoose.Schema({
   sessionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Session',
-    required: true,
-    unique: true
+    required: true
+  },
+
+  // File in the session's file tree (null for sessions created before file trees)
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   },
 
   // Current code content
@@ -19,10 +27,23 @@ const codeStateSchema = new mongoose.Schema({
   // Language for syntax highlighting
   language: {
     type: String,
-    enum: ['javascript', 'python', 'cpp', 'c', 'java', 'go', 'rust'],
+    enum: LANGUAGE_NAMES,
     required: true
   },
 
+  // Document model used for concurrent edits
+  documentMode: {
+    type: String,
+    enum: ['ot', 'crdt'],
+    default: 'ot'
+  },
+
+  // Serialized sequence CRDT (crdt mode only)
+  crdtState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
   // Real-time cursors of all users
   cursors: [{
     userId: {
@@ -81,8 +102,11 @@ const codeStateSchema = new mongoose.Schema({
       line: Number,
       column: Number
     },
+    index: Number, // Character offset the operation was applied at
     content: String, // Content for insert/replace operations
     length: Number, // Length for delete operations
+    deletedContent: String, // Text removed by delete operations (used to rebuild older revisions)
+    revision: Number, // Document version produced by this operation
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -121,6 +145,19 @@ const codeStateSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Job holding the session while isRunning (see execution-jobs.js)
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    startedAt: {
+      type: Date
+    },
+    // Refreshed while the job is queued or running; a lock that stops beating
+    // belongs to an instance that died
+    heartbeatAt: {
+      type: Date
+    },
     lastOutput: {
       type: String,
       default: ''
@@ -147,6 +184,18 @@ const codeStateSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+
+  // Oldest revision the operations history can transform from
+  historyBaseRevision: {
+    type: Number,
+    default: 1
+  },
+
+  // Last collaboration log entry applied to this document (multi-instance replay)
+  logSequence: {
+    type: Number,
+    default: 0
+  },
   
   // Auto-save state
   lastSaved: {
@@ -186,7 +235,7 @@ const codeStateSchema = new mongoose.Schema({
 });
 
 // Indexes for real-time performance
-codeStateSchema.index({ sessionId: 1 });
+codeStateSchema.index({ sessionId: 1, fileId: 1 }, { unique: true });
 codeStateSchema.index({ 'cursors.userId': 1 });
 codeStateSchema.index({ 'operations.timestamp': -1 });
 codeStateSchema.index({ 'operations.operationId': 1 }, { unique: true, sparse: true });
@@ -209,74 +258,142 @@ codeStateSchema.virtual('characterCount').get(function() {
   return this.content ? this.content.length : 0;
 });
 
-// Method to apply operation (simplified operational transform)
-codeStateSchema.methods.applyOperation = function(operation) {
-  const { type, position, content, length } = operation;
-  const lines = this.content.split('\n');
-  
+// Keep the serialized CRDT in sync with the live document before saving
+codeStateSchema.pre('save', function(next) {
+  if (this.$locals.crdt) {
+    this.crdtState = this.$locals.crdt.toJSON();
+    this.markModified('crdtState');
+  }
+  next();
+});
+
+// Method to get the live CRDT document (crdt mode only)
+codeStateSchema.methods.getCrdtDocument = function() {
+  if (!this.$locals.crdt) {
+    this.$locals.crdt = this.crdtState
+      ? new CrdtDocument(this.crdtState)
+      : CrdtDocument.fromText(this.content);
+  }
+  return this.$locals.crdt;
+};
+
+// Method to merge CRDT operations (live or replayed after being offline). `queued`
+// is true when some have to wait for the element they refer to; they are saved
+// with the document until it arrives.
+codeStateSchema.methods.applyCrdtOperations = function(operations) {
+  if (!Array.isArray(operations)) {
+    throw ot.createOperationError('CRDT operations must be an array');
+  }
+
+  const crdt = this.getCrdtDocument();
+  const waiting = crdt.pendingInserts.length + crdt.pendingDeletes.size;
+  let applied;
   try {
-    switch (type) {
-      case 'insert':
-        if (position.line < lines.length) {
-          const line = lines[position.line];
-          const beforeCursor = line.substring(0, position.column);
-          const afterCursor = line.substring(position.column);
-          
-          if (content.includes('\n')) {
-            // Multi-line insert
-            const insertLines = content.split('\n');
-            lines[position.line] = beforeCursor + insertLines[0];
-            
-            for (let i = 1; i < insertLines.length; i++) {
-              lines.splice(position.line + i, 0, insertLines[i]);
-            }
-            
-            if (insertLines.length > 1) {
-              const lastIndex = position.line + insertLines.length - 1;
-              lines[lastIndex] = lines[lastIndex] + afterCursor;
-            }
-          } else {
-            // Single line insert
-            lines[position.line] = beforeCursor + content + afterCursor;
-          }
-        }
-        break;
-        
-      case 'delete':
-        if (position.line < lines.length) {
-          const line = lines[position.line];
-          const beforeCursor = line.substring(0, position.column);
-          const afterCursor = line.substring(position.column + length);
-          lines[position.line] = beforeCursor + afterCursor;
-        }
-        break;
-        
-      case 'replace':
-        if (position.line < lines.length) {
-          const line = lines[position.line];
-          const beforeCursor = line.substring(0, position.column);
-          const afterCursor = line.substring(position.column + length);
-          lines[position.line] = beforeCursor + content + afterCursor;
-        }
-        break;
-    }
-    
-    this.content = lines.join('\n');
+    applied = crdt.merge(operations);
+  } catch (error) {
+    throw ot.createOperationError(error.message);
+  }
+
+  if (applied.length > 0) {
+    this.content = crdt.toString();
     this.version += 1;
     this.hasUnsavedChanges = true;
-    this.metrics.totalOperations += 1;
-    
-    // Add to operations history
-    this.operations.unshift({
-      ...operation,
-      operationId: `${operation.userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    });
-    
-    // Keep only last 100 operations
-    if (this.operations.length > 100) {
-      this.operations = this.operations.slice(0, 100);
-    }
-    
+    this.metrics.totalOperations += applied.length;
+  }
+
+  const queued = crdt.pendingInserts.length + crdt.pendingDeletes.size > waiting;
+  if (queued) {
+    this.hasUnsavedChanges = true;
+  }
+
+  return { revision: this.version, operations: applied, queued: queued };
+};
+
+// Method to rebuild the document as it was at an earlier revision
+codeStateSchema.methods.getContentAtRevision = function(revision) {
+  if (revision > this.version || revision < this.historyBaseRevision) {
+    throw ot.createOperationError(
+      `Revision ${revision} is no longer available`,
+      'RESYNC_REQUIRED'
+    );
+  }
+
+  // Operations are stored newest first, so undo them in stored order
+  let content = this.content;
+  for (const op of this.operations) {
+    if (op.revision <= revision) break;
+    content = op.type === 'insert'
+      ? content.slice(0, op.index) + content.slice(op.index + op.content.length)
+      : content.slice(0, op.index) + op.deletedContent + content.slice(op.index);
+  }
+  return content;
+};
+
+// Method to apply a client operation made against `baseRevision`.
+// Concurrent operations applied since then are transformed away first.
+codeStateSchema.methods.applyClientOperation = function(operations, baseRevision, userId) {
+  const baseContent = this.getContentAtRevision(baseRevision);
+  const components = ot.normalizeOperations(
+    Array.isArray(operations) ? operations : [operations],
+    baseContent
+  );
+
+  // Operations applied after the client's base revision, oldest first
+  const concurrent = this.operations
+    .filter(op => op.revision > baseRevision)
+    .reverse()
+    .map(op => op.type === 'insert'
+      ? { type: 'insert', index: op.index, content: op.content }
+      : { type: 'delete', index: op.index, length: op.length });
+
+  const [transformed] = ot.transformOperations(components, concurrent);
+
+  if (concurrent.length > 0) {
+    this.metrics.conflictResolutions += 1;
+  }
+
+  this.version += 1;
+  const revision = this.version;
+  const timestamp = new Date();
+
+  const applied = transformed.map(component => {
+    const record = {
+      ...component,
+      position: ot.indexToPosition(this.content, component.index),
+      deletedContent: component.type === 'delete'
+        ? this.content.substr(component.index, component.length)
+        : undefined,
+      revision: revision,
+      userId: userId,
+      timestamp: timestamp,
+      operationId: `${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    };
+    this.content = ot.applyComponent(this.content, component);
+    return record;
+  });
+
+  this.operations.unshift(...applied.reverse());
+  this.hasUnsavedChanges = true;
+  this.metrics.totalOperations += 1;
+
+  // Keep only the last 100 operations, dropping whole revisions
+  if (this.operations.length > 100) {
+    const cutRevision = this.operations[100].revision;
+    this.operations = this.operations.filter(op => op.revision > cutRevision);
+    this.historyBaseRevision = cutRevision;
+  }
+
+  return {
+    revision: revision,
+    operations: transformed,
+    transformed: concurrent.length > 0
+  };
+};
+
+// Method to apply an operation against the current revision
+codeStateSchema.methods.applyOperation = function(operation) {
+  try {
+    this.applyClientOperation([operation], this.version, operation.userId);
     return true;
   } catch (error) {
     console.error('Error applying operation:', error);
@@ -284,6 +401,56 @@ codeStateSchema.methods.applyOperation = function(operation) {
   }
 };
 
+// Method to replace the whole document (revision restores) as a regular edit.
+// Returns null when the content is unchanged.
+codeStateSchema.methods.replaceContent = function(content, userId) {
+  if (content === this.content) {
+    return null;
+  }
+
+  // Only the region between the common prefix and suffix changes
+  let start = 0;
+  while (start < content.length && start < this.content.length && content[start] === this.content[start]) {
+    start++;
+  }
+
+  let oldEnd = this.content.length;
+  let newEnd = content.length;
+  while (oldEnd > start && newEnd > start && content[newEnd - 1] === this.content[oldEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const inserted = content.slice(start, newEnd);
+
+  if (this.documentMode === 'crdt') {
+    // Every replica applies restores in log order, so generated ids match everywhere
+    const crdt = this.getCrdtDocument();
+    const operations = [
+      ...crdt.localDelete(start, oldEnd - start),
+      ...crdt.localInsert(start, inserted, 'restore')
+    ];
+
+    this.content = crdt.toString();
+    this.version += 1;
+    this.hasUnsavedChanges = true;
+    this.metrics.totalOperations += operations.length;
+
+    return { revision: this.version, operations: operations };
+  }
+
+  const components = [];
+  if (oldEnd > start) {
+    components.push({ type: 'delete', index: start, length: oldEnd - start });
+  }
+  if (inserted) {
+    components.push({ type: 'insert', index: start, content: inserted });
+  }
+
+  const result = this.applyClientOperation(components, this.version, userId);
+  return { revision: result.revision, operations: result.operations };
+};
+
 // Method to update cursor position
 codeStateSchema.methods.updateCursor = function(userId, username, position, color = '#667eea') {
   const existingCursor = this.cursors.find(cursor => 
@@ -365,14 +532,16 @@ codeStateSchema.methods.saveCode = function() {
 };
 
 // Static method to get or create code state for session
-codeStateSchema.statics.getOrCreateForSession = async function(sessionId, language, initialContent = '') {
-  let codeState = await this.findOne({ sessionId: sessionId });
+codeStateSchema.statics.getOrCreateForSession = async function(sessionId, language, initialContent = '', documentMode = 'ot', fileId = null) {
+  let codeState = await this.findOne({ sessionId: sessionId, fileId: fileId });
   
   if (!codeState) {
     codeState = new this({
       sessionId: sessionId,
+      fileId: fileId,
       language: language,
       content: initialContent,
+      documentMode: documentMode,
       version: 1
     });
     await codeState.save();
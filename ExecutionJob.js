@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const OUTPUT_LIMIT = 256 * 1024; // Characters of each stream kept on the job
+const JOB_RETENTION_SECONDS = 24 * 60 * 60;
+
+// One code execution started through POST /api/execute/run. The instance running
+// the job streams output to the session room and keeps this document up to date
+// so any instance can answer polls and cancellations.
+const executionJobSchema = new mongoose.Schema({
+  // Runs outside a session have no room to stream to and are polled only
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  language: {
+    type: String,
+    required: true
+  },
+
+  backend: String, // Executor that ran the job (see executors.js)
+
+  instanceId: String, // Server instance running the job
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // 'test' jobs run the code once per test case and compare outputs (result.cases)
+  kind: {
+    type: String,
+    enum: ['run', 'test'],
+    default: 'run'
+  },
+
+  // Participants can type into the running program (backends that support it)
+  interactive: {
+    type: Boolean,
+    default: false
+  },
+
+  // Set by DELETE on any instance; the running instance picks it up
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  compileOutput: {
+    type: String,
+    default: ''
+  },
+
+  stdout: {
+    type: String,
+    default: ''
+  },
+
+  stderr: {
+    type: String,
+    default: ''
+  },
+
+  // Everything an interactive run read: the submitted input, then what was typed
+  stdin: {
+    type: String,
+    default: ''
+  },
+
+  exitCode: {
+    type: Number,
+    default: null
+  },
+
+  signal: {
+    type: String,
+    default: null
+  },
+
+  // Effective execution profile the job ran with (see execution-profiles.js)
+  profile: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Final result in the shape /run used to return synchronously
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Backend failure: message and the HTTP status it maps to
+  error: {
+    message: String,
+    status: Number
+  },
+
+  startedAt: Date,
+
+  finishedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+executionJobSchema.index({ sessionId: 1, createdAt: -1 });
+executionJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS }); // TTL index
+
+// Static to cap a stream before it is stored
+executionJobSchema.statics.capOutput = function(output, limit = OUTPUT_LIMIT) {
+  return output.length > limit
+    ? `${output.slice(0, limit)}\n[output truncated]`
+    : output;
+};
+
+// Method to check whether the job has finished
+executionJobSchema.methods.isFinished = function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+};
+
+// Method for API responses
+executionJobSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    sessionId: this.sessionId,
+    userId: this.userId,
+    language: this.language,
+    backend: this.backend,
+    status: this.status,
+    kind: this.kind,
+    interactive: this.interactive,
+    profile: this.profile,
+    cancelRequested: this.cancelRequested,
+    compileOutput: this.compileOutput,
+    stdout: this.stdout,
+    stderr: this.stderr,
+    stdin: this.stdin,
+    exitCode: this.exitCode,
+    signal: this.signal,
+    result: this.result,
+    error: this.error && this.error.message ? this.error : null,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ExecutionJob', executionJobSchema);
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+
+const LOG_RETENTION_SECONDS = 365 * 24 * 60 * 60;
+const TOP_ERROR_TYPES = 5;
+
+// Exception names in stderr: ZeroDivisionError, java.lang.NullPointerException, ...
+const EXCEPTION_PATTERN = /\b((?:[a-z]\w*\.)*[A-Z]\w*(?:Error|Exception))\b/;
+
+// One finished execution, kept for statistics after its ExecutionJob expires
+const executionLogSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExecutionJob'
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  language: {
+    type: String,
+    required: true
+  },
+
+  backend: String,
+
+  kind: {
+    type: String,
+    enum: ['run', 'test'],
+    default: 'run'
+  },
+
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'cancelled'],
+    required: true
+  },
+
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+
+  memoryUsed: {
+    type: Number,
+    default: null
+  },
+
+  exitCode: {
+    type: Number,
+    default: null
+  },
+
+  success: {
+    type: Boolean,
+    default: false
+  },
+
+  // Why an unsuccessful execution failed: an exception name from stderr, or one of
+  // compile-error, timeout, runtime-error, tests-failed, backend-error, cancelled
+  errorType: {
+    type: String,
+    default: null
+  },
+
+  executedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+executionLogSchema.index({ userId: 1, executedAt: -1 });
+executionLogSchema.index({ sessionId: 1, executedAt: -1 });
+executionLogSchema.index({ executedAt: 1 }, { expireAfterSeconds: LOG_RETENTION_SECONDS }); // TTL index
+
+// Static to work out why a finished job did not succeed (null when it did)
+executionLogSchema.statics.errorTypeOf = function(job) {
+  if (job.status === 'cancelled') {
+    return 'cancelled';
+  }
+  if (job.status === 'failed') {
+    return 'backend-error';
+  }
+
+  const result = job.result || {};
+  if (job.kind === 'test') {
+    if (result.success) {
+      return null;
+    }
+    return result.compiledSuccessfully === false ? 'compile-error' : 'tests-failed';
+  }
+
+  // Compilers may warn on stderr, so a clean exit decides first
+  if (job.exitCode === 0 && !job.signal) {
+    return null;
+  }
+  if (result.compiledSuccessfully === false) {
+    return 'compile-error';
+  }
+  if (job.signal === 'SIGKILL') {
+    return 'timeout';
+  }
+
+  const exception = (result.error || '').match(EXCEPTION_PATTERN);
+  return exception ? exception[1] : 'runtime-error';
+};
+
+// Static to log a finished job
+executionLogSchema.statics.recordJob = function(job) {
+  const result = job.result || {};
+  const errorType = this.errorTypeOf(job);
+
+  return this.create({
+    jobId: job._id,
+    userId: job.userId,
+    sessionId: job.sessionId,
+    language: job.language,
+    backend: job.backend,
+    kind: job.kind,
+    status: job.status,
+    durationMs: result.executionTime !== undefined
+      ? result.executionTime
+      : (job.startedAt ? job.finishedAt - job.startedAt : 0),
+    memoryUsed: result.memoryUsed || null,
+    exitCode: job.exitCode,
+    success: errorType === null,
+    errorType: errorType,
+    executedAt: job.finishedAt
+  });
+};
+
+// Static to compute statistics for the executions matching `filter` (e.g. { userId })
+// between `from` and `to`. Runtimes come from completed executions only: cancelled
+// and failed ones stopped early and are counted on their own.
+executionLogSchema.statics.summarize = async function(filter, { from, to }) {
+  const match = { ...filter, executedAt: { $gte: from, $lte: to } };
+  const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+  const [facets] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              succeeded: { $sum: { $cond: ['$success', 1, 0] } },
+              completed: countStatus('completed'),
+              failed: countStatus('failed'),
+              cancelled: countStatus('cancelled'),
+              lastExecution: { $max: '$executedAt' }
+            }
+          }
+        ],
+        languages: [
+          { $group: { _id: '$language', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        perDay: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$executedAt' } },
+              count: { $sum: 1 },
+              succeeded: { $sum: { $cond: ['$success', 1, 0] } }
+            }
+          }
+        ],
+        errorTypes: [
+          { $match: { success: false } },
+          { $group: { _id: '$errorType', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_ERROR_TYPES }
+        ]
+      }
+    }
+  ]);
+
+  const totals = facets.totals[0] || { count: 0, succeeded: 0, completed: 0, failed: 0, cancelled: 0, lastExecution: null };
+
+  // Percentiles by nearest rank, read straight from the sorted durations
+  const percentile = async (p) => {
+    if (totals.completed === 0) {
+      return null;
+    }
+    const entry = await this.findOne({ ...match, status: 'completed' })
+      .sort({ durationMs: 1 })
+      .skip(Math.ceil(p * totals.completed) - 1)
+      .select('durationMs');
+    return entry ? entry.durationMs : null;
+  };
+
+  // Every day of the range, including days without executions
+  const perDay = new Map(facets.perDay.map(day => [day._id, day]));
+  const days = [];
+  for (let day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate())); day <= to; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    const date = day.toISOString().slice(0, 10);
+    const entry = perDay.get(date);
+    days.push({ date, count: entry ? entry.count : 0, succeeded: entry ? entry.succeeded : 0 });
+  }
+
+  return {
+    totalExecutions: totals.count,
+    failedExecutions: totals.failed,
+    cancelledExecutions: totals.cancelled,
+    successRate: totals.count > 0 ? totals.succeeded / totals.count : null,
+    favoriteLanguage: facets.languages.length > 0 ? facets.languages[0]._id : null,
+    languages: facets.languages.map(language => ({ language: language._id, count: language.count })),
+    runtime: {
+      p50: await percentile(0.5),
+      p95: await percentile(0.95)
+    },
+    perDay: days,
+    errorTypes: facets.errorTypes.map(error => ({ type: error._id, count: error.count })),
+    lastExecution: totals.lastExecution
+  };
+};
+
+module.exports = mongoose.model('ExecutionLog', executionLogSchema);
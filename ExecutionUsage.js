@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Length of each quota window; windows start on UTC boundaries (days at midnight)
+const WINDOW_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Executions counted against one quota window of a user or session
+// (see execution-quotas.js). Counters expire once their window is over.
+const executionUsageSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['user', 'session'],
+    required: true
+  },
+
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  window: {
+    type: String,
+    enum: Object.keys(WINDOW_MS),
+    required: true
+  },
+
+  windowStart: {
+    type: Date,
+    required: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+executionUsageSchema.index({ scope: 1, subjectId: 1, window: 1, windowStart: 1 }, { unique: true });
+executionUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Static to get the window containing a moment: { windowStart, resetAt }
+executionUsageSchema.statics.windowAt = function(window, now = Date.now()) {
+  const length = WINDOW_MS[window];
+  const start = Math.floor(now / length) * length;
+  return { windowStart: new Date(start), resetAt: new Date(start + length) };
+};
+
+// Static to add `amount` executions to the current window and get the new count
+executionUsageSchema.statics.increment = async function(scope, subjectId, window, amount = 1) {
+  const { windowStart, resetAt } = this.windowAt(window);
+  const filter = { scope, subjectId, window, windowStart };
+  const update = { $inc: { count: amount }, $setOnInsert: { expiresAt: resetAt } };
+
+  let usage;
+  try {
+    usage = await this.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first executions in a window raced to create the counter
+    if (error.code !== 11000) {
+      throw error;
+    }
+    usage = await this.findOneAndUpdate(filter, update, { new: true });
+  }
+
+  return { count: usage.count, windowStart, resetAt };
+};
+
+// Static to give back executions counted in the window starting at `windowStart`,
+// which may have ended since; nothing happens once its counter has expired
+executionUsageSchema.statics.refund = function(scope, subjectId, window, windowStart, amount = 1) {
+  return this.updateOne({ scope, subjectId, window, windowStart }, { $inc: { count: -amount } });
+};
+
+// Static to read the current count of a window
+executionUsageSchema.statics.current = async function(scope, subjectId, window) {
+  const { windowStart, resetAt } = this.windowAt(window);
+  const usage = await this.findOne({ scope, subjectId, window, windowStart }).select('count');
+  return { count: usage ? usage.count : 0, windowStart, resetAt };
+};
+
+executionUsageSchema.statics.WINDOW_MS = WINDOW_MS;
+
+module.exports = mongoose.model('ExecutionUsage', executionUsageSchema);
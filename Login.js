@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+const LOGIN_DAYS = 7;
+const REMEMBER_ME_DAYS = 30;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000; // lastSeenAt is written at most this often
+const MAX_DEVICE_LABEL_LENGTH = 64;
+
+// Browsers and systems recognised in User-Agent headers, first match wins
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\//, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/CrOS/, 'ChromeOS'], [/Windows/, 'Windows'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+
+// Helper to name a device from its User-Agent ("Firefox on Linux")
+const describeUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+
+  if (browser && system) {
+    return `${browser[1]} on ${system[1]}`;
+  }
+  return browser ? browser[1] : system ? system[1] : 'Unknown device';
+};
+
+// One sign-in on one device. Its refresh tokens (RefreshToken.js) and the access
+// tokens issued from them stop working once it is revoked or expires.
+const loginSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name shown in the sessions list: what the client sent, or guessed from userAgent
+  deviceLabel: {
+    type: String,
+    maxlength: MAX_DEVICE_LABEL_LENGTH,
+    default: 'Unknown device'
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', 'password-change', 'password-reset', 'account-deleted', null],
+    default: null
+  },
+
+  // Logins end this long after sign-in; refreshing does not extend them
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginSchema.index({ userId: 1, revokedAt: 1 });
+loginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Static to record a sign-in
+loginSchema.statics.start = function(userId, { rememberMe = false, userAgent = '', ip = '', deviceLabel = null } = {}) {
+  const days = rememberMe ? REMEMBER_ME_DAYS : LOGIN_DAYS;
+  const label = typeof deviceLabel === 'string' && deviceLabel.trim()
+    ? deviceLabel.trim().slice(0, MAX_DEVICE_LABEL_LENGTH)
+    : describeUserAgent(userAgent);
+
+  return this.create({
+    userId: userId,
+    deviceLabel: label,
+    userAgent: (userAgent || '').slice(0, 500),
+    ip: ip || '',
+    rememberMe: rememberMe,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Static to find a login that is neither revoked nor expired
+loginSchema.statics.findActive = function(loginId) {
+  if (!mongoose.Types.ObjectId.isValid(loginId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: loginId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static to record activity; writes only when lastSeenAt is a minute old
+loginSchema.statics.touch = function(loginId, fields = {}) {
+  const now = new Date();
+  return this.updateOne(
+    { _id: loginId, lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_INTERVAL_MS) } },
+    { $set: { lastSeenAt: now, ...fields } }
+  );
+};
+
+// Static to revoke the logins matching `filter`; resolves with their ids
+loginSchema.statics.revokeWhere = async function(filter, reason) {
+  const logins = await this.find({ ...filter, revokedAt: null }).select('_id');
+  const loginIds = logins.map(login => login._id);
+
+  if (loginIds.length > 0) {
+    await this.updateMany(
+      { _id: { $in: loginIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+  return loginIds;
+};
+
+// Static to revoke one login
+loginSchema.statics.revoke = function(loginId, reason) {
+  return this.revokeWhere({ _id: loginId }, reason);
+};
+
+// Static to revoke a user's logins, optionally keeping one (e.g. the current device)
+loginSchema.statics.revokeUser = function(userId, reason, { except = null } = {}) {
+  const filter = { userId };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  return this.revokeWhere(filter, reason);
+};
+
+// Static to list a user's active logins, most recently used first
+loginSchema.statics.listActive = function(userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+};
+
+// Method for API responses; `currentLoginId` marks the caller's own login
+loginSchema.methods.toPublicJSON = function(currentLoginId = null) {
+  return {
+    id: this._id,
+    deviceLabel: this.deviceLabel,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: currentLoginId !== null && this._id.toString() === currentLoginId.toString()
+  };
+};
+
+module.exports = mongoose.model('Login', loginSchema);
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { createPkcePair } = require('./oidc');
+
+const REQUEST_TTL_MS = 10 * 60 * 1000; // Time to sign in at the provider
+
+// A sign-in started at an OpenID Connect provider (oidc.js). The provider hands
+// `state` back with the authorization code; the nonce and PKCE verifier never
+// leave the server. Each request can be completed once.
+const oidcRequestSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+
+  // Options of the resulting login
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+
+  deviceLabel: {
+    type: String,
+    default: null
+  },
+
+  // Set when a signed-in user links another identity instead of signing in
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Set when a signed-in user confirms it is them before a sensitive change
+  reauthUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+oidcRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Static to start a request; resolves with it and the PKCE challenge for the provider
+oidcRequestSchema.statics.start = async function(provider, { rememberMe = false, deviceLabel = null, linkUserId = null, reauthUserId = null } = {}) {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  const request = await this.create({
+    state: crypto.randomBytes(24).toString('base64url'),
+    provider: provider,
+    nonce: crypto.randomBytes(24).toString('base64url'),
+    codeVerifier: codeVerifier,
+    rememberMe: Boolean(rememberMe),
+    deviceLabel: typeof deviceLabel === 'string' ? deviceLabel : null,
+    linkUserId: linkUserId,
+    reauthUserId: reauthUserId,
+    expiresAt: new Date(Date.now() + REQUEST_TTL_MS)
+  });
+
+  return { request, codeChallenge };
+};
+
+// Static to take a pending request by its state; resolves null when it is unknown,
+// expired or already completed
+oidcRequestSchema.statics.consume = function(state) {
+  if (typeof state !== 'string' || !state) {
+    return Promise.resolve(null);
+  }
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('OidcRequest', oidcRequestSchema);
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Login = require('./Login');
+
+// Helper to build the errors /api/auth/refresh reports as 401
+const refreshError = (message, code) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+};
+
+// One refresh token. Tokens are stored as SHA-256 hashes and used once: refreshing
+// marks the token used and issues its successor for the same login (Login.js). A used
+// token coming back means it was copied, so the whole login is revoked, and with it
+// the access tokens issued for it.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Access tokens carry the login as `loginId` too
+  loginId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login',
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Set when the token was exchanged for its successor
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Same as the login's
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Static to hash a token for lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static to issue a token for a login. Resolves with the plain token (only ever
+// returned here) and its document.
+refreshTokenSchema.statics.issue = async function(login) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const refreshToken = await this.create({
+    userId: login.userId,
+    loginId: login._id,
+    tokenHash: this.hashToken(token),
+    expiresAt: login.expiresAt
+  });
+
+  return { token, refreshToken };
+};
+
+// Static to find a token that can still be exchanged, without using it up
+refreshTokenSchema.statics.findUnused = function(token) {
+  if (typeof token !== 'string' || !token) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static to exchange a token for its successor. Resolves with the new token and the
+// login; rejects with status 401 and a code: INVALID_REFRESH_TOKEN,
+// REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REVOKED or REFRESH_TOKEN_REUSED (the login is
+// revoked then, and the error names it in `loginId` and `userId`).
+refreshTokenSchema.statics.rotate = async function(token) {
+  if (typeof token !== 'string' || !token) {
+    throw refreshError('Refresh token is required', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const tokenHash = this.hashToken(token);
+  const now = new Date();
+
+  // Marking the token used is atomic, so two refreshes with one token cannot both win
+  const current = await this.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  const existing = current || await this.findOne({ tokenHash });
+
+  if (!existing) {
+    throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  if (existing.expiresAt <= now) {
+    throw refreshError('Refresh token has expired. Please log in again.', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const login = await Login.findActive(existing.loginId);
+  if (!login) {
+    throw refreshError('This login has been signed out', 'REFRESH_TOKEN_REVOKED');
+  }
+
+  if (!current) {
+    await Login.revoke(login._id, 'reuse');
+    console.warn(`⚠️ Refresh token reused for user ${login.userId}; login ${login._id} revoked`);
+    const error = refreshError('Refresh token was already used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+    error.loginId = login._id;
+    error.userId = login.userId;
+    throw error;
+  }
+
+  const { token: nextToken } = await this.issue(login);
+  return { token: nextToken, login };
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
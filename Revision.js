@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const textDiff = require('./text-diff');
+
+const SNAPSHOT_INTERVAL = 20; // Revisions 1, 21, 41... store the full text
+
+// Saved revisions of a session file. Each revision stores a compact diff
+// from the previous one; periodic snapshots keep reconstruction cheap.
+const revisionSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+
+  // File the revision belongs to (null for sessions created before file trees)
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Sequential per file, starting at 1
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  changeType: {
+    type: String,
+    enum: ['created', 'modified', 'restored'],
+    default: 'modified'
+  },
+
+  // Revision whose content was restored (restored revisions only)
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  // Live document version that was saved
+  documentRevision: {
+    type: Number,
+    default: null
+  },
+
+  // Changes from the previous revision (see text-diff.js); null on snapshots
+  delta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Full text (snapshot revisions only)
+  snapshot: {
+    type: String,
+    default: null
+  },
+
+  stats: {
+    linesAdded: { type: Number, default: 0 },
+    linesRemoved: { type: Number, default: 0 },
+    lines: { type: Number, default: 0 },
+    size: { type: Number, default: 0 }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revisionSchema.index({ sessionId: 1, fileId: 1, number: -1 }, { unique: true });
+
+// Static method to rebuild the content of a revision
+revisionSchema.statics.getContent = async function(sessionId, fileId, number) {
+  const base = await this.findOne({
+    sessionId: sessionId,
+    fileId: fileId,
+    number: { $lte: number },
+    snapshot: { $ne: null }
+  }).sort({ number: -1 });
+
+  if (!base) {
+    return null;
+  }
+
+  const deltas = await this.find({
+    sessionId: sessionId,
+    fileId: fileId,
+    number: { $gt: base.number, $lte: number }
+  }).sort({ number: 1 }).select('number delta');
+
+  if (deltas.length !== number - base.number) {
+    return null;
+  }
+
+  return deltas.reduce((content, revision) => textDiff.applyDelta(content, revision.delta), base.snapshot);
+};
+
+// Static method to find a revision together with its content
+revisionSchema.statics.findWithContent = async function(sessionId, fileId, number) {
+  const revision = await this.findOne({ sessionId: sessionId, fileId: fileId, number: number })
+    .populate('author', 'username profile')
+    .select('-delta -snapshot');
+
+  if (!revision) {
+    return null;
+  }
+
+  const content = await this.getContent(sessionId, fileId, number);
+  return content === null ? null : { revision, content };
+};
+
+// Helper for the stored fields of revision `number` going from `previous` (null when
+// it cannot be rebuilt) to `content`
+const revisionContent = (number, previous, content) => {
+  const changes = textDiff.compare(previous || '', content);
+  // Rewrites too large to diff exactly are cheaper to store whole
+  const isSnapshot = (number - 1) % SNAPSHOT_INTERVAL === 0 || previous === null || !changes.exact;
+
+  return {
+    number: number,
+    delta: isSnapshot ? null : changes.delta,
+    snapshot: isSnapshot ? content : null,
+    stats: {
+      linesAdded: changes.linesAdded,
+      linesRemoved: changes.linesRemoved,
+      lines: content.split('\n').length,
+      size: content.length
+    }
+  };
+};
+
+// Static method to record new content; returns null when nothing changed
+revisionSchema.statics.record = async function({ sessionId, fileId = null, content, author, changeType = 'modified', restoredFrom = null, documentRevision = null }) {
+  // Another instance may take the same number first; retry on top of it
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ sessionId: sessionId, fileId: fileId }).sort({ number: -1 }).select('number');
+    const previous = latest ? await this.getContent(sessionId, fileId, latest.number) : '';
+
+    if (latest && previous === content) {
+      return null;
+    }
+
+    const number = latest ? latest.number + 1 : 1;
+
+    try {
+      return await this.create({
+        sessionId: sessionId,
+        fileId: fileId,
+        author: author,
+        changeType: changeType,
+        restoredFrom: restoredFrom,
+        documentRevision: documentRevision,
+        ...revisionContent(number, previous, content)
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to add history from before revisions existed ahead of a file's
+// revisions, which move up to make room. `entries` are { content, author, changeType,
+// createdAt }, oldest first.
+revisionSchema.statics.prepend = async function(sessionId, fileId, entries) {
+  if (entries.length === 0) {
+    return [];
+  }
+
+  // Highest first, so no two revisions ever share a number
+  const later = await this.find({ sessionId: sessionId, fileId: fileId }).sort({ number: -1 }).select('number');
+  for (const revision of later) {
+    await this.updateOne({ _id: revision._id }, { $inc: { number: entries.length } });
+  }
+
+  const revisions = [];
+  let previous = '';
+  for (const [index, entry] of entries.entries()) {
+    revisions.push(await this.create({
+      sessionId: sessionId,
+      fileId: fileId,
+      author: entry.author,
+      changeType: entry.changeType,
+      createdAt: entry.createdAt,
+      ...revisionContent(index + 1, previous, entry.content)
+    }));
+    previous = entry.content;
+  }
+  return revisions;
+};
+
+// Static method to get the revision holding `content`, recording it if needed
+revisionSchema.statics.forContent = async function(data) {
+  const recorded = await this.record(data);
+  if (recorded) {
+    return recorded;
+  }
+
+  return this.findOne({ sessionId: data.sessionId, fileId: data.fileId || null })
+    .sort({ number: -1 })
+    .select('-delta -snapshot');
+};
+
+// Static method to list revisions newest first
+revisionSchema.statics.list = async function(sessionId, fileId, { page = 1, limit = 20 } = {}) {
+  const [revisions, total] = await Promise.all([
+    this.find({ sessionId: sessionId, fileId: fileId })
+      .populate('author', 'username profile')
+      .select('-delta -snapshot')
+      .sort({ number: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments({ sessionId: sessionId, fileId: fileId })
+  ]);
+
+  return { revisions, total };
+};
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { MAX_TEST_CASES, WHITESPACE_MODES, parseTestCase } = require('./test-cases');
+const { LANGUAGE_NAMES, DEFAULT_LANGUAGE, getSessionTemplate } = require('./languages');
+const { parseExecutionProfile } = require('./execution-profiles');
 
 // Helper function to generate unique session code
 const generateSessionCode = () => {
@@ -10,6 +13,31 @@ const generateSessionCode = () => {
   return result;
 };
 
+const MAX_PROJECT_FILES = 100; // Files and folders per session
+const MAX_PATH_LENGTH = 255;
+
+// Helper to normalize a project path ("src//utils.js/" -> "src/utils.js"); null if invalid
+const normalizeFilePath = (path) => {
+  if (typeof path !== 'string') {
+    return null;
+  }
+
+  const segments = path.trim().split('/').filter(Boolean);
+  const valid = segments.length > 0 && segments.every(segment =>
+    segment !== '.' && segment !== '..' && !/[\\\x00-\x1f]/.test(segment)
+  );
+  const normalized = segments.join('/');
+
+  return valid && normalized.length <= MAX_PATH_LENGTH ? normalized : null;
+};
+
+// What each participant role may do in a session
+const ROLE_PERMISSIONS = {
+  creator: ['edit', 'execute', 'manage'],
+  editor: ['edit', 'execute'],
+  viewer: []
+};
+
 const sessionSchema = new mongoose.Schema({
   // Session Basic Information
   name: {
@@ -41,10 +69,17 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Programming language is required'],
     enum: {
-      values: ['javascript', 'python', 'cpp', 'c', 'java', 'go', 'rust'],
+      values: LANGUAGE_NAMES,
       message: 'Unsupported programming language'
     },
-    default: 'javascript'
+    default: DEFAULT_LANGUAGE
+  },
+
+  // Runtime version runs use (one listed by GET /api/execute/languages); null runs
+  // the newest the executor has
+  runtimeVersion: {
+    type: String,
+    default: null
   },
 
   // Code Content
@@ -52,19 +87,71 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     default: function() {
       // Return language-specific template
-      const templates = {
-        javascript: '// Welcome to CodeCollab - JavaScript Session\n// Start coding together in real-time!\n\nconsole.log("Hello, World!");',
-        python: '# Welcome to CodeCollab - Python Session\n# Start coding together in real-time!\n\nprint("Hello, World!")',
-        cpp: '// Welcome to CodeCollab - C++ Session\n// Start coding together in real-time!\n\n#include <iostream>\nusing namespace std;\n\nint main() {\n    cout << "Hello, World!" << endl;\n    return 0;\n}',
-        c: '// Welcome to CodeCollab - C Session\n// Start coding together in real-time!\n\n#include <stdio.h>\n\nint main() {\n    printf("Hello, World!\\n");\n    return 0;\n}',
-        java: '// Welcome to CodeCollab - Java Session\n// Start coding together in real-time!\n\npublic class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n    }\n}',
-        go: '// Welcome to CodeCollab - Go Session\n// Start coding together in real-time!\n\npackage main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello, World!")\n}',
-        rust: '// Welcome to CodeCollab - Rust Session\n// Start coding together in real-time!\n\nfn main() {\n    println!("Hello, World!");\n}'
-      };
-      return templates[this.language] || templates.javascript;
+      return getSessionTemplate(this.language);
+    }
+  },
+
+  // Project file tree (contents live in CodeState, one per file)
+  files: [{
+    path: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['file', 'folder'],
+      default: 'file'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
     }
+  }],
+
+  // File that gets executed; its content is mirrored in `code`
+  entryPoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   },
 
+  // Input/expected-output pairs run by POST /api/execute/test (see test-cases.js)
+  testCases: [{
+    name: {
+      type: String,
+      default: ''
+    },
+    input: {
+      type: String,
+      default: ''
+    },
+    expectedOutput: {
+      type: String,
+      default: ''
+    },
+    whitespace: {
+      type: String,
+      enum: WHITESPACE_MODES,
+      default: 'trim'
+    },
+    floatTolerance: {
+      type: Number,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Session Creator/Owner
   creator: {
     type: mongoose.Schema.Types.ObjectId,
@@ -133,6 +220,20 @@ const sessionSchema = new mongoose.Schema({
     executionEnabled: {
       type: Boolean,
       default: true
+    },
+    documentMode: {
+      type: String,
+      enum: {
+        values: ['ot', 'crdt'],
+        message: 'Document mode must be "ot" or "crdt"'
+      },
+      default: 'ot'
+    },
+    // Overrides of the execution defaults (see execution-profiles.js): compileTimeout,
+    // runTimeout, compileMemoryLimit, runMemoryLimit, args, compilerFlags, env
+    executionProfile: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({})
     }
   },
 
@@ -152,6 +253,18 @@ const sessionSchema = new mongoose.Schema({
     error: String,
     executionTime: Number, // in milliseconds
     memoryUsed: Number, // in KB
+    runtimeVersion: String, // Version that actually ran
+    kind: {
+      type: String,
+      enum: ['run', 'test'],
+      default: 'run'
+    },
+    // Test runs only
+    tests: {
+      total: Number,
+      passed: Number,
+      failed: Number
+    },
     executedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -186,7 +299,8 @@ const sessionSchema = new mongoose.Schema({
     }
   },
 
-  // Version History (simplified)
+  // Version History kept before revisions existed (newest first); moved into
+  // Revision by migrateCodeHistory in project-files.js, so new sessions leave it empty
   codeHistory: [{
     code: String,
     changedBy: {
@@ -341,24 +455,238 @@ sessionSchema.methods.removeParticipant = function(userId) {
   return Promise.resolve(this);
 };
 
+// Instance method to get a user's role (null if they have no access)
+sessionSchema.methods.getParticipantRole = function(userId) {
+  const creatorId = this.creator._id || this.creator;
+  if (creatorId.toString() === userId.toString()) {
+    return 'creator';
+  }
+
+  const participant = this.activeParticipants.find(
+    p => (p.user._id || p.user).toString() === userId.toString()
+  );
+
+  if (participant) {
+    return participant.role;
+  }
+
+  // Non-members of public sessions can watch but not edit
+  return this.settings.isPublic ? 'viewer' : null;
+};
+
+// Instance method to promote or demote a participant
+sessionSchema.methods.setParticipantRole = function(userId, role) {
+  if (!['editor', 'viewer'].includes(role)) {
+    throw new Error('Role must be "editor" or "viewer"');
+  }
+
+  const creatorId = this.creator._id || this.creator;
+  if (creatorId.toString() === userId.toString()) {
+    throw new Error('The session creator role cannot be changed');
+  }
+
+  const participant = this.activeParticipants.find(
+    p => (p.user._id || p.user).toString() === userId.toString()
+  );
+
+  if (!participant) {
+    throw new Error('User is not a participant in this session');
+  }
+
+  participant.role = role;
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Instance method to apply a settings update (shared by REST and socket)
+sessionSchema.methods.applySettings = function(settings) {
+  if (settings.maxParticipants !== undefined) {
+    this.settings.maxParticipants = Math.min(Math.max(settings.maxParticipants, 2), 10);
+  }
+  if (settings.isPublic !== undefined) {
+    this.settings.isPublic = Boolean(settings.isPublic);
+  }
+  if (settings.allowAnonymous !== undefined) {
+    this.settings.allowAnonymous = Boolean(settings.allowAnonymous);
+  }
+  if (settings.autoSave !== undefined) {
+    this.settings.autoSave = Boolean(settings.autoSave);
+  }
+  if (settings.executionEnabled !== undefined) {
+    this.settings.executionEnabled = Boolean(settings.executionEnabled);
+  }
+  if (settings.documentMode !== undefined && settings.documentMode !== this.settings.documentMode) {
+    throw new Error('Document mode can only be chosen when the session is created');
+  }
+  if (settings.executionProfile !== undefined) {
+    this.settings.executionProfile = parseExecutionProfile(settings.executionProfile, this.language, this.settings.executionProfile || {});
+  }
+};
+
+// Instance method to get the file tree sent to clients
+sessionSchema.methods.getFileTree = function() {
+  return {
+    files: this.files
+      .map(file => ({ id: file._id.toString(), path: file.path, type: file.type }))
+      .sort((a, b) => a.path.localeCompare(b.path)),
+    entryPoint: this.entryPoint ? this.entryPoint.toString() : null
+  };
+};
+
+// Instance method to find a file tree entry by path
+sessionSchema.methods.findFileByPath = function(path) {
+  return this.files.find(file => file.path === path) || null;
+};
+
+// Instance method to add a file or folder (missing parent folders are created).
+// Throws on invalid input; the caller saves.
+sessionSchema.methods.addFile = function(path, type = 'file', userId = null) {
+  const normalized = normalizeFilePath(path);
+  if (!normalized) {
+    throw new Error('Invalid file path');
+  }
+  if (!['file', 'folder'].includes(type)) {
+    throw new Error('File type must be "file" or "folder"');
+  }
+  if (this.findFileByPath(normalized)) {
+    throw new Error(`${normalized} already exists`);
+  }
+
+  // Parent folders that do not exist yet
+  const segments = normalized.split('/');
+  const missingFolders = [];
+  for (let i = 1; i < segments.length; i++) {
+    const parentPath = segments.slice(0, i).join('/');
+    const parent = this.findFileByPath(parentPath);
+    if (parent && parent.type !== 'folder') {
+      throw new Error(`${parentPath} is a file, not a folder`);
+    }
+    if (!parent) {
+      missingFolders.push(parentPath);
+    }
+  }
+
+  if (this.files.length + missingFolders.length + 1 > MAX_PROJECT_FILES) {
+    throw new Error(`Sessions are limited to ${MAX_PROJECT_FILES} files and folders`);
+  }
+
+  for (const folderPath of missingFolders) {
+    this.files.push({ path: folderPath, type: 'folder', createdBy: userId });
+  }
+  this.files.push({ path: normalized, type: type, createdBy: userId });
+  return this.files[this.files.length - 1];
+};
+
+// Instance method to rename/move a file or folder (folders move their contents).
+// Throws on invalid input; the caller saves.
+sessionSchema.methods.moveFile = function(fileId, newPath) {
+  const file = this.files.id(fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  const normalized = normalizeFilePath(newPath);
+  if (!normalized) {
+    throw new Error('Invalid file path');
+  }
+  if (normalized === file.path) {
+    return file;
+  }
+  if (this.findFileByPath(normalized)) {
+    throw new Error(`${normalized} already exists`);
+  }
+  if (file.type === 'folder' && normalized.startsWith(`${file.path}/`)) {
+    throw new Error('A folder cannot be moved into itself');
+  }
+
+  const segments = normalized.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    const parent = this.findFileByPath(segments.slice(0, i).join('/'));
+    if (!parent || parent.type !== 'folder') {
+      throw new Error(`Folder ${segments.slice(0, i).join('/')} does not exist`);
+    }
+  }
+
+  const oldPath = file.path;
+  for (const entry of this.files) {
+    if (entry.path === oldPath) {
+      entry.path = normalized;
+    } else if (entry.path.startsWith(`${oldPath}/`)) {
+      entry.path = normalized + entry.path.slice(oldPath.length);
+    }
+  }
+  return file;
+};
+
+// Instance method to delete a file or folder with its contents.
+// Returns the removed entries; throws if the entry point would be removed.
+sessionSchema.methods.removeFile = function(fileId) {
+  const file = this.files.id(fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  const removed = this.files.filter(entry =>
+    entry.path === file.path || entry.path.startsWith(`${file.path}/`)
+  );
+
+  if (this.entryPoint && removed.some(entry => entry._id.equals(this.entryPoint))) {
+    throw new Error('Choose a different entry point before deleting it');
+  }
+
+  for (const entry of removed) {
+    this.files.pull(entry._id);
+  }
+  return removed;
+};
+
+// Instance method to choose the file that gets executed
+sessionSchema.methods.setEntryPoint = function(fileId) {
+  const file = this.files.id(fileId);
+  if (!file || file.type !== 'file') {
+    throw new Error('Entry point must be an existing file');
+  }
+
+  this.entryPoint = file._id;
+  return file;
+};
+
+// Instance method to add a test case. Throws on invalid input; the caller saves.
+sessionSchema.methods.addTestCase = function(fields, userId = null) {
+  if (this.testCases.length >= MAX_TEST_CASES) {
+    throw new Error(`Sessions are limited to ${MAX_TEST_CASES} test cases`);
+  }
+
+  this.testCases.push({ ...parseTestCase(fields, this.testCases.length), createdBy: userId });
+  return this.testCases[this.testCases.length - 1];
+};
+
+// Instance method to change a test case (fields left out keep their value).
+// Throws on invalid input; the caller saves.
+sessionSchema.methods.updateTestCase = function(caseId, fields) {
+  const testCase = this.testCases.id(caseId);
+  if (!testCase) {
+    throw new Error('Test case not found');
+  }
+
+  const current = {
+    name: testCase.name,
+    input: testCase.input,
+    expectedOutput: testCase.expectedOutput,
+    whitespace: testCase.whitespace,
+    floatTolerance: testCase.floatTolerance
+  };
+  const defined = Object.fromEntries(Object.entries(fields).filter(([key, value]) => key in current && value !== undefined));
+
+  testCase.set(parseTestCase({ ...current, ...defined }, this.testCases.indexOf(testCase)));
+  return testCase;
+};
+
 // Instance method to update code
 sessionSchema.methods.updateCode = function(newCode, userId) {
   this.code = newCode;
   this.stats.totalCodeChanges += 1;
   this.stats.linesOfCode = newCode.split('\n').length;
-  
-  // Add to code history (keep last 50 changes)
-  this.codeHistory.unshift({
-    code: newCode,
-    changedBy: userId,
-    timestamp: new Date(),
-    changeType: 'modified'
-  });
-  
-  if (this.codeHistory.length > 50) {
-    this.codeHistory = this.codeHistory.slice(0, 50);
-  }
-  
   this.lastActivity = new Date();
   return this.save();
 };
@@ -393,6 +721,11 @@ sessionSchema.methods.endSession = function() {
   return this.save();
 };
 
+// Static method to check whether a role grants an action
+sessionSchema.statics.roleHasPermission = function(role, action) {
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(action);
+};
+
 // Static method to find by session code
 sessionSchema.statics.findByCode = function(sessionCode) {
   return this.findOne({ 
@@ -438,6 +771,9 @@ sessionSchema.statics.cleanupExpiredSessions = async function() {
   return result;
 };
 
+// Static helper exposed for routes that validate paths before touching the tree
+sessionSchema.statics.normalizeFilePath = normalizeFilePath;
+
 module.exports = mongoose.model('Session', sessionSchema);
 
 
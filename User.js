@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const validator = require('validator');
+const { LANGUAGE_NAMES, DEFAULT_LANGUAGE } = require('./languages');
+const totp = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are stored as hashes; they are random enough for plain SHA-256
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,13 +38,20 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // False for accounts created at an identity provider sign-in, whose password is
+  // random, until the user sets one (password reset, or change-password after
+  // signing in again at the provider)
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
   
   // User Preferences
   preferences: {
     preferredLanguage: {
       type: String,
-      enum: ['javascript', 'python', 'cpp', 'c', 'java', 'go', 'rust'],
-      default: 'javascript'
+      enum: LANGUAGE_NAMES,
+      default: DEFAULT_LANGUAGE
     },
     theme: {
       type: String,
@@ -114,12 +131,6 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  
-  // Remember Me Token
-  rememberToken: {
-    type: String,
-    default: null
-  },
 
   // Security
   loginAttempts: {
@@ -130,6 +141,59 @@ const userSchema = new mongoose.Schema({
     type: Date
   },
 
+  // Two-factor authentication with an authenticator app (see totp.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being set up; it replaces `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so every code works once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    }
+  },
+
+  // Accounts at OpenID Connect providers that sign in as this user (see oidc.js)
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Sessions History (referenced sessions)
   recentSessions: [{
     sessionId: {
@@ -152,9 +216,14 @@ const userSchema = new mongoose.Schema({
   toJSON: { 
     transform: function(doc, ret) {
       delete ret.password;
-      delete ret.rememberToken;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     }
   }
@@ -165,6 +234,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ lastActive: -1 });
 userSchema.index({ 'recentSessions.lastJoined': -1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -259,6 +329,36 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   }).select('+password');
 };
 
+// Static method to find the user an OpenID Connect identity is linked to
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Static method to pick a free username close to `base` (for users created at sign-in)
+userSchema.statics.availableUsername = async function(base) {
+  let name = String(base || '').replace(/[^a-zA-Z0-9_]/g, '').slice(0, 15);
+  if (name.length < 3) {
+    name = `user${name}`;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = attempt === 0 ? name : `${name}${crypto.randomInt(1000, 100000)}`;
+    if (!await this.exists({ username: candidate })) {
+      return candidate;
+    }
+  }
+  return `user${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// Instance method to link an OpenID Connect identity
+userSchema.methods.linkIdentity = function({ provider, subject, email = null }) {
+  const linked = this.identities.some(identity => identity.provider === provider && identity.subject === subject);
+  if (!linked) {
+    this.identities.push({ provider, subject, email, linkedAt: new Date() });
+  }
+  return this.save();
+};
+
 // Static method to get user stats
 userSchema.statics.getUserStats = async function(userId) {
   const user = await this.findById(userId);
@@ -304,4 +404,95 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to replace the recovery codes; returns the new codes, which are
+// only ever shown this once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hashRecoveryCode(code), usedAt: null }));
+  return codes;
+};
+
+// Instance method to start setting up two-factor authentication with a new secret
+userSchema.methods.startTwoFactorSetup = async function() {
+  this.twoFactor.pendingSecret = totp.generateSecret();
+  await this.save();
+  return this.twoFactor.pendingSecret;
+};
+
+// Instance method to finish setup with a code from the pending secret. Returns the
+// recovery codes, or null if the code is wrong. Needs +twoFactor.pendingSecret.
+userSchema.methods.enableTwoFactor = async function(code) {
+  if (!this.twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const step = totp.verifyCode(this.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  const recoveryCodes = this.generateRecoveryCodes();
+
+  await this.save();
+  return recoveryCodes;
+};
+
+// Instance method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.recoveryCodes = [];
+  return this.save();
+};
+
+// Instance method to check a second-factor code: an authenticator code or an unused
+// recovery code. Either is used up atomically, so it cannot be replayed. Resolves
+// 'totp', 'recovery' or null. Needs +twoFactor.secret.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) {
+    return null;
+  }
+  const User = this.constructor;
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  if (typeof code !== 'string' || code.length > 32) {
+    return null;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashRecoveryCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0 ? 'recovery' : null;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
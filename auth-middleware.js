@@ -1,5 +1,89 @@
 const jwt = require('jsonwebtoken');
 const User = require('./User');
+const Login = require('./Login');
+
+// Helper to build authentication errors carrying the HTTP status to respond with
+const createAuthError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Verify an access token and load the user it belongs to
+ * Shared by the HTTP middleware and the Socket.io handshake
+ * Rejects with an error carrying `status` (and `code` for token errors),
+ * including for tokens whose login has been signed out
+ */
+const authenticateToken = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    console.error('JWT verification error:', jwtError.message);
+
+    // Handle specific JWT errors
+    if (jwtError.name === 'TokenExpiredError') {
+      throw createAuthError(401, 'Access denied. Token has expired.', 'TOKEN_EXPIRED');
+    }
+
+    if (jwtError.name === 'JsonWebTokenError') {
+      throw createAuthError(401, 'Access denied. Invalid token.', 'INVALID_TOKEN');
+    }
+
+    if (jwtError.name === 'NotBeforeError') {
+      throw createAuthError(401, 'Access denied. Token not active yet.', 'TOKEN_NOT_ACTIVE');
+    }
+
+    // Generic JWT error
+    throw createAuthError(401, 'Access denied. Token verification failed.');
+  }
+
+  // Only access tokens from auth-tokens.js; older tokens have no login to revoke
+  if (!decoded.userId || decoded.type !== 'access' || !decoded.loginId) {
+    throw createAuthError(401, 'Access denied. Invalid token payload.', 'INVALID_TOKEN');
+  }
+
+  // Revoked logins (see GET /api/auth/sessions) end their access tokens at once
+  const login = await Login.findActive(decoded.loginId);
+  if (!login) {
+    throw createAuthError(401, 'Access denied. This login has been signed out.', 'TOKEN_REVOKED');
+  }
+
+  // Check if user still exists and is active
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    throw createAuthError(401, 'Access denied. User account not found.');
+  }
+
+  if (!user.isActive) {
+    throw createAuthError(401, 'Access denied. User account is deactivated.');
+  }
+
+  // Check if account is locked
+  if (user.isLocked) {
+    throw createAuthError(423, 'Account temporarily locked. Please try again later.');
+  }
+
+  Login.touch(login._id).catch(error => {
+    console.error('Error updating login activity:', error);
+  });
+
+  return { user, decoded };
+};
+
+/**
+ * Check whether a user may access a session
+ * Creator, any recorded participant, or anyone for public sessions
+ */
+const hasSessionAccess = (session, userId) => {
+  return session.creator.toString() === userId ||
+         session.activeParticipants.some(p => p.user.toString() === userId) ||
+         session.settings.isPublic;
+};
 
 /**
  * Authentication middleware to verify JWT tokens
@@ -32,83 +116,30 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      if (!decoded.userId) {
-        return res.status(401).json({
-          error: 'Access denied. Invalid token payload.'
-        });
-      }
-
-      // Check if user still exists and is active
-      const user = await User.findById(decoded.userId);
-      
-      if (!user) {
-        return res.status(401).json({
-          error: 'Access denied. User account not found.'
-        });
-      }
+    const { user, decoded } = await authenticateToken(token);
 
-      if (!user.isActive) {
-        return res.status(401).json({
-          error: 'Access denied. User account is deactivated.'
-        });
-      }
-
-      // Check if account is locked
-      if (user.isLocked) {
-        return res.status(423).json({
-          error: 'Account temporarily locked. Please try again later.'
-        });
-      }
-
-      // Add user ID to request object
-      req.userId = decoded.userId;
-      req.user = user; // Optional: add full user object
-      
-      // Update last active timestamp (optional, can be resource intensive)
-      // Uncomment if you want to track user activity on every request
-      /*
-      user.lastActive = new Date();
-      await user.save();
-      */
-
-      next();
+    // Add user ID to request object
+    req.userId = decoded.userId;
+    req.loginId = decoded.loginId; // Login (device sign-in) the token belongs to
+    req.user = user; // Optional: add full user object
+    
+    // Update last active timestamp (optional, can be resource intensive)
+    // Uncomment if you want to track user activity on every request
+    /*
+    user.lastActive = new Date();
+    await user.save();
+    */
 
-    } catch (jwtError) {
-      console.error('JWT verification error:', jwtError.message);
-      
-      // Handle specific JWT errors
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          error: 'Access denied. Token has expired.',
-          code: 'TOKEN_EXPIRED'
-        });
-      }
-      
-      if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          error: 'Access denied. Invalid token.',
-          code: 'INVALID_TOKEN'
-        });
-      }
-      
-      if (jwtError.name === 'NotBeforeError') {
-        return res.status(401).json({
-          error: 'Access denied. Token not active yet.',
-          code: 'TOKEN_NOT_ACTIVE'
-        });
-      }
+    next();
 
-      // Generic JWT error
-      return res.status(401).json({
-        error: 'Access denied. Token verification failed.'
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.code && { code: error.code })
       });
     }
 
-  } catch (error) {
     console.error('Auth middleware error:', error);
     return res.status(500).json({
       error: 'Internal server error during authentication'
@@ -116,6 +147,43 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Socket.io middleware to authenticate connections with the same JWT
+ * Token is read from the handshake auth payload ({ token }) or the
+ * Authorization header; sets socket.user, socket.userId and socket.userData
+ */
+const socketAuthMiddleware = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token ||
+      (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+    if (!token || token === 'null' || token === 'undefined') {
+      const error = new Error('Access denied. No token provided.');
+      error.data = { status: 401 };
+      return next(error);
+    }
+
+    const { user, decoded } = await authenticateToken(token);
+
+    socket.user = user;
+    socket.userId = user._id.toString();
+    socket.loginId = decoded.loginId;
+    socket.userData = { id: socket.userId, username: user.username };
+    next();
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('Socket auth middleware error:', error);
+    }
+
+    // error.data is delivered to the client with the connect_error event
+    const socketError = new Error(error.status ? error.message : 'Authentication failed');
+    socketError.data = { status: error.status || 500, code: error.code };
+    next(socketError);
+  }
+};
+
 /**
  * Optional middleware to verify user roles
  * Usage: authMiddleware, requireRole(['admin', 'moderator'])
@@ -192,13 +260,7 @@ const requireSessionAccess = (paramName = 'sessionId') => {
       }
 
       // Check if user has access to this session
-      const hasAccess = session.creator.toString() === req.userId ||
-                       session.activeParticipants.some(p => 
-                         p.user.toString() === req.userId
-                       ) ||
-                       session.settings.isPublic;
-
-      if (!hasAccess) {
+      if (!hasSessionAccess(session, req.userId)) {
         return res.status(403).json({
           error: 'Access denied to this session'
         });
@@ -236,19 +298,16 @@ const optionalAuth = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      if (decoded.userId) {
-        const user = await User.findById(decoded.userId);
-        
-        if (user && user.isActive && !user.isLocked) {
-          req.userId = decoded.userId;
-          req.user = user;
-        }
+      const { user, decoded } = await authenticateToken(token);
+      req.userId = decoded.userId;
+      req.loginId = decoded.loginId;
+      req.user = user;
+    } catch (authError) {
+      if (!authError.status) {
+        throw authError;
       }
-    } catch (jwtError) {
       // Invalid token, but continue without authentication
-      console.log('Optional auth - invalid token:', jwtError.message);
+      console.log('Optional auth - invalid token:', authError.message);
     }
 
     next();
@@ -290,60 +349,13 @@ const authRateLimit = (options = {}) => {
   });
 };
 
-/**
- * Middleware to refresh token if it's close to expiry
- * Automatically sends new token in response header
- */
-const refreshTokenIfNeeded = async (req, res, next) => {
-  try {
-    if (!req.userId) {
-      return next();
-    }
-
-    const authHeader = req.header('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return next();
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = jwt.decode(token);
-    
-    if (!decoded || !decoded.exp) {
-      return next();
-    }
-
-    // Check if token expires in less than 1 hour
-    const expirationTime = decoded.exp * 1000; // Convert to milliseconds
-    const currentTime = Date.now();
-    const timeUntilExpiry = expirationTime - currentTime;
-    const oneHour = 60 * 60 * 1000; // 1 hour in milliseconds
-
-    if (timeUntilExpiry < oneHour && timeUntilExpiry > 0) {
-      // Generate new token
-      const newToken = jwt.sign(
-        { userId: req.userId },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-
-      // Send new token in response header
-      res.setHeader('X-New-Token', newToken);
-    }
-
-    next();
-
-  } catch (error) {
-    console.error('Token refresh error:', error);
-    // Continue without refreshing on error
-    next();
-  }
-};
-
 module.exports = {
   authMiddleware,
+  socketAuthMiddleware,
+  authenticateToken,
+  hasSessionAccess,
   requireRole,
   requireSessionAccess,
   optionalAuth,
-  authRateLimit,
-  refreshTokenIfNeeded
+  authRateLimit
 };
\ No newline at end of file
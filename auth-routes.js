@@ -1,9 +1,23 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const User = require('./User');
-const { authMiddleware } = require('./auth-middleware');
+const Login = require('./Login');
+const RefreshToken = require('./RefreshToken');
+const AccountToken = require('./AccountToken');
+const OidcRequest = require('./OidcRequest');
+const { isSupportedLanguage } = require('./languages');
+const { authMiddleware, authenticateToken, optionalAuth } = require('./auth-middleware');
+const {
+  issueTokens,
+  refreshTokens,
+  signReauthToken,
+  signTwoFactorChallenge,
+  verifyReauthToken,
+  verifyTwoFactorChallenge
+} = require('./auth-tokens');
+const totp = require('./totp');
 
 const router = express.Router();
 
@@ -23,15 +37,142 @@ const createAuthLimiter = (max, windowMs = 15 * 60 * 1000) => {
 // Rate limiting for auth routes
 const authLimiter = createAuthLimiter(10); // 10 requests per 15 minutes
 const loginLimiter = createAuthLimiter(5); // 5 login attempts per 15 minutes
+const refreshLimiter = createAuthLimiter(60); // Clients refresh every few minutes
+const twoFactorLimiter = createAuthLimiter(10); // Codes are also limited by the account lockout
+const oidcLimiter = createAuthLimiter(30); // Single sign-on takes two requests per sign-in
 
-// Helper function to generate JWT token
-const generateToken = (userId, rememberMe = false) => {
-  const expiresIn = rememberMe ? '30d' : '7d';
-  return jwt.sign(
-    { userId: userId },
-    process.env.JWT_SECRET,
-    { expiresIn }
-  );
+// Name authenticator apps show next to the account (TOTP_ISSUER)
+const totpIssuer = process.env.TOTP_ISSUER || 'CodeCollab';
+
+// Helper to disconnect the live sockets of revoked logins
+const disconnectLogins = (req, userId, loginIds, reason) => {
+  if (loginIds.length > 0 && req.app.locals.notifyLoginsRevoked) {
+    req.app.locals.notifyLoginsRevoked(userId, loginIds, reason);
+  }
+};
+
+// Helper to email a verification link; failures are logged, not reported
+const sendVerificationEmail = async (req, user) => {
+  try {
+    const token = await AccountToken.issue(user._id, 'email-verification', { email: user.email });
+    await req.app.locals.mailer.sendEmailVerification(user, token);
+  } catch (error) {
+    console.error(`Error sending verification email to ${user.email}:`, error);
+  }
+};
+
+// Helper to email a password reset link; failures are logged, not reported, so
+// the answer never reveals whether the address belongs to an account. Never rejects.
+const sendPasswordResetEmail = async (req, user) => {
+  try {
+    const token = await AccountToken.issue(user._id, 'password-reset');
+    await req.app.locals.mailer.sendPasswordReset(user, token);
+    console.log(`🔑 Password reset requested: ${user.username}`);
+  } catch (error) {
+    console.error(`Error sending password reset email to ${user.email}:`, error);
+  }
+};
+
+// Helper to check a second-factor code; wrong codes count towards the lockout
+const checkTwoFactorCode = async (user, code) => {
+  const method = await user.verifyTwoFactorCode(code);
+
+  if (!method) {
+    await user.incLoginAttempts();
+  } else if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+  return method;
+};
+
+// Helper to confirm it is really the user before a sensitive change: with their
+// password, or with a token from signing in at their identity provider again
+// (POST /oidc/:provider/reauthenticate), the only way for users without a password.
+// Throws with a status and code when neither confirms it.
+const confirmUser = async (user, { password, reauthToken }, incorrectPasswordMessage) => {
+  if (reauthToken) {
+    verifyReauthToken(reauthToken, user._id);
+    return;
+  }
+
+  if (!user.hasPassword) {
+    const error = new Error('Your account has no password. Please sign in again with your identity provider.');
+    error.status = 401;
+    error.code = 'REAUTHENTICATION_REQUIRED';
+    throw error;
+  }
+
+  if (!password || !await user.comparePassword(password)) {
+    const error = new Error(incorrectPasswordMessage);
+    error.status = 401;
+    throw error;
+  }
+};
+
+// Helper to look up a configured OpenID Connect provider
+const getOidcProvider = (req, name) => {
+  const providers = req.app.locals.oidcProviders;
+  return providers ? providers.get(name) || null : null;
+};
+
+// Helper to find the user for a provider identity: the one it was linked to, else
+// the account with the same email when both sides verified it, else a new account.
+// An unverified account could have been registered by anyone, so its owner has to
+// sign in and link the identity (POST /oidc/:provider/link).
+const resolveOidcUser = async (identity) => {
+  const linkedUser = await User.findByIdentity(identity.provider, identity.subject);
+  if (linkedUser) {
+    return { user: linkedUser, created: false };
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    const error = new Error('Your identity provider did not confirm your email address, so it cannot be matched to an account');
+    error.status = 403;
+    error.code = 'OIDC_EMAIL_NOT_VERIFIED';
+    throw error;
+  }
+
+  const existingUser = await User.findOne({ email: identity.email });
+  if (existingUser && !existingUser.isEmailVerified) {
+    const error = new Error('An account with this email already exists. Sign in with your password and link your identity provider from your account settings.');
+    error.status = 409;
+    error.code = 'OIDC_ACCOUNT_NOT_LINKED';
+    throw error;
+  }
+  if (existingUser) {
+    await existingUser.linkIdentity(identity);
+    console.log(`🔗 Linked ${identity.provider} identity by email: ${existingUser.username}`);
+    return { user: existingUser, created: false };
+  }
+
+  const user = new User({
+    username: await User.availableUsername(identity.preferredUsername || identity.email.split('@')[0]),
+    email: identity.email,
+    password: crypto.randomBytes(32).toString('hex'), // Unknown to anyone; a password reset sets a real one
+    hasPassword: false,
+    isEmailVerified: true,
+    profile: {
+      name: identity.name ? identity.name.slice(0, 50) : undefined
+    }
+  });
+  await user.linkIdentity(identity);
+  console.log(`✅ New user created from ${identity.provider} sign-in: ${user.username} (${user.email})`);
+
+  return { user, created: true };
+};
+
+// Helper for the linked identities in API responses
+const createIdentitiesResponse = (req, user) => {
+  return user.identities.map(identity => {
+    const provider = getOidcProvider(req, identity.provider);
+    return {
+      id: identity._id,
+      provider: identity.provider,
+      label: provider ? provider.label : identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    };
+  });
 };
 
 // Helper function to create user response (without sensitive data)
@@ -40,6 +181,9 @@ const createUserResponse = (user) => {
     id: user._id,
     username: user.username,
     email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    hasPassword: user.hasPassword,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
     profile: user.profile,
     preferences: user.preferences,
     lastActive: user.lastActive,
@@ -54,7 +198,7 @@ const createUserResponse = (user) => {
 // @access  Public
 router.post('/register', authLimiter, async (req, res) => {
   try {
-    const { username, email, password, name, rememberMe } = req.body;
+    const { username, email, password, name, rememberMe, deviceName } = req.body;
 
     // Validation
     if (!username || !email || !password) {
@@ -123,17 +267,19 @@ router.post('/register', authLimiter, async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id, rememberMe);
+    // Start a login for this device
+    const tokens = await issueTokens(user, req, { rememberMe, deviceLabel: deviceName });
 
     // Update last active
     user.lastActive = new Date();
     await user.save();
 
+    await sendVerificationEmail(req, user);
+
     res.status(201).json({
       success: true,
       message: 'Account created successfully',
-      token: token,
+      ...tokens,
       user: createUserResponse(user)
     });
 
@@ -169,7 +315,7 @@ router.post('/register', authLimiter, async (req, res) => {
 // @access  Public
 router.post('/login', loginLimiter, async (req, res) => {
   try {
-    const { identifier, password, rememberMe } = req.body; // identifier can be email or username
+    const { identifier, password, rememberMe, deviceName } = req.body; // identifier can be email or username
 
     // Validation
     if (!identifier || !password) {
@@ -194,49 +340,688 @@ router.post('/login', loginLimiter, async (req, res) => {
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    
-    if (!isPasswordValid) {
-      // Increment login attempts
-      await user.incLoginAttempts();
-      
-      return res.status(401).json({
-        error: 'Invalid credentials'
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    
+    if (!isPasswordValid) {
+      // Increment login attempts
+      await user.incLoginAttempts();
+      
+      return res.status(401).json({
+        error: 'Invalid credentials'
+      });
+    }
+
+    // With two-factor authentication the password only earns a challenge for
+    // POST /login/2fa; failed attempts are reset once the code is right too
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        ...signTwoFactorChallenge(user, { rememberMe, deviceLabel: deviceName })
+      });
+    }
+
+    // Reset login attempts on successful login
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Update last active
+    user.lastActive = new Date();
+    await user.save();
+
+    // Start a login for this device (remembered logins last 30 days instead of 7)
+    const tokens = await issueTokens(user, req, { rememberMe, deviceLabel: deviceName });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      user: createUserResponse(user)
+    });
+
+    console.log(`✅ User logged in: ${user.username}`);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second sign-in step: trade the challenge token from /login and a code
+//          from the authenticator app (or a recovery code) for the real tokens
+// @access  Public
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const { userId, rememberMe, deviceLabel } = verifyTwoFactorChallenge(challengeToken);
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Please provide the code from your authenticator app or a recovery code'
+      });
+    }
+
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Invalid sign-in challenge',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    const method = await checkTwoFactorCode(user, code);
+    if (!method) {
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    const tokens = await issueTokens(user, req, { rememberMe, deviceLabel });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      user: createUserResponse(user)
+    });
+
+    console.log(`✅ User logged in with ${method === 'recovery' ? 'a recovery code' : 'two-factor authentication'}: ${user.username}`);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Trade a refresh token for a new access and refresh token. Each refresh
+//          token works once; presenting a used one signs out the whole login.
+// @access  Public
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    // Check the account before the token is used up, so a client turned away here
+    // can retry with the same token (used ones go straight to reuse detection)
+    const pending = await RefreshToken.findUnused(req.body.refreshToken);
+    if (pending) {
+      const user = await User.findById(pending.userId);
+      if (!user || !user.isActive) {
+        await Login.revoke(pending.loginId, 'revoked');
+        return res.status(401).json({
+          error: 'User account not found or deactivated',
+          code: 'INVALID_REFRESH_TOKEN'
+        });
+      }
+
+      if (user.isLocked) {
+        return res.status(423).json({
+          error: 'Account temporarily locked. Please try again later.'
+        });
+      }
+    }
+
+    const { tokens } = await refreshTokens(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      disconnectLogins(req, error.userId, [error.loginId], 'reuse');
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/request
+// @desc    Email a new link to verify the user's address (valid 24 hours)
+// @access  Private
+router.post('/verify-email/request', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        error: 'Your email address is already verified',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    const token = await AccountToken.issue(req.user._id, 'email-verification', { email: req.user.email });
+    await req.app.locals.mailer.sendEmailVerification(req.user, token);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Request email verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/confirm
+// @desc    Verify an email address with the token from the emailed link
+// @access  Public
+router.post('/verify-email/confirm', authLimiter, async (req, res) => {
+  try {
+    const { userId, email } = await AccountToken.consume(req.body.token, 'email-verification');
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Invalid link',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Links only verify the address they were sent to
+    if (user.email !== email) {
+      return res.status(400).json({
+        error: 'This link was sent to a different email address',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    user.isEmailVerified = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      user: createUserResponse(user)
+    });
+
+    console.log(`✉️ Email verified: ${user.username} (${user.email})`);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Confirm email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/password-reset/request
+// @desc    Email a link to choose a new password (valid 1 hour). Answers the same
+//          whether or not the address belongs to an account.
+// @access  Public
+router.post('/password-reset/request', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        error: 'Please provide your email address'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    // Not awaited: answering only after the mail went out would time known addresses
+    if (user && user.isActive) {
+      sendPasswordResetEmail(req, user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account uses this address, a password reset link is on its way'
+    });
+
+  } catch (error) {
+    console.error('Request password reset error:', error);
+    res.status(500).json({
+      error: 'Failed to send password reset email'
+    });
+  }
+});
+
+// @route   POST /api/auth/password-reset/confirm
+// @desc    Set a new password with the token from the emailed link. Every login of
+//          the account is signed out.
+// @access  Public
+router.post('/password-reset/confirm', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        error: 'New password must be at least 6 characters long'
+      });
+    }
+
+    const { userId } = await AccountToken.consume(token, 'password-reset');
+
+    const user = await User.findById(userId).select('+password');
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Invalid link',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // The reset proves the owner is back, so a lockout from guessing ends too
+    user.password = password;
+    user.hasPassword = true;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    const revoked = await Login.revokeUser(user._id, 'password-reset');
+    disconnectLogins(req, user._id, revoked, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+    console.log(`🔐 Password reset: ${user.username}`);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Confirm password reset error:', error);
+    res.status(500).json({
+      error: 'Password reset failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/providers
+// @desc    Identity providers users can sign in with
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  const providers = req.app.locals.oidcProviders || new Map();
+
+  res.json({
+    success: true,
+    providers: [...providers.values()].map(provider => ({ name: provider.name, label: provider.label }))
+  });
+});
+
+// @route   POST /api/auth/oidc/:provider/authorize
+// @desc    Start signing in with an identity provider. Returns the URL to send the
+//          browser to and the `state` it will come back with; the web app keeps
+//          `state` and checks it before posting to /oidc/callback.
+// @access  Public
+router.post('/oidc/:provider/authorize', oidcLimiter, async (req, res) => {
+  try {
+    const { rememberMe, deviceName } = req.body;
+
+    const provider = getOidcProvider(req, req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Unknown identity provider'
+      });
+    }
+
+    const { request, codeChallenge } = await OidcRequest.start(provider.name, { rememberMe, deviceLabel: deviceName });
+    const authorizationUrl = await provider.authorizationUrl({ state: request.state, nonce: request.nonce, codeChallenge });
+
+    res.json({
+      success: true,
+      authorizationUrl: authorizationUrl,
+      state: request.state
+    });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    if (error.isAxiosError) {
+      return res.status(502).json({
+        error: 'Could not reach the identity provider',
+        code: 'OIDC_PROVIDER_UNAVAILABLE'
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to start signing in with the identity provider'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link
+// @desc    Like /oidc/:provider/authorize, but the identity is linked to the
+//          signed-in user when the flow completes; /oidc/callback then needs that
+//          user's access token too
+// @access  Private
+router.post('/oidc/:provider/link', oidcLimiter, authMiddleware, async (req, res) => {
+  try {
+    const provider = getOidcProvider(req, req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Unknown identity provider'
+      });
+    }
+
+    const { request, codeChallenge } = await OidcRequest.start(provider.name, { linkUserId: req.userId });
+    const authorizationUrl = await provider.authorizationUrl({ state: request.state, nonce: request.nonce, codeChallenge });
+
+    res.json({
+      success: true,
+      authorizationUrl: authorizationUrl,
+      state: request.state
+    });
+
+  } catch (error) {
+    console.error('OIDC link error:', error);
+    if (error.isAxiosError) {
+      return res.status(502).json({
+        error: 'Could not reach the identity provider',
+        code: 'OIDC_PROVIDER_UNAVAILABLE'
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to start linking the identity'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/reauthenticate
+// @desc    Like /oidc/:provider/link, but the flow only confirms it is the signed-in
+//          user, with one of their linked identities. /oidc/callback then answers
+//          with a `reauthToken` that routes asking for the password accept instead.
+// @access  Private
+router.post('/oidc/:provider/reauthenticate', oidcLimiter, authMiddleware, async (req, res) => {
+  try {
+    const provider = getOidcProvider(req, req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Unknown identity provider'
+      });
+    }
+
+    const { request, codeChallenge } = await OidcRequest.start(provider.name, { reauthUserId: req.userId });
+    const authorizationUrl = await provider.authorizationUrl({ state: request.state, nonce: request.nonce, codeChallenge });
+
+    res.json({
+      success: true,
+      authorizationUrl: authorizationUrl,
+      state: request.state
+    });
+
+  } catch (error) {
+    console.error('OIDC reauthenticate error:', error);
+    if (error.isAxiosError) {
+      return res.status(502).json({
+        error: 'Could not reach the identity provider',
+        code: 'OIDC_PROVIDER_UNAVAILABLE'
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to start signing in again with the identity provider'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/callback
+// @desc    Finish a flow with the `code` and `state` the provider sent back. Sign-ins
+//          answer like /login (including its two-factor step); links answer with
+//          the user's identities and reauthentications with a `reauthToken`, and
+//          both only complete for the user who started them.
+// @access  Public (links and reauthentications: Private)
+router.post('/oidc/callback', oidcLimiter, optionalAuth, async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        error: 'Missing authorization code'
+      });
+    }
+
+    const request = await OidcRequest.consume(state);
+    if (!request) {
+      return res.status(400).json({
+        error: 'Sign-in request expired or already completed. Please try again.',
+        code: 'OIDC_INVALID_STATE'
+      });
+    }
+
+    const provider = getOidcProvider(req, request.provider);
+    if (!provider) {
+      return res.status(400).json({
+        error: 'Unknown identity provider'
+      });
+    }
+
+    // A link started by one user must not complete in someone else's browser
+    const startedBy = request.linkUserId || request.reauthUserId;
+    if (startedBy && (!req.userId || req.userId.toString() !== startedBy.toString())) {
+      return res.status(401).json({
+        error: 'Please sign in as the user who started linking this account',
+        code: 'OIDC_LINK_NOT_AUTHORIZED'
+      });
+    }
+
+    const identity = await provider.authenticate({ code, codeVerifier: request.codeVerifier, nonce: request.nonce });
+
+    // Linking another identity to the signed-in user
+    if (request.linkUserId) {
+      const owner = await User.findByIdentity(identity.provider, identity.subject);
+      if (owner && !owner._id.equals(request.linkUserId)) {
+        return res.status(409).json({
+          error: 'This identity is already linked to another account',
+          code: 'OIDC_IDENTITY_IN_USE'
+        });
+      }
+
+      const user = await User.findById(request.linkUserId);
+      if (!user || !user.isActive) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      await user.linkIdentity(identity);
+
+      res.json({
+        success: true,
+        message: `${provider.label} account linked`,
+        identities: createIdentitiesResponse(req, user)
+      });
+
+      console.log(`🔗 Linked ${identity.provider} identity: ${user.username}`);
+      return;
+    }
+
+    // Confirming the signed-in user with one of their own identities
+    if (request.reauthUserId) {
+      const owner = await User.findByIdentity(identity.provider, identity.subject);
+      if (!owner || !owner._id.equals(request.reauthUserId)) {
+        return res.status(403).json({
+          error: 'Please sign in with an identity linked to your account',
+          code: 'OIDC_IDENTITY_NOT_LINKED'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Identity confirmed',
+        ...signReauthToken(owner)
+      });
+      return;
+    }
+
+    const { user, created } = await resolveOidcUser(identity);
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'This account has been deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    // Two-factor authentication applies to every way of signing in
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        ...signTwoFactorChallenge(user, { rememberMe: request.rememberMe, deviceLabel: request.deviceLabel })
+      });
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    const tokens = await issueTokens(user, req, { rememberMe: request.rememberMe, deviceLabel: request.deviceLabel });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Account created successfully' : 'Login successful',
+      created: created,
+      ...tokens,
+      user: createUserResponse(user)
+    });
+
+    console.log(`✅ User logged in with ${provider.label}: ${user.username}`);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    // Two flows racing to link the same identity, or to create the same account
+    if (error.code === 11000 && error.keyPattern && error.keyPattern['identities.subject']) {
+      return res.status(409).json({
+        error: 'This identity is already linked to another account',
+        code: 'OIDC_IDENTITY_IN_USE'
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'An account with this email already exists. Please try again.'
+      });
+    }
+
+    console.error('OIDC callback error:', error);
+    if (error.isAxiosError) {
+      return res.status(502).json({
+        error: 'Could not reach the identity provider',
+        code: 'OIDC_PROVIDER_UNAVAILABLE'
       });
     }
+    res.status(500).json({
+      error: 'Sign-in with the identity provider failed'
+    });
+  }
+});
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.resetLoginAttempts();
-    }
+// @route   GET /api/auth/oidc/identities
+// @desc    Identities linked to the current user
+// @access  Private
+router.get('/oidc/identities', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
 
-    // Update last active
-    user.lastActive = new Date();
-    await user.save();
+    res.json({
+      success: true,
+      identities: createIdentitiesResponse(req, user)
+    });
+
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      error: 'Failed to get linked identities'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/oidc/identities/:identityId
+// @desc    Unlink an identity; it can no longer sign in as this user
+// @access  Private
+router.delete('/oidc/identities/:identityId', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
 
-    // Generate JWT token
-    const token = generateToken(user._id, rememberMe);
+    const identity = user.identities.find(candidate => candidate._id.toString() === req.params.identityId);
+    if (!identity) {
+      return res.status(404).json({
+        error: 'Linked identity not found'
+      });
+    }
 
-    // Set remember token if requested
-    if (rememberMe) {
-      user.rememberToken = token;
-      await user.save();
+    // Without a password of their own, the last identity is the only way in
+    if (!user.hasPassword && user.identities.length === 1) {
+      return res.status(400).json({
+        error: 'Set a password before unlinking your only way to sign in',
+        code: 'LAST_SIGN_IN_METHOD'
+      });
     }
 
+    user.identities.pull(identity._id);
+    await user.save();
+
     res.json({
       success: true,
-      message: 'Login successful',
-      token: token,
-      user: createUserResponse(user)
+      message: 'Identity unlinked',
+      identities: createIdentitiesResponse(req, user)
     });
 
-    console.log(`✅ User logged in: ${user.username}`);
+    console.log(`🔗 Unlinked ${identity.provider} identity: ${user.username}`);
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Unlink identity error:', error);
     res.status(500).json({
-      error: 'Login failed. Please try again.'
+      error: 'Failed to unlink identity'
     });
   }
 });
@@ -347,8 +1132,7 @@ router.put('/preferences', authMiddleware, async (req, res) => {
 
     // Update preferences if provided
     if (preferredLanguage !== undefined) {
-      const validLanguages = ['javascript', 'python', 'cpp', 'c', 'java', 'go', 'rust'];
-      if (!validLanguages.includes(preferredLanguage)) {
+      if (!isSupportedLanguage(preferredLanguage)) {
         return res.status(400).json({
           error: 'Invalid programming language'
         });
@@ -400,13 +1184,14 @@ router.put('/preferences', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/auth/change-password
-// @desc    Change user password
+// @desc    Change user password. Users without a password set their first one
+//          with a `reauthToken` instead of the current password.
 // @access  Private
 router.post('/change-password', authMiddleware, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { currentPassword, reauthToken, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if ((!currentPassword && !reauthToken) || !newPassword) {
       return res.status(400).json({
         error: 'Please provide current and new password'
       });
@@ -427,18 +1212,17 @@ router.post('/change-password', authMiddleware, async (req, res) => {
     }
 
     // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    
-    if (!isCurrentPasswordValid) {
-      return res.status(401).json({
-        error: 'Current password is incorrect'
-      });
-    }
+    await confirmUser(user, { password: currentPassword, reauthToken }, 'Current password is incorrect');
 
     // Update password
     user.password = newPassword;
+    user.hasPassword = true;
     await user.save();
 
+    // Whoever else knew the old password is signed out; this device stays in
+    const revoked = await Login.revokeUser(user._id, 'password-change', { except: req.loginId });
+    disconnectLogins(req, user._id, revoked, 'password-change');
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -447,6 +1231,13 @@ router.post('/change-password', authMiddleware, async (req, res) => {
     console.log(`🔐 User changed password: ${user.username}`);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Change password error:', error);
     res.status(500).json({
       error: 'Failed to change password'
@@ -454,17 +1245,241 @@ router.post('/change-password', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/2fa
+// @desc    Two-factor authentication status
+// @access  Private
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled
+          ? user.twoFactor.recoveryCodes.filter(recoveryCode => !recoveryCode.usedAt).length
+          : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Failed to get two-factor authentication status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolling an authenticator app: returns a new secret and its
+//          otpauth:// URI. Nothing changes until /2fa/enable confirms a code.
+//          Takes the password, or a `reauthToken` for users without one.
+// @access  Private
+router.post('/2fa/setup', twoFactorLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { password, reauthToken } = req.body;
+
+    if (!password && !reauthToken) {
+      return res.status(400).json({
+        error: 'Please provide your password'
+      });
+    }
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    await confirmUser(user, { password, reauthToken }, 'Password is incorrect');
+
+    const secret = await user.startTwoFactorSetup();
+
+    res.json({
+      success: true,
+      secret: secret,
+      otpauthUri: totp.otpauthUri({ secret, account: user.email, issuer: totpIssuer })
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor authentication setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrolling with a code from the app; returns single-use recovery
+//          codes, which are shown only this once
+// @access  Private
+router.post('/2fa/enable', twoFactorLimiter, authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Please start two-factor authentication setup first',
+        code: 'TWO_FACTOR_NOT_SET_UP'
+      });
+    }
+
+    const recoveryCodes = await user.enableTwoFactor(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: recoveryCodes
+    });
+
+    console.log(`🔐 Two-factor authentication enabled: ${user.username}`);
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (password or `reauthToken`, and a
+//          code required)
+// @access  Private
+router.post('/2fa/disable', twoFactorLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { password, reauthToken, code } = req.body;
+
+    if ((!password && !reauthToken) || !code) {
+      return res.status(400).json({
+        error: 'Please provide your password and an authentication code'
+      });
+    }
+
+    const user = await User.findById(req.userId).select('+password +twoFactor.secret');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    await confirmUser(user, { password, reauthToken }, 'Password is incorrect');
+
+    if (!await checkTwoFactorCode(user, code)) {
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await user.disableTwoFactor();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+    console.log(`🔓 Two-factor authentication disabled: ${user.username}`);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (a code required); the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', twoFactorLimiter, authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    if (!await checkTwoFactorCode(user, req.body.code)) {
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to generate recovery codes'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (clear remember token)
+// @desc    Logout user (sign out this login; its refresh and access tokens stop working)
 // @access  Private
 router.post('/logout', authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    
-    if (user && user.rememberToken) {
-      user.rememberToken = null;
-      await user.save();
-    }
+    const user = req.user;
+
+    const revoked = await Login.revoke(req.loginId, 'logout');
+    disconnectLogins(req, req.userId, revoked, 'logout');
 
     res.json({
       success: true,
@@ -481,6 +1496,82 @@ router.post('/logout', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the user's active logins (one per signed-in device)
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const logins = await Login.listActive(req.userId);
+
+    res.json({
+      success: true,
+      sessions: logins.map(login => login.toPublicJSON(req.loginId))
+    });
+
+  } catch (error) {
+    console.error('List logins error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch active logins'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:loginId
+// @desc    Sign out one of the user's logins; its devices are disconnected at once
+// @access  Private
+router.delete('/sessions/:loginId', authMiddleware, async (req, res) => {
+  try {
+    const login = await Login.findActive(req.params.loginId);
+
+    if (!login || login.userId.toString() !== req.userId) {
+      return res.status(404).json({
+        error: 'Login not found'
+      });
+    }
+
+    const revoked = await Login.revoke(login._id, 'revoked');
+    disconnectLogins(req, req.userId, revoked, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Login signed out',
+      current: login._id.toString() === req.loginId
+    });
+
+    console.log(`🔒 Login ${login._id} (${login.deviceLabel}) revoked by ${req.user.username}`);
+
+  } catch (error) {
+    console.error('Revoke login error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out login'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every login except the current one
+// @access  Private
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await Login.revokeUser(req.userId, 'revoked', { except: req.loginId });
+    disconnectLogins(req, req.userId, revoked, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Other logins signed out',
+      revoked: revoked.length
+    });
+
+    console.log(`🔒 ${revoked.length} other login(s) revoked by ${req.user.username}`);
+
+  } catch (error) {
+    console.error('Revoke logins error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out other logins'
+    });
+  }
+});
+
 // @route   GET /api/auth/stats
 // @desc    Get user statistics
 // @access  Private
@@ -502,13 +1593,13 @@ router.get('/stats', authMiddleware, async (req, res) => {
 });
 
 // @route   DELETE /api/auth/account
-// @desc    Delete user account
+// @desc    Delete user account (password, or `reauthToken` for users without one)
 // @access  Private
 router.delete('/account', authMiddleware, async (req, res) => {
   try {
-    const { password } = req.body;
+    const { password, reauthToken } = req.body;
 
-    if (!password) {
+    if (!password && !reauthToken) {
       return res.status(400).json({
         error: 'Please provide your password to confirm account deletion'
       });
@@ -523,16 +1614,12 @@ router.delete('/account', authMiddleware, async (req, res) => {
     }
 
     // Verify password
-    const isPasswordValid = await user.comparePassword(password);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        error: 'Incorrect password'
-      });
-    }
+    await confirmUser(user, { password, reauthToken }, 'Incorrect password');
 
     // Delete user account
     await User.findByIdAndDelete(req.userId);
+    const revoked = await Login.revokeUser(req.userId, 'account-deleted');
+    disconnectLogins(req, req.userId, revoked, 'account-deleted');
 
     res.json({
       success: true,
@@ -542,6 +1629,13 @@ router.delete('/account', authMiddleware, async (req, res) => {
     console.log(`🗑️ User account deleted: ${user.username}`);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Delete account error:', error);
     res.status(500).json({
       error: 'Failed to delete account'
@@ -550,7 +1644,7 @@ router.delete('/account', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/auth/verify-token
-// @desc    Verify if JWT token is valid
+// @desc    Verify if an access token is valid (and its login still signed in)
 // @access  Public
 router.post('/verify-token', async (req, res) => {
   try {
@@ -562,14 +1656,7 @@ router.post('/verify-token', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Invalid token'
-      });
-    }
+    const { user } = await authenticateToken(token);
 
     res.json({
       success: true,
@@ -0,0 +1,144 @@
+// auth-tokens.js - Access and refresh tokens handed out at sign-in
+//
+// Access tokens are JWTs valid for ACCESS_TOKEN_TTL (default 15m) and carry the
+// login they belong to (Login.js), so revoking the login stops them at once.
+// Clients keep the refresh token and trade it at POST /api/auth/refresh for a new
+// pair before the access token runs out; every refresh token works once.
+//
+// Users with two-factor authentication first get a challenge token (5 minutes)
+// for their password, which POST /api/auth/login/2fa trades with a code for the
+// real tokens. Challenge tokens are not access tokens and open nothing else.
+//
+// Users without a password of their own confirm sensitive changes (two-factor
+// setup, account deletion...) by signing in at their identity provider again,
+// which gives a reauthentication token (5 minutes) to send instead of the password.
+const jwt = require('jsonwebtoken');
+const Login = require('./Login');
+const RefreshToken = require('./RefreshToken');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const CHALLENGE_TOKEN_TTL_SECONDS = 5 * 60;
+const REAUTH_TOKEN_TTL_SECONDS = 5 * 60;
+
+// Helper to sign an access token for a login
+const signAccessToken = (userId, loginId) => {
+  return jwt.sign(
+    { userId: userId, loginId: loginId, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+};
+
+// Token fields of sign-in and refresh responses
+const tokenResponse = (login, refreshToken) => {
+  const accessToken = signAccessToken(login.userId, login._id.toString());
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    expiresIn: exp - iat, // seconds
+    refreshToken: refreshToken,
+    refreshExpiresAt: login.expiresAt
+  };
+};
+
+// Device details kept with a login
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip || ''
+});
+
+// Record a sign-in for a user and return its first token pair. `deviceLabel` names
+// the device in the sessions list (guessed from the User-Agent when missing).
+const issueTokens = async (user, req, { rememberMe = false, deviceLabel = null } = {}) => {
+  const login = await Login.start(user._id, { rememberMe: Boolean(rememberMe), deviceLabel, ...clientInfo(req) });
+  const { token } = await RefreshToken.issue(login);
+  return tokenResponse(login, token);
+};
+
+// Challenge for the second sign-in step; remembers the options of the first one
+const signTwoFactorChallenge = (user, { rememberMe = false, deviceLabel = null } = {}) => {
+  const challengeToken = jwt.sign(
+    { userId: user._id.toString(), type: '2fa-challenge', rememberMe: Boolean(rememberMe), deviceLabel: deviceLabel },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL_SECONDS }
+  );
+
+  return { challengeToken, challengeExpiresIn: CHALLENGE_TOKEN_TTL_SECONDS };
+};
+
+// Check a challenge token; throws with status 401 and code INVALID_CHALLENGE or
+// CHALLENGE_EXPIRED. Returns the user id and first-step options.
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const challengeError = (message, code) => {
+    const error = new Error(message);
+    error.status = 401;
+    error.code = code;
+    return error;
+  };
+
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      throw challengeError('Sign-in took too long. Please log in again.', 'CHALLENGE_EXPIRED');
+    }
+    throw challengeError('Invalid sign-in challenge', 'INVALID_CHALLENGE');
+  }
+
+  if (decoded.type !== '2fa-challenge' || !decoded.userId) {
+    throw challengeError('Invalid sign-in challenge', 'INVALID_CHALLENGE');
+  }
+
+  return { userId: decoded.userId, rememberMe: decoded.rememberMe, deviceLabel: decoded.deviceLabel };
+};
+
+// Proof that the user just signed in at their identity provider again
+const signReauthToken = (user) => {
+  const reauthToken = jwt.sign(
+    { userId: user._id.toString(), type: 'reauth' },
+    process.env.JWT_SECRET,
+    { expiresIn: REAUTH_TOKEN_TTL_SECONDS }
+  );
+
+  return { reauthToken, reauthExpiresIn: REAUTH_TOKEN_TTL_SECONDS };
+};
+
+// Check a reauthentication token for a user; throws with status 401 and code
+// INVALID_REAUTH_TOKEN when it is invalid, expired or someone else's
+const verifyReauthToken = (reauthToken, userId) => {
+  let decoded = null;
+  try {
+    decoded = jwt.verify(String(reauthToken || ''), process.env.JWT_SECRET);
+  } catch (jwtError) {
+    // Reported below
+  }
+
+  if (!decoded || decoded.type !== 'reauth' || decoded.userId !== userId.toString()) {
+    const error = new Error('Please sign in again with your identity provider');
+    error.status = 401;
+    error.code = 'INVALID_REAUTH_TOKEN';
+    throw error;
+  }
+};
+
+// Trade a refresh token for a new pair; rejects with status 401 and a code
+// (see RefreshToken.rotate). Resolves with the user and login ids and the tokens.
+const refreshTokens = async (refreshToken, req) => {
+  const { token, login } = await RefreshToken.rotate(refreshToken);
+
+  await Login.updateOne({ _id: login._id }, { $set: { lastSeenAt: new Date(), ...clientInfo(req) } });
+
+  return { userId: login.userId, loginId: login._id, tokens: tokenResponse(login, token) };
+};
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  signAccessToken,
+  signReauthToken,
+  signTwoFactorChallenge,
+  verifyReauthToken,
+  verifyTwoFactorChallenge
+};
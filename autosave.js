@@ -0,0 +1,142 @@
+// autosave.js - Debounced persistence of live socket edits
+const Session = require('./Session');
+const Revision = require('./Revision');
+
+class AutosaveManager {
+  constructor({ getCodeState, onSaved, delay, maxWait } = {}) {
+    this.getCodeState = getCodeState; // document key -> live CodeState document
+    this.onSaved = onSaved || (() => {});
+    this.delay = delay || parseInt(process.env.AUTOSAVE_DELAY_MS) || 2000;
+    this.maxWait = maxWait || parseInt(process.env.AUTOSAVE_MAX_WAIT_MS) || 10000;
+    this.pending = new Map(); // document key -> { timer, firstEditAt, lastEditor }
+    this.saving = new Map(); // document key -> in-flight save promise
+  }
+
+  // Record an edit; schedules a save unless the editor has autosave turned off
+  markDirty(documentKey, { userId, autoSave = true } = {}) {
+    let entry = this.pending.get(documentKey);
+    if (!entry) {
+      entry = { timer: null, firstEditAt: Date.now(), lastEditor: null };
+      this.pending.set(documentKey, entry);
+    }
+
+    if (userId) {
+      entry.lastEditor = userId;
+    }
+
+    if (!autoSave) {
+      return;
+    }
+
+    // Debounce, but never hold a batch longer than maxWait
+    clearTimeout(entry.timer);
+    const wait = Math.min(this.delay, Math.max(entry.firstEditAt + this.maxWait - Date.now(), 0));
+    entry.timer = setTimeout(() => {
+      this.flush(documentKey).catch(error => {
+        console.error(`Autosave error for ${documentKey}:`, error);
+      });
+    }, wait);
+  }
+
+  // Persist the live document; `manual` saves ignore the session's autoSave setting.
+  // `changeType`/`restoredFrom` describe the revision recorded for this save.
+  async flush(documentKey, { manual = false, userId = null, changeType = 'modified', restoredFrom = null } = {}) {
+    // Wait for an in-flight save so two saves never overlap
+    if (this.saving.has(documentKey)) {
+      await this.saving.get(documentKey);
+    }
+
+    const entry = this.pending.get(documentKey);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(documentKey);
+    }
+
+    const save = this.persist(documentKey, {
+      manual: manual,
+      editorId: userId || entry?.lastEditor,
+      changeType: changeType,
+      restoredFrom: restoredFrom
+    });
+    this.saving.set(documentKey, save);
+
+    try {
+      return await save;
+    } finally {
+      this.saving.delete(documentKey);
+    }
+  }
+
+  async persist(documentKey, { manual, editorId, changeType, restoredFrom }) {
+    const codeState = this.getCodeState(documentKey);
+
+    if (!codeState || !codeState.hasUnsavedChanges) {
+      return null;
+    }
+
+    const session = await Session.findById(codeState.sessionId);
+    if (!session || session.status === 'ended' || session.status === 'archived') {
+      return null;
+    }
+
+    if (!manual && !session.settings.autoSave) {
+      return null;
+    }
+
+    const revision = codeState.version;
+    const content = codeState.content;
+
+    // Session.code mirrors the entry point file
+    const isEntryPoint = !session.entryPoint || String(session.entryPoint) === String(codeState.fileId);
+    if (isEntryPoint && session.code !== content) {
+      await session.updateCode(content, editorId);
+    }
+    await codeState.saveCode();
+
+    const record = await Revision.record({
+      sessionId: codeState.sessionId,
+      fileId: codeState.fileId,
+      content: content,
+      author: editorId,
+      changeType: changeType,
+      restoredFrom: restoredFrom,
+      documentRevision: revision
+    });
+
+    // Edits that arrived while saving belong to the next batch
+    if (codeState.version !== revision) {
+      codeState.hasUnsavedChanges = true;
+      this.markDirty(documentKey, { userId: editorId });
+    }
+
+    const result = {
+      revision: revision,
+      revisionNumber: record ? record.number : null,
+      savedAt: codeState.lastSaved,
+      manual: manual
+    };
+    this.onSaved(documentKey, result);
+    return result;
+  }
+
+  // Drop pending edits for a document that no longer exists
+  discard(documentKey) {
+    const entry = this.pending.get(documentKey);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(documentKey);
+    }
+  }
+
+  // Save every document with pending edits (used on shutdown)
+  async flushAll() {
+    const documentKeys = Array.from(this.pending.keys());
+    await Promise.all(documentKeys.map(documentKey =>
+      this.flush(documentKey).catch(error => {
+        console.error(`Autosave error for ${documentKey}:`, error);
+      })
+    ));
+  }
+}
+
+module.exports = AutosaveManager;
@@ -0,0 +1,49 @@
+// cluster-harness.js - Run several collaboration instances in one process
+//
+// Each instance gets its own HTTP + Socket.io server on a random port and
+// shares one adapter, the same way separate processes would share MongoDB.
+// Useful for exercising cross-instance behaviour without a load balancer
+// (test/cluster.test.js checks edit ordering across instances with it):
+//
+//   const cluster = await startClusterHarness({ instances: 2 });
+//   // connect socket.io clients to cluster.instances[0].url and [1].url
+//   await cluster.close();
+const http = require('http');
+const socketIo = require('socket.io');
+const { attachCollaboration } = require('./collaboration');
+const MemoryAdapter = require('./memory-adapter');
+
+const startInstance = (adapter) => {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer();
+    const io = socketIo(server, { cors: { origin: '*' } });
+    const collaboration = attachCollaboration(io, { adapter });
+
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, io, collaboration, url: `http://127.0.0.1:${port}` });
+    });
+  });
+};
+
+const startClusterHarness = async ({ instances = 2, adapter = new MemoryAdapter() } = {}) => {
+  await adapter.connect();
+
+  const started = [];
+  for (let i = 0; i < instances; i++) {
+    started.push(await startInstance(adapter));
+  }
+
+  const close = async () => {
+    for (const instance of started) {
+      await instance.collaboration.close();
+      await new Promise(resolve => instance.io.close(() => resolve()));
+    }
+    await adapter.close();
+  };
+
+  return { instances: started, adapter, close };
+};
+
+module.exports = { startClusterHarness };
@@ -0,0 +1,1272 @@
+// collaboration.js - Real-time collaboration over Socket.io
+//
+// Room state lives behind an adapter (memory-adapter.js / mongo-adapter.js) so
+// several server instances can serve the same session:
+//   - presence and chat are stored in the adapter
+//   - room events are published through the adapter and emitted locally by every instance
+//   - document edits are appended to an ordered log per file; every instance
+//     applies the log in sequence to its own CodeState replica, so all replicas
+//     agree on content and revision numbers
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('./Session');
+const CodeState = require('./CodeState');
+const ExecutionJob = require('./ExecutionJob');
+const AutosaveManager = require('./autosave');
+const { socketAuthMiddleware, hasSessionAccess } = require('./auth-middleware');
+const { ensureFileTree } = require('./project-files');
+
+const GAP_TIMEOUT_MS = 5000; // How long to wait for a missing log entry before skipping it
+const MAX_INPUT_LENGTH = 4096; // Longest stdin message for interactive runs
+const RESTORE_TIMEOUT_MS = 10000; // How long a restore waits for its log entry to apply
+
+// Replicas and logs are keyed per file
+const documentKey = (sessionId, fileId) => `${sessionId}:${fileId}`;
+
+const parseDocumentKey = (key) => {
+  const [sessionId, fileId] = key.split(':');
+  return { sessionId, fileId };
+};
+
+// Error for restores whose log entry never applied on this instance (answered as 503)
+const restoreNotAppliedError = () => {
+  const error = new Error('The restore could not be applied right now; please try again');
+  error.status = 503;
+  error.code = 'RESTORE_NOT_APPLIED';
+  return error;
+};
+
+// Helper to load a file's live document; entry points of sessions created
+// before code states existed start from Session.code
+const loadCodeState = async (session, fileId) => {
+  const codeState = await CodeState.findOne({ sessionId: session._id, fileId: fileId });
+  if (codeState) {
+    return codeState;
+  }
+
+  const isEntryPoint = session.entryPoint && session.entryPoint.equals(fileId);
+  return CodeState.getOrCreateForSession(
+    session._id,
+    session.language,
+    isEntryPoint ? session.code : '',
+    session.settings.documentMode,
+    fileId
+  );
+};
+
+// Helper to read the session's execution lock (kept on the entry point's code state)
+const loadExecutionState = async (session) => {
+  const codeState = await CodeState.findOne({ sessionId: session._id, fileId: session.entryPoint }).select('execution');
+  return codeState ? codeState.execution : null;
+};
+
+// `onExecutionInput(jobId, { data, eof })` feeds typed stdin to jobs running on this
+// instance (see execution-jobs.js)
+const attachCollaboration = (io, { adapter, instanceId = crypto.randomUUID(), onExecutionInput = () => false }) => {
+  const localRooms = new Map(); // sessionId -> Map of socketId -> member (sockets on this instance)
+  const userSockets = new Map(); // userId -> socketId
+  const documents = new Map(); // document key -> CodeState replica
+  const loadingDocuments = new Map(); // document key -> promise while a replica hydrates
+  const pendingEntries = new Map(); // document key -> Map of seq -> log entry waiting for its turn
+  const gapTimers = new Map(); // document key -> timer waiting for a missing log entry
+  const pendingRestores = new Map(); // requestId -> { key, seq, timer, resolve, reject } for restores started here
+
+  // ⭐ AUTOSAVE - batches live edits and writes them back to MongoDB
+  const autosave = new AutosaveManager({
+    getCodeState: (key) => documents.get(key),
+    onSaved: (key, result) => {
+      const { sessionId, fileId } = parseDocumentKey(key);
+      broadcast(sessionId, 'saved', {
+        fileId: fileId,
+        revision: result.revision,
+        revisionNumber: result.revisionNumber,
+        savedAt: result.savedAt,
+        manual: result.manual
+      });
+    }
+  });
+
+  // Helper to find a file (not a folder) in the session's tree
+  const findProjectFile = (session, fileId) => {
+    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+      return null;
+    }
+    const file = session.files.id(fileId);
+    return file && file.type === 'file' ? file : null;
+  };
+
+  // Emit to a room on every instance
+  const broadcast = (sessionId, event, payload, exceptSocketId = null) => {
+    adapter.publish(sessionId, { kind: 'emit', event, payload, exceptSocketId }).catch(error => {
+      console.error(`Error publishing ${event} for session ${sessionId}:`, error);
+    });
+  };
+
+  // Emit to the room's sockets connected to this instance
+  const emitLocal = (sessionId, event, payload, exceptSocketId = null) => {
+    const room = exceptSocketId ? io.to(sessionId).except(exceptSocketId) : io.to(sessionId);
+    room.emit(event, payload);
+  };
+
+  // Helper to check a socket's session role before a mutating event
+  const authorize = (socket, sessionId, action, event) => {
+    const role = localRooms.get(sessionId)?.get(socket.id)?.role || null;
+
+    if (Session.roleHasPermission(role, action)) {
+      return true;
+    }
+
+    socket.emit('permission-denied', {
+      sessionId: sessionId,
+      event: event,
+      action: action,
+      role: role,
+      message: `Your role (${role || 'none'}) does not allow you to ${action} in this session`
+    });
+    return false;
+  };
+
+  // Helper to send the authoritative document to one socket
+  const sendCodeSync = (socket, codeState) => {
+    socket.emit('code-sync', {
+      fileId: String(codeState.fileId),
+      code: codeState.content,
+      language: codeState.language,
+      revision: codeState.version,
+      mode: codeState.documentMode
+    });
+
+    if (codeState.documentMode === 'crdt') {
+      socket.emit('crdt-sync', {
+        fileId: String(codeState.fileId),
+        state: codeState.getCrdtDocument().toJSON(),
+        revision: codeState.version
+      });
+    }
+  };
+
+  // Helper to append a document edit to the file's log
+  const submitEntry = (key, socket, entry) => {
+    return adapter.append(key, {
+      ...entry,
+      userId: socket.userId,
+      username: socket.user.username,
+      socketId: socket.id,
+      instanceId: instanceId,
+      autoSave: socket.user.preferences?.autoSave !== false
+    });
+  };
+
+  // ⭐ DOCUMENT REPLICAS - hydrate from MongoDB, then replay the log
+  const ensureDocument = (session, fileId) => {
+    const key = documentKey(session._id, fileId);
+
+    if (documents.has(key) && !loadingDocuments.has(key)) {
+      return Promise.resolve(documents.get(key));
+    }
+
+    if (!loadingDocuments.has(key)) {
+      const loading = (async () => {
+        const codeState = await loadCodeState(session, fileId);
+        documents.set(key, codeState);
+
+        // Entries published while replaying are buffered by receiveLogEntry
+        for (const { seq, entry } of await adapter.readLog(key, codeState.logSequence)) {
+          bufferLogEntry(key, seq, entry);
+        }
+        drainLog(key);
+        return codeState;
+      })();
+
+      loadingDocuments.set(key, loading);
+      loading
+        .catch(() => documents.delete(key))
+        .finally(() => loadingDocuments.delete(key));
+    }
+
+    return loadingDocuments.get(key);
+  };
+
+  const dropDocument = (key) => {
+    documents.delete(key);
+    pendingEntries.delete(key);
+    clearTimeout(gapTimers.get(key));
+    gapTimers.delete(key);
+    failRestores(key);
+  };
+
+  // Settle a restore started here with its result, or with `error`
+  const settleRestore = (requestId, error, result) => {
+    const request = pendingRestores.get(requestId);
+    if (!request) {
+      return;
+    }
+
+    pendingRestores.delete(requestId);
+    clearTimeout(request.timer);
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+  };
+
+  // Fail the file's restores that can no longer apply (all of them by default)
+  const failRestores = (key, isLost = () => true) => {
+    for (const [requestId, request] of pendingRestores) {
+      if (request.key === key && isLost(request)) {
+        settleRestore(requestId, restoreNotAppliedError());
+      }
+    }
+  };
+
+  // Keys of the session's replicas on this instance
+  const sessionDocumentKeys = (sessionId) => {
+    return Array.from(documents.keys()).filter(key => key.startsWith(`${sessionId}:`));
+  };
+
+  // Drop a session's replicas once no socket on this instance uses them
+  const releaseDocuments = async (sessionId) => {
+    for (const key of sessionDocumentKeys(sessionId)) {
+      try {
+        await autosave.flush(key);
+      } catch (error) {
+        console.error(`Autosave error for ${key}:`, error);
+      }
+
+      if (!localRooms.has(sessionId) && !loadingDocuments.has(key)) {
+        dropDocument(key);
+      }
+    }
+  };
+
+  const bufferLogEntry = (key, seq, entry) => {
+    const codeState = documents.get(key);
+    if (!codeState || seq <= codeState.logSequence) {
+      return;
+    }
+
+    if (!pendingEntries.has(key)) {
+      pendingEntries.set(key, new Map());
+    }
+    pendingEntries.get(key).set(seq, entry);
+  };
+
+  const receiveLogEntry = (key, seq, entry) => {
+    bufferLogEntry(key, seq, entry);
+    drainLog(key);
+  };
+
+  // Apply buffered entries in sequence; wait for (or skip) missing ones
+  const drainLog = (key) => {
+    const codeState = documents.get(key);
+    const pending = pendingEntries.get(key);
+    if (!codeState || !pending) {
+      return;
+    }
+
+    while (pending.has(codeState.logSequence + 1)) {
+      const seq = codeState.logSequence + 1;
+      const entry = pending.get(seq);
+      pending.delete(seq);
+      applyLogEntry(key, codeState, seq, entry);
+    }
+
+    clearTimeout(gapTimers.get(key));
+    gapTimers.delete(key);
+
+    if (pending.size > 0) {
+      gapTimers.set(key, setTimeout(() => recoverLogGap(key), GAP_TIMEOUT_MS));
+    }
+  };
+
+  const recoverLogGap = async (key) => {
+    gapTimers.delete(key);
+    const codeState = documents.get(key);
+    const pending = pendingEntries.get(key);
+    if (!codeState || !pending || pending.size === 0) {
+      return;
+    }
+
+    try {
+      for (const { seq, entry } of await adapter.readLog(key, codeState.logSequence)) {
+        bufferLogEntry(key, seq, entry);
+      }
+    } catch (error) {
+      console.error(`Error reading log ${key}:`, error);
+    }
+
+    // The entry was never written (e.g. an instance died mid-append): skip it
+    if (!pending.has(codeState.logSequence + 1) && pending.size > 0) {
+      const next = Math.min(...pending.keys());
+      console.warn(`⚠️ Skipping missing log entries ${codeState.logSequence + 1}-${next - 1} for ${key}`);
+      codeState.logSequence = next - 1;
+    }
+
+    drainLog(key);
+
+    // Restores whose entries were skipped will never apply
+    failRestores(key, request => request.seq !== null && request.seq <= codeState.logSequence);
+  };
+
+  const applyLogEntry = (key, codeState, seq, entry) => {
+    codeState.logSequence = seq;
+
+    const isLocal = entry.instanceId === instanceId;
+    const origin = isLocal ? io.sockets.sockets.get(entry.socketId) : null;
+
+    if (entry.type === 'ot') {
+      applyOtEntry(key, codeState, entry, isLocal, origin);
+    } else if (entry.type === 'crdt') {
+      applyCrdtEntry(key, codeState, entry, isLocal, origin);
+    } else if (entry.type === 'replace') {
+      applyReplaceEntry(key, codeState, entry, isLocal);
+    }
+  };
+
+  const applyOtEntry = (key, codeState, entry, isLocal, origin) => {
+    const { sessionId, fileId } = parseDocumentKey(key);
+
+    try {
+      const result = codeState.applyClientOperation(entry.operations, entry.baseRevision, entry.userId);
+
+      if (isLocal) {
+        autosave.markDirty(key, { userId: entry.userId, autoSave: entry.autoSave });
+        console.log(`📝 Code updated in session ${sessionId} by ${entry.username} (rev ${result.revision})`);
+      }
+
+      // Acknowledge to the sender with the transformed operations
+      if (origin) {
+        origin.emit('code-ack', {
+          fileId: fileId,
+          clientOpId: entry.clientOpId,
+          revision: result.revision,
+          operations: result.operations,
+          transformed: result.transformed
+        });
+      }
+
+      // Send the transformed operations to all other users in session
+      emitLocal(sessionId, 'code-change', {
+        fileId: fileId,
+        revision: result.revision,
+        operations: result.operations,
+        from: entry.username,
+        fromUserId: entry.userId,
+        socketId: entry.socketId,
+        timestamp: new Date()
+      }, entry.socketId);
+
+    } catch (error) {
+      if (!error.code && isLocal) {
+        console.error('Error handling code change:', error);
+      }
+
+      if (origin) {
+        origin.emit('code-change-rejected', {
+          fileId: fileId,
+          clientOpId: entry.clientOpId,
+          error: error.message,
+          code: error.code || 'OPERATION_FAILED'
+        });
+
+        // Resend the authoritative document so the client can recover
+        sendCodeSync(origin, codeState);
+      }
+    }
+  };
+
+  const applyCrdtEntry = (key, codeState, entry, isLocal, origin) => {
+    const { sessionId, fileId } = parseDocumentKey(key);
+
+    try {
+      const result = codeState.applyCrdtOperations(entry.operations);
+
+      if (origin && !entry.offline) {
+        origin.emit('crdt-ack', { fileId: fileId, batchId: entry.batchId, revision: result.revision });
+      }
+
+      if (isLocal && (result.operations.length > 0 || result.queued)) {
+        autosave.markDirty(key, { userId: entry.userId, autoSave: entry.autoSave });
+      }
+
+      if (result.operations.length > 0) {
+        // Offline merges go back to the sender too; CRDT merges are idempotent
+        emitLocal(sessionId, 'crdt-operations', {
+          fileId: fileId,
+          revision: result.revision,
+          operations: result.operations,
+          from: entry.username,
+          fromUserId: entry.userId,
+          socketId: entry.socketId,
+          timestamp: new Date()
+        }, entry.offline ? null : entry.socketId);
+      }
+
+      if (entry.offline && isLocal) {
+        console.log(`🔀 Merged ${result.operations.length} offline operations into session ${sessionId}`);
+      }
+
+    } catch (error) {
+      if (!error.code && isLocal) {
+        console.error('Error handling CRDT operations:', error);
+      }
+
+      if (origin) {
+        origin.emit('crdt-rejected', {
+          fileId: fileId,
+          batchId: entry.batchId,
+          error: error.message,
+          code: error.code || 'OPERATION_FAILED'
+        });
+      }
+    }
+  };
+
+  // Whole-document replacement (revision restore), sent to clients as a normal edit
+  const applyReplaceEntry = (key, codeState, entry, isLocal) => {
+    const { sessionId, fileId } = parseDocumentKey(key);
+
+    try {
+      const result = codeState.replaceContent(entry.content, entry.userId);
+
+      if (result) {
+        if (isLocal) {
+          autosave.markDirty(key, { userId: entry.userId });
+        }
+
+        emitLocal(sessionId, codeState.documentMode === 'crdt' ? 'crdt-operations' : 'code-change', {
+          fileId: fileId,
+          revision: result.revision,
+          operations: result.operations,
+          from: entry.username,
+          fromUserId: entry.userId,
+          socketId: null,
+          timestamp: new Date()
+        });
+
+        emitLocal(sessionId, 'revision-restored', {
+          sessionId: sessionId,
+          fileId: fileId,
+          restoredFrom: entry.restoredFrom,
+          revision: result.revision,
+          restoredBy: { id: entry.userId, username: entry.username },
+          timestamp: new Date()
+        });
+      }
+
+      if (isLocal) {
+        settleRestore(entry.requestId, null, result);
+      }
+
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      if (isLocal) {
+        settleRestore(entry.requestId, error);
+      }
+    }
+  };
+
+  // Update cached roles for a user's sockets on this instance
+  const applyRoleChange = (sessionId, userId, role) => {
+    const sessionUsers = localRooms.get(sessionId);
+    if (!sessionUsers) {
+      return;
+    }
+
+    for (const member of sessionUsers.values()) {
+      if (member.id === userId) {
+        member.role = role;
+        adapter.addMember(sessionId, member).catch(error => {
+          console.error('Error updating member role:', error);
+        });
+      }
+    }
+  };
+
+  // Disconnect this instance's sockets of revoked logins; leaving their rooms
+  // happens in the disconnect handler
+  const disconnectLogins = (loginIds, reason) => {
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.loginId && loginIds.includes(socket.loginId)) {
+        socket.emit('login-revoked', { reason: reason, timestamp: new Date() });
+        socket.disconnect(true);
+      }
+    }
+  };
+
+  // Files deleted from the tree: forget their replicas and pending saves
+  const applyFilesRemoved = (sessionId, fileIds) => {
+    for (const fileId of fileIds) {
+      const key = documentKey(sessionId, fileId);
+      autosave.discard(key);
+      dropDocument(key);
+    }
+  };
+
+  // Messages from every instance (including this one); log messages are keyed by document
+  adapter.subscribe((key, message) => {
+    switch (message.kind) {
+      case 'emit':
+        emitLocal(key, message.event, message.payload, message.exceptSocketId);
+        break;
+      case 'log':
+        receiveLogEntry(key, message.seq, message.entry);
+        break;
+      case 'files-removed':
+        applyFilesRemoved(key, message.fileIds);
+        break;
+      case 'execution-input':
+        onExecutionInput(message.jobId, { data: message.data, eof: message.eof });
+        break;
+      case 'role-changed':
+        applyRoleChange(key, message.payload.userId, message.payload.role);
+        emitLocal(key, 'role-changed', message.payload);
+        break;
+      case 'logins-revoked':
+        disconnectLogins(message.loginIds, message.reason);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Helper to remove a socket from a room and tell everyone
+  const leaveRoom = async (socket, sessionId) => {
+    const sessionUsers = localRooms.get(sessionId);
+    if (sessionUsers) {
+      sessionUsers.delete(socket.id);
+      if (sessionUsers.size === 0) {
+        localRooms.delete(sessionId);
+      }
+    }
+
+    try {
+      await adapter.removeMember(sessionId, socket.id);
+
+      // Notify other users
+      broadcast(sessionId, 'user-left', {
+        socketId: socket.id,
+        userId: socket.userId,
+        username: socket.user.username,
+        timestamp: new Date()
+      });
+
+      // Update participant count
+      const remainingUsers = await adapter.getMembers(sessionId);
+      broadcast(sessionId, 'participant-count-update', remainingUsers.length);
+    } catch (error) {
+      console.error('Error leaving session:', error);
+    }
+
+    // Save the room's edits once nobody on this instance is left in it
+    if (!localRooms.has(sessionId)) {
+      await releaseDocuments(sessionId);
+    }
+  };
+
+  // ⭐ SOCKET.IO AUTHENTICATION - connections must present the same JWT as the REST API
+  io.use(socketAuthMiddleware);
+
+  // ⭐ SOCKET.IO CONNECTION HANDLING
+  io.on('connection', (socket) => {
+    console.log(`🔌 User connected: ${socket.id} (${socket.user.username})`);
+    userSockets.set(socket.userId, socket.id);
+
+    // Identity comes from the verified token; any client-supplied user data is ignored
+    socket.on('authenticate', () => {
+      socket.emit('auth-success', {
+        message: 'Authentication successful',
+        user: socket.userData
+      });
+    });
+
+    // Join collaborative session (opens `fileId`, or the entry point)
+    socket.on('join-session', async (data) => {
+      const { sessionId, fileId, operations: offlineOperations } = data || {};
+
+      if (!sessionId) {
+        socket.emit('error', { message: 'Invalid session data' });
+        return;
+      }
+
+      try {
+        // Only sessions that exist and are still open can be joined
+        let session = mongoose.Types.ObjectId.isValid(sessionId)
+          ? await Session.findById(sessionId)
+          : null;
+
+        if (!session) {
+          socket.emit('error', { message: 'Session not found', code: 'SESSION_NOT_FOUND' });
+          return;
+        }
+
+        if (session.status === 'ended' || session.status === 'archived') {
+          socket.emit('error', { message: 'This session has ended', code: 'SESSION_ENDED' });
+          return;
+        }
+
+        // Same membership rules as requireSessionAccess
+        if (!hasSessionAccess(session, socket.userId)) {
+          socket.emit('error', { message: 'Access denied to this session', code: 'ACCESS_DENIED' });
+          return;
+        }
+
+        session = await ensureFileTree(session);
+
+        const file = fileId ? findProjectFile(session, fileId) : session.files.id(session.entryPoint);
+        if (!file) {
+          socket.emit('error', { message: 'File not found', code: 'FILE_NOT_FOUND' });
+          return;
+        }
+
+        const user = {
+          id: socket.userId,
+          username: socket.user.username,
+          profile: socket.user.profile
+        };
+        const role = session.getParticipantRole(socket.userId);
+
+        // Hydrate the document replica when the file is cold on this instance
+        const codeState = await ensureDocument(session, file._id);
+
+        const member = {
+          ...user,
+          socketId: socket.id,
+          instanceId: instanceId,
+          joinedAt: new Date(),
+          isTyping: false,
+          role: role,
+          status: 'active',
+          activeFile: file._id.toString(),
+          cursor: { line: 1, column: 1 }
+        };
+        await adapter.addMember(sessionId, member);
+
+        const [participants, chatHistory, execution] = await Promise.all([
+          adapter.getMembers(sessionId),
+          adapter.getChat(sessionId),
+          loadExecutionState(session)
+        ]);
+
+        // Join the Socket.io room (no awaits from here on, so no edit is missed)
+        socket.join(sessionId);
+        socket.currentSession = sessionId;
+
+        if (!localRooms.has(sessionId)) {
+          localRooms.set(sessionId, new Map());
+        }
+        localRooms.get(sessionId).set(socket.id, member);
+
+        socket.emit('session-role', { sessionId: sessionId, role: role });
+
+        // Send the file tree, then the open file's code and revision
+        socket.emit('file-tree', session.getFileTree());
+        sendCodeSync(socket, codeState);
+
+        // Tell the new user whether code is running right now
+        socket.emit('execution-state', {
+          sessionId: sessionId,
+          isRunning: Boolean(execution && execution.isRunning),
+          jobId: execution && execution.jobId ? execution.jobId.toString() : null
+        });
+
+        // Send chat history to new user
+        socket.emit('chat-history', { messages: chatHistory });
+
+        // Send current participants to new user
+        socket.emit('session-participants', participants);
+
+        // Notify others about new user
+        broadcast(sessionId, 'user-joined', {
+          user: user,
+          socketId: socket.id,
+          timestamp: new Date()
+        }, socket.id);
+
+        // Broadcast updated participant count
+        broadcast(sessionId, 'participant-count-update', participants.length);
+
+        // Merge edits the user made to this file while offline (crdt mode)
+        if (codeState.documentMode === 'crdt' && Array.isArray(offlineOperations) && offlineOperations.length > 0 &&
+            authorize(socket, sessionId, 'edit', 'join-session')) {
+          await submitEntry(documentKey(sessionId, file._id), socket, {
+            type: 'crdt',
+            operations: offlineOperations,
+            offline: true
+          });
+        }
+
+        console.log(`👥 User ${user.username} joined session ${sessionId}`);
+
+      } catch (error) {
+        console.error('Error joining session:', error);
+        socket.emit('error', { message: 'Failed to join session' });
+      }
+    });
+
+    // Open another file of the current session
+    socket.on('open-file', async (data) => {
+      const { sessionId, fileId } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId || !fileId) {
+        return;
+      }
+
+      try {
+        const session = await Session.findById(sessionId);
+        const file = session ? findProjectFile(session, fileId) : null;
+
+        if (!file) {
+          socket.emit('error', { message: 'File not found', code: 'FILE_NOT_FOUND' });
+          return;
+        }
+
+        const codeState = await ensureDocument(session, file._id);
+
+        // The socket may have left while the file was loading
+        const member = localRooms.get(sessionId)?.get(socket.id);
+        if (!member) {
+          return;
+        }
+
+        member.activeFile = file._id.toString();
+        await adapter.addMember(sessionId, member);
+
+        sendCodeSync(socket, codeState);
+
+        broadcast(sessionId, 'active-file', {
+          userId: socket.userId,
+          username: socket.user.username,
+          socketId: socket.id,
+          fileId: member.activeFile
+        }, socket.id);
+
+      } catch (error) {
+        console.error('Error opening file:', error);
+        socket.emit('error', { message: 'Failed to open file' });
+      }
+    });
+
+    // Handle real-time code changes (operational transform)
+    // Clients send positional operations made against `revision`; the server
+    // transforms them over any concurrent operations before applying them.
+    socket.on('code-change', async (data) => {
+      const { sessionId, revision, operation, operations, clientOpId } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId) {
+        return;
+      }
+
+      if (!authorize(socket, sessionId, 'edit', 'code-change')) {
+        return;
+      }
+
+      // Edits apply to the file the socket has open unless another one is named
+      const fileId = data.fileId || localRooms.get(sessionId)?.get(socket.id)?.activeFile;
+      const key = documentKey(sessionId, fileId);
+      const codeState = documents.get(key);
+
+      if (!codeState) {
+        socket.emit('code-change-rejected', {
+          fileId: fileId,
+          clientOpId: clientOpId,
+          error: 'Open the file before editing it',
+          code: 'FILE_NOT_OPEN'
+        });
+        return;
+      }
+
+      if (codeState.documentMode !== 'ot') {
+        socket.emit('code-change-rejected', {
+          fileId: fileId,
+          clientOpId: clientOpId,
+          error: 'This session uses CRDT editing; send crdt-operations instead',
+          code: 'WRONG_DOCUMENT_MODE'
+        });
+        return;
+      }
+
+      try {
+        await submitEntry(key, socket, {
+          type: 'ot',
+          operations: operations || operation,
+          baseRevision: Number.isInteger(revision) ? revision : codeState.version,
+          clientOpId: clientOpId
+        });
+      } catch (error) {
+        console.error('Error handling code change:', error);
+        socket.emit('code-change-rejected', {
+          fileId: fileId,
+          clientOpId: clientOpId,
+          error: 'Failed to apply code change',
+          code: 'OPERATION_FAILED'
+        });
+      }
+    });
+
+    // Handle CRDT operations (crdt mode sessions)
+    socket.on('crdt-operations', async (data) => {
+      const { sessionId, operations, batchId } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId) {
+        return;
+      }
+
+      if (!authorize(socket, sessionId, 'edit', 'crdt-operations')) {
+        return;
+      }
+
+      const fileId = data.fileId || localRooms.get(sessionId)?.get(socket.id)?.activeFile;
+      const key = documentKey(sessionId, fileId);
+      const codeState = documents.get(key);
+
+      if (!codeState) {
+        socket.emit('crdt-rejected', {
+          fileId: fileId,
+          batchId: batchId,
+          error: 'Open the file before editing it',
+          code: 'FILE_NOT_OPEN'
+        });
+        return;
+      }
+
+      if (codeState.documentMode !== 'crdt') {
+        socket.emit('crdt-rejected', {
+          fileId: fileId,
+          batchId: batchId,
+          error: 'This session uses operational transform; send code-change instead',
+          code: 'WRONG_DOCUMENT_MODE'
+        });
+        return;
+      }
+
+      try {
+        await submitEntry(key, socket, {
+          type: 'crdt',
+          operations: operations,
+          batchId: batchId
+        });
+      } catch (error) {
+        console.error('Error handling CRDT operations:', error);
+        socket.emit('crdt-rejected', {
+          fileId: fileId,
+          batchId: batchId,
+          error: 'Failed to apply CRDT operations',
+          code: 'OPERATION_FAILED'
+        });
+      }
+    });
+
+    // Handle explicit saves of one file, or all open files (works even when autosave is turned off)
+    socket.on('save-code', async (data) => {
+      const { sessionId, fileId } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId) {
+        return;
+      }
+
+      if (!authorize(socket, sessionId, 'edit', 'save-code')) {
+        return;
+      }
+
+      try {
+        const keys = fileId ? [documentKey(sessionId, fileId)] : sessionDocumentKeys(sessionId);
+
+        for (const key of keys) {
+          const result = await autosave.flush(key, {
+            manual: true,
+            userId: socket.userId
+          });
+
+          if (!result) {
+            const codeState = documents.get(key);
+            socket.emit('saved', {
+              fileId: parseDocumentKey(key).fileId,
+              revision: codeState?.version,
+              savedAt: codeState?.lastSaved,
+              manual: true,
+              upToDate: true
+            });
+          }
+        }
+
+      } catch (error) {
+        console.error('Error saving code:', error);
+        socket.emit('save-error', { message: 'Failed to save code' });
+      }
+    });
+
+    // Handle live settings changes (creator only)
+    socket.on('update-session-settings', async (data) => {
+      const { sessionId, settings } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId || !settings) {
+        return;
+      }
+
+      if (!authorize(socket, sessionId, 'manage', 'update-session-settings')) {
+        return;
+      }
+
+      try {
+        const session = await Session.findById(sessionId);
+        if (!session) {
+          socket.emit('error', { message: 'Session not found', code: 'SESSION_NOT_FOUND' });
+          return;
+        }
+
+        try {
+          session.applySettings(settings);
+        } catch (settingsError) {
+          socket.emit('error', { message: settingsError.message, code: 'INVALID_SETTINGS' });
+          return;
+        }
+
+        await session.save();
+        notifySettingsChange(sessionId, session.settings, socket.userId);
+
+      } catch (error) {
+        console.error('Error updating session settings:', error);
+        socket.emit('error', { message: 'Failed to update session settings' });
+      }
+    });
+
+    // Handle promoting/demoting participants (creator only)
+    socket.on('change-role', async (data) => {
+      const { sessionId, userId, role } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId || !userId) {
+        return;
+      }
+
+      if (!authorize(socket, sessionId, 'manage', 'change-role')) {
+        return;
+      }
+
+      try {
+        const session = await Session.findById(sessionId);
+        if (!session) {
+          socket.emit('error', { message: 'Session not found', code: 'SESSION_NOT_FOUND' });
+          return;
+        }
+
+        let saveRole;
+        try {
+          saveRole = session.setParticipantRole(userId, role);
+        } catch (roleError) {
+          socket.emit('error', { message: roleError.message, code: 'INVALID_ROLE_CHANGE' });
+          return;
+        }
+        await saveRole;
+
+        notifyRoleChange(sessionId, userId, role, socket.userId);
+        console.log(`🎭 Role changed in session ${sessionId}: ${userId} -> ${role}`);
+
+      } catch (error) {
+        console.error('Error changing role:', error);
+        socket.emit('error', { message: 'Failed to change participant role' });
+      }
+    });
+
+    // Handle stdin typed into an interactive run; the instance running the job picks it up
+    socket.on('execution-input', async (data) => {
+      const { sessionId, jobId, input, eof } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId || !jobId) {
+        return;
+      }
+
+      if (!authorize(socket, sessionId, 'execute', 'execution-input')) {
+        return;
+      }
+
+      if (input !== undefined && (typeof input !== 'string' || input.length > MAX_INPUT_LENGTH)) {
+        socket.emit('execution-input-rejected', {
+          jobId: jobId,
+          error: `Input must be text of at most ${MAX_INPUT_LENGTH} characters`,
+          code: 'INVALID_INPUT'
+        });
+        return;
+      }
+
+      try {
+        const job = mongoose.Types.ObjectId.isValid(jobId)
+          ? await ExecutionJob.findById(jobId).select('sessionId status interactive')
+          : null;
+
+        if (!job || String(job.sessionId) !== sessionId || job.status !== 'running' || !job.interactive) {
+          socket.emit('execution-input-rejected', {
+            jobId: jobId,
+            error: 'This run is not accepting input',
+            code: 'INPUT_NOT_ACCEPTED'
+          });
+          return;
+        }
+
+        await adapter.publish(sessionId, {
+          kind: 'execution-input',
+          jobId: jobId,
+          data: input || '',
+          eof: Boolean(eof)
+        });
+
+      } catch (error) {
+        console.error('Error sending execution input:', error);
+        socket.emit('error', { message: 'Failed to send input' });
+      }
+    });
+
+    // Handle cursor position updates
+    socket.on('cursor-position', (data) => {
+      const { sessionId, position } = data || {};
+
+      if (!sessionId || socket.currentSession !== sessionId) {
+        return;
+      }
+
+      const member = localRooms.get(sessionId)?.get(socket.id);
+      const fileId = data.fileId || member?.activeFile;
+      if (member) {
+        member.cursor = position;
+        member.activeFile = fileId;
+      }
+
+      // Broadcast cursor position to other users (scoped to a file)
+      broadcast(sessionId, 'cursor-position', {
+        fileId: fileId,
+        userId: socket.userId,
+        username: socket.user.username,
+        position: position,
+        socketId: socket.id,
+        timestamp: new Date()
+      }, socket.id);
+    });
+
+    // Handle chat messages
+    socket.on('chat-message', async (data) => {
+      const { sessionId, message } = data || {};
+
+      if (!sessionId || !message || socket.currentSession !== sessionId) {
+        return;
+      }
+
+      try {
+        const chatMessage = {
+          id: Date.now() + Math.random(),
+          message: message.trim(),
+          userId: socket.userId,
+          username: socket.user.username,
+          timestamp: new Date(),
+          socketId: socket.id
+        };
+
+        // Store message in session chat history
+        await adapter.appendChat(sessionId, chatMessage);
+
+        // Broadcast message to all users in session (including sender)
+        broadcast(sessionId, 'chat-message', chatMessage);
+
+        console.log(`💬 Chat message in session ${sessionId} from ${socket.user.username}: ${message}`);
+
+      } catch (error) {
+        console.error('Error handling chat message:', error);
+      }
+    });
+
+    // Handle typing indicators
+    socket.on('typing-start', (data) => {
+      const { sessionId } = data || {};
+      if (sessionId && socket.currentSession === sessionId) {
+        broadcast(sessionId, 'user-typing', {
+          userId: socket.userId,
+          username: socket.user.username,
+          isTyping: true
+        }, socket.id);
+      }
+    });
+
+    socket.on('typing-stop', (data) => {
+      const { sessionId } = data || {};
+      if (sessionId && socket.currentSession === sessionId) {
+        broadcast(sessionId, 'user-typing', {
+          userId: socket.userId,
+          username: socket.user.username,
+          isTyping: false
+        }, socket.id);
+      }
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      console.log('🔌 User disconnected:', socket.id);
+
+      if (socket.currentSession) {
+        leaveRoom(socket, socket.currentSession);
+      }
+
+      // Remove from global user tracking (unless a newer socket replaced this one)
+      if (userSockets.get(socket.userId) === socket.id) {
+        userSockets.delete(socket.userId);
+      }
+    });
+
+    // Handle leave session
+    socket.on('leave-session', (data) => {
+      const { sessionId } = data || {};
+
+      if (sessionId && socket.currentSession === sessionId) {
+        socket.leave(sessionId);
+        socket.currentSession = null;
+        leaveRoom(socket, sessionId);
+      }
+    });
+  });
+
+  // Update cached roles on every instance and tell the room
+  const notifyRoleChange = (sessionId, userId, role, changedBy) => {
+    adapter.publish(sessionId.toString(), {
+      kind: 'role-changed',
+      payload: {
+        sessionId: sessionId.toString(),
+        userId: userId.toString(),
+        role: role,
+        changedBy: changedBy,
+        timestamp: new Date()
+      }
+    }).catch(error => {
+      console.error(`Error publishing role change for session ${sessionId}:`, error);
+    });
+  };
+
+  // Sign out revoked logins (see auth-routes.js) on every instance
+  const notifyLoginsRevoked = (userId, loginIds, reason) => {
+    adapter.publish(`user:${userId}`, {
+      kind: 'logins-revoked',
+      loginIds: loginIds.map(loginId => loginId.toString()),
+      reason: reason
+    }).catch(error => {
+      console.error(`Error publishing revoked logins of user ${userId}:`, error);
+    });
+  };
+
+  // Tell the room about updated session settings
+  const notifySettingsChange = (sessionId, settings, changedBy) => {
+    broadcast(sessionId.toString(), 'session-settings-updated', {
+      sessionId: sessionId.toString(),
+      settings: settings,
+      changedBy: changedBy,
+      timestamp: new Date()
+    });
+  };
+
+  // Stream code execution events (see execution-jobs.js) to the room
+  const notifyExecution = (sessionId, event, payload) => {
+    broadcast(sessionId.toString(), event, payload);
+  };
+
+  // Tell the room about a changed file tree
+  const notifyFileTreeChange = (sessionId, tree, change, changedBy) => {
+    broadcast(sessionId.toString(), 'file-tree-updated', {
+      sessionId: sessionId.toString(),
+      ...tree,
+      change: change,
+      changedBy: changedBy,
+      timestamp: new Date()
+    });
+  };
+
+  // Forget deleted files on every instance (before their code states are removed)
+  const removeDocuments = async (sessionId, fileIds) => {
+    await adapter.publish(sessionId.toString(), {
+      kind: 'files-removed',
+      fileIds: fileIds.map(fileId => fileId.toString())
+    });
+  };
+
+  // Replace a file's live document with stored content on every instance,
+  // then save it as a new revision. Rejects with status 503 when the entry does not
+  // apply here in time (skipped in a log gap, replica dropped, never delivered).
+  const restoreDocument = async (session, fileId, content, { userId, username, restoredFrom }) => {
+    const sessionId = session._id.toString();
+    const key = documentKey(sessionId, fileId);
+    const codeState = await ensureDocument(session, fileId);
+
+    const requestId = crypto.randomUUID();
+    const applied = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => settleRestore(requestId, restoreNotAppliedError()), RESTORE_TIMEOUT_MS);
+      pendingRestores.set(requestId, { key, seq: null, timer, resolve, reject });
+    });
+
+    try {
+      const seq = await adapter.append(key, {
+        type: 'replace',
+        content: content,
+        userId: userId,
+        username: username,
+        instanceId: instanceId,
+        requestId: requestId,
+        restoredFrom: restoredFrom
+      });
+      if (pendingRestores.has(requestId)) {
+        pendingRestores.get(requestId).seq = seq;
+      }
+    } catch (error) {
+      const request = pendingRestores.get(requestId);
+      pendingRestores.delete(requestId);
+      clearTimeout(request && request.timer);
+      throw error;
+    }
+
+    const result = await applied;
+    const saved = result
+      ? await autosave.flush(key, { manual: true, userId, changeType: 'restored', restoredFrom })
+      : null;
+
+    // Restores of sessions nobody here has open should not keep replicas around
+    if (!localRooms.has(sessionId)) {
+      await releaseDocuments(sessionId);
+    }
+
+    return {
+      unchanged: !result,
+      documentRevision: result ? result.revision : codeState.version,
+      revisionNumber: saved ? saved.revisionNumber : null
+    };
+  };
+
+  // Current live content of a file, including edits no instance has saved yet
+  const readDocument = async (session, fileId) => {
+    const sessionId = session._id.toString();
+    const codeState = await ensureDocument(session, fileId);
+    const snapshot = { content: codeState.content, version: codeState.version };
+
+    if (!localRooms.has(sessionId)) {
+      await releaseDocuments(sessionId);
+    }
+
+    return snapshot;
+  };
+
+  // Save pending edits and drop this instance's presence
+  const close = async () => {
+    await autosave.flushAll();
+    await adapter.removeInstanceMembers(instanceId);
+  };
+
+  return {
+    instanceId,
+    autosave,
+    notifyRoleChange,
+    notifyLoginsRevoked,
+    notifySettingsChange,
+    notifyFileTreeChange,
+    notifyExecution,
+    removeDocuments,
+    restoreDocument,
+    readDocument,
+    close
+  };
+};
+
+module.exports = { attachCollaboration };
@@ -0,0 +1,235 @@
+// crdt-document.js - Sequence CRDT (RGA) for offline-friendly collaborative editing
+//
+// Every character is an element with a unique id `${counter}@${siteId}` and a
+// reference to the element it was inserted after. Deleted characters stay as
+// tombstones so late or duplicated operations always merge to the same text.
+//
+// Operations:
+//   { type: 'insert', id, after, value }   (after is null for the start of the document)
+//   { type: 'delete', id }
+// Remote operations come from clients through merge(); localInsert()/localDelete()
+// generate them on the server for whole-document replacements (revision restores,
+// see CodeState.replaceContent), which are broadcast like any other crdt-operations.
+// Operations that arrive before the element they refer to wait in the serialized
+// state until it does.
+
+const SEED_SITE = 'seed';
+
+// Parse "counter@site" into its parts
+const parseId = (id) => {
+  const at = id.indexOf('@');
+  return { counter: parseInt(id.substring(0, at)), site: id.substring(at + 1) };
+};
+
+// Total order on element ids: by counter, then by site id
+const compareIds = (a, b) => {
+  const idA = parseId(a);
+  const idB = parseId(b);
+  if (idA.counter !== idB.counter) return idA.counter - idB.counter;
+  return idA.site < idB.site ? -1 : idA.site > idB.site ? 1 : 0;
+};
+
+const isValidId = (id) => typeof id === 'string' && /^\d+@[\w:.-]{1,100}$/.test(id);
+
+class CrdtDocument {
+  constructor(state = null) {
+    this.elements = []; // Elements in document order
+    this.index = new Map(); // id -> element
+    this.clock = 0;
+    this.pendingInserts = []; // Inserts waiting for their reference element
+    this.pendingDeletes = new Set(); // Deletes waiting for their target element
+
+    if (state) {
+      this.clock = state.clock || 0;
+      for (const [id, after, value, deleted] of state.elements || []) {
+        const element = { id, after, value, deleted: !!deleted };
+        this.elements.push(element);
+        this.index.set(id, element);
+      }
+      for (const [id, after, value] of state.pendingInserts || []) {
+        this.pendingInserts.push({ type: 'insert', id, after, value });
+      }
+      for (const id of state.pendingDeletes || []) {
+        this.pendingDeletes.add(id);
+      }
+    }
+  }
+
+  // Create a document whose initial text is shared by every replica
+  static fromText(text) {
+    const doc = new CrdtDocument();
+    let after = null;
+    Array.from(text).forEach((value, i) => {
+      const element = { id: `${i + 1}@${SEED_SITE}`, after, value, deleted: false };
+      doc.elements.push(element);
+      doc.index.set(element.id, element);
+      after = element.id;
+    });
+    doc.clock = doc.elements.length;
+    return doc;
+  }
+
+  // Visible text of the document
+  toString() {
+    let text = '';
+    for (const element of this.elements) {
+      if (!element.deleted) text += element.value;
+    }
+    return text;
+  }
+
+  // Serializable state (stored in CodeState.crdtState and sent in crdt-sync)
+  toJSON() {
+    return {
+      clock: this.clock,
+      elements: this.elements.map(e => [e.id, e.after, e.value, e.deleted ? 1 : 0]),
+      pendingInserts: this.pendingInserts.map(o => [o.id, o.after, o.value]),
+      pendingDeletes: Array.from(this.pendingDeletes)
+    };
+  }
+
+  // Check a batch of operations before any of it is applied
+  static validate(operations) {
+    for (const operation of operations) {
+      if (!operation || !isValidId(operation.id)) {
+        throw new Error('Invalid CRDT operation');
+      }
+      if (operation.type === 'insert') {
+        if (typeof operation.value !== 'string' || Array.from(operation.value).length !== 1 ||
+            (operation.after !== null && !isValidId(operation.after))) {
+          throw new Error('Invalid CRDT insert operation');
+        }
+      } else if (operation.type !== 'delete') {
+        throw new Error(`Unsupported CRDT operation type: ${operation.type}`);
+      }
+    }
+  }
+
+  // Apply remote operations; returns the ones that changed the document
+  merge(operations) {
+    CrdtDocument.validate(operations);
+    const applied = [];
+
+    for (const operation of operations) {
+      if (operation.type === 'insert') {
+        if (this.index.has(operation.id)) continue; // Already integrated
+
+        if (operation.after !== null && !this.index.has(operation.after)) {
+          if (!this.pendingInserts.some(pending => pending.id === operation.id)) {
+            this.pendingInserts.push(operation);
+          }
+          continue;
+        }
+
+        applied.push(...this.integrateRemote(operation));
+        applied.push(...this.flushPending());
+      } else {
+        const element = this.index.get(operation.id);
+        if (!element) {
+          this.pendingDeletes.add(operation.id);
+          continue;
+        }
+        if (!element.deleted) {
+          element.deleted = true;
+          applied.push(operation);
+        }
+      }
+    }
+
+    return applied;
+  }
+
+  // Generate insert operations for `text` at a visible index
+  localInsert(position, text, siteId) {
+    let after = this.visibleElementBefore(position);
+    const operations = [];
+
+    for (const value of Array.from(text)) {
+      this.clock += 1;
+      const operation = { type: 'insert', id: `${this.clock}@${siteId}`, after, value };
+      this.integrateInsert(operation);
+      operations.push(operation);
+      after = operation.id;
+    }
+
+    return operations;
+  }
+
+  // Generate delete operations for `length` visible characters at an index
+  localDelete(position, length) {
+    const operations = [];
+    let visible = 0;
+
+    for (const element of this.elements) {
+      if (element.deleted) continue;
+      if (visible >= position + length) break;
+      if (visible >= position) {
+        element.deleted = true;
+        operations.push({ type: 'delete', id: element.id });
+      }
+      visible += 1;
+    }
+
+    return operations;
+  }
+
+  // Id of the visible element just before a visible index (null for the start)
+  visibleElementBefore(position) {
+    if (position <= 0) return null;
+    let visible = 0;
+    for (const element of this.elements) {
+      if (element.deleted) continue;
+      visible += 1;
+      if (visible === position) return element.id;
+    }
+    throw new Error('Position is out of range');
+  }
+
+  integrateInsert(operation) {
+    const { id, after, value } = operation;
+    this.clock = Math.max(this.clock, parseId(id).counter);
+
+    // Insert right after the reference, skipping concurrent inserts with higher ids
+    let position = after === null ? 0 : this.elements.indexOf(this.index.get(after)) + 1;
+    while (position < this.elements.length && compareIds(this.elements[position].id, id) > 0) {
+      position += 1;
+    }
+
+    const element = { id, after, value, deleted: this.pendingDeletes.delete(id) };
+    this.elements.splice(position, 0, element);
+    this.index.set(id, element);
+    return element;
+  }
+
+  // Integrate a remote insert, including a delete that arrived before it
+  integrateRemote(operation) {
+    const element = this.integrateInsert(operation);
+    return element.deleted
+      ? [operation, { type: 'delete', id: operation.id }]
+      : [operation];
+  }
+
+  flushPending() {
+    const applied = [];
+    let progress = true;
+
+    while (progress) {
+      progress = false;
+      for (let i = 0; i < this.pendingInserts.length; i++) {
+        const operation = this.pendingInserts[i];
+        if (this.index.has(operation.after)) {
+          this.pendingInserts.splice(i, 1);
+          if (!this.index.has(operation.id)) {
+            applied.push(...this.integrateRemote(operation));
+          }
+          progress = true;
+          break;
+        }
+      }
+    }
+
+    return applied;
+  }
+}
+
+module.exports = CrdtDocument;
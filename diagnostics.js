@@ -0,0 +1,349 @@
+// diagnostics.js - Compiler and runtime errors parsed into editor markers
+//
+// parseDiagnostics() reads the stderr of one stage and returns
+// [{ file, line, column, severity, message, code, stage }]: `file` is a project path,
+// `line` and `column` are 1-based (column null when the tool does not say),
+// `severity` is error, warning or info and `code` is the tool's identifier for the
+// problem where it has one (-Wunused-variable, E0425, ZeroDivisionError, ...).
+// Locations outside the project (system headers, runtime internals) are left out,
+// since there is nothing to underline.
+const MAX_DIAGNOSTICS = 100;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// gcc/clang: main.c:1:19: error: 'y' undeclared [-Wflag]
+const GCC_PATTERN = /^(.+?):(\d+):(?:(\d+):)? (fatal error|error|warning|note): (.*?)(?: \[(-W[\w=+-]+|-f[\w=+-]+)\])?$/;
+// javac: Main.java:3: error: ';' expected
+const JAVAC_PATTERN = /^(.+\.java):(\d+): (error|warning): (?:\[([\w-]+)\] )?(.*)$/;
+const JAVA_EXCEPTION_PATTERN = /^Exception in thread "[^"]*" ((?:[\w$]+\.)*[\w$]+)(?:: (.*))?$/;
+const JAVA_FRAME_PATTERN = /^\s+at .*\(([\w$/.-]+\.java):(\d+)\)$/;
+// rustc: error[E0425]: message, then " --> main.rs:3:20"
+const RUSTC_PATTERN = /^(error|warning)(?:\[(\w+)\])?: (.*)$/;
+const RUSTC_LOCATION_PATTERN = /^\s*--> (.+?):(\d+):(\d+)$/;
+const RUST_PANIC_PATTERN = /^thread '[^']*' panicked at (?:'(.*)', )?(.+?):(\d+):(\d+):?$/;
+// go build: ./main.go:6:2: x declared and not used
+const GO_PATTERN = /^(.+\.go):(\d+)(?::(\d+))?: (.*)$/;
+const GO_FRAME_PATTERN = /^\t(.+\.go):(\d+)(?: \+0x[0-9a-f]+)?$/;
+// Python: File "/tmp/x/main.py", line 2, in f
+const PYTHON_FRAME_PATTERN = /^\s*File "(.+)", line (\d+)/;
+const PYTHON_EXCEPTION_PATTERN = /^((?:[\w.]+\.)?[A-Z]\w*)(?:: (.*))?$/;
+const PYTHON_WARNING_PATTERN = /^(.+\.py):(\d+): (\w+Warning): (.*)$/;
+// Node: "/tmp/x/main.js:2" headers and "at f (/tmp/x/main.js:2:3)" frames
+const NODE_HEADER_PATTERN = /^(.+\.[cm]?js):(\d+)$/;
+const NODE_FRAME_PATTERN = /^\s+at (?:.* \()?(.+\.[cm]?js):(\d+):(\d+)\)?$/;
+const NODE_ERROR_PATTERN = /^([A-Z]\w*)(?:: (.*))?$/;
+
+const SEVERITIES = {
+  'fatal error': 'error',
+  error: 'error',
+  warning: 'warning',
+  note: 'info'
+};
+
+// Helper to map a path from tool output to a project file (tools see absolute paths
+// in the run's temp directory); null when it is not one of ours
+const resolveFile = (reported, fileNames) => {
+  const name = reported.replace(/^\.\//, '');
+  if (fileNames.includes(name)) {
+    return name;
+  }
+
+  const matches = fileNames.filter(fileName => name.endsWith(`/${fileName}`));
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+};
+
+// Column from a caret line under a source line the tool quoted. Tools that re-indent
+// the quote pass it with the `original` line as written; others quote it verbatim.
+const caretColumn = (caretLine, quotedLine = '', original = null) => {
+  const caret = caretLine ? caretLine.search(/[~^]/) : -1;
+  if (caret < 0) {
+    return null;
+  }
+
+  const quotedIndent = quotedLine.length - quotedLine.trimStart().length;
+  const originalIndent = original !== null ? original.length - original.trimStart().length : quotedIndent;
+  return Math.max(caret - quotedIndent, 0) + originalIndent + 1;
+};
+
+// Helper to read a line of a project file (1-based); null when unknown
+const sourceLine = (files, file, line) => {
+  const entry = files.find(candidate => candidate.name === file);
+  if (!entry || typeof entry.content !== 'string') {
+    return null;
+  }
+  const lines = entry.content.split('\n');
+  return line >= 1 && line <= lines.length ? lines[line - 1] : null;
+};
+
+const parseGcc = (lines, { fileNames }) => {
+  const diagnostics = [];
+  for (const text of lines) {
+    const match = text.match(GCC_PATTERN);
+    if (match) {
+      diagnostics.push({
+        file: resolveFile(match[1], fileNames),
+        line: Number(match[2]),
+        column: match[3] ? Number(match[3]) : null,
+        severity: SEVERITIES[match[4]],
+        message: match[5],
+        code: match[6] || null
+      });
+    }
+  }
+  return diagnostics;
+};
+
+const parseJava = (lines, { fileNames }) => {
+  const diagnostics = [];
+  lines.forEach((text, index) => {
+    const match = text.match(JAVAC_PATTERN);
+    if (match) {
+      // javac quotes the line as written, with a caret line below it
+      diagnostics.push({
+        file: resolveFile(match[1], fileNames),
+        line: Number(match[2]),
+        column: caretColumn(lines[index + 2]),
+        severity: match[3],
+        message: match[5],
+        code: match[4] || null
+      });
+      return;
+    }
+
+    const exception = text.match(JAVA_EXCEPTION_PATTERN);
+    if (exception) {
+      const frame = lines.slice(index + 1)
+        .map(candidate => candidate.match(JAVA_FRAME_PATTERN))
+        .find(candidate => candidate && resolveFile(candidate[1], fileNames));
+      if (frame) {
+        diagnostics.push({
+          file: resolveFile(frame[1], fileNames),
+          line: Number(frame[2]),
+          column: null,
+          severity: 'error',
+          message: exception[2] ? `${exception[1]}: ${exception[2]}` : exception[1],
+          code: exception[1].split('.').pop()
+        });
+      }
+    }
+  });
+  return diagnostics;
+};
+
+const parseRust = (lines, { fileNames }) => {
+  const diagnostics = [];
+  lines.forEach((text, index) => {
+    const match = text.match(RUSTC_PATTERN);
+    if (match) {
+      // The location follows on the next line; summaries ("aborting due to ...") have none
+      const location = (lines[index + 1] || '').match(RUSTC_LOCATION_PATTERN);
+      if (location) {
+        diagnostics.push({
+          file: resolveFile(location[1], fileNames),
+          line: Number(location[2]),
+          column: Number(location[3]),
+          severity: match[1],
+          message: match[3],
+          code: match[2] || null
+        });
+      }
+      return;
+    }
+
+    const panic = text.match(RUST_PANIC_PATTERN);
+    if (panic) {
+      // Rust 1.73+ prints the message on the next line instead of quoting it
+      diagnostics.push({
+        file: resolveFile(panic[2], fileNames),
+        line: Number(panic[3]),
+        column: Number(panic[4]),
+        severity: 'error',
+        message: panic[1] !== undefined ? panic[1] : (lines[index + 1] || 'panicked'),
+        code: 'panic'
+      });
+    }
+  });
+  return diagnostics;
+};
+
+const parseGo = (lines, { fileNames }) => {
+  const diagnostics = [];
+  lines.forEach((text, index) => {
+    if (text.startsWith('panic: ')) {
+      const frame = lines.slice(index + 1)
+        .map(candidate => candidate.match(GO_FRAME_PATTERN))
+        .find(candidate => candidate && resolveFile(candidate[1], fileNames));
+      if (frame) {
+        diagnostics.push({
+          file: resolveFile(frame[1], fileNames),
+          line: Number(frame[2]),
+          column: null,
+          severity: 'error',
+          message: text.slice('panic: '.length).replace(/ \[recovered\]$/, ''),
+          code: 'panic'
+        });
+      }
+      return;
+    }
+
+    const match = text.match(GO_PATTERN);
+    if (match) {
+      diagnostics.push({
+        file: resolveFile(match[1], fileNames),
+        line: Number(match[2]),
+        column: match[3] ? Number(match[3]) : null,
+        severity: 'error',
+        message: match[4],
+        code: null
+      });
+    }
+  });
+  return diagnostics;
+};
+
+const parsePython = (lines, { fileNames, files }) => {
+  const diagnostics = [];
+  let frame = null; // Innermost project frame of the current traceback
+
+  lines.forEach((text, index) => {
+    const warning = text.match(PYTHON_WARNING_PATTERN);
+    if (warning) {
+      diagnostics.push({
+        file: resolveFile(warning[1], fileNames),
+        line: Number(warning[2]),
+        column: null,
+        severity: 'warning',
+        message: warning[4],
+        code: warning[3]
+      });
+      return;
+    }
+
+    const frameMatch = text.match(PYTHON_FRAME_PATTERN);
+    if (frameMatch) {
+      const file = resolveFile(frameMatch[1], fileNames);
+      if (file) {
+        const line = Number(frameMatch[2]);
+        // Python quotes the line dedented, with ^ or ~^~ markers below it (3.11+)
+        const quoted = lines[index + 1];
+        const markers = lines[index + 2];
+        const hasMarkers = quoted !== undefined && !PYTHON_FRAME_PATTERN.test(quoted) &&
+          markers !== undefined && /^\s*[~^]+\s*$/.test(markers);
+        frame = {
+          file: file,
+          line: line,
+          column: hasMarkers ? caretColumn(markers, quoted, sourceLine(files, file, line)) : null
+        };
+      }
+      return;
+    }
+
+    const exception = !/^\s/.test(text) && text.match(PYTHON_EXCEPTION_PATTERN);
+    if (exception && frame) {
+      diagnostics.push({
+        ...frame,
+        severity: 'error',
+        message: exception[2] ? `${exception[1]}: ${exception[2]}` : exception[1],
+        code: exception[1].split('.').pop()
+      });
+      frame = null;
+    }
+  });
+  return diagnostics;
+};
+
+const parseNode = (lines, { fileNames }) => {
+  const diagnostics = [];
+  let header = null; // "file:line" printed above the error, with a caret for the column
+
+  lines.forEach((text, index) => {
+    const headerMatch = text.match(NODE_HEADER_PATTERN);
+    if (headerMatch && resolveFile(headerMatch[1], fileNames)) {
+      header = {
+        file: resolveFile(headerMatch[1], fileNames),
+        line: Number(headerMatch[2]),
+        column: caretColumn(lines[index + 2])
+      };
+      return;
+    }
+
+    const error = text.match(NODE_ERROR_PATTERN);
+    if (error && (header || NODE_FRAME_PATTERN.test(lines[index + 1] || ''))) {
+      // The first frame in a project file is where it was thrown; syntax errors have
+      // only internal frames, so the header says where
+      const frame = lines.slice(index + 1)
+        .map(candidate => candidate.match(NODE_FRAME_PATTERN))
+        .find(candidate => candidate && resolveFile(candidate[1], fileNames));
+      const location = frame
+        ? { file: resolveFile(frame[1], fileNames), line: Number(frame[2]), column: Number(frame[3]) }
+        : header;
+
+      if (location) {
+        diagnostics.push({
+          ...location,
+          severity: 'error',
+          message: error[2] ? `${error[1]}: ${error[2]}` : error[1],
+          code: error[1]
+        });
+      }
+      header = null;
+    }
+  });
+  return diagnostics;
+};
+
+const PARSERS = {
+  c: parseGcc,
+  cpp: parseGcc,
+  java: parseJava,
+  rust: parseRust,
+  go: parseGo,
+  python: parsePython,
+  javascript: parseNode
+};
+
+// Helper to tell repeated diagnostics apart
+const diagnosticKey = (diagnostic) => `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+
+// Parse one stage's stderr. `files` are the files that ran ([{ name, content }]);
+// `stage` (compile or run) is copied onto every diagnostic.
+const parseDiagnostics = (stderr, language, { files = [], stage = 'run' } = {}) => {
+  const parser = PARSERS[language];
+  if (!stderr || !parser) {
+    return [];
+  }
+
+  const lines = stderr.replace(/\r\n/g, '\n').split('\n');
+  const seen = new Set();
+
+  return parser(lines, { files, fileNames: files.map(file => file.name) })
+    .filter(diagnostic => {
+      const key = diagnosticKey(diagnostic);
+      if (!diagnostic.file || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_DIAGNOSTICS)
+    .map(diagnostic => ({
+      ...diagnostic,
+      message: diagnostic.message.slice(0, MAX_MESSAGE_LENGTH),
+      stage: stage
+    }));
+};
+
+// Combine diagnostics of several runs (e.g. test cases), each problem once
+const mergeDiagnostics = (lists) => {
+  const merged = new Map();
+  for (const diagnostic of lists.flat()) {
+    if (!merged.has(diagnosticKey(diagnostic))) {
+      merged.set(diagnosticKey(diagnostic), diagnostic);
+    }
+  }
+  return Array.from(merged.values()).slice(0, MAX_DIAGNOSTICS);
+};
+
+module.exports = {
+  parseDiagnostics,
+  mergeDiagnostics
+};
@@ -1,127 +1,26 @@
-// execute-routes.js - Updated with rate limiting and retry logic
+// execute-routes.js - Code execution through background jobs (see execution-jobs.js)
+const path = require('path');
 const express = require('express');
-const axios = require('axios');
+const mongoose = require('mongoose');
 const Session = require('./Session');
 const User = require('./User');
-const { authMiddleware } = require('./auth-middleware');
+const ExecutionJob = require('./ExecutionJob');
+const ExecutionLog = require('./ExecutionLog');
+const { authMiddleware, hasSessionAccess } = require('./auth-middleware');
+const { ensureFileTree } = require('./project-files');
+const { MAX_TEST_CASES, parseTestCase } = require('./test-cases');
+const { isSupportedLanguage, getDefaultFileName } = require('./languages');
+const { effectiveExecutionProfile } = require('./execution-profiles');
 
 const router = express.Router();
 
-// ⭐ PISTON API RATE LIMITER CLASS
-class PistonRateLimiter {
-  constructor() {
-    this.lastRequestTime = 0;
-    this.requestQueue = [];
-    this.minInterval = 300; // 300ms between requests (safer than 200ms)
-    this.processing = false;
-  }
-
-  async executeWithRateLimit(requestFunc) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ requestFunc, resolve, reject });
-      this.processQueue();
-    });
-  }
-
-  async processQueue() {
-    if (this.processing || this.requestQueue.length === 0) {
-      return;
-    }
-
-    this.processing = true;
-
-    while (this.requestQueue.length > 0) {
-      const { requestFunc, resolve, reject } = this.requestQueue.shift();
-      
-      try {
-        // Ensure minimum interval between requests
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.minInterval) {
-          const waitTime = this.minInterval - timeSinceLastRequest;
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-
-        // Execute the request
-        this.lastRequestTime = Date.now();
-        const result = await requestFunc();
-        resolve(result);
-
-      } catch (error) {
-        reject(error);
-      }
-    }
-
-    this.processing = false;
-  }
-}
-
-// Create global rate limiter instance
-const pistonLimiter = new PistonRateLimiter();
-
-// ⭐ RETRY LOGIC FOR FAILED REQUESTS
-const executeWithRetry = async (requestFunc, maxRetries = 3, baseDelay = 1000) => {
-  let lastError;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await pistonLimiter.executeWithRateLimit(requestFunc);
-    } catch (error) {
-      lastError = error;
-      
-      // If it's a rate limit error (429), wait longer
-      if (error.response && error.response.status === 429) {
-        const retryAfter = error.response.headers['retry-after'] || Math.pow(2, attempt) * baseDelay;
-        console.log(`Rate limited, retrying after ${retryAfter}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-        
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, retryAfter));
-          continue;
-        }
-      }
-      
-      // For other errors, use exponential backoff
-      if (attempt < maxRetries) {
-        const delay = baseDelay * Math.pow(2, attempt);
-        console.log(`Request failed, retrying after ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  throw lastError;
-};
-
-// Language mapping for Piston API
-const languageMapping = {
-  'javascript': 'javascript',
-  'python': 'python',
-  'cpp': 'c++',
-  'c': 'c',
-  'java': 'java',
-  'go': 'go',
-  'rust': 'rust'
-};
-
-// Get available language versions from Piston API
-const getLanguageVersions = async () => {
-  try {
-    const response = await executeWithRetry(() => 
-      axios.get(`${process.env.PISTON_API_URL}/runtimes`, {
-        timeout: 10000
-      })
-    );
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching language versions:', error);
-    return null;
-  }
-};
+// Java entry points declare the public class they are named after: Main.java, App.java...
+const JAVA_ENTRY_POINT_PATTERN = /^[A-Za-z_$][\w$]*\.java$/;
 
 // Helper function to prepare code for execution
-const prepareCodeForExecution = (code, language) => {
-  let cleanCode = code.trim();
+const prepareCodeForExecution = (code, language, fileName) => {
+  // Leading lines stay, so diagnostics match the editor's line numbers
+  let cleanCode = code.trimEnd();
   
   switch (language) {
     case 'javascript':
@@ -134,8 +33,8 @@ const prepareCodeForExecution = (code, language) => {
       break;
       
     case 'java':
-      // Ensure class name is Main for Piston API
-      cleanCode = cleanCode.replace(/public\s+class\s+\w+/g, 'public class Main');
+      // javac wants the public class named after its file (Main for single-file runs)
+      cleanCode = cleanCode.replace(/public\s+class\s+\w+/, `public class ${path.basename(fileName, '.java')}`);
       break;
       
     default:
@@ -145,99 +44,33 @@ const prepareCodeForExecution = (code, language) => {
   return cleanCode;
 };
 
-// Helper function to format execution output
-const formatExecutionOutput = (output, error, language) => {
-  let formattedOutput = '';
-  let hasError = false;
-  
-  if (error) {
-    hasError = true;
-    formattedOutput = `❌ Error:\n${error}`;
-    
-    switch (language) {
-      case 'javascript':
-        formattedOutput = formattedOutput.replace(/at Object\.<anonymous>.*\n?/g, '');
-        formattedOutput = formattedOutput.replace(/at Module\._compile.*\n?/g, '');
-        break;
-        
-      case 'python':
-        formattedOutput = formattedOutput.replace(/File "<stdin>", line \d+, in <module>\n?/g, '');
-        break;
-        
-      default:
-        break;
-    }
-  } else if (output) {
-    formattedOutput = output;
-  } else {
-    formattedOutput = '✅ Code executed successfully (no output)';
-  }
-  
-  return { output: formattedOutput.trim(), hasError };
-};
-
-// Get file extension for language
-const getFileExtension = (language) => {
-  const extensions = {
-    'javascript': 'js',
-    'python': 'py',
-    'cpp': 'cpp',
-    'c': 'c',
-    'java': 'java',
-    'go': 'go',
-    'rust': 'rs'
-  };
-  return extensions[language] || 'txt';
-};
-
-// Get language display name
-const getLanguageDisplayName = (language) => {
-  const displayNames = {
-    'javascript': 'JavaScript',
-    'python': 'Python',
-    'cpp': 'C++',
-    'c': 'C',
-    'java': 'Java',
-    'go': 'Go',
-    'rust': 'Rust'
-  };
-  return displayNames[language] || language;
-};
-
-// Get code templates
-const getCodeTemplate = (language) => {
-  const templates = {
-    javascript: 'console.log("Hello, World!");',
-    python: 'print("Hello, World!")',
-    cpp: '#include <iostream>\nusing namespace std;\n\nint main() {\n    cout << "Hello, World!" << endl;\n    return 0;\n}',
-    c: '#include <stdio.h>\n\nint main() {\n    printf("Hello, World!\\n");\n    return 0;\n}',
-    java: 'public class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n    }\n}',
-    go: 'package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello, World!")\n}',
-    rust: 'fn main() {\n    println!("Hello, World!");\n}'
-  };
-  return templates[language] || '';
+// Helper to gather a session's files (live content, entry point first)
+const getSessionFiles = async (req, session) => {
+  const isEntryPoint = (file) => Boolean(session.entryPoint && file._id.equals(session.entryPoint));
+  const entries = session.files
+    .filter(file => file.type === 'file')
+    .sort((a, b) => isEntryPoint(b) - isEntryPoint(a));
+
+  return Promise.all(entries.map(async (file) => {
+    const live = await req.app.locals.readDocument(session, file._id);
+    return { name: file.path, content: live.content };
+  }));
 };
 
-// @route   POST /api/execute/run
-// @desc    Execute code using Piston API with rate limiting
-// @access  Private
-router.post('/run', authMiddleware, async (req, res) => {
+// Middleware for routes that run code: checks the user may run it and gathers the files
+// (a session's files, or `code` in `language`) into req.execution
+const prepareExecution = async (req, res, next) => {
   try {
-    const { code, language, input, sessionId } = req.body;
+    const { code, sessionId } = req.body;
+    let { language } = req.body;
 
-    // Validation
-    if (!code || !language) {
+    // Validation (session runs take their code from the session's files)
+    if (!sessionId && (!code || !language)) {
       return res.status(400).json({
         error: 'Code and language are required'
       });
     }
 
-    if (!languageMapping[language]) {
-      return res.status(400).json({
-        error: 'Unsupported programming language'
-      });
-    }
-
     // Get user info
     const user = await User.findById(req.userId);
     if (!user) {
@@ -268,168 +101,353 @@ router.post('/run', authMiddleware, async (req, res) => {
         });
       }
 
+      // Viewers can watch runs but not trigger them
+      if (!Session.roleHasPermission(session.getParticipantRole(req.userId), 'execute')) {
+        return res.status(403).json({
+          error: 'Your role does not allow running code in this session',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
       if (!session.settings.executionEnabled) {
         return res.status(403).json({
           error: 'Code execution is disabled for this session'
         });
       }
+
+      session = await ensureFileTree(session);
+      language = language || session.language;
+    }
+
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({
+        error: 'Unsupported programming language'
+      });
+    }
+
+    // Piston runs the first file, so the entry point goes first
+    const files = session
+      ? await getSessionFiles(req, session)
+      : [{ name: getDefaultFileName(language), content: code }];
+
+    if (language === 'java' && !JAVA_ENTRY_POINT_PATTERN.test(path.basename(files[0].name))) {
+      return res.status(400).json({
+        error: 'The Java entry point must be a .java file named after its class, like Main.java',
+        code: 'INVALID_ENTRY_POINT'
+      });
     }
 
     // Prepare code for execution
-    const preparedCode = prepareCodeForExecution(code, language);
-    const executionStartTime = Date.now();
-
-    try {
-      // ⭐ Execute code using Piston API with rate limiting and retry
-      const pistonResponse = await executeWithRetry(() => 
-        axios.post(`${process.env.PISTON_API_URL}/execute`, {
-          language: languageMapping[language],
-          version: '*',
-          files: [
-            {
-              name: language === 'java' ? 'Main.java' : `main.${getFileExtension(language)}`,
-              content: preparedCode
-            }
-          ],
-          stdin: input || '',
-          args: [],
-          compile_timeout: 10000,
-          run_timeout: 5000,
-          compile_memory_limit: 128000000,
-          run_memory_limit: 64000000
-        }, {
-          timeout: 20000, // Increased timeout
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        })
-      );
-
-      const executionEndTime = Date.now();
-      const executionTime = executionEndTime - executionStartTime;
-
-      const result = pistonResponse.data;
-      
-      // Format the output
-      const output = result.run.stdout || '';
-      const error = result.run.stderr || result.compile?.stderr || '';
-      const { output: formattedOutput, hasError } = formatExecutionOutput(output, error, language);
-
-      // Prepare execution result
-      const executionResult = {
-        success: !hasError,
-        output: formattedOutput,
-        rawOutput: output,
-        error: error,
-        executionTime: executionTime,
-        memoryUsed: result.run.memory || 0,
-        exitCode: result.run.code || 0,
+    files[0].content = prepareCodeForExecution(files[0].content, language, files[0].name);
+
+    // The session's pinned runtime only applies to the session's own language
+    const runtimeVersion = session && language === session.language ? session.runtimeVersion : null;
+
+    req.execution = { user, session, language, files, runtimeVersion };
+    next();
+
+  } catch (error) {
+    console.error('Prepare execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during code execution'
+    });
+  }
+};
+
+// Helper to start a job with the session's execution profile (defaults outside
+// sessions); answers 409 (session busy) and 429 (quota used up) itself and resolves
+// to null then
+const submitJob = async (req, res, options) => {
+  const { user, session, language, files, runtimeVersion } = req.execution;
+  const profile = effectiveExecutionProfile(
+    session ? session.settings.executionProfile : null,
+    language,
+    req.app.locals.executors.forLanguage(language)
+  );
+
+  try {
+    return await req.app.locals.executionJobs.submit({
+      session: session,
+      user: user,
+      language: language,
+      code: files[0].content,
+      profile: profile,
+      ...options,
+      request: {
         language: language,
-        timestamp: new Date(),
-        compiledSuccessfully: !result.compile?.stderr
-      };
-
-      // Save execution to session history if sessionId provided
-      if (session) {
-        await session.addExecution({
-          code: preparedCode,
-          language: language,
-          input: input || '',
-          output: output,
-          error: error,
-          executionTime: executionTime,
-          memoryUsed: result.run.memory || 0,
-          executedBy: req.userId
-        });
+        version: runtimeVersion || undefined,
+        files: files,
+        stdin: options.input || '',
+        args: profile.args,
+        compileTimeout: profile.compileTimeout,
+        runTimeout: profile.runTimeout,
+        compileMemoryLimit: profile.compileMemoryLimit,
+        runMemoryLimit: profile.runMemoryLimit,
+        ...(profile.compilerFlags ? { compilerFlags: profile.compilerFlags } : {}),
+        ...(Object.keys(profile.env).length > 0 ? { env: profile.env } : {})
       }
+    });
+  } catch (submitError) {
+    if (submitError.code === 'EXECUTION_RUNNING') {
+      res.status(409).json({
+        success: false,
+        error: submitError.message,
+        code: submitError.code
+      });
+      return null;
+    }
+    if (submitError.code === 'QUOTA_EXCEEDED') {
+      const retryAfter = Math.max(Math.ceil((submitError.resetAt - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        success: false,
+        error: submitError.message,
+        code: submitError.code,
+        quota: submitError.quota,
+        resetAt: submitError.resetAt,
+        retryAfter: retryAfter
+      });
+      return null;
+    }
+    throw submitError;
+  }
+};
+
+// @route   POST /api/execute/run
+// @desc    Start a job running code on the language's execution backend. Output streams
+//          to the session room; add ?wait=true to get the finished result in the response.
+//          `interactive: true` keeps stdin open for participants (batch mode where unsupported).
+// @access  Private
+router.post('/run', authMiddleware, prepareExecution, async (req, res) => {
+  try {
+    const { input, interactive } = req.body;
+
+    const submitted = await submitJob(req, res, {
+      input: input || '',
+      interactive: interactive === true
+    });
+    if (!submitted) {
+      return;
+    }
 
-      // Update user execution count
-      await user.incrementExecutionCount();
+    if (req.query.wait !== 'true') {
+      return res.status(202).json({
+        success: true,
+        jobId: submitted.job._id,
+        mode: submitted.job.interactive ? 'interactive' : 'batch',
+        queuePosition: req.app.locals.executionJobs.queuePosition(submitted.job._id),
+        job: submitted.job.toPublicJSON()
+      });
+    }
+
+    // Synchronous mode: answer like /run did before jobs existed
+    const job = await submitted.done;
 
-      // Send response
-      res.json({
+    if (job.status === 'completed') {
+      return res.json({
         success: true,
-        result: executionResult,
-        pistonInfo: {
-          language: result.language,
-          version: result.version
-        }
+        jobId: job._id,
+        result: job.result,
+        diagnostics: job.result.diagnostics,
+        backend: job.backend,
+        pistonInfo: job.result.runtime
       });
+    }
 
-      console.log(`⚡ Code executed by ${user.username} (${language}): ${executionTime}ms`);
+    const errorMessage = job.status === 'cancelled' ? 'Code execution was cancelled' : job.error.message;
+    res.status(job.status === 'cancelled' ? 409 : job.error.status).json({
+      success: false,
+      jobId: job._id,
+      error: errorMessage,
+      result: {
+        success: false,
+        output: `❌ ${errorMessage}`,
+        executionTime: job.startedAt ? job.finishedAt - job.startedAt : 0,
+        hasError: true
+      }
+    });
 
-    } catch (pistonError) {
-      console.error('Piston API error:', pistonError.response?.data || pistonError.message);
-      
-      // Handle specific Piston API errors
-      let errorMessage = 'Code execution failed';
-      let statusCode = 500;
-      
-      if (pistonError.code === 'ECONNABORTED') {
-        errorMessage = 'Code execution timed out';
-        statusCode = 408;
-      } else if (pistonError.response) {
-        const status = pistonError.response.status;
-        if (status === 400) {
-          errorMessage = 'Invalid code or language configuration';
-          statusCode = 400;
-        } else if (status === 429) {
-          errorMessage = 'Too many execution requests. Please wait a moment and try again.';
-          statusCode = 429;
-        } else if (status >= 500) {
-          errorMessage = 'Code execution service temporarily unavailable';
-          statusCode = 503;
-        }
+  } catch (error) {
+    console.error('Execute code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during code execution'
+    });
+  }
+});
+
+// @route   POST /api/execute/test
+// @desc    Run code against test cases and compare each case's stdout with its expected
+//          output. Uses `testCases` from the body, otherwise the session's saved cases
+//          (optionally only `caseIds`). Results stream to the session room per case.
+// @access  Private
+router.post('/test', authMiddleware, prepareExecution, async (req, res) => {
+  try {
+    const { session } = req.execution;
+    const { testCases, caseIds } = req.body;
+    let cases;
+
+    if (testCases !== undefined) {
+      if (!Array.isArray(testCases) || testCases.length > MAX_TEST_CASES) {
+        return res.status(400).json({
+          error: `testCases must be an array of at most ${MAX_TEST_CASES} test cases`
+        });
       }
 
-      res.status(statusCode).json({
-        success: false,
-        error: errorMessage,
-        result: {
-          success: false,
-          output: `❌ ${errorMessage}`,
-          executionTime: Date.now() - executionStartTime,
-          hasError: true
-        }
+      try {
+        cases = testCases.map((testCase, index) => parseTestCase(testCase, index));
+      } catch (validationError) {
+        return res.status(400).json({
+          error: validationError.message
+        });
+      }
+    } else if (session) {
+      cases = Array.isArray(caseIds)
+        ? session.testCases.filter(testCase => caseIds.includes(testCase._id.toString()))
+        : session.testCases;
+    }
+
+    if (!cases || cases.length === 0) {
+      return res.status(400).json({
+        error: 'No test cases to run'
+      });
+    }
+
+    const submitted = await submitJob(req, res, { testCases: cases });
+    if (!submitted) {
+      return;
+    }
+
+    const job = await submitted.done;
+
+    if (job.status === 'completed') {
+      return res.json({
+        success: true,
+        jobId: job._id,
+        passed: job.result.success,
+        summary: job.result.tests,
+        cases: job.result.cases,
+        compileError: job.result.error || null,
+        diagnostics: job.result.diagnostics,
+        executionTime: job.result.executionTime,
+        backend: job.backend,
+        runtime: job.result.runtime,
+        profile: job.profile
       });
     }
 
+    res.status(job.status === 'cancelled' ? 409 : job.error.status).json({
+      success: false,
+      jobId: job._id,
+      error: job.status === 'cancelled' ? 'Test run was cancelled' : job.error.message
+    });
+
   } catch (error) {
-    console.error('Execute code error:', error);
+    console.error('Run tests error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error during code execution'
+      error: 'Internal server error while running tests'
+    });
+  }
+});
+
+// Middleware to load a job the user may see: their own, or one in a session they belong to
+const loadJob = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        error: 'Invalid jobId format'
+      });
+    }
+
+    const job = await ExecutionJob.findById(req.params.jobId);
+    let session = null;
+
+    if (job && job.sessionId) {
+      session = await Session.findById(job.sessionId);
+    }
+
+    const isOwner = job && job.userId.toString() === req.userId;
+    if (!job || (!isOwner && !(session && hasSessionAccess(session, req.userId)))) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    req.job = job;
+    req.jobSession = session;
+    next();
+
+  } catch (error) {
+    console.error('Load job error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job'
+    });
+  }
+};
+
+// @route   GET /api/execute/jobs/:jobId
+// @desc    Poll a job's status and output so far
+// @access  Private
+router.get('/jobs/:jobId', authMiddleware, loadJob, async (req, res) => {
+  res.json({
+    success: true,
+    queuePosition: req.app.locals.executionJobs.queuePosition(req.job._id),
+    job: req.job.toPublicJSON()
+  });
+});
+
+// @route   DELETE /api/execute/jobs/:jobId
+// @desc    Cancel a queued or running job
+// @access  Private (job owner, or session members who may run code)
+router.delete('/jobs/:jobId', authMiddleware, loadJob, async (req, res) => {
+  try {
+    const job = req.job;
+    const isOwner = job.userId.toString() === req.userId;
+
+    if (!isOwner && !Session.roleHasPermission(req.jobSession.getParticipantRole(req.userId), 'execute')) {
+      return res.status(403).json({
+        error: 'Your role does not allow cancelling runs in this session',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (job.isFinished() || !await req.app.locals.executionJobs.cancel(job._id)) {
+      return res.status(409).json({
+        error: 'This job has already finished'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cancellation requested',
+      jobId: job._id
+    });
+
+    console.log(`🛑 Job ${job._id} cancelled by ${req.user.username}`);
+
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job'
     });
   }
 });
 
 // @route   GET /api/execute/languages
-// @desc    Get supported languages and their versions
+// @desc    Get supported languages with their versions and capabilities (cached, see languages.js)
 // @access  Private
 router.get('/languages', authMiddleware, async (req, res) => {
   try {
-    const runtimes = await getLanguageVersions();
+    const supportedLanguages = await req.app.locals.languages.list();
     
-    if (!runtimes) {
+    if (supportedLanguages.every(language => !language.available)) {
       return res.status(503).json({
         error: 'Unable to fetch supported languages'
       });
     }
 
-    const supportedLanguages = Object.keys(languageMapping).map(lang => {
-      const pistonLang = languageMapping[lang];
-      const runtime = runtimes.find(r => r.language === pistonLang);
-      
-      return {
-        name: lang,
-        displayName: getLanguageDisplayName(lang),
-        pistonName: pistonLang,
-        version: runtime ? runtime.version : 'Unknown',
-        available: !!runtime,
-        template: getCodeTemplate(lang)
-      };
-    });
-
     res.json({
       success: true,
       languages: supportedLanguages,
@@ -504,20 +522,58 @@ router.post('/validate', authMiddleware, async (req, res) => {
   }
 });
 
-// @route   GET /api/execute/stats
-// @desc    Get execution statistics
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+
+// @route   GET /api/execute/stats?sessionId=&from=&to=
+// @desc    Execution statistics of the user (or the session) between from and to
+//          (default: the last 30 days), quota usage and the load on this server
 // @access  Private
 router.get('/stats', authMiddleware, async (req, res) => {
   try {
+    const { sessionId } = req.query;
     const user = await User.findById(req.userId);
+
+    if (sessionId) {
+      const session = mongoose.Types.ObjectId.isValid(sessionId) ? await Session.findById(sessionId) : null;
+      if (!session || !hasSessionAccess(session, req.userId)) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - STATS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        error: 'from and to must be dates with from before to'
+      });
+    }
+    if (to - from > STATS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: `Statistics cover at most ${STATS_MAX_DAYS} days`
+      });
+    }
+
+    const filter = sessionId
+      ? { sessionId: new mongoose.Types.ObjectId(sessionId) }
+      : { userId: user._id };
+    const stats = await ExecutionLog.summarize(filter, { from, to });
+
+    const { executionJobs, executionQuotas } = req.app.locals;
+    const usage = executionQuotas
+      ? await executionQuotas.usage({ userId: user._id, sessionId: sessionId || null })
+      : [];
     
     res.json({
       success: true,
-      stats: {
-        totalExecutions: user.totalCodeExecutions || 0,
-        favoriteLanguage: 'javascript', // This could be calculated from execution history
-        lastExecution: user.lastActive || new Date()
-      }
+      scope: sessionId ? 'session' : 'user',
+      range: { from, to },
+      stats: sessionId ? stats : { ...stats, allTimeExecutions: user.totalCodeExecutions || 0 },
+      usage: usage,
+      queue: executionJobs.queueStats(user._id)
     });
 
   } catch (error) {
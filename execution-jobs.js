@@ -0,0 +1,690 @@
+// execution-jobs.js - Code executions as background jobs
+//
+// POST /api/execute/run submits a job and returns its id. The instance that took
+// the request runs it on the language's executor (see executors.js), streams
+// output to the session room and keeps the ExecutionJob document current, so
+// polls and cancellations work from any instance. The entry point's CodeState
+// `execution` doubles as the session's lock: one running job per session.
+//
+// Interactive jobs keep the program's stdin open; lines typed by participants reach
+// the running instance through collaboration.js and writeInput(). Backends without
+// live stdin run the job in batch mode instead.
+//
+// Jobs count against the execution quotas when submitted (see execution-quotas.js) and
+// wait in a queue, fair across sessions and their users, for one of the instance's
+// slots (see execution-scheduler.js).
+//
+// Test jobs (POST /api/execute/test) run the code once per test case under the same
+// session lock and report whether each case's stdout matched (see test-cases.js).
+//
+// Finished jobs carry compiler and runtime errors as line/column diagnostics
+// (result.diagnostics, see diagnostics.js), also sent to the session room so every
+// collaborator's editor can mark them.
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const ExecutionJob = require('./ExecutionJob');
+const ExecutionLog = require('./ExecutionLog');
+const CodeState = require('./CodeState');
+const FairScheduler = require('./execution-scheduler');
+const { compareOutput } = require('./test-cases');
+const { parseDiagnostics, mergeDiagnostics } = require('./diagnostics');
+
+const PERSIST_INTERVAL_MS = 1000; // How often running jobs save output and check for cancellation
+const OUTPUT_BATCH_MS = 50; // Output produced within this window goes out in one event
+const STALE_LOCK_MS = 2 * 60 * 1000; // Session locks without a heartbeat this long belong to a dead instance
+const INTERACTIVE_RUN_TIMEOUT_MS = 5 * 60 * 1000; // Wall clock for programs waiting on people
+const STDIN_LIMIT = 64 * 1024; // Characters participants may type into one run
+const CASE_OUTPUT_LIMIT = 8 * 1024; // Characters of each test case's text kept in the result
+
+// ⭐ RETRY LOGIC FOR FAILED REQUESTS (requestFunc calls an executor, see executors.js)
+const executeWithRetry = async (requestFunc, maxRetries = 3, baseDelay = 1000) => {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await requestFunc();
+    } catch (error) {
+      lastError = error;
+
+      // Errors such as an unsupported language will not go away on retry
+      if (error.retryable === false) {
+        break;
+      }
+
+      // If it's a rate limit error (429), wait longer
+      if (error.response && error.response.status === 429) {
+        const retryAfter = error.response.headers['retry-after'] || Math.pow(2, attempt) * baseDelay;
+        console.log(`Rate limited, retrying after ${retryAfter}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+
+        if (attempt < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, retryAfter));
+          continue;
+        }
+      }
+
+      // For other errors, use exponential backoff
+      if (attempt < maxRetries) {
+        const delay = baseDelay * Math.pow(2, attempt);
+        console.log(`Request failed, retrying after ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError;
+};
+
+// Helper function to format execution output
+const formatExecutionOutput = (output, error, language) => {
+  let formattedOutput = '';
+  let hasError = false;
+
+  if (error) {
+    hasError = true;
+    formattedOutput = `❌ Error:\n${error}`;
+
+    switch (language) {
+      case 'javascript':
+        formattedOutput = formattedOutput.replace(/at Object\.<anonymous>.*\n?/g, '');
+        formattedOutput = formattedOutput.replace(/at Module\._compile.*\n?/g, '');
+        break;
+
+      case 'python':
+        formattedOutput = formattedOutput.replace(/File "<stdin>", line \d+, in <module>\n?/g, '');
+        break;
+
+      default:
+        break;
+    }
+  } else if (output) {
+    formattedOutput = output;
+  } else {
+    formattedOutput = '✅ Code executed successfully (no output)';
+  }
+
+  return { output: formattedOutput.trim(), hasError };
+};
+
+// Helper to map backend errors (axios responses from Piston, `status` from others)
+const describeExecutionError = (error) => {
+  let message = 'Code execution failed';
+  let status = 500;
+  const responseStatus = error.response ? error.response.status : null;
+
+  if (error.code === 'ECONNABORTED') {
+    message = 'Code execution timed out';
+    status = 408;
+  } else if (error.status && !error.response) {
+    message = error.message;
+    status = error.status;
+  } else if (responseStatus === 400) {
+    message = 'Invalid code or language configuration';
+    status = 400;
+  } else if (responseStatus === 429) {
+    message = 'Too many execution requests. Please wait a moment and try again.';
+    status = 429;
+  } else if (responseStatus >= 500) {
+    message = 'Code execution service temporarily unavailable';
+    status = 503;
+  }
+
+  return { message, status };
+};
+
+// Helper to build an error the routes can report
+const jobError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+class ExecutionJobManager {
+  constructor({ executors, notify, instanceId = null, quotas = null, concurrency = 2 } = {}) {
+    this.executors = executors;
+    this.notify = notify || (() => {}); // (sessionId, event, payload) -> emit to the session room
+    this.instanceId = instanceId;
+    this.quotas = quotas; // ExecutionQuotas; null runs without quotas
+    this.scheduler = new FairScheduler({ concurrency });
+    this.running = new Map(); // jobId -> { job, controller, done, ... } for jobs run here
+  }
+
+  // Claim the session for a job; false while another job runs. The job's progress
+  // heartbeat (persistProgress) keeps the claim fresh however long it queues or runs.
+  async lockSession(session, jobId) {
+    const stale = new Date(Date.now() - STALE_LOCK_MS);
+    const now = new Date();
+    const result = await CodeState.updateOne({
+      sessionId: session._id,
+      fileId: session.entryPoint,
+      $or: [
+        { 'execution.isRunning': { $ne: true } },
+        { 'execution.heartbeatAt': { $lt: stale } },
+        { 'execution.heartbeatAt': null, 'execution.startedAt': { $lt: stale } } // Locks from before heartbeats
+      ]
+    }, {
+      $set: {
+        'execution.isRunning': true,
+        'execution.jobId': jobId,
+        'execution.startedAt': now,
+        'execution.heartbeatAt': now
+      }
+    });
+
+    return result.modifiedCount === 1;
+  }
+
+  async unlockSession(session, jobId, execution) {
+    const update = {
+      'execution.isRunning': false,
+      'execution.jobId': null
+    };
+    for (const [key, value] of Object.entries(execution)) {
+      update[`execution.${key}`] = value;
+    }
+
+    await CodeState.updateOne({
+      sessionId: session._id,
+      fileId: session.entryPoint,
+      'execution.jobId': jobId
+    }, { $set: update });
+  }
+
+  notifySession(job, event, payload) {
+    if (job.sessionId) {
+      this.notify(job.sessionId.toString(), event, { jobId: job._id.toString(), sessionId: job.sessionId.toString(), ...payload });
+    }
+  }
+
+  // Start a job. Resolves once it is queued with { job, done }, where `done` resolves
+  // with the finished job. Session runs reject with status 409 while another job runs,
+  // and any run with status 429 (code QUOTA_EXCEEDED, `resetAt`) when a quota is used up.
+  // `interactive` is honoured when the language's backend supports live stdin;
+  // `testCases` ([{ name, input, expectedOutput, whitespace, floatTolerance }]) makes a test job.
+  // `profile` is the effective execution profile, reported with the job and its result.
+  async submit({ session = null, user, language, request, code, input = '', interactive = false, testCases = null, profile = null }) {
+    const jobId = new mongoose.Types.ObjectId();
+    const cost = testCases ? testCases.length : 1;
+    const counted = this.quotas
+      ? await this.quotas.consume({ userId: user._id, sessionId: session ? session._id : null, cost })
+      : [];
+    const refund = () => (this.quotas ? this.quotas.refund(counted, cost) : Promise.resolve());
+
+    if (session && !await this.lockSession(session, jobId)) {
+      await refund();
+      throw jobError('Code is already running in this session', 409, 'EXECUTION_RUNNING');
+    }
+
+    const executor = this.executors.forLanguage(language);
+    const isInteractive = Boolean(interactive && executor.supportsInteractive && !testCases);
+    let job;
+    try {
+      job = await ExecutionJob.create({
+        _id: jobId,
+        sessionId: session ? session._id : null,
+        userId: user._id,
+        language: language,
+        backend: executor.name,
+        kind: testCases ? 'test' : 'run',
+        interactive: isInteractive,
+        profile: profile,
+        instanceId: this.instanceId
+      });
+    } catch (error) {
+      if (session) {
+        await this.unlockSession(session, jobId, {});
+      }
+      await refund();
+      throw error;
+    }
+
+    const entry = {
+      job: job,
+      controller: new AbortController(),
+      output: { compileOutput: '', stdout: '', stderr: '', stdin: '' },
+      input: isInteractive ? new PassThrough({ encoding: 'utf8' }) : null,
+      testCases: testCases,
+      refund: refund,
+      queuePosition: null,
+      outputQueue: [],
+      outputTimer: null,
+      seq: 0,
+      persisting: null
+    };
+    this.running.set(jobId.toString(), entry);
+
+    // Interactive runs may wait for people, so only CPU time keeps the usual limit.
+    // The submitted input is read first and recorded with what is typed later.
+    if (entry.input) {
+      entry.input.write(input);
+      entry.output.stdin = input;
+      request = { ...request, stdin: '', runTimeout: INTERACTIVE_RUN_TIMEOUT_MS, cpuTimeout: request.runTimeout };
+    }
+
+    entry.done = this.run(entry, { session, user, executor, request, code, input })
+      .finally(() => this.running.delete(jobId.toString()));
+
+    // Callers that answer before the job ends never await `done`
+    entry.done.catch(error => {
+      console.error(`Error finishing job ${jobId}:`, error);
+    });
+
+    return { job, done: entry.done };
+  }
+
+  async run(entry, { session, user, executor, request, code, input }) {
+    const { job, controller } = entry;
+    const persistTimer = setInterval(() => this.persistProgress(entry), PERSIST_INTERVAL_MS);
+    let release = null;
+
+    try {
+      // Jobs cancelled while they wait never run. Sessions take turns, then their users;
+      // runs outside a session form a group of their own per user.
+      const userKey = job.userId.toString();
+      release = await this.scheduler.acquire(userKey, {
+        group: job.sessionId ? `session:${job.sessionId}` : `user:${userKey}`,
+        signal: controller.signal,
+        onPosition: (position) => {
+          entry.queuePosition = position;
+          this.notifySession(job, 'execution-queued', { position, timestamp: new Date() });
+        }
+      });
+      entry.queuePosition = null;
+
+      job.status = 'running';
+      job.startedAt = new Date();
+      await job.save();
+
+      this.notifySession(job, 'execution-state', {
+        isRunning: true,
+        kind: job.kind,
+        interactive: job.interactive,
+        ...(entry.testCases ? { totalTests: entry.testCases.length } : {}),
+        language: job.language,
+        startedBy: { id: user._id.toString(), username: user.username },
+        timestamp: job.startedAt
+      });
+
+      const executionStartTime = Date.now();
+
+      if (entry.testCases) {
+        job.result = await this.runTests(entry, { executor, request });
+        job.status = 'completed';
+      } else {
+        // Live stdin cannot be replayed, so interactive runs are not retried
+        const result = await executeWithRetry(() =>
+          executor.execute(request, {
+            signal: controller.signal,
+            stdin: entry.input || undefined,
+            onOutput: (chunk) => this.recordOutput(entry, chunk)
+          }).catch(error => {
+            if (controller.signal.aborted) {
+              error.retryable = false;
+            }
+            throw error;
+          }), entry.input ? 0 : 3
+        );
+
+        const executionTime = Date.now() - executionStartTime;
+
+        // Format the output
+        const output = result.run.stdout || '';
+        const error = result.run.stderr || result.compile?.stderr || '';
+        const { output: formattedOutput, hasError } = formatExecutionOutput(output, error, job.language);
+
+        job.status = 'completed';
+        job.exitCode = result.run.code;
+        job.signal = result.run.signal || null;
+        job.result = {
+          success: !hasError,
+          output: formattedOutput,
+          rawOutput: output,
+          error: error,
+          executionTime: executionTime,
+          memoryUsed: result.run.memory || 0,
+          exitCode: result.run.code || 0,
+          language: job.language,
+          timestamp: new Date(),
+          compiledSuccessfully: !result.compile?.stderr,
+          backend: executor.name,
+          runtime: { language: result.language, version: result.version },
+          profile: job.profile,
+          diagnostics: [
+            ...parseDiagnostics(result.compile?.stderr, job.language, { files: request.files, stage: 'compile' }),
+            ...parseDiagnostics(result.run.stderr, job.language, { files: request.files, stage: 'run' })
+          ]
+        };
+      }
+
+    } catch (executionError) {
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+        if (!job.startedAt) {
+          await entry.refund();
+        }
+      } else {
+        console.error(`Execution backend (${executor.name}) error:`, executionError.response?.data || executionError.message);
+        job.status = 'failed';
+        job.error = describeExecutionError(executionError);
+      }
+    }
+
+    clearInterval(persistTimer);
+    if (release) {
+      release();
+    }
+    if (entry.input) {
+      entry.input.destroy();
+    }
+    this.flushOutput(entry);
+
+    // recordHistory() releases the session; if saving fails first, the finally does
+    let historyRecorded = false;
+    try {
+      await entry.persisting;
+
+      job.compileOutput = ExecutionJob.capOutput(entry.output.compileOutput);
+      job.stdout = ExecutionJob.capOutput(entry.output.stdout);
+      job.stderr = ExecutionJob.capOutput(entry.output.stderr);
+      job.stdin = entry.output.stdin;
+      job.finishedAt = new Date();
+      await job.save();
+
+      await this.recordHistory(job, { session, user, code, input: entry.input ? entry.output.stdin : input });
+      historyRecorded = true;
+    } finally {
+      if (session && !historyRecorded) {
+        await this.unlockSession(session, job._id, {}).catch(error => {
+          console.error(`Error releasing session ${session._id} after job ${job._id}:`, error);
+        });
+      }
+    }
+
+    await ExecutionLog.recordJob(job).catch(error => {
+      console.error(`Error logging execution ${job._id}:`, error);
+    });
+
+    this.notifySession(job, 'execution-finished', {
+      status: job.status,
+      exitCode: job.exitCode,
+      signal: job.signal,
+      result: job.result,
+      profile: job.profile,
+      error: job.error && job.error.message ? job.error.message : null,
+      timestamp: job.finishedAt
+    });
+    if (job.result) {
+      this.notifySession(job, 'execution-diagnostics', { diagnostics: job.result.diagnostics || [], timestamp: job.finishedAt });
+    }
+    this.notifySession(job, 'execution-state', { isRunning: false, status: job.status, timestamp: job.finishedAt });
+
+    console.log(`⚡ Job ${job._id} ${job.status} for ${user.username} (${job.language}, ${executor.name}): ${job.startedAt ? job.finishedAt - job.startedAt : 0}ms`);
+    return job;
+  }
+
+  // Run the code once per test case and compare its stdout with the expected output.
+  // After a compile error the remaining cases are reported without running them.
+  async runTests(entry, { executor, request }) {
+    const { job, controller, testCases } = entry;
+    const cases = [];
+    let compileError = null;
+    let compileDiagnostics = [];
+    let runtime = null;
+
+    for (const [index, testCase] of testCases.entries()) {
+      const startTime = Date.now();
+      let outcome;
+
+      if (compileError !== null) {
+        outcome = { status: 'compile-error', stdout: '', stderr: '', exitCode: null, executionTime: 0, memoryUsed: null, diagnostics: [] };
+      } else {
+        const result = await executeWithRetry(() =>
+          executor.execute({ ...request, stdin: testCase.input }, { signal: controller.signal }).catch(error => {
+            if (controller.signal.aborted) {
+              error.retryable = false;
+            }
+            throw error;
+          })
+        );
+        runtime = { language: result.language, version: result.version };
+        if (index === 0 && result.compile) {
+          compileDiagnostics = parseDiagnostics(result.compile.stderr, job.language, { files: request.files, stage: 'compile' });
+        }
+
+        if (result.compile && result.compile.code !== 0) {
+          compileError = result.compile.stderr || result.compile.output || 'Compilation failed';
+          outcome = { status: 'compile-error', stdout: '', stderr: compileError, exitCode: null, executionTime: 0, memoryUsed: null, diagnostics: [] };
+        } else {
+          const run = result.run;
+          let status = 'error';
+          if (run.signal === 'SIGKILL') {
+            status = 'timeout';
+          } else if (run.code === 0) {
+            status = compareOutput(run.stdout || '', testCase.expectedOutput, testCase) ? 'passed' : 'failed';
+          }
+
+          outcome = {
+            status: status,
+            stdout: run.stdout || '',
+            stderr: run.stderr || '',
+            exitCode: run.code,
+            executionTime: run.wall_time !== undefined ? run.wall_time : Date.now() - startTime,
+            memoryUsed: run.memory !== undefined ? run.memory : null,
+            diagnostics: parseDiagnostics(run.stderr, job.language, { files: request.files, stage: 'run' })
+          };
+        }
+      }
+
+      const caseResult = {
+        id: testCase._id || null,
+        index: index,
+        name: testCase.name || `Test ${index + 1}`,
+        passed: outcome.status === 'passed',
+        ...outcome,
+        input: ExecutionJob.capOutput(testCase.input, CASE_OUTPUT_LIMIT),
+        expectedOutput: ExecutionJob.capOutput(testCase.expectedOutput, CASE_OUTPUT_LIMIT),
+        stdout: ExecutionJob.capOutput(outcome.stdout, CASE_OUTPUT_LIMIT),
+        stderr: ExecutionJob.capOutput(outcome.stderr, CASE_OUTPUT_LIMIT)
+      };
+      cases.push(caseResult);
+
+      this.notifySession(job, 'execution-test-result', { index, total: testCases.length, testCase: caseResult });
+    }
+
+    const passed = cases.filter(testCase => testCase.passed).length;
+    const summary = `${passed}/${cases.length} test cases passed`;
+    const memory = cases.map(testCase => testCase.memoryUsed).filter(value => value !== null);
+
+    return {
+      success: passed === cases.length,
+      output: summary,
+      rawOutput: summary,
+      error: compileError || '',
+      executionTime: cases.reduce((total, testCase) => total + testCase.executionTime, 0),
+      memoryUsed: memory.length > 0 ? Math.max(...memory) : 0,
+      tests: { total: cases.length, passed: passed, failed: cases.length - passed },
+      cases: cases,
+      language: job.language,
+      timestamp: new Date(),
+      compiledSuccessfully: compileError === null,
+      backend: executor.name,
+      runtime: runtime,
+      profile: job.profile,
+      diagnostics: mergeDiagnostics([compileDiagnostics, ...cases.map(testCase => testCase.diagnostics || [])])
+    };
+  }
+
+  // Save the run to the session history and release the session
+  async recordHistory(job, { session, user, code, input }) {
+    try {
+      if (session) {
+        const result = job.result || {};
+        await this.unlockSession(session, job._id, job.status === 'completed'
+          ? {
+            lastOutput: result.rawOutput,
+            lastError: result.error,
+            lastExecutedBy: user._id,
+            lastExecutedAt: job.finishedAt,
+            executionTime: result.executionTime
+          }
+          : {});
+
+        if (job.status === 'completed') {
+          await session.addExecution({
+            code: code,
+            language: job.language,
+            input: input,
+            output: result.rawOutput,
+            error: result.error,
+            executionTime: result.executionTime,
+            memoryUsed: result.memoryUsed,
+            runtimeVersion: result.runtime ? result.runtime.version : null,
+            kind: job.kind,
+            ...(result.tests ? { tests: result.tests } : {}),
+            executedBy: user._id
+          });
+        }
+      }
+
+      if (job.status === 'completed') {
+        // Update user execution count
+        await user.incrementExecutionCount();
+      }
+    } catch (error) {
+      console.error(`Error recording execution ${job._id}:`, error);
+    }
+  }
+
+  // Output (and typed stdin, as stream 'stdin') is kept on the job and sent to the room
+  recordOutput(entry, { stage, stream, data }) {
+    const field = stage === 'compile' ? 'compileOutput' : stream;
+    entry.output[field] += data;
+
+    // Consecutive chunks of the same stream are merged
+    const last = entry.outputQueue[entry.outputQueue.length - 1];
+    if (last && last.stage === stage && last.stream === stream) {
+      last.data += data;
+    } else {
+      entry.outputQueue.push({ stage, stream, data });
+    }
+
+    if (!entry.outputTimer) {
+      entry.outputTimer = setTimeout(() => this.flushOutput(entry), OUTPUT_BATCH_MS);
+    }
+  }
+
+  flushOutput(entry) {
+    clearTimeout(entry.outputTimer);
+    entry.outputTimer = null;
+
+    for (const chunk of entry.outputQueue) {
+      this.notifySession(entry.job, 'execution-output', { seq: ++entry.seq, ...chunk });
+    }
+    entry.outputQueue = [];
+  }
+
+  // Save output so far and beat the session lock's heartbeat; cancellations requested
+  // on other instances show up here
+  persistProgress(entry) {
+    if (entry.persisting) {
+      return;
+    }
+
+    const { job } = entry;
+    entry.persisting = Promise.all([
+      ExecutionJob.findByIdAndUpdate(job._id, {
+        $set: {
+          compileOutput: ExecutionJob.capOutput(entry.output.compileOutput),
+          stdout: ExecutionJob.capOutput(entry.output.stdout),
+          stderr: ExecutionJob.capOutput(entry.output.stderr),
+          stdin: entry.output.stdin
+        }
+      }, { new: true }).select('cancelRequested'),
+      job.sessionId
+        ? CodeState.updateOne(
+          { sessionId: job.sessionId, 'execution.jobId': job._id },
+          { $set: { 'execution.heartbeatAt': new Date() } }
+        )
+        : null
+    ])
+      .then(([stored]) => {
+        if (stored && stored.cancelRequested) {
+          entry.controller.abort();
+        }
+      })
+      .catch(error => {
+        console.error(`Error saving output of job ${entry.job._id}:`, error);
+      })
+      .finally(() => {
+        entry.persisting = null;
+      });
+  }
+
+  // Feed typed input to an interactive job running on this instance; `eof` closes stdin.
+  // Returns false when the job is not running here or does not take input.
+  writeInput(jobId, { data = '', eof = false } = {}) {
+    const entry = this.running.get(jobId.toString());
+    if (!entry || !entry.input || entry.input.writableEnded) {
+      return false;
+    }
+
+    if (data) {
+      const accepted = data.slice(0, STDIN_LIMIT - entry.output.stdin.length);
+      if (!accepted) {
+        return false;
+      }
+
+      this.recordOutput(entry, { stage: 'run', stream: 'stdin', data: accepted });
+      entry.input.write(accepted);
+    }
+
+    if (eof) {
+      entry.input.end();
+    }
+    return true;
+  }
+
+  // Place in this instance's queue (1 = next); null once running or if queued elsewhere
+  queuePosition(jobId) {
+    const entry = this.running.get(jobId.toString());
+    return entry ? entry.queuePosition : null;
+  }
+
+  // Load on this instance, and how many of a user's jobs wait here
+  queueStats(userId) {
+    return {
+      ...this.scheduler.stats(),
+      queuedForUser: this.scheduler.queuedFor(userId.toString())
+    };
+  }
+
+  // Cancel a job on whichever instance runs it; resolves to false if it already finished
+  async cancel(jobId) {
+    const entry = this.running.get(jobId.toString());
+    if (entry) {
+      entry.controller.abort();
+      return true;
+    }
+
+    const result = await ExecutionJob.updateOne(
+      { _id: jobId, status: { $in: ['queued', 'running'] } },
+      { $set: { cancelRequested: true } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Cancel this instance's jobs and wait for them to wind down
+  async close() {
+    const entries = Array.from(this.running.values());
+    for (const entry of entries) {
+      entry.controller.abort();
+    }
+    await Promise.allSettled(entries.map(entry => entry.done));
+  }
+}
+
+module.exports = {
+  ExecutionJobManager,
+  executeWithRetry,
+  formatExecutionOutput
+};
@@ -0,0 +1,169 @@
+// execution-profiles.js - Per-session limits, program arguments, compiler flags and
+// environment variables for executions
+//
+// Sessions store only what their creator changed (session.settings.executionProfile);
+// everything else falls back to the defaults below. Limits are clamped to bounds the
+// server can afford. Compiler flags must match the language's allowlist in languages.js,
+// and backends that cannot pass flags or variables through drop them (listed in
+// `ignored` of the effective profile). Everyone in the session can read the profile,
+// so variables are not meant for secrets.
+const { LANGUAGES } = require('./languages');
+
+const LIMITS = {
+  compileTimeout: { min: 1000, max: 30000, default: 10000 }, // ms
+  runTimeout: { min: 1000, max: 20000, default: 5000 }, // ms
+  compileMemoryLimit: { min: 64000000, max: 512000000, default: 128000000 }, // bytes
+  runMemoryLimit: { min: 16000000, max: 512000000, default: 64000000 } // bytes
+};
+
+const MAX_ARGS = 20;
+const MAX_ARG_LENGTH = 256;
+const MAX_COMPILER_FLAGS = 20;
+const MAX_ENV_VARS = 20;
+const MAX_ENV_VALUE_LENGTH = 1024;
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Variables the runner sets itself or that change how toolchains and loaders behave
+const RESERVED_ENV_PATTERN = /^(PATH|HOME|TMPDIR|TMP|TEMP|LANG|LANGUAGE|LC_\w+|SHELL|USER|PWD|IFS|ENV|BASH_ENV|LD_\w+|DYLD_\w+|GO\w+|CGO_\w+|RUST\w*|CARGO_\w+|NODE_\w+|NPM_\w+|PYTHON\w*|JAVA_\w+|JDK_\w+|_JAVA_OPTIONS|CLASSPATH|CC|CXX|CFLAGS|CXXFLAGS|CPATH|C_INCLUDE_PATH|CPLUS_INCLUDE_PATH|LIBRARY_PATH|GCC_\w+|COMPILER_PATH)$/i;
+
+const FIELDS = [...Object.keys(LIMITS), 'args', 'compilerFlags', 'env'];
+
+// Helper to check a list of strings
+const parseStringList = (value, field, maxItems, maxLength) => {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`${field} must be an array of strings`);
+  }
+  if (value.length > maxItems) {
+    throw new Error(`${field} can have at most ${maxItems} entries`);
+  }
+  if (value.some(item => item.length > maxLength)) {
+    throw new Error(`Each of ${field} can be at most ${maxLength} characters long`);
+  }
+  if (value.some(item => item.includes('\0'))) {
+    throw new Error(`${field} cannot contain null characters`);
+  }
+  return value.slice();
+};
+
+// First flag the language's allowlist does not match; null when all do
+const disallowedFlag = (flags, language) => {
+  const allowed = (LANGUAGES[language] && LANGUAGES[language].compilerFlags) || [];
+  return flags.find(flag => !allowed.some(pattern => pattern.test(flag))) || null;
+};
+
+const parseEnv = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('env must be an object of variable names and values');
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length > MAX_ENV_VARS) {
+    throw new Error(`env can have at most ${MAX_ENV_VARS} variables`);
+  }
+
+  const env = {};
+  for (const [name, variable] of entries) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid environment variable name: ${name}`);
+    }
+    if (RESERVED_ENV_PATTERN.test(name)) {
+      throw new Error(`Environment variable ${name} is reserved`);
+    }
+    if (typeof variable !== 'string' || variable.length > MAX_ENV_VALUE_LENGTH || variable.includes('\0')) {
+      throw new Error(`Environment variable ${name} must be a string of at most ${MAX_ENV_VALUE_LENGTH} characters`);
+    }
+    env[name] = variable;
+  }
+  return env;
+};
+
+// Apply an update to a stored profile and return the new one. Fields set to null go
+// back to their defaults, and so does everything when `fields` is null. Throws on
+// invalid values; limits outside their bounds are clamped like maxParticipants.
+const parseExecutionProfile = (fields, language, current = {}) => {
+  if (fields === null) {
+    return {};
+  }
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('executionProfile must be an object');
+  }
+
+  const unknown = Object.keys(fields).find(field => !FIELDS.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown execution profile field: ${unknown}`);
+  }
+
+  const profile = {};
+  for (const field of FIELDS) {
+    if (current[field] !== undefined && current[field] !== null) {
+      profile[field] = current[field];
+    }
+  }
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) {
+      delete profile[field];
+      continue;
+    }
+
+    if (LIMITS[field]) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${field} must be a number`);
+      }
+      profile[field] = Math.min(Math.max(Math.round(value), LIMITS[field].min), LIMITS[field].max);
+    } else if (field === 'args') {
+      profile.args = parseStringList(value, 'args', MAX_ARGS, MAX_ARG_LENGTH);
+    } else if (field === 'compilerFlags') {
+      const flags = parseStringList(value, 'compilerFlags', MAX_COMPILER_FLAGS, MAX_ARG_LENGTH);
+      const flag = disallowedFlag(flags, language);
+      if (flag) {
+        throw new Error(`Compiler flag ${flag} is not allowed for ${language}`);
+      }
+      profile.compilerFlags = flags;
+    } else {
+      profile.env = parseEnv(value);
+    }
+  }
+
+  return profile;
+};
+
+// Stored profile with the defaults filled in. compilerFlags null means the
+// toolchain's own defaults.
+const resolveExecutionProfile = (stored) => {
+  const profile = {};
+  for (const [field, limit] of Object.entries(LIMITS)) {
+    profile[field] = stored && typeof stored[field] === 'number' ? stored[field] : limit.default;
+  }
+  profile.args = stored && Array.isArray(stored.args) ? stored.args.slice() : [];
+  profile.compilerFlags = stored && Array.isArray(stored.compilerFlags) ? stored.compilerFlags.slice() : null;
+  profile.env = stored && stored.env ? { ...stored.env } : {};
+  return profile;
+};
+
+// Profile a run actually gets from `executor` for `language`: what the backend cannot
+// honour (or flags the language does not allow, e.g. after a language override) is
+// left out and named in `ignored`
+const effectiveExecutionProfile = (stored, language, executor) => {
+  const profile = resolveExecutionProfile(stored);
+  const ignored = [];
+
+  if (profile.compilerFlags && (!executor.supportsCompilerFlags || disallowedFlag(profile.compilerFlags, language))) {
+    profile.compilerFlags = null;
+    ignored.push('compilerFlags');
+  }
+  if (Object.keys(profile.env).length > 0 && !executor.supportsEnvironment) {
+    profile.env = {};
+    ignored.push('env');
+  }
+
+  return { ...profile, ignored };
+};
+
+module.exports = {
+  EXECUTION_PROFILE_LIMITS: LIMITS,
+  parseExecutionProfile,
+  resolveExecutionProfile,
+  effectiveExecutionProfile
+};
@@ -0,0 +1,111 @@
+// execution-quotas.js - How many executions users and sessions may start
+//
+// Quotas are "scope:window=limit" pairs separated by commas, e.g.
+// EXECUTION_QUOTAS="user:hour=120,user:day=1000,session:day=2000". Scopes are user
+// and session (runs outside a session only count for the user); windows are minute,
+// hour and day (UTC). A test run counts once per test case. "none" disables quotas.
+const ExecutionUsage = require('./ExecutionUsage');
+
+const DEFAULT_QUOTAS = 'user:hour=120,user:day=1000,session:day=2000';
+const SCOPES = ['user', 'session'];
+
+// Parse "scope:window=limit" pairs
+const parseQuotas = (value) => {
+  const quotas = [];
+  if (value === 'none') {
+    return quotas;
+  }
+
+  for (const pair of (value || '').split(',')) {
+    const [key, limit] = pair.split('=').map(part => part.trim());
+    if (!key) {
+      continue;
+    }
+
+    const [scope, window] = key.split(':');
+    if (!SCOPES.includes(scope) || !ExecutionUsage.WINDOW_MS[window] || !/^\d+$/.test(limit || '')) {
+      throw new Error(`Invalid execution quota "${pair.trim()}" (expected scope:window=limit, e.g. user:day=1000)`);
+    }
+    quotas.push({ scope, window, limit: parseInt(limit, 10) });
+  }
+  return quotas;
+};
+
+// Helper to build the error routes report as 429
+const quotaError = (quota, resetAt) => {
+  const error = new Error(`${quota.scope === 'user' ? 'Your' : 'This session\'s'} execution quota (${quota.limit} per ${quota.window}) is used up`);
+  error.status = 429;
+  error.code = 'QUOTA_EXCEEDED';
+  error.quota = quota;
+  error.resetAt = resetAt;
+  return error;
+};
+
+class ExecutionQuotas {
+  constructor({ quotas = [] } = {}) {
+    this.quotas = quotas;
+  }
+
+  // Quotas that apply to a run, with the id they are counted for
+  applicable({ userId, sessionId = null }) {
+    return this.quotas
+      .map(quota => ({ quota, subjectId: quota.scope === 'user' ? userId : sessionId }))
+      .filter(({ subjectId }) => subjectId);
+  }
+
+  // Count `cost` executions against every applicable quota. Rejects with status 429
+  // (and nothing counted) when one is used up.
+  async consume({ userId, sessionId = null, cost = 1 }) {
+    const counted = [];
+
+    for (const { quota, subjectId } of this.applicable({ userId, sessionId })) {
+      const usage = await ExecutionUsage.increment(quota.scope, subjectId, quota.window, cost);
+      counted.push({ quota, subjectId, windowStart: usage.windowStart });
+
+      if (usage.count > quota.limit) {
+        await this.refund(counted, cost);
+        throw quotaError(quota, usage.resetAt);
+      }
+    }
+
+    return counted;
+  }
+
+  // Give back executions counted by consume() (e.g. the run never started), to the
+  // windows they were counted in even if newer windows have begun since
+  async refund(counted, cost = 1) {
+    await Promise.all(counted.map(({ quota, subjectId, windowStart }) =>
+      ExecutionUsage.refund(quota.scope, subjectId, quota.window, windowStart, cost).catch(error => {
+        console.error(`Error refunding ${quota.scope} quota:`, error);
+      })
+    ));
+  }
+
+  // Current usage of every applicable quota
+  async usage({ userId, sessionId = null }) {
+    return Promise.all(this.applicable({ userId, sessionId }).map(async ({ quota, subjectId }) => {
+      const { count, resetAt } = await ExecutionUsage.current(quota.scope, subjectId, quota.window);
+      return {
+        scope: quota.scope,
+        window: quota.window,
+        limit: quota.limit,
+        used: count,
+        remaining: Math.max(quota.limit - count, 0),
+        resetAt: resetAt
+      };
+    }));
+  }
+}
+
+// Quotas configured from the environment
+const createExecutionQuotas = (env = process.env) => {
+  return new ExecutionQuotas({
+    quotas: parseQuotas(env.EXECUTION_QUOTAS || DEFAULT_QUOTAS)
+  });
+};
+
+module.exports = {
+  ExecutionQuotas,
+  createExecutionQuotas,
+  parseQuotas
+};
@@ -0,0 +1,147 @@
+// execution-scheduler.js - Fair admission of execution jobs on one instance
+//
+// At most `concurrency` jobs run at once. Waiting jobs are queued per key (a user)
+// within a group (the session they run in), and turns go round twice: groups take
+// turns, and inside a group its keys do. A busy session with many collaborators
+// then only delays its own runs, as does someone pressing Run over and over.
+
+// Error for jobs cancelled while waiting, shaped like the executors' abort errors
+const abortError = () => {
+  const error = new Error('Execution cancelled');
+  error.name = 'AbortError';
+  error.retryable = false;
+  return error;
+};
+
+// Move a Map entry to the back of the Map's order, or drop it once it is empty
+const rotate = (map, key, value, isEmpty) => {
+  map.delete(key);
+  if (!isEmpty) {
+    map.set(key, value);
+  }
+};
+
+class FairScheduler {
+  constructor({ concurrency = 2 } = {}) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.groups = new Map(); // group -> Map(key -> waiting entries); Map order is the order of turns
+  }
+
+  // Wait for a slot. Resolves with a release function to call when the job is done;
+  // rejects with an AbortError if `signal` aborts first. `group` defaults to the key.
+  // `onPosition(position)` hears the job's place in line (1 = next) whenever it changes.
+  acquire(key, { group = key, signal, onPosition = () => {} } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { key, group, resolve, reject, onPosition, position: null, signal };
+
+      entry.onAbort = () => {
+        const queues = this.groups.get(group);
+        const queue = queues && queues.get(key);
+        if (queue && queue.includes(entry)) {
+          queue.splice(queue.indexOf(entry), 1);
+          if (queue.length === 0) {
+            queues.delete(key);
+          }
+          if (queues.size === 0) {
+            this.groups.delete(group);
+          }
+          reject(abortError());
+          this.reportPositions();
+        }
+      };
+      if (signal) {
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      if (!this.groups.has(group)) {
+        this.groups.set(group, new Map());
+      }
+      const queues = this.groups.get(group);
+      if (!queues.has(key)) {
+        queues.set(key, []);
+      }
+      queues.get(key).push(entry);
+      this.dispatch();
+    });
+  }
+
+  // Start waiting jobs while slots are free, taking turns by group and then by key
+  dispatch() {
+    while (this.active < this.concurrency && this.groups.size > 0) {
+      const [group, queues] = this.groups.entries().next().value;
+      const [key, queue] = queues.entries().next().value;
+      const entry = queue.shift();
+
+      // Both the key and the group go to the back of the line for their next job
+      rotate(queues, key, queue, queue.length === 0);
+      rotate(this.groups, group, queues, queues.size === 0);
+
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+
+      this.active++;
+      let released = false;
+      entry.resolve(() => {
+        if (!released) {
+          released = true;
+          this.active--;
+          this.dispatch();
+        }
+      });
+    }
+
+    this.reportPositions();
+  }
+
+  // Order waiting jobs will start in if nobody else arrives
+  waiting() {
+    const groups = new Map(Array.from(this.groups, ([group, queues]) =>
+      [group, new Map(Array.from(queues, ([key, queue]) => [key, queue.slice()]))]
+    ));
+    const order = [];
+
+    while (groups.size > 0) {
+      const [group, queues] = groups.entries().next().value;
+      const [key, queue] = queues.entries().next().value;
+      order.push(queue.shift());
+
+      rotate(queues, key, queue, queue.length === 0);
+      rotate(groups, group, queues, queues.size === 0);
+    }
+    return order;
+  }
+
+  reportPositions() {
+    this.waiting().forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        entry.onPosition(entry.position);
+      }
+    });
+  }
+
+  stats() {
+    return {
+      running: this.active,
+      queued: this.waiting().length,
+      concurrency: this.concurrency
+    };
+  }
+
+  // Waiting jobs per key, across groups
+  queuedFor(key) {
+    let count = 0;
+    for (const queues of this.groups.values()) {
+      count += queues.has(key) ? queues.get(key).length : 0;
+    }
+    return count;
+  }
+}
+
+module.exports = FairScheduler;
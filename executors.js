@@ -0,0 +1,114 @@
+// executors.js - Chooses the execution backend for each language
+//
+// One backend per deployment (EXECUTOR_BACKEND, default piston) with optional
+// per-language overrides (EXECUTOR_LANGUAGE_BACKENDS="java=piston,python=local").
+const PistonExecutor = require('./piston-executor');
+const LocalExecutor = require('./local-executor');
+const FakeExecutor = require('./fake-executor');
+
+const BACKENDS = {
+  piston: PistonExecutor,
+  local: LocalExecutor,
+  fake: FakeExecutor
+};
+
+// Compare dotted version numbers ("3.10.0" > "3.9.4"); non-numeric parts compare as text
+const compareVersions = (a, b) => {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const [x = '0', y = '0'] = [partsA[i], partsB[i]];
+    const difference = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+// Parse "language=backend" pairs separated by commas
+const parseLanguageBackends = (value) => {
+  const backends = {};
+  for (const pair of (value || '').split(',')) {
+    const [language, backend] = pair.split('=').map(part => part.trim());
+    if (language && backend) {
+      backends[language] = backend;
+    }
+  }
+  return backends;
+};
+
+class ExecutorRegistry {
+  constructor({ backend = 'piston', languageBackends = {}, options = {} } = {}) {
+    for (const name of [backend, ...Object.values(languageBackends)]) {
+      if (!BACKENDS[name]) {
+        throw new Error(`Unknown execution backend "${name}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+      }
+    }
+
+    this.backend = backend;
+    this.languageBackends = languageBackends;
+    this.options = options; // backend name -> constructor options
+    this.executors = new Map(); // backend name -> executor instance
+  }
+
+  // Use a ready-made executor for a backend name (e.g. a scripted FakeExecutor in tests)
+  register(name, executor) {
+    this.executors.set(name, executor);
+    return this;
+  }
+
+  backendFor(language) {
+    return this.languageBackends[language] || this.backend;
+  }
+
+  forLanguage(language) {
+    const name = this.backendFor(language);
+
+    if (!this.executors.has(name)) {
+      this.executors.set(name, new BACKENDS[name](this.options[name]));
+    }
+    return this.executors.get(name);
+  }
+
+  // Runtime of every language from the backend that runs it (newest version, and all
+  // of them in `versions`); version null when unavailable, `reachable` false when the
+  // backend did not answer. languages.js caches this.
+  async runtimes(languages) {
+    const byBackend = new Map();
+
+    return Promise.all(languages.map(async (language) => {
+      const name = this.backendFor(language);
+
+      if (!byBackend.has(name)) {
+        byBackend.set(name, this.forLanguage(language).runtimes().catch(error => {
+          console.error(`Error fetching ${name} runtimes:`, error.message);
+          return null;
+        }));
+      }
+
+      const runtimes = await byBackend.get(name);
+      const versions = (runtimes || [])
+        .filter(r => r.language === language)
+        .map(r => r.version)
+        .sort((a, b) => compareVersions(b, a));
+      return { language, backend: name, version: versions[0] || null, versions, reachable: runtimes !== null };
+    }));
+  }
+}
+
+// Registry configured from the environment
+const createExecutorRegistry = (env = process.env) => {
+  return new ExecutorRegistry({
+    backend: env.EXECUTOR_BACKEND || 'piston',
+    languageBackends: parseLanguageBackends(env.EXECUTOR_LANGUAGE_BACKENDS)
+  });
+};
+
+module.exports = {
+  ExecutorRegistry,
+  createExecutorRegistry,
+  parseLanguageBackends,
+  compareVersions
+};
@@ -0,0 +1,74 @@
+// fake-executor.js - Deterministic executor for tests and offline development
+//
+// Nothing is run. By default stdout echoes stdin (or names the entry point when there
+// is no input); pass `respond(request)` to script results and `delay` to make runs
+// take a while (they can be cancelled meanwhile). Every request is recorded in `calls`.
+const { LANGUAGE_NAMES } = require('./languages');
+
+class FakeExecutor {
+  constructor({ respond = null, version = '0.0.0-fake', delay = 0 } = {}) {
+    this.name = 'fake';
+    this.supportsInteractive = false;
+    this.supportsCompilerFlags = true; // Recorded in `calls` for respond() and tests to check
+    this.supportsEnvironment = true;
+    this.respond = respond;
+    this.version = version;
+    this.delay = delay;
+    this.calls = [];
+  }
+
+  async execute(request, { onOutput = () => {}, signal } = {}) {
+    this.calls.push(request);
+
+    if (request.version && request.version !== this.version) {
+      const error = new Error(`${request.language} ${request.version} is not available`);
+      error.status = 400;
+      error.retryable = false;
+      throw error;
+    }
+
+    if (this.delay > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, this.delay);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            const error = new Error('Execution cancelled');
+            error.name = 'AbortError';
+            error.retryable = false;
+            reject(error);
+          }, { once: true });
+        }
+      });
+    }
+
+    const scripted = this.respond ? await this.respond(request) : null;
+    const run = {
+      stdout: request.stdin ? request.stdin : `Ran ${request.files[0].name}\n`,
+      stderr: '',
+      code: 0,
+      signal: null,
+      ...(scripted && scripted.run)
+    };
+    run.output = run.stdout + run.stderr;
+
+    for (const stream of ['stdout', 'stderr']) {
+      if (run[stream]) {
+        onOutput({ stage: 'run', stream, data: run[stream] });
+      }
+    }
+
+    return {
+      language: request.language,
+      version: this.version,
+      run: run,
+      ...(scripted && scripted.compile ? { compile: scripted.compile } : {})
+    };
+  }
+
+  async runtimes() {
+    return LANGUAGE_NAMES.map(language => ({ language, version: this.version }));
+  }
+}
+
+module.exports = FakeExecutor;
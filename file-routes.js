@@ -0,0 +1,371 @@
+// file-routes.js - File tree of multi-file sessions
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('./Session');
+const CodeState = require('./CodeState');
+const Revision = require('./Revision');
+const { authMiddleware, requireSessionAccess } = require('./auth-middleware');
+const { ensureFileTree } = require('./project-files');
+
+const router = express.Router();
+
+// ObjectId validation middleware
+const validateObjectId = (paramName) => {
+  return (req, res, next) => {
+    const id = req.params[paramName];
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: `Invalid ${paramName} format`
+      });
+    }
+    next();
+  };
+};
+
+// Middleware for routes that change the tree: editors only, open sessions only.
+// Replaces req.session with the session including its file tree.
+const requireTreeEdit = async (req, res, next) => {
+  try {
+    if (!Session.roleHasPermission(req.session.getParticipantRole(req.userId), 'edit')) {
+      return res.status(403).json({
+        error: 'Your role does not allow editing this session',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (req.session.status === 'ended' || req.session.status === 'archived') {
+      return res.status(400).json({
+        error: 'Cannot change the files of an ended session'
+      });
+    }
+
+    req.session = await ensureFileTree(req.session);
+    next();
+
+  } catch (error) {
+    console.error('File tree access error:', error);
+    res.status(500).json({
+      error: 'Failed to load session files'
+    });
+  }
+};
+
+// Helper to save a tree change; concurrent changes surface as a VersionError
+const saveTree = async (session, res) => {
+  try {
+    await session.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      res.status(409).json({
+        error: 'The file tree was changed by someone else, please retry'
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// @route   GET /api/sessions/:sessionId/files
+// @desc    Get the session's file tree and entry point
+// @access  Private
+router.get('/:sessionId/files', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await ensureFileTree(req.session);
+
+    res.json({
+      success: true,
+      ...session.getFileTree()
+    });
+
+  } catch (error) {
+    console.error('Get file tree error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch files'
+    });
+  }
+});
+
+// @route   GET /api/sessions/:sessionId/files/:fileId
+// @desc    Get a file's current content (including unsaved edits)
+// @access  Private
+router.get('/:sessionId/files/:fileId', authMiddleware, validateObjectId('sessionId'), validateObjectId('fileId'), requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await ensureFileTree(req.session);
+    const file = session.files.id(req.params.fileId);
+
+    if (!file || file.type !== 'file') {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    const live = await req.app.locals.readDocument(session, file._id);
+
+    res.json({
+      success: true,
+      file: {
+        id: file._id,
+        path: file.path,
+        content: live.content,
+        revision: live.version,
+        isEntryPoint: file._id.equals(session.entryPoint)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch file'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:sessionId/files
+// @desc    Create a file or folder ({ path, type, content })
+// @access  Private (editors and creator)
+router.post('/:sessionId/files', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), requireTreeEdit, async (req, res) => {
+  try {
+    const session = req.session;
+    const { path, type = 'file', content = '' } = req.body;
+
+    if (typeof path !== 'string' || typeof content !== 'string') {
+      return res.status(400).json({
+        error: 'File path is required'
+      });
+    }
+
+    let file;
+    try {
+      file = session.addFile(path, type, req.userId);
+    } catch (treeError) {
+      return res.status(400).json({
+        error: treeError.message
+      });
+    }
+
+    if (!await saveTree(session, res)) {
+      return;
+    }
+
+    if (file.type === 'file') {
+      const codeState = await CodeState.getOrCreateForSession(
+        session._id,
+        session.language,
+        content,
+        session.settings.documentMode,
+        file._id
+      );
+
+      await Revision.record({
+        sessionId: session._id,
+        fileId: file._id,
+        content: codeState.content,
+        author: req.userId,
+        changeType: 'created',
+        documentRevision: codeState.version
+      });
+    }
+
+    const tree = session.getFileTree();
+    req.app.locals.notifyFileTreeChange(session._id, tree, {
+      action: 'created',
+      fileId: file._id.toString(),
+      path: file.path,
+      type: file.type
+    }, req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: `${file.type === 'folder' ? 'Folder' : 'File'} created successfully`,
+      file: { id: file._id, path: file.path, type: file.type },
+      ...tree
+    });
+
+    console.log(`📄 ${file.path} created in session ${session.sessionCode}`);
+
+  } catch (error) {
+    console.error('Create file error:', error);
+    res.status(500).json({
+      error: 'Failed to create file'
+    });
+  }
+});
+
+// @route   PUT /api/sessions/:sessionId/files/:fileId
+// @desc    Rename or move a file or folder ({ path } or { name })
+// @access  Private (editors and creator)
+router.put('/:sessionId/files/:fileId', authMiddleware, validateObjectId('sessionId'), validateObjectId('fileId'), requireSessionAccess(), requireTreeEdit, async (req, res) => {
+  try {
+    const session = req.session;
+    const { path, name } = req.body;
+
+    const file = session.files.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    if (typeof path !== 'string' && typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'New path or name is required'
+      });
+    }
+
+    if (typeof name === 'string' && name.includes('/')) {
+      return res.status(400).json({
+        error: 'File names cannot contain "/"'
+      });
+    }
+
+    // A name renames in place; a path may also move the entry to another folder
+    const oldPath = file.path;
+    const newPath = typeof path === 'string'
+      ? path
+      : oldPath.split('/').slice(0, -1).concat(name).join('/');
+
+    try {
+      session.moveFile(file._id, newPath);
+    } catch (treeError) {
+      return res.status(400).json({
+        error: treeError.message
+      });
+    }
+
+    if (!await saveTree(session, res)) {
+      return;
+    }
+
+    const tree = session.getFileTree();
+    req.app.locals.notifyFileTreeChange(session._id, tree, {
+      action: 'moved',
+      fileId: file._id.toString(),
+      from: oldPath,
+      path: file.path,
+      type: file.type
+    }, req.userId);
+
+    res.json({
+      success: true,
+      message: `${oldPath} moved to ${file.path}`,
+      file: { id: file._id, path: file.path, type: file.type },
+      ...tree
+    });
+
+  } catch (error) {
+    console.error('Move file error:', error);
+    res.status(500).json({
+      error: 'Failed to move file'
+    });
+  }
+});
+
+// @route   DELETE /api/sessions/:sessionId/files/:fileId
+// @desc    Delete a file, or a folder with everything in it
+// @access  Private (editors and creator)
+router.delete('/:sessionId/files/:fileId', authMiddleware, validateObjectId('sessionId'), validateObjectId('fileId'), requireSessionAccess(), requireTreeEdit, async (req, res) => {
+  try {
+    const session = req.session;
+
+    const file = session.files.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    let removed;
+    try {
+      removed = session.removeFile(file._id);
+    } catch (treeError) {
+      return res.status(400).json({
+        error: treeError.message
+      });
+    }
+
+    if (!await saveTree(session, res)) {
+      return;
+    }
+
+    // Stop live editing before the documents go away (revisions are kept)
+    const removedIds = removed.map(entry => entry._id);
+    await req.app.locals.removeDocuments(session._id, removedIds);
+    await CodeState.deleteMany({ sessionId: session._id, fileId: { $in: removedIds } });
+
+    const tree = session.getFileTree();
+    req.app.locals.notifyFileTreeChange(session._id, tree, {
+      action: 'deleted',
+      fileId: file._id.toString(),
+      path: file.path,
+      type: file.type,
+      removed: removedIds.map(id => id.toString())
+    }, req.userId);
+
+    res.json({
+      success: true,
+      message: `${file.path} deleted`,
+      removed: removedIds,
+      ...tree
+    });
+
+    console.log(`🗑️ ${file.path} deleted from session ${session.sessionCode}`);
+
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({
+      error: 'Failed to delete file'
+    });
+  }
+});
+
+// @route   PUT /api/sessions/:sessionId/entry-point
+// @desc    Choose the file that is executed ({ fileId })
+// @access  Private (editors and creator)
+router.put('/:sessionId/entry-point', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), requireTreeEdit, async (req, res) => {
+  try {
+    const session = req.session;
+    const { fileId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+      return res.status(400).json({
+        error: 'Invalid fileId format'
+      });
+    }
+
+    let file;
+    try {
+      file = session.setEntryPoint(fileId);
+    } catch (treeError) {
+      return res.status(400).json({
+        error: treeError.message
+      });
+    }
+
+    if (!await saveTree(session, res)) {
+      return;
+    }
+
+    const tree = session.getFileTree();
+    req.app.locals.notifyFileTreeChange(session._id, tree, {
+      action: 'entry-point',
+      fileId: file._id.toString(),
+      path: file.path,
+      type: file.type
+    }, req.userId);
+
+    res.json({
+      success: true,
+      message: `${file.path} is now the entry point`,
+      ...tree
+    });
+
+  } catch (error) {
+    console.error('Set entry point error:', error);
+    res.status(500).json({
+      error: 'Failed to set entry point'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+// languages.js - The languages CodeCollab supports, in one place
+//
+// Models, routes and executors validate against LANGUAGES, so adding a language is
+// one entry here (plus its toolchain in local-executor.js for the local runner).
+// `compilerFlags` lists the flags sessions may set in their execution profile
+// (see execution-profiles.js); languages without it take none.
+// LanguageRegistry adds what the executors report live: installed versions and
+// capabilities, cached for a while and kept when a backend stops answering.
+const LANGUAGES = {
+  javascript: {
+    displayName: 'JavaScript',
+    pistonName: 'javascript',
+    extension: 'js',
+    comment: '//',
+    template: 'console.log("Hello, World!");'
+  },
+  python: {
+    displayName: 'Python',
+    pistonName: 'python',
+    extension: 'py',
+    comment: '#',
+    template: 'print("Hello, World!")'
+  },
+  cpp: {
+    displayName: 'C++',
+    pistonName: 'c++',
+    extension: 'cpp',
+    comment: '//',
+    compilerFlags: [
+      /^-O[0-3sg]?$/,
+      /^-W(no-)?[a-z][a-z0-9-]*$/,
+      /^-pedantic(-errors)?$/,
+      /^-std=(c|gnu)\+\+(98|03|11|14|17|20|23)$/,
+      /^-g[0-3]?$/,
+      /^-D[A-Za-z_]\w*(=[\w.]*)?$/
+    ],
+    template: '#include <iostream>\nusing namespace std;\n\nint main() {\n    cout << "Hello, World!" << endl;\n    return 0;\n}'
+  },
+  c: {
+    displayName: 'C',
+    pistonName: 'c',
+    extension: 'c',
+    comment: '//',
+    compilerFlags: [
+      /^-O[0-3sg]?$/,
+      /^-W(no-)?[a-z][a-z0-9-]*$/,
+      /^-pedantic(-errors)?$/,
+      /^-std=(c|gnu)(89|99|11|17|2x|23)$/,
+      /^-g[0-3]?$/,
+      /^-D[A-Za-z_]\w*(=[\w.]*)?$/
+    ],
+    template: '#include <stdio.h>\n\nint main() {\n    printf("Hello, World!\\n");\n    return 0;\n}'
+  },
+  java: {
+    displayName: 'Java',
+    pistonName: 'java',
+    extension: 'java',
+    defaultFileName: 'Main.java', // Piston expects the Main class in Main.java
+    comment: '//',
+    compilerFlags: [
+      /^-Xlint(:[a-z,-]+)?$/,
+      /^-g(:none)?$/,
+      /^-(Werror|nowarn|deprecation)$/
+    ],
+    template: 'public class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n    }\n}'
+  },
+  go: {
+    displayName: 'Go',
+    pistonName: 'go',
+    extension: 'go',
+    comment: '//',
+    template: 'package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello, World!")\n}'
+  },
+  rust: {
+    displayName: 'Rust',
+    pistonName: 'rust',
+    extension: 'rs',
+    comment: '//',
+    compilerFlags: [
+      /^-O$/,
+      /^-Copt-level=[0-3sz]$/,
+      /^--edition=(2015|2018|2021)$/,
+      /^-g$/,
+      /^-[DWA]warnings$/
+    ],
+    template: 'fn main() {\n    println!("Hello, World!");\n}'
+  }
+};
+
+const LANGUAGE_NAMES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGE = 'javascript';
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000; // How long live runtime information is reused
+const RETRY_MS = 30 * 1000; // How soon to ask again after a backend failed to answer
+
+const isSupportedLanguage = (language) => {
+  return typeof language === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+};
+
+// Get file extension for language
+const getFileExtension = (language) => {
+  return isSupportedLanguage(language) ? LANGUAGES[language].extension : 'txt';
+};
+
+// Name of the first file in a new project
+const getDefaultFileName = (language) => {
+  return (isSupportedLanguage(language) && LANGUAGES[language].defaultFileName) ||
+    `main.${getFileExtension(language)}`;
+};
+
+// Hello World program for a language
+const getCodeTemplate = (language) => {
+  return isSupportedLanguage(language) ? LANGUAGES[language].template : '';
+};
+
+// Code a new session starts with: a welcome comment and the Hello World program
+const getSessionTemplate = (language) => {
+  const { displayName, comment, template } = LANGUAGES[isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE];
+  return `${comment} Welcome to CodeCollab - ${displayName} Session\n${comment} Start coding together in real-time!\n\n${template}`;
+};
+
+class LanguageRegistry {
+  constructor({ executors, ttl = DEFAULT_TTL_MS } = {}) {
+    this.executors = executors; // ExecutorRegistry
+    this.ttl = ttl;
+    this.runtimes = new Map(); // language -> { backend, versions, fetchedAt } last answered
+    this.expiresAt = 0;
+    this.refreshing = null;
+  }
+
+  // Ask the executors again; languages whose backend fails keep their last answer
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.executors.runtimes(LANGUAGE_NAMES)
+        .then(runtimes => {
+          let failed = false;
+          for (const runtime of runtimes) {
+            if (runtime.reachable) {
+              this.runtimes.set(runtime.language, { backend: runtime.backend, versions: runtime.versions, fetchedAt: new Date() });
+            } else {
+              failed = true;
+            }
+          }
+          this.expiresAt = Date.now() + (failed ? Math.min(RETRY_MS, this.ttl) : this.ttl);
+        })
+        .catch(error => {
+          console.error('Error refreshing language runtimes:', error.message);
+          this.expiresAt = Date.now() + Math.min(RETRY_MS, this.ttl);
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // Every supported language with its live runtime information. `stale` marks
+  // languages whose backend did not answer the last refresh.
+  async list() {
+    if (Date.now() >= this.expiresAt) {
+      await this.refresh();
+    }
+
+    return LANGUAGE_NAMES.map(name => {
+      const language = LANGUAGES[name];
+      const backend = this.executors.backendFor(name);
+      const executor = this.executors.forLanguage(name);
+      const runtime = this.runtimes.get(name);
+      const known = runtime && runtime.backend === backend;
+      const versions = known ? runtime.versions : [];
+
+      return {
+        name: name,
+        displayName: language.displayName,
+        pistonName: language.pistonName,
+        extension: language.extension,
+        defaultFileName: getDefaultFileName(name),
+        template: getCodeTemplate(name),
+        backend: backend,
+        version: versions[0] || null,
+        versions: versions, // Any of these can be pinned as a session's runtimeVersion
+        available: versions.length > 0,
+        interactive: Boolean(executor.supportsInteractive),
+        // What execution profiles can change besides limits and arguments
+        compilerFlags: Boolean(executor.supportsCompilerFlags && language.compilerFlags),
+        environment: Boolean(executor.supportsEnvironment),
+        stale: !known || runtime.fetchedAt.getTime() + this.ttl < Date.now(),
+        checkedAt: known ? runtime.fetchedAt : null
+      };
+    });
+  }
+
+  // Installed versions of a language, newest first. Rejects when its backend has
+  // never answered, so callers can tell "unknown" from "not installed".
+  async versions(language) {
+    const entry = (await this.list()).find(candidate => candidate.name === language);
+    if (!entry || !entry.checkedAt) {
+      throw new Error(`Runtime versions of ${language} are unavailable`);
+    }
+    return entry.versions;
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  DEFAULT_LANGUAGE,
+  LanguageRegistry,
+  isSupportedLanguage,
+  getFileExtension,
+  getDefaultFileName,
+  getCodeTemplate,
+  getSessionTemplate
+};
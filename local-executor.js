@@ -0,0 +1,373 @@
+// local-executor.js - Executor that runs code in child processes on this machine
+//
+// Every run gets a fresh temp directory. Compile and run steps are started through
+// /bin/sh with ulimits (CPU time, memory, file size, no core dumps), are killed with
+// their whole process group on timeout, and their output is capped.
+//
+// ulimits are not a sandbox on their own: run the server as an unprivileged user
+// (ideally in a container) when this backend is enabled.
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const OUTPUT_LIMIT = 64 * 1024; // Bytes of stdout/stderr kept per step
+const RUN_FILE_SIZE_LIMIT = 10 * 1024 * 1024; // Largest file a program may write
+const COMPILE_FILE_SIZE_LIMIT = 256 * 1024 * 1024; // Compilers write binaries and caches
+const VERSION_TIMEOUT = 5000;
+
+// Commands per language. {entry} is the entry point file, {sources} every file with
+// a matching extension, {main} the entry point's name without extension (for Java
+// the class it declares, which execute-routes.js names after the file), {memoryMb}
+// the step's memory limit and {flags} the session's compiler flags (`defaultFlags`
+// when it sets none). Runtimes that reserve large address spaces (V8, JVM, Go
+// toolchain) skip the memory ulimit and get a heap flag instead where they have one.
+// `interactive` prefixes the run command when stdin is live, so C stdio does not hold
+// prompts back in its buffer.
+const TOOLCHAINS = {
+  javascript: {
+    run: ['node', '--max-old-space-size={memoryMb}', '{entry}'],
+    version: ['node', '--version'],
+    limitMemory: false
+  },
+  python: {
+    run: ['python3', '-u', '{entry}'],
+    version: ['python3', '--version']
+  },
+  c: {
+    extensions: ['.c'],
+    compile: ['gcc', '{flags}', '-o', 'main', '{sources}', '-lm'],
+    defaultFlags: ['-O2'],
+    run: ['./main'],
+    interactive: ['stdbuf', '-o0', '-e0'],
+    version: ['gcc', '-dumpfullversion']
+  },
+  cpp: {
+    extensions: ['.cpp', '.cc', '.cxx'],
+    compile: ['g++', '{flags}', '-o', 'main', '{sources}'],
+    defaultFlags: ['-O2'],
+    run: ['./main'],
+    interactive: ['stdbuf', '-o0', '-e0'],
+    version: ['g++', '-dumpfullversion']
+  },
+  java: {
+    extensions: ['.java'],
+    compile: ['javac', '{flags}', '-d', '.', '{sources}'],
+    run: ['java', '-Xmx{memoryMb}m', '-cp', '.', '{main}'],
+    version: ['javac', '-version'],
+    limitMemory: false
+  },
+  go: {
+    extensions: ['.go'],
+    compile: ['go', 'build', '-o', 'main', '{sources}'],
+    run: ['./main'],
+    version: ['go', 'version'],
+    limitMemory: false
+  },
+  rust: {
+    compile: ['rustc', '{flags}', '-o', 'main', '{entry}'],
+    defaultFlags: ['-O'],
+    run: ['./main'],
+    version: ['rustc', '--version']
+  }
+};
+
+// Helper to build an error the routes can report without retrying
+const executorError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = false;
+  return error;
+};
+
+const abortError = () => {
+  const error = executorError('Execution cancelled', 499);
+  error.name = 'AbortError';
+  return error;
+};
+
+// Collects a stream up to OUTPUT_LIMIT bytes, passing kept chunks to onData
+const captureStream = (stream, onData) => {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+
+  stream.on('data', (chunk) => {
+    const remaining = OUTPUT_LIMIT - size;
+    if (chunk.length > remaining) {
+      truncated = true;
+    }
+    if (remaining > 0) {
+      const kept = chunk.subarray(0, remaining);
+      chunks.push(kept);
+      size += kept.length;
+      onData(kept.toString('utf8'));
+    }
+  });
+
+  return () => Buffer.concat(chunks).toString('utf8') + (truncated ? '\n[output truncated]' : '');
+};
+
+class LocalExecutor {
+  constructor({ tempRoot = os.tmpdir(), toolchains = TOOLCHAINS } = {}) {
+    this.name = 'local';
+    this.supportsInteractive = true;
+    this.supportsCompilerFlags = true;
+    this.supportsEnvironment = true;
+    this.tempRoot = tempRoot;
+    this.toolchains = toolchains;
+    this.runtimeCache = null;
+  }
+
+  // Run one command with limits; resolves with Piston-style stage output.
+  // `stdin` is a string, or a readable stream piped in while the command runs.
+  runStep(command, { cwd, stdin = '', timeout, cpuTimeout = timeout, memoryLimit, limitMemory = true, fileSizeLimit = RUN_FILE_SIZE_LIMIT, env, onData = () => {}, signal }) {
+    const limits = [
+      'ulimit -c 0',
+      `ulimit -t ${Math.ceil(cpuTimeout / 1000) + 1}`,
+      `ulimit -f ${Math.ceil(fileSizeLimit / 512)}`
+    ];
+    if (memoryLimit && limitMemory) {
+      limits.push(`ulimit -v ${Math.ceil(memoryLimit / 1024)}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const child = spawn('/bin/sh', ['-c', `${limits.join(' && ')} && exec "$@"`, 'sh', ...command], {
+        cwd: cwd,
+        env: env,
+        detached: true, // Own process group, so timeouts kill grandchildren too
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      const readStdout = captureStream(child.stdout, data => onData('stdout', data));
+      const readStderr = captureStream(child.stderr, data => onData('stderr', data));
+      let timedOut = false;
+
+      const killGroup = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already exited
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup();
+      }, timeout);
+
+      if (signal) {
+        signal.addEventListener('abort', killGroup, { once: true });
+      }
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code, exitSignal) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', killGroup);
+        }
+        if (typeof stdin !== 'string') {
+          stdin.unpipe(child.stdin);
+        }
+
+        const stdout = readStdout();
+        let stderr = readStderr();
+        if (timedOut) {
+          stderr += `${stderr ? '\n' : ''}Time limit exceeded (${timeout}ms)`;
+        }
+
+        resolve({
+          stdout: stdout,
+          stderr: stderr,
+          output: stdout + stderr,
+          code: timedOut ? null : code,
+          signal: timedOut ? 'SIGKILL' : exitSignal,
+          wall_time: Date.now() - startedAt
+        });
+      });
+
+      // Programs that never read stdin close the pipe early
+      child.stdin.on('error', () => {});
+      if (typeof stdin === 'string') {
+        child.stdin.end(stdin);
+      } else {
+        stdin.pipe(child.stdin);
+      }
+    });
+  }
+
+  // Write the project into a fresh directory; paths may not escape it
+  async writeFiles(directory, files) {
+    for (const file of files) {
+      const target = path.resolve(directory, file.name);
+      if (!target.startsWith(directory + path.sep)) {
+        throw executorError(`Invalid file name: ${file.name}`, 400);
+      }
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.content || '');
+    }
+  }
+
+  // Replace {entry}, {sources}, {main}, {memoryMb} and {flags} in a toolchain command
+  expandCommand(command, toolchain, files, memoryLimit, compilerFlags) {
+    const entry = files[0].name;
+    const sources = files
+      .map(file => file.name)
+      .filter(name => (toolchain.extensions || []).includes(path.extname(name)));
+
+    return command.flatMap(part => {
+      if (part === '{sources}') {
+        return sources.length > 0 ? sources : [entry];
+      }
+      if (part === '{flags}') {
+        return compilerFlags || toolchain.defaultFlags || [];
+      }
+      return [part
+        .replace('{entry}', entry)
+        .replace('{main}', path.basename(entry, path.extname(entry)))
+        .replace('{memoryMb}', Math.floor((memoryLimit || 256000000) / 1000000))];
+    });
+  }
+
+  async execute(request, { onOutput = () => {}, signal, stdin } = {}) {
+    const toolchain = this.toolchains[request.language];
+    if (!toolchain) {
+      throw executorError(`Language ${request.language} is not supported by the local runner`, 400);
+    }
+
+    if (!request.files || request.files.length === 0) {
+      throw executorError('No files to execute', 400);
+    }
+
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+
+    // Only the installed toolchain can run, so a pinned version has to match it
+    if (request.version && request.version !== await this.getVersion(request.language)) {
+      throw executorError(`${request.language} ${request.version} is not installed on this server`, 400);
+    }
+
+    const directory = await fs.mkdtemp(path.join(this.tempRoot, 'codecollab-'));
+
+    // Minimal environment. Go's build cache is content-addressed, so runs share it
+    // instead of rebuilding the standard library every time.
+    const env = {
+      PATH: process.env.PATH,
+      HOME: directory,
+      TMPDIR: directory,
+      LANG: 'C.UTF-8',
+      GOCACHE: path.join(this.tempRoot, 'codecollab-go-cache'),
+      GOPATH: path.join(directory, '.go'),
+      GO111MODULE: 'off',
+      RUSTUP_HOME: process.env.RUSTUP_HOME || path.join(os.homedir(), '.rustup'),
+      CARGO_HOME: process.env.CARGO_HOME || path.join(os.homedir(), '.cargo')
+    };
+
+    try {
+      await this.writeFiles(directory, request.files);
+
+      const result = { language: request.language, version: await this.getVersion(request.language) };
+
+      if (toolchain.compile) {
+        result.compile = await this.runStep(this.expandCommand(toolchain.compile, toolchain, request.files, request.compileMemoryLimit, request.compilerFlags), {
+          cwd: directory,
+          timeout: request.compileTimeout || 10000,
+          memoryLimit: request.compileMemoryLimit,
+          limitMemory: toolchain.limitMemory,
+          fileSizeLimit: COMPILE_FILE_SIZE_LIMIT,
+          env: env,
+          onData: (stream, data) => onOutput({ stage: 'compile', stream, data }),
+          signal: signal
+        });
+
+        if (signal && signal.aborted) {
+          throw abortError();
+        }
+
+        this.assertToolchainFound(result.compile, request.language);
+
+        if (result.compile.code !== 0) {
+          result.run = { stdout: '', stderr: '', output: '', code: null, signal: null };
+          return result;
+        }
+      }
+
+      const runCommand = [...this.expandCommand(toolchain.run, toolchain, request.files, request.runMemoryLimit), ...(request.args || [])];
+      result.run = await this.runStep(stdin && toolchain.interactive ? [...toolchain.interactive, ...runCommand] : runCommand, {
+        cwd: directory,
+        stdin: stdin || request.stdin || '',
+        timeout: request.runTimeout || 5000,
+        cpuTimeout: request.cpuTimeout || request.runTimeout || 5000,
+        memoryLimit: request.runMemoryLimit,
+        limitMemory: toolchain.limitMemory,
+        env: { ...request.env, ...env }, // The program's variables never replace ours
+        onData: (stream, data) => onOutput({ stage: 'run', stream, data }),
+        signal: signal
+      });
+
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
+
+      if (!toolchain.compile) {
+        this.assertToolchainFound(result.run, request.language);
+      }
+
+      return result;
+
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true }).catch(error => {
+        console.error(`Error removing ${directory}:`, error);
+      });
+    }
+  }
+
+  // sh exits with 127 when the command itself is missing
+  assertToolchainFound(stage, language) {
+    if (stage.code === 127 && /not found/.test(stage.stderr)) {
+      throw executorError(`The ${language} toolchain is not installed on this server`, 503);
+    }
+  }
+
+  async getVersion(language) {
+    const runtime = (await this.runtimes()).find(r => r.language === language);
+    return runtime ? runtime.version : 'unknown';
+  }
+
+  // Installed toolchains (checked once per process)
+  async runtimes() {
+    if (!this.runtimeCache) {
+      this.runtimeCache = Promise.all(Object.entries(this.toolchains).map(async ([language, toolchain]) => {
+        try {
+          const stage = await this.runStep(toolchain.version, {
+            cwd: this.tempRoot,
+            timeout: VERSION_TIMEOUT,
+            limitMemory: false,
+            env: {
+              PATH: process.env.PATH,
+              HOME: os.homedir(),
+              RUSTUP_HOME: process.env.RUSTUP_HOME || path.join(os.homedir(), '.rustup')
+            }
+          });
+          const match = stage.output.match(/\d+(\.\d+)+/);
+          return stage.code === 0 ? { language, version: match ? match[0] : 'unknown' } : null;
+        } catch (error) {
+          return null;
+        }
+      })).then(runtimes => runtimes.filter(Boolean));
+    }
+
+    return this.runtimeCache;
+  }
+}
+
+LocalExecutor.TOOLCHAINS = TOOLCHAINS;
+
+module.exports = LocalExecutor;
@@ -0,0 +1,105 @@
+// mailer.js - Account emails (address verification, password reset)
+//
+// Mail transport interface (see ConsoleMailTransport, FileMailTransport):
+//   name               label used in logs
+//   send(message)      hand a message { from, to, subject, text } to the transport;
+//                      resolves once it is delivered or queued
+//
+// MAIL_TRANSPORT picks the transport: "console" (default) prints messages, "file"
+// writes one .eml file per message to MAIL_DIR for local development. Production
+// setups plug in a transport for their mail service with the same interface.
+// MAIL_FROM is the sender; links point at APP_URL (default CLIENT_URL).
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+class FileMailTransport {
+  constructor({ directory = path.join(os.tmpdir(), 'codecollab-mail') } = {}) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const file = path.join(this.directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    const headers = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8'
+    ];
+    await fs.writeFile(file, `${headers.join('\r\n')}\r\n\r\n${message.text}\r\n`);
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+  }
+}
+
+class Mailer {
+  constructor({ transport = new ConsoleMailTransport(), from = 'CodeCollab <no-reply@codecollab.local>', appUrl = 'http://localhost:3000' } = {}) {
+    this.transport = transport;
+    this.from = from;
+    this.appUrl = appUrl.replace(/\/+$/, '');
+  }
+
+  send(message) {
+    return this.transport.send({ from: this.from, ...message });
+  }
+
+  // Link to confirm an email address
+  sendEmailVerification(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: 'Verify your CodeCollab email address',
+      text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link within 24 hours:\n\n${link}\n\nIf you did not create a CodeCollab account, you can ignore this email.`
+    });
+  }
+
+  // Link to choose a new password
+  sendPasswordReset(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: 'Reset your CodeCollab password',
+      text: `Hi ${user.username},\n\nSomeone asked to reset the password of your CodeCollab account. To choose a new password, open this link within an hour:\n\n${link}\n\nIf this was not you, you can ignore this email; your password stays the same.`
+    });
+  }
+}
+
+// Mailer configured from the environment
+const createMailer = (env = process.env) => {
+  const transports = {
+    console: () => new ConsoleMailTransport(),
+    file: () => new FileMailTransport({ directory: env.MAIL_DIR || undefined })
+  };
+
+  const name = env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(transports).join(' or ')})`);
+  }
+
+  return new Mailer({
+    transport: transports[name](),
+    from: env.MAIL_FROM || undefined,
+    appUrl: env.APP_URL || env.CLIENT_URL || undefined
+  });
+};
+
+module.exports = {
+  Mailer,
+  ConsoleMailTransport,
+  FileMailTransport,
+  createMailer
+};
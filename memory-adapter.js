@@ -0,0 +1,121 @@
+// memory-adapter.js - In-process collaboration adapter (tests and single-node use)
+//
+// Adapter interface used by collaboration.js:
+//   connect() / close()
+//   subscribe(listener)                 listener(key, message) for every published message
+//   publish(sessionId, message)         deliver a message to every instance
+//   append(logKey, entry)               add an entry to an ordered log (one per document) and
+//                                       deliver { kind: 'log', seq, entry } keyed by logKey; resolves to seq
+//   readLog(logKey, afterSeq)           log entries with seq > afterSeq, oldest first
+//   addMember / removeMember / getMembers / removeInstanceMembers   shared presence
+//   appendChat / getChat                shared chat history (last 100 messages)
+
+const LOG_RETENTION = 1000; // Log entries kept per document (one log per session file)
+const CHAT_RETENTION = 100; // Chat messages kept per session
+
+class MemoryAdapter {
+  constructor() {
+    this.listeners = [];
+    this.logs = new Map(); // logKey -> { seq, entries: [{ seq, entry }] }
+    this.members = new Map(); // sessionId -> Map of socketId -> member
+    this.chats = new Map(); // sessionId -> array of chat messages
+  }
+
+  async connect() {}
+
+  async close() {
+    this.listeners = [];
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Deliver asynchronously but in order, like a real broker would
+  deliver(key, message) {
+    for (const listener of this.listeners) {
+      queueMicrotask(() => listener(key, message));
+    }
+  }
+
+  async publish(sessionId, message) {
+    this.deliver(sessionId, message);
+  }
+
+  async append(logKey, entry) {
+    if (!this.logs.has(logKey)) {
+      this.logs.set(logKey, { seq: 0, entries: [] });
+    }
+
+    const log = this.logs.get(logKey);
+    log.seq += 1;
+    log.entries.push({ seq: log.seq, entry: entry });
+
+    if (log.entries.length > LOG_RETENTION) {
+      log.entries.splice(0, log.entries.length - LOG_RETENTION);
+    }
+
+    this.deliver(logKey, { kind: 'log', seq: log.seq, entry: entry });
+    return log.seq;
+  }
+
+  async readLog(logKey, afterSeq) {
+    const log = this.logs.get(logKey);
+    return log ? log.entries.filter(e => e.seq > afterSeq) : [];
+  }
+
+  async addMember(sessionId, member) {
+    if (!this.members.has(sessionId)) {
+      this.members.set(sessionId, new Map());
+    }
+    this.members.get(sessionId).set(member.socketId, { ...member });
+  }
+
+  async removeMember(sessionId, socketId) {
+    const sessionMembers = this.members.get(sessionId);
+    if (sessionMembers) {
+      sessionMembers.delete(socketId);
+      if (sessionMembers.size === 0) {
+        this.members.delete(sessionId);
+      }
+    }
+  }
+
+  async getMembers(sessionId) {
+    const sessionMembers = this.members.get(sessionId);
+    return sessionMembers ? Array.from(sessionMembers.values(), member => ({ ...member })) : [];
+  }
+
+  async removeInstanceMembers(instanceId) {
+    for (const [sessionId, sessionMembers] of this.members) {
+      for (const [socketId, member] of sessionMembers) {
+        if (member.instanceId === instanceId) {
+          sessionMembers.delete(socketId);
+        }
+      }
+      if (sessionMembers.size === 0) {
+        this.members.delete(sessionId);
+      }
+    }
+  }
+
+  async appendChat(sessionId, message) {
+    if (!this.chats.has(sessionId)) {
+      this.chats.set(sessionId, []);
+    }
+
+    const chatHistory = this.chats.get(sessionId);
+    chatHistory.push(message);
+
+    // Keep only last 100 messages
+    if (chatHistory.length > CHAT_RETENTION) {
+      chatHistory.splice(0, chatHistory.length - CHAT_RETENTION);
+    }
+  }
+
+  async getChat(sessionId) {
+    return this.chats.get(sessionId) || [];
+  }
+}
+
+module.exports = MemoryAdapter;
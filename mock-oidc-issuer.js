@@ -0,0 +1,169 @@
+// mock-oidc-issuer.js - Minimal OpenID Connect issuer for tests and local development
+//
+// Supports what oidc.js uses: discovery, a signing key set, the authorization code
+// flow with PKCE (S256), client_secret_basic/post, and userinfo. Nobody is asked to
+// sign in: /authorize approves at once as `user`, or as the entry of `users` named
+// by the login_hint parameter. Claims are given in OIDC form:
+//   { sub, email, email_verified, name, preferred_username }
+//
+// Standalone: `node mock-oidc-issuer.js` listens on MOCK_OIDC_PORT (default 5556)
+// and prints the OIDC_* settings to point the server at it.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+
+class MockOidcIssuer {
+  constructor({
+    clientId = 'codecollab',
+    clientSecret = 'codecollab-secret',
+    user = { sub: 'mock-user-1', email: 'dev@example.com', email_verified: true, name: 'Dev User', preferred_username: 'dev' },
+    users = {}
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.user = user;
+    this.users = users;
+    this.issuer = null; // set by listen()
+    this.server = null;
+    this.codes = new Map(); // code -> { claims, redirectUri, nonce, codeChallenge, expiresAt }
+    this.accessTokens = new Map(); // token -> claims
+    this.keyId = crypto.randomBytes(8).toString('hex');
+    this.keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        userinfo_endpoint: `${this.issuer}/userinfo`,
+        jwks_uri: `${this.issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256']
+      });
+    });
+
+    app.get('/jwks', (req, res) => {
+      const jwk = this.keys.publicKey.export({ format: 'jwk' });
+      res.json({ keys: [{ ...jwk, kid: this.keyId, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+      const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, state, nonce } = req.query;
+      const { code_challenge: codeChallenge, code_challenge_method: challengeMethod, login_hint: loginHint } = req.query;
+
+      if (clientId !== this.clientId || responseType !== 'code' || !redirectUri) {
+        return res.status(400).json({ error: 'invalid_request' });
+      }
+      if (!codeChallenge || challengeMethod !== 'S256') {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+      }
+
+      const claims = loginHint ? this.users[loginHint] : this.user;
+      const target = new URL(redirectUri);
+      if (!claims) {
+        target.searchParams.set('error', 'access_denied');
+      } else {
+        const code = crypto.randomBytes(16).toString('hex');
+        this.codes.set(code, { claims, redirectUri, nonce, codeChallenge, expiresAt: Date.now() + CODE_TTL_MS });
+        target.searchParams.set('code', code);
+      }
+      if (state) {
+        target.searchParams.set('state', state);
+      }
+      res.redirect(target.toString());
+    });
+
+    app.post('/token', (req, res) => {
+      let clientId = req.body.client_id;
+      let clientSecret = req.body.client_secret;
+      const authorization = req.get('Authorization') || '';
+      if (authorization.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+      }
+      if (clientId !== this.clientId || clientSecret !== this.clientSecret) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+
+      const grant = this.codes.get(req.body.code);
+      this.codes.delete(req.body.code);
+      if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+        || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+
+      const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      this.accessTokens.set(accessToken, grant.claims);
+
+      res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: 3600,
+        id_token: this.signIdToken(grant.claims, grant.nonce)
+      });
+    });
+
+    app.get('/userinfo', (req, res) => {
+      const claims = this.accessTokens.get((req.get('Authorization') || '').replace(/^Bearer /, ''));
+      if (!claims) {
+        return res.status(401).json({ error: 'invalid_token' });
+      }
+      res.json(claims);
+    });
+
+    return app;
+  }
+
+  // ID token for a set of claims
+  signIdToken(claims, nonce) {
+    return jwt.sign({ ...claims, nonce }, this.keys.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.keyId,
+      issuer: this.issuer,
+      audience: this.clientId,
+      expiresIn: 300
+    });
+  }
+
+  // Start listening; resolves with the issuer URL (port 0 picks a free port)
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        this.issuer = `http://${host}:${this.server.address().port}`;
+        resolve(this.issuer);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+if (require.main === module) {
+  const issuer = new MockOidcIssuer();
+  issuer.listen(parseInt(process.env.MOCK_OIDC_PORT) || 5556).then(url => {
+    console.log(`🔑 Mock OIDC issuer running at ${url}`);
+    console.log(`   OIDC_ISSUER=${url} OIDC_CLIENT_ID=${issuer.clientId} OIDC_CLIENT_SECRET=${issuer.clientSecret}`);
+  });
+}
+
+module.exports = MockOidcIssuer;
@@ -0,0 +1,175 @@
+// mongo-adapter.js - MongoDB collaboration adapter for multi-instance deployments
+//
+// Same interface as MemoryAdapter. Log entries, presence and chat live in
+// MongoDB collections; messages reach other instances through change streams,
+// so MongoDB must run as a replica set.
+const mongoose = require('mongoose');
+
+const MEMBER_TTL_MS = 90 * 1000; // Members of a crashed instance disappear after this
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const logEntrySchema = new mongoose.Schema({
+  logKey: { type: String, required: true }, // One log per document
+  seq: { type: Number, required: true },
+  entry: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+logEntrySchema.index({ logKey: 1, seq: 1 }, { unique: true });
+logEntrySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const counterSchema = new mongoose.Schema({
+  _id: String, // logKey
+  seq: { type: Number, default: 0 }
+});
+
+const memberSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true },
+  socketId: { type: String, required: true },
+  instanceId: { type: String, required: true },
+  member: { type: mongoose.Schema.Types.Mixed, required: true },
+  expiresAt: { type: Date, required: true }
+});
+memberSchema.index({ sessionId: 1, socketId: 1 }, { unique: true });
+memberSchema.index({ instanceId: 1 });
+memberSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const chatSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true },
+  message: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+chatSchema.index({ sessionId: 1, createdAt: -1 });
+chatSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Short-lived messages fanned out to every instance
+const eventSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true },
+  message: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+eventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 });
+
+const CollabLogEntry = mongoose.model('CollabLogEntry', logEntrySchema);
+const CollabCounter = mongoose.model('CollabCounter', counterSchema);
+const CollabMember = mongoose.model('CollabMember', memberSchema);
+const CollabChat = mongoose.model('CollabChat', chatSchema);
+const CollabEvent = mongoose.model('CollabEvent', eventSchema);
+
+class MongoAdapter {
+  constructor({ instanceId } = {}) {
+    this.instanceId = instanceId;
+    this.listeners = [];
+    this.streams = [];
+    this.heartbeat = null;
+  }
+
+  // Start change streams and the presence heartbeat (call once connected)
+  async connect() {
+    const insertsOnly = [{ $match: { operationType: 'insert' } }];
+
+    const logStream = CollabLogEntry.watch(insertsOnly);
+    logStream.on('change', ({ fullDocument }) => {
+      this.deliver(fullDocument.logKey, { kind: 'log', seq: fullDocument.seq, entry: fullDocument.entry });
+    });
+
+    const eventStream = CollabEvent.watch(insertsOnly);
+    eventStream.on('change', ({ fullDocument }) => {
+      this.deliver(fullDocument.sessionId, fullDocument.message);
+    });
+
+    for (const stream of [logStream, eventStream]) {
+      stream.on('error', (error) => {
+        console.error('❌ Collaboration change stream error:', error);
+      });
+    }
+    this.streams = [logStream, eventStream];
+
+    this.heartbeat = setInterval(() => {
+      CollabMember.updateMany(
+        { instanceId: this.instanceId },
+        { $set: { expiresAt: new Date(Date.now() + MEMBER_TTL_MS) } }
+      ).catch(error => console.error('Presence heartbeat error:', error));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  async close() {
+    clearInterval(this.heartbeat);
+    await Promise.all(this.streams.map(stream => stream.close()));
+    this.streams = [];
+    this.listeners = [];
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  deliver(key, message) {
+    for (const listener of this.listeners) {
+      listener(key, message);
+    }
+  }
+
+  async publish(sessionId, message) {
+    await CollabEvent.create({ sessionId: sessionId, message: message });
+  }
+
+  async append(logKey, entry) {
+    const counter = await CollabCounter.findOneAndUpdate(
+      { _id: logKey },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    await CollabLogEntry.create({ logKey: logKey, seq: counter.seq, entry: entry });
+    return counter.seq;
+  }
+
+  async readLog(logKey, afterSeq) {
+    const entries = await CollabLogEntry.find({ logKey: logKey, seq: { $gt: afterSeq } })
+      .sort({ seq: 1 })
+      .lean();
+    return entries.map(e => ({ seq: e.seq, entry: e.entry }));
+  }
+
+  async addMember(sessionId, member) {
+    await CollabMember.updateOne(
+      { sessionId: sessionId, socketId: member.socketId },
+      {
+        $set: {
+          instanceId: member.instanceId,
+          member: member,
+          expiresAt: new Date(Date.now() + MEMBER_TTL_MS)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async removeMember(sessionId, socketId) {
+    await CollabMember.deleteOne({ sessionId: sessionId, socketId: socketId });
+  }
+
+  async getMembers(sessionId) {
+    const members = await CollabMember.find({ sessionId: sessionId, expiresAt: { $gt: new Date() } }).lean();
+    return members.map(m => m.member);
+  }
+
+  async removeInstanceMembers(instanceId) {
+    await CollabMember.deleteMany({ instanceId: instanceId });
+  }
+
+  async appendChat(sessionId, message) {
+    await CollabChat.create({ sessionId: sessionId, message: message });
+  }
+
+  async getChat(sessionId) {
+    const messages = await CollabChat.find({ sessionId: sessionId })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    return messages.reverse().map(m => m.message);
+  }
+}
+
+module.exports = MongoAdapter;
@@ -0,0 +1,233 @@
+// oidc.js - Single sign-on with OpenID Connect providers (authorization code + PKCE)
+//
+// One provider:  OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, and optionally
+//                OIDC_NAME (default "oidc", used in URLs and stored identities),
+//                OIDC_LABEL (button text) and OIDC_SCOPES (default "openid email profile")
+// Several:       OIDC_PROVIDERS="corp,partner" with the same settings per provider,
+//                prefixed by its name: OIDC_CORP_ISSUER, OIDC_CORP_CLIENT_ID, ...
+//
+// The provider sends the browser back to OIDC_REDIRECT_URI (default
+// APP_URL/auth/oidc/callback), a page of the web app that posts `code` and `state`
+// to POST /api/auth/oidc/callback. The issuer may be plain http on localhost, so the
+// flow can run against mock-oidc-issuer.js in tests.
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Helper to build the errors the callback route reports (401 unless given)
+const oidcError = (message, code, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// PKCE pair: the verifier stays on the server, the challenge goes to the provider
+const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+class OidcProvider {
+  constructor({ name, label = name, issuer, clientId, clientSecret, redirectUri, scopes = 'openid email profile' }) {
+    if (!issuer || !clientId || !clientSecret) {
+      throw new Error(`OIDC provider "${name}" needs an issuer, client ID and client secret`);
+    }
+
+    this.name = name;
+    this.label = label;
+    this.issuer = issuer;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.discovery = null; // provider metadata, fetched once
+    this.keys = new Map(); // key id -> public KeyObject
+  }
+
+  // Provider metadata from its discovery document
+  async metadata() {
+    if (!this.discovery) {
+      const url = `${this.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+      const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+
+      if (response.data.issuer !== this.issuer) {
+        throw new Error(`OIDC provider "${this.name}" reports issuer ${response.data.issuer}, expected ${this.issuer}`);
+      }
+      this.discovery = response.data;
+    }
+    return this.discovery;
+  }
+
+  // URL to send the browser to
+  async authorizationUrl({ state, nonce, codeChallenge }) {
+    const { authorization_endpoint: endpoint } = await this.metadata();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state: state,
+      nonce: nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${params}`;
+  }
+
+  // Trade an authorization code for the provider's tokens
+  async exchangeCode(code, codeVerifier) {
+    const metadata = await this.metadata();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // client_secret_basic is the default; use client_secret_post where it is the only option
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', this.clientId);
+      body.set('client_secret', this.clientSecret);
+    }
+
+    try {
+      const response = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: REQUEST_TIMEOUT_MS });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status < 500) {
+        const reason = error.response.data && error.response.data.error;
+        throw oidcError(`The identity provider rejected the sign-in${reason ? ` (${reason})` : ''}`, 'OIDC_CODE_REJECTED');
+      }
+      throw error;
+    }
+  }
+
+  // Public key that signed an ID token; the key set is fetched again for unknown ids
+  async signingKey(keyId) {
+    if (!this.keys.has(keyId)) {
+      const { jwks_uri: jwksUri } = await this.metadata();
+      const response = await axios.get(jwksUri, { timeout: REQUEST_TIMEOUT_MS });
+
+      this.keys = new Map();
+      for (const jwk of response.data.keys || []) {
+        if (jwk.use && jwk.use !== 'sig') {
+          continue;
+        }
+        this.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+
+    // Tokens without a key id are accepted when the provider has a single key
+    const key = this.keys.get(keyId) || (keyId === undefined && this.keys.size === 1 ? [...this.keys.values()][0] : null);
+    if (!key) {
+      throw oidcError('ID token signed with an unknown key', 'OIDC_INVALID_ID_TOKEN');
+    }
+    return key;
+  }
+
+  // Check an ID token's signature, issuer, audience, expiry and nonce; resolves its claims
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken || '', { complete: true });
+    if (!decoded) {
+      throw oidcError('The identity provider sent no valid ID token', 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    const key = await this.signingKey(decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: this.issuer,
+        audience: this.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (jwtError) {
+      throw oidcError(`Invalid ID token: ${jwtError.message}`, 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    if (claims.nonce !== nonce) {
+      throw oidcError('ID token nonce does not match the sign-in request', 'OIDC_INVALID_ID_TOKEN');
+    }
+    return claims;
+  }
+
+  // Claims from the userinfo endpoint, for providers that keep email out of ID tokens
+  async userInfo(accessToken) {
+    const { userinfo_endpoint: endpoint } = await this.metadata();
+    if (!endpoint || !accessToken) {
+      return {};
+    }
+
+    const response = await axios.get(endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return response.data;
+  }
+
+  // Finish a sign-in: resolves the person's identity at this provider
+  async authenticate({ code, codeVerifier, nonce }) {
+    const tokens = await this.exchangeCode(code, codeVerifier);
+    let claims = await this.verifyIdToken(tokens.id_token, nonce);
+
+    if (!claims.email) {
+      const info = await this.userInfo(tokens.access_token);
+      if (info.sub === claims.sub) {
+        claims = { ...info, ...claims };
+      }
+    }
+
+    return {
+      provider: this.name,
+      subject: String(claims.sub),
+      email: typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null,
+      preferredUsername: claims.preferred_username || null
+    };
+  }
+}
+
+// Providers configured in the environment, by name
+const createOidcProviders = (env = process.env) => {
+  const redirectUri = env.OIDC_REDIRECT_URI
+    || `${(env.APP_URL || env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '')}/auth/oidc/callback`;
+
+  const settings = (prefix, name) => ({
+    name: name,
+    label: env[`${prefix}LABEL`] || undefined,
+    issuer: env[`${prefix}ISSUER`],
+    clientId: env[`${prefix}CLIENT_ID`],
+    clientSecret: env[`${prefix}CLIENT_SECRET`],
+    scopes: env[`${prefix}SCOPES`] || undefined,
+    redirectUri: redirectUri
+  });
+
+  const providers = new Map();
+  if (env.OIDC_PROVIDERS) {
+    for (const name of env.OIDC_PROVIDERS.split(',').map(part => part.trim()).filter(Boolean)) {
+      providers.set(name, new OidcProvider(settings(`OIDC_${name.toUpperCase()}_`, name)));
+    }
+  } else if (env.OIDC_ISSUER) {
+    const name = env.OIDC_NAME || 'oidc';
+    providers.set(name, new OidcProvider(settings('OIDC_', name)));
+  }
+  return providers;
+};
+
+module.exports = {
+  OidcProvider,
+  createOidcProviders,
+  createPkcePair
+};
@@ -0,0 +1,195 @@
+// ot-engine.js - Operational transform for positional text operations
+//
+// An operation is a list of components applied in order, each one against
+// the text produced by the previous component:
+//   { type: 'insert', index, content }
+//   { type: 'delete', index, length }
+// Clients may address a component by `index` (character offset) or by
+// `position: { line, column }` (both zero-based, as in CodeState).
+
+// Helper to build errors the socket layer can report with a code
+const createOperationError = (message, code = 'INVALID_OPERATION') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Convert a { line, column } position to a character offset
+const positionToIndex = (content, position) => {
+  const lines = content.split('\n');
+  const line = Math.min(Math.max(parseInt(position.line) || 0, 0), lines.length - 1);
+  const column = Math.min(Math.max(parseInt(position.column) || 0, 0), lines[line].length);
+
+  let index = 0;
+  for (let i = 0; i < line; i++) {
+    index += lines[i].length + 1; // +1 for the newline
+  }
+  return index + column;
+};
+
+// Convert a character offset to a { line, column } position
+const indexToPosition = (content, index) => {
+  const before = content.substring(0, index).split('\n');
+  return {
+    line: before.length - 1,
+    column: before[before.length - 1].length
+  };
+};
+
+// Turn a client operation into validated components against `content`
+const normalizeOperation = (operation, content) => {
+  if (!operation || typeof operation !== 'object') {
+    throw createOperationError('Operation must be an object');
+  }
+
+  const { type, position, length } = operation;
+  let index = operation.index;
+
+  if (index === undefined && position) {
+    index = positionToIndex(content, position);
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index > content.length) {
+    throw createOperationError('Operation index is out of range');
+  }
+
+  switch (type) {
+    case 'insert':
+      if (typeof operation.content !== 'string') {
+        throw createOperationError('Insert operations require string content');
+      }
+      return operation.content ? [{ type: 'insert', index, content: operation.content }] : [];
+
+    case 'delete':
+      if (!Number.isInteger(length) || length < 0 || index + length > content.length) {
+        throw createOperationError('Delete length is out of range');
+      }
+      return length ? [{ type: 'delete', index, length }] : [];
+
+    case 'replace': {
+      if (typeof operation.content !== 'string') {
+        throw createOperationError('Replace operations require string content');
+      }
+      const deleted = normalizeOperation({ type: 'delete', index, length }, content);
+      const inserted = operation.content ? [{ type: 'insert', index, content: operation.content }] : [];
+      return [...deleted, ...inserted];
+    }
+
+    default:
+      throw createOperationError(`Unsupported operation type: ${type}`);
+  }
+};
+
+// Normalize a list of client operations, each against the text left by the previous one
+const normalizeOperations = (operations, content) => {
+  const components = [];
+  let current = content;
+
+  for (const operation of operations) {
+    for (const component of normalizeOperation(operation, current)) {
+      current = applyComponent(current, component);
+      components.push(component);
+    }
+  }
+
+  return components;
+};
+
+// Apply a single component to a string
+const applyComponent = (content, component) => {
+  if (component.type === 'insert') {
+    return content.slice(0, component.index) + component.content + content.slice(component.index);
+  }
+  return content.slice(0, component.index) + content.slice(component.index + component.length);
+};
+
+// Apply a list of components to a string
+const applyOperations = (content, components) => {
+  return components.reduce(applyComponent, content);
+};
+
+// Transform `op` so it applies after `other` has been applied.
+// When both insert at the same index, `otherFirst` decides which text ends up first.
+// Returns a list because a delete can be split by a concurrent insert.
+const transformComponent = (op, other, otherFirst) => {
+  if (op.type === 'insert') {
+    if (other.type === 'insert') {
+      const shift = other.index < op.index || (other.index === op.index && otherFirst);
+      return [shift ? { ...op, index: op.index + other.content.length } : op];
+    }
+
+    // other is a delete
+    if (op.index <= other.index) return [op];
+    if (op.index >= other.index + other.length) {
+      return [{ ...op, index: op.index - other.length }];
+    }
+    return [{ ...op, index: other.index }];
+  }
+
+  // op is a delete
+  const opEnd = op.index + op.length;
+
+  if (other.type === 'insert') {
+    if (other.index <= op.index) {
+      return [{ ...op, index: op.index + other.content.length }];
+    }
+    if (other.index >= opEnd) return [op];
+
+    // The insert landed inside the deleted range: keep the inserted text
+    return [
+      { type: 'delete', index: op.index, length: other.index - op.index },
+      { type: 'delete', index: op.index + other.content.length, length: opEnd - other.index }
+    ];
+  }
+
+  // Both are deletes
+  const otherEnd = other.index + other.length;
+  if (otherEnd <= op.index) {
+    return [{ ...op, index: op.index - other.length }];
+  }
+  if (other.index >= opEnd) return [op];
+
+  const overlap = Math.min(opEnd, otherEnd) - Math.max(op.index, other.index);
+  const remaining = op.length - overlap;
+  return remaining > 0
+    ? [{ type: 'delete', index: Math.min(op.index, other.index), length: remaining }]
+    : [];
+};
+
+// Transform two concurrent component lists against each other.
+// Returns [opsPrime, othersPrime] where opsPrime applies after `others`
+// and othersPrime applies after `ops`. `others` wins insert ties.
+const transformOperations = (ops, others) => {
+  if (ops.length === 0 || others.length === 0) {
+    return [ops, others];
+  }
+
+  if (ops.length === 1 && others.length === 1) {
+    return [
+      transformComponent(ops[0], others[0], true),
+      transformComponent(others[0], ops[0], false)
+    ];
+  }
+
+  if (ops.length > 1) {
+    const [headPrime, othersAfterHead] = transformOperations([ops[0]], others);
+    const [restPrime, othersPrime] = transformOperations(ops.slice(1), othersAfterHead);
+    return [[...headPrime, ...restPrime], othersPrime];
+  }
+
+  const [opsAfterHead, headPrime] = transformOperations(ops, [others[0]]);
+  const [opsPrime, restPrime] = transformOperations(opsAfterHead, others.slice(1));
+  return [opsPrime, [...headPrime, ...restPrime]];
+};
+
+module.exports = {
+  createOperationError,
+  positionToIndex,
+  indexToPosition,
+  normalizeOperation,
+  normalizeOperations,
+  applyComponent,
+  applyOperations,
+  transformComponent,
+  transformOperations
+};
@@ -0,0 +1,140 @@
+// piston-executor.js - Executor backed by a Piston API (https://github.com/engineer-man/piston)
+//
+// Executor interface used by execution-jobs.js (see also local-executor.js, fake-executor.js):
+//   execute(request, { onOutput, signal })
+//                      run files and resolve to a Piston-shaped result:
+//                      { language, version, run: { stdout, stderr, output, code, signal, wall_time?, memory? },
+//                        compile? } (wall_time in ms, where the backend measures it)
+//                      request: { language, version (pinned runtime, or latest when missing),
+//                                 files: [{ name, content }] (entry point first), stdin, args,
+//                                 compileTimeout, runTimeout, compileMemoryLimit, runMemoryLimit,
+//                                 compilerFlags?, env? }
+//                      onOutput({ stage: 'compile' | 'run', stream: 'stdout' | 'stderr', data })
+//                      receives output as it is produced; `signal` (AbortSignal) cancels the run
+//   runtimes()         resolve to [{ language, version }] for the languages this backend can run,
+//                      one entry per installed version
+//   supportsInteractive
+//                      true when execute() also accepts `stdin` (a readable stream fed while the
+//                      program runs, used instead of request.stdin) and `request.cpuTimeout`
+//                      (CPU limit when runTimeout is stretched to wait for people typing)
+//   supportsCompilerFlags, supportsEnvironment
+//                      true when execute() honours request.compilerFlags (replacing the
+//                      toolchain's default flags) and request.env (extra variables for the
+//                      program); backends without them never receive those fields
+//
+// Errors may carry `status` (HTTP status to report) and `retryable: false` to skip retries.
+const axios = require('axios');
+const { LANGUAGES, LANGUAGE_NAMES } = require('./languages');
+
+// ⭐ PISTON API RATE LIMITER CLASS - spaces out calls to the API. Jobs reach it only
+// once the fair scheduler (execution-scheduler.js) admits them, so its FIFO order
+// cannot let one user starve the others.
+class PistonRateLimiter {
+  constructor(minInterval = 300) {
+    this.lastRequestTime = 0;
+    this.requestQueue = [];
+    this.minInterval = minInterval; // 300ms between requests (safer than 200ms)
+    this.processing = false;
+  }
+
+  async executeWithRateLimit(requestFunc) {
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({ requestFunc, resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  async processQueue() {
+    if (this.processing || this.requestQueue.length === 0) {
+      return;
+    }
+
+    this.processing = true;
+
+    while (this.requestQueue.length > 0) {
+      const { requestFunc, resolve, reject } = this.requestQueue.shift();
+
+      try {
+        // Ensure minimum interval between requests
+        const now = Date.now();
+        const timeSinceLastRequest = now - this.lastRequestTime;
+
+        if (timeSinceLastRequest < this.minInterval) {
+          const waitTime = this.minInterval - timeSinceLastRequest;
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+
+        // Execute the request
+        this.lastRequestTime = Date.now();
+        const result = await requestFunc();
+        resolve(result);
+
+      } catch (error) {
+        reject(error);
+      }
+    }
+
+    this.processing = false;
+  }
+}
+
+class PistonExecutor {
+  constructor({ url = process.env.PISTON_API_URL, minInterval } = {}) {
+    this.name = 'piston';
+    this.supportsInteractive = false; // Piston takes stdin up front
+    this.supportsCompilerFlags = false; // Piston compiles with its packages' fixed flags
+    this.supportsEnvironment = false;
+    this.url = url;
+    this.limiter = new PistonRateLimiter(minInterval);
+  }
+
+  // Piston answers once the run is over, so output is reported in one piece per stream
+  async execute(request, { onOutput = () => {}, signal } = {}) {
+    const response = await this.limiter.executeWithRateLimit(() =>
+      axios.post(`${this.url}/execute`, {
+        language: LANGUAGES[request.language] ? LANGUAGES[request.language].pistonName : request.language,
+        version: request.version || '*',
+        files: request.files,
+        stdin: request.stdin || '',
+        args: request.args || [],
+        compile_timeout: request.compileTimeout,
+        run_timeout: request.runTimeout,
+        compile_memory_limit: request.compileMemoryLimit,
+        run_memory_limit: request.runMemoryLimit
+      }, {
+        timeout: 20000, // Increased timeout
+        signal: signal,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      })
+    );
+
+    const result = response.data;
+    for (const stage of ['compile', 'run']) {
+      for (const stream of ['stdout', 'stderr']) {
+        if (result[stage] && result[stage][stream]) {
+          onOutput({ stage, stream, data: result[stage][stream] });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  async runtimes() {
+    const response = await this.limiter.executeWithRateLimit(() =>
+      axios.get(`${this.url}/runtimes`, {
+        timeout: 10000
+      })
+    );
+
+    return LANGUAGE_NAMES.flatMap(language =>
+      response.data
+        .filter(r => r.language === LANGUAGES[language].pistonName)
+        .map(runtime => ({ language, version: runtime.version }))
+    );
+  }
+}
+
+module.exports = PistonExecutor;
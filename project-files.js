@@ -0,0 +1,84 @@
+// project-files.js - Helpers for multi-file sessions
+const mongoose = require('mongoose');
+const Session = require('./Session');
+const CodeState = require('./CodeState');
+const Revision = require('./Revision');
+const { getDefaultFileName } = require('./languages');
+
+// Move the code history sessions kept before revisions existed (Session.codeHistory)
+// into the entry point's revisions, ahead of any saved since. Resolves to the session.
+const migrateCodeHistory = async (session) => {
+  if (!session.codeHistory || session.codeHistory.length === 0) {
+    return session;
+  }
+
+  // Oldest first, without runs that left the code as it was
+  const codeHistory = session.codeHistory.slice();
+  const entries = [];
+  for (const change of codeHistory.slice().reverse()) {
+    const content = change.code || '';
+    if (entries.length > 0 && entries[entries.length - 1].content === content) {
+      continue;
+    }
+    entries.push({
+      content: content,
+      author: change.changedBy,
+      changeType: change.changeType === 'created' ? 'created' : 'modified',
+      createdAt: change.timestamp
+    });
+  }
+
+  // Only one caller wins when several requests migrate the same session
+  const result = await Session.updateOne(
+    { _id: session._id, 'codeHistory.0': { $exists: true } },
+    { $unset: { codeHistory: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    return Session.findById(session._id);
+  }
+
+  try {
+    await Revision.prepend(session._id, session.entryPoint, entries);
+  } catch (error) {
+    // Keep the history where it was so the next request tries again
+    await Session.updateOne({ _id: session._id }, { $set: { codeHistory: codeHistory } });
+    throw error;
+  }
+
+  return Session.findById(session._id);
+};
+
+// Give sessions created before file trees existed a single entry point file,
+// adopting their code state and revision history. Resolves to the session to use.
+const ensureFileTree = async (session) => {
+  if (session.files && session.files.length > 0) {
+    return migrateCodeHistory(session);
+  }
+
+  const file = {
+    _id: new mongoose.Types.ObjectId(),
+    path: getDefaultFileName(session.language),
+    type: 'file',
+    createdBy: session.creator,
+    createdAt: new Date()
+  };
+
+  // Only one caller wins when several requests migrate the same session
+  const result = await Session.updateOne(
+    { _id: session._id, 'files.0': { $exists: false } },
+    { $set: { files: [file], entryPoint: file._id } }
+  );
+
+  if (result.modifiedCount === 1) {
+    await Promise.all([
+      CodeState.updateOne({ sessionId: session._id, fileId: null }, { $set: { fileId: file._id } }),
+      Revision.updateMany({ sessionId: session._id, fileId: null }, { $set: { fileId: file._id } })
+    ]);
+  }
+
+  return migrateCodeHistory(await Session.findById(session._id));
+};
+
+module.exports = {
+  ensureFileTree
+};
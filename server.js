@@ -8,9 +8,24 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const crypto = require('crypto');
+const { attachCollaboration } = require('./collaboration');
+const MemoryAdapter = require('./memory-adapter');
+const MongoAdapter = require('./mongo-adapter');
+const { createExecutorRegistry } = require('./executors');
+const { createExecutionQuotas } = require('./execution-quotas');
+const { LanguageRegistry } = require('./languages');
+const { ExecutionJobManager } = require('./execution-jobs');
+const { createMailer } = require('./mailer');
+const { createOidcProviders } = require('./oidc');
+const CodeState = require('./CodeState');
+const Revision = require('./Revision');
+
 // Import routes
 const authRoutes = require('./auth-routes');
 const sessionRoutes = require('./session-routes');
+const fileRoutes = require('./file-routes');
+const testCaseRoutes = require('./test-case-routes');
 const executeRoutes = require('./execute-routes');
 
 const app = express();
@@ -132,6 +147,8 @@ app.get('/api/test', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/sessions', fileRoutes);
+app.use('/api/sessions', testCaseRoutes);
 app.use('/api/execute', executeRoutes);
 
 // MongoDB connection
@@ -139,8 +156,13 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('✅ Connected to MongoDB');
+
+  // Code states and revisions used to be unique per session; now they are per file
+  await Promise.all([CodeState.syncIndexes(), Revision.syncIndexes()]);
+
+  return collabAdapter.connect();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -155,281 +177,70 @@ mongoose.connection.on('disconnected', () => {
   console.log('📡 MongoDB disconnected');
 });
 
-// ⭐ REAL-TIME COLLABORATION STATE MANAGEMENT
-const activeSessions = new Map(); // sessionId -> Map of socketId -> userData
-const userSockets = new Map(); // userId -> socketId
-const sessionCode = new Map(); // sessionId -> current code content
-const sessionCursors = new Map(); // sessionId -> Map of socketId -> cursor position
-const sessionChats = new Map(); // sessionId -> array of chat messages
-
-// ⭐ SOCKET.IO CONNECTION HANDLING - COMPLETE IMPLEMENTATION
-io.on('connection', (socket) => {
-  console.log('🔌 User connected:', socket.id);
-
-  // Handle user authentication
-  socket.on('authenticate', (userData) => {
-    try {
-      if (!userData || !userData.id || !userData.username) {
-        socket.emit('auth-error', { message: 'Invalid user data' });
-        return;
-      }
-      userSockets.set(userData.id, socket.id);
-      socket.userData = userData;
-      socket.emit('auth-success', { message: 'Authentication successful' });
-      console.log(`👤 User authenticated: ${userData.username} (${userData.id})`);
-    } catch (error) {
-      console.error('Authentication error:', error);
-      socket.emit('auth-error', { message: 'Authentication failed' });
-    }
-  });
-
-  // Join collaborative session
-  socket.on('join-session', async (data) => {
-    const { sessionId, user } = data;
-    
-    if (!sessionId || !user) {
-      socket.emit('error', { message: 'Invalid session data' });
-      return;
-    }
-
-    try {
-      // Join the Socket.io room
-      socket.join(sessionId);
-      socket.currentSession = sessionId;
-
-      // Initialize session maps if needed
-      if (!activeSessions.has(sessionId)) {
-        activeSessions.set(sessionId, new Map());
-        sessionCode.set(sessionId, '// Welcome to CodeCollab!\n// Start coding together!\n\nconsole.log("Hello, World!");');
-        sessionCursors.set(sessionId, new Map());
-        sessionChats.set(sessionId, []);
-      }
-
-      // Add user to session
-      const sessionUsers = activeSessions.get(sessionId);
-      sessionUsers.set(socket.id, {
-        ...user,
-        socketId: socket.id,
-        joinedAt: new Date(),
-        isTyping: false,
-        status: 'active',
-        cursor: { line: 1, column: 1 }
-      });
-
-      // Send current code to new user
-      const currentCode = sessionCode.get(sessionId);
-      socket.emit('code-sync', { code: currentCode });
-
-      // Send chat history to new user
-      const chatHistory = sessionChats.get(sessionId);
-      socket.emit('chat-history', { messages: chatHistory });
-
-      // Send current participants to new user
-      const participants = Array.from(sessionUsers.values());
-      socket.emit('session-participants', participants);
-
-      // Notify others about new user
-      socket.to(sessionId).emit('user-joined', {
-        user: user,
-        socketId: socket.id,
-        timestamp: new Date()
-      });
-
-      // Broadcast updated participant count
-      io.to(sessionId).emit('participant-count-update', participants.length);
-
-      console.log(`👥 User ${user.username} joined session ${sessionId}`);
-
-    } catch (error) {
-      console.error('Error joining session:', error);
-      socket.emit('error', { message: 'Failed to join session' });
-    }
-  });
-
-  // Handle real-time code changes
-  socket.on('code-change', (data) => {
-    const { sessionId, code, operation } = data;
-    
-    if (!sessionId || !socket.currentSession) {
-      return;
-    }
-
-    try {
-      // Update stored code
-      sessionCode.set(sessionId, code);
-
-      // Broadcast code change to all other users in session
-      socket.to(sessionId).emit('code-change', {
-        code: code,
-        operation: operation || 'edit',
-        from: socket.userData?.username || 'Anonymous',
-        fromUserId: socket.userData?.id,
-        socketId: socket.id,
-        timestamp: new Date()
-      });
-
-      console.log(`📝 Code updated in session ${sessionId} by ${socket.userData?.username}`);
-
-    } catch (error) {
-      console.error('Error handling code change:', error);
-    }
-  });
-
-  // Handle cursor position updates
-  socket.on('cursor-position', (data) => {
-    const { sessionId, position } = data;
-    
-    if (!sessionId || !socket.currentSession) {
-      return;
-    }
-
-    try {
-      // Update cursor position
-      if (sessionCursors.has(sessionId)) {
-        sessionCursors.get(sessionId).set(socket.id, {
-          userId: socket.userData?.id,
-          username: socket.userData?.username,
-          position: position,
-          lastUpdate: new Date()
-        });
-      }
-
-      // Broadcast cursor position to other users
-      socket.to(sessionId).emit('cursor-position', {
-        userId: socket.userData?.id,
-        username: socket.userData?.username,
-        position: position,
-        socketId: socket.id,
-        timestamp: new Date()
-      });
-
-    } catch (error) {
-      console.error('Error handling cursor position:', error);
-    }
-  });
-
-  // Handle chat messages
-  socket.on('chat-message', (data) => {
-    const { sessionId, message } = data;
-    
-    if (!sessionId || !message || !socket.currentSession) {
-      return;
-    }
-
-    try {
-      const chatMessage = {
-        id: Date.now() + Math.random(),
-        message: message.trim(),
-        userId: socket.userData?.id,
-        username: socket.userData?.username,
-        timestamp: new Date(),
-        socketId: socket.id
-      };
-
-      // Store message in session chat history
-      if (sessionChats.has(sessionId)) {
-        const chatHistory = sessionChats.get(sessionId);
-        chatHistory.push(chatMessage);
-        
-        // Keep only last 100 messages
-        if (chatHistory.length > 100) {
-          chatHistory.splice(0, chatHistory.length - 100);
-        }
-      }
-
-      // Broadcast message to all users in session (including sender)
-      io.to(sessionId).emit('chat-message', chatMessage);
-
-      console.log(`💬 Chat message in session ${sessionId} from ${socket.userData?.username}: ${message}`);
-
-    } catch (error) {
-      console.error('Error handling chat message:', error);
-    }
-  });
-
-  // Handle typing indicators
-  socket.on('typing-start', (data) => {
-    const { sessionId } = data;
-    if (sessionId && socket.currentSession) {
-      socket.to(sessionId).emit('user-typing', {
-        userId: socket.userData?.id,
-        username: socket.userData?.username,
-        isTyping: true
-      });
-    }
-  });
-
-  socket.on('typing-stop', (data) => {
-    const { sessionId } = data;
-    if (sessionId && socket.currentSession) {
-      socket.to(sessionId).emit('user-typing', {
-        userId: socket.userData?.id,
-        username: socket.userData?.username,
-        isTyping: false
-      });
-    }
-  });
-
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('🔌 User disconnected:', socket.id);
-    
-    if (socket.currentSession) {
-      const sessionId = socket.currentSession;
-      
-      // Remove user from session
-      if (activeSessions.has(sessionId)) {
-        activeSessions.get(sessionId).delete(socket.id);
-      }
-      
-      // Remove cursor
-      if (sessionCursors.has(sessionId)) {
-        sessionCursors.get(sessionId).delete(socket.id);
-      }
-
-      // Notify other users
-      socket.to(sessionId).emit('user-left', {
-        socketId: socket.id,
-        userId: socket.userData?.id,
-        username: socket.userData?.username,
-        timestamp: new Date()
-      });
+// ⭐ REAL-TIME COLLABORATION - room state is shared through the adapter so
+// several instances can run behind a load balancer (COLLAB_ADAPTER=mongo)
+const instanceId = crypto.randomUUID();
+const collabAdapter = process.env.COLLAB_ADAPTER === 'mongo'
+  ? new MongoAdapter({ instanceId })
+  : new MemoryAdapter();
+const collaboration = attachCollaboration(io, {
+  adapter: collabAdapter,
+  instanceId,
+  onExecutionInput: (jobId, input) => executionJobs.writeInput(jobId, input)
+});
 
-      // Update participant count
-      const remainingUsers = activeSessions.get(sessionId);
-      if (remainingUsers) {
-        io.to(sessionId).emit('participant-count-update', remainingUsers.size);
-      }
-    }
+// ⭐ CODE EXECUTION - backend per deployment (EXECUTOR_BACKEND=piston|local|fake)
+// and per language (EXECUTOR_LANGUAGE_BACKENDS="python=local,java=piston")
+app.locals.executors = createExecutorRegistry();
 
-    // Remove from global user tracking
-    if (socket.userData?.id) {
-      userSockets.delete(socket.userData.id);
-    }
-  });
+// Supported languages with live runtime versions, refreshed every LANGUAGE_CACHE_TTL_MS
+app.locals.languages = new LanguageRegistry({
+  executors: app.locals.executors,
+  ttl: parseInt(process.env.LANGUAGE_CACHE_TTL_MS) || undefined
+});
 
-  // Handle leave session
-  socket.on('leave-session', (data) => {
-    const { sessionId } = data;
-    
-    if (sessionId && socket.currentSession === sessionId) {
-      socket.leave(sessionId);
-      socket.currentSession = null;
-      
-      // Remove from session tracking
-      if (activeSessions.has(sessionId)) {
-        activeSessions.get(sessionId).delete(socket.id);
-      }
-      
-      // Notify others
-      socket.to(sessionId).emit('user-left', {
-        socketId: socket.id,
-        userId: socket.userData?.id,
-        username: socket.userData?.username
-      });
-    }
-  });
+// Per user/session quotas (EXECUTION_QUOTAS="user:hour=120,user:day=1000,session:day=2000")
+app.locals.executionQuotas = createExecutionQuotas();
+
+// Runs are background jobs that stream output to the session room; each instance
+// runs EXECUTION_CONCURRENCY of them at once and queues the rest fairly
+const executionJobs = new ExecutionJobManager({
+  executors: app.locals.executors,
+  notify: collaboration.notifyExecution,
+  instanceId: instanceId,
+  quotas: app.locals.executionQuotas,
+  concurrency: parseInt(process.env.EXECUTION_CONCURRENCY) || 2
 });
+app.locals.executionJobs = executionJobs;
+
+// ⭐ ACCOUNT EMAILS - verification and password reset links (MAIL_TRANSPORT=console|file).
+// REQUIRE_EMAIL_VERIFICATION=true keeps unverified users from creating sessions.
+app.locals.mailer = createMailer();
+app.locals.requireEmailVerification = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// ⭐ SINGLE SIGN-ON - OpenID Connect providers (OIDC_ISSUER, OIDC_CLIENT_ID, ...; see oidc.js)
+app.locals.oidcProviders = createOidcProviders();
+
+// Let REST routes reach connected sockets
+app.locals.notifyRoleChange = collaboration.notifyRoleChange;
+app.locals.notifyLoginsRevoked = collaboration.notifyLoginsRevoked;
+app.locals.notifySettingsChange = collaboration.notifySettingsChange;
+app.locals.notifyFileTreeChange = collaboration.notifyFileTreeChange;
+app.locals.removeDocuments = collaboration.removeDocuments;
+app.locals.restoreDocument = collaboration.restoreDocument;
+app.locals.readDocument = collaboration.readDocument;
+
+// Save pending edits before the process exits
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, saving pending edits...`);
+  await executionJobs.close();
+  await collaboration.close();
+  await collabAdapter.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 const PORT = process.env.PORT || 5000;
@@ -438,4 +249,7 @@ server.listen(PORT, () => {
   console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 CORS Origin: ${corsOrigin}`);
   console.log(`🛡️  Trust Proxy: ${app.get('trust proxy')}`);
+  if (app.locals.oidcProviders.size > 0) {
+    console.log(`🔑 Single sign-on: ${[...app.locals.oidcProviders.keys()].join(', ')}`);
+  }
 });
@@ -2,8 +2,13 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Session = require('./Session');
 const CodeState = require('./CodeState');
+const Revision = require('./Revision');
+const Checkpoint = require('./Checkpoint');
 const User = require('./User');
-const { authMiddleware } = require('./auth-middleware');
+const textDiff = require('./text-diff');
+const { authMiddleware, requireSessionAccess } = require('./auth-middleware');
+const { ensureFileTree } = require('./project-files');
+const { isSupportedLanguage, getDefaultFileName, getSessionTemplate } = require('./languages');
 
 const router = express.Router();
 
@@ -20,18 +25,31 @@ const validateObjectId = (paramName) => {
   };
 };
 
-// Helper function to generate language template
-const getLanguageTemplate = (language) => {
-  const templates = {
-    javascript: '// Welcome to CodeCollab - JavaScript Session\n// Start coding together in real-time!\n\nconsole.log("Hello, World!");',
-    python: '# Welcome to CodeCollab - Python Session\n# Start coding together in real-time!\n\nprint("Hello, World!")',
-    cpp: '// Welcome to CodeCollab - C++ Session\n// Start coding together in real-time!\n\n#include <iostream>\nusing namespace std;\n\nint main() {\n    cout << "Hello, World!" << endl;\n    return 0;\n}',
-    c: '// Welcome to CodeCollab - C Session\n// Start coding together in real-time!\n\n#include <stdio.h>\n\nint main() {\n    printf("Hello, World!\\n");\n    return 0;\n}',
-    java: '// Welcome to CodeCollab - Java Session\n// Start coding together in real-time!\n\npublic class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n    }\n}',
-    go: '// Welcome to CodeCollab - Go Session\n// Start coding together in real-time!\n\npackage main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello, World!")\n}',
-    rust: '// Welcome to CodeCollab - Rust Session\n// Start coding together in real-time!\n\nfn main() {\n    println!("Hello, World!");\n}'
-  };
-  return templates[language] || templates.javascript;
+// Helper to check a runtime version pin against the language's installed versions
+// (see languages.js). Resolves to null when valid, otherwise { status, error } to answer with.
+const checkRuntimeVersion = async (languages, language, runtimeVersion) => {
+  if (runtimeVersion === null) {
+    return null;
+  }
+  if (typeof runtimeVersion !== 'string' || !runtimeVersion.trim()) {
+    return { status: 400, error: 'runtimeVersion must be a version string or null' };
+  }
+
+  let versions;
+  try {
+    versions = await languages.versions(language);
+  } catch (error) {
+    console.error(`Error fetching ${language} versions:`, error.message);
+    return { status: 503, error: 'Unable to check available runtime versions, please try again' };
+  }
+
+  if (!versions.includes(runtimeVersion)) {
+    return {
+      status: 400,
+      error: `${language} ${runtimeVersion} is not available (available: ${versions.join(', ') || 'none'})`
+    };
+  }
+  return null;
 };
 
 // @route   POST /api/sessions/create
@@ -39,7 +57,14 @@ const getLanguageTemplate = (language) => {
 // @access  Private
 router.post('/create', authMiddleware, async (req, res) => {
   try {
-    const { name, description, language, settings } = req.body;
+    const { name, description, language, settings, runtimeVersion = null } = req.body;
+
+    if (req.app.locals.requireEmailVerification && !req.user.isEmailVerified) {
+      return res.status(403).json({
+        error: 'Please verify your email address before creating sessions',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
     // Validation
     if (!name || name.trim().length < 3) {
@@ -48,12 +73,25 @@ router.post('/create', authMiddleware, async (req, res) => {
       });
     }
 
-    if (!language || !['javascript', 'python', 'cpp', 'c', 'java', 'go', 'rust'].includes(language)) {
+    if (!isSupportedLanguage(language)) {
       return res.status(400).json({
         error: 'Invalid programming language selected'
       });
     }
 
+    if (settings?.documentMode !== undefined && !['ot', 'crdt'].includes(settings.documentMode)) {
+      return res.status(400).json({
+        error: 'Document mode must be "ot" or "crdt"'
+      });
+    }
+
+    const versionProblem = await checkRuntimeVersion(req.app.locals.languages, language, runtimeVersion);
+    if (versionProblem) {
+      return res.status(versionProblem.status).json({
+        error: versionProblem.error
+      });
+    }
+
     // Get user info
     const user = await User.findById(req.userId);
     if (!user) {
@@ -67,17 +105,23 @@ router.post('/create', authMiddleware, async (req, res) => {
       name: name.trim(),
       description: description ? description.trim() : '',
       language: language,
+      runtimeVersion: runtimeVersion,
       creator: req.userId,
-      code: getLanguageTemplate(language),
+      code: getSessionTemplate(language),
       settings: {
         maxParticipants: settings?.maxParticipants || 5,
         isPublic: settings?.isPublic || false,
         allowAnonymous: settings?.allowAnonymous || false,
         autoSave: settings?.autoSave !== false, // default true
-        executionEnabled: settings?.executionEnabled !== false // default true
+        executionEnabled: settings?.executionEnabled !== false, // default true
+        documentMode: settings?.documentMode || 'ot'
       }
     });
 
+    // Projects start with a single entry point file holding the template
+    const entryFile = session.addFile(getDefaultFileName(language), 'file', req.userId);
+    session.setEntryPoint(entryFile._id);
+
     await session.save();
 
     // Add creator as first participant
@@ -87,9 +131,21 @@ router.post('/create', authMiddleware, async (req, res) => {
     const codeState = await CodeState.getOrCreateForSession(
       session._id,
       language,
-      getLanguageTemplate(language)
+      getSessionTemplate(language),
+      session.settings.documentMode,
+      entryFile._id
     );
 
+    // First entry in the revision history
+    await Revision.record({
+      sessionId: session._id,
+      fileId: entryFile._id,
+      content: codeState.content,
+      author: req.userId,
+      changeType: 'created',
+      documentRevision: codeState.version
+    });
+
     // Update user's recent sessions
     await user.addRecentSession(session._id, 'creator');
     await user.incrementSessionCount();
@@ -173,8 +229,12 @@ router.post('/join', authMiddleware, async (req, res) => {
       });
     }
 
-    // Add user to session
-    await session.addParticipant(user, 'editor');
+    // Add user to session (returning participants keep the role they had)
+    const previousParticipant = session.activeParticipants.find(
+      p => p.user && p.user._id.toString() === req.userId.toString()
+    );
+    const role = previousParticipant ? previousParticipant.role : 'editor';
+    await session.addParticipant(user, role);
 
     // Update user's recent sessions
     await user.addRecentSession(session._id, 'participant');
@@ -184,7 +244,7 @@ router.post('/join', authMiddleware, async (req, res) => {
       success: true,
       message: 'Successfully joined session',
       session: session,
-      role: 'editor'
+      role: role
     });
 
     console.log(`👥 User ${user.username} joined session ${session.sessionCode}`);
@@ -225,8 +285,10 @@ router.get('/:sessionId', authMiddleware, validateObjectId('sessionId'), async (
       });
     }
 
-    // Get code state
-    const codeState = await CodeState.findOne({ sessionId: sessionId });
+    // Get the entry point's code state (other files load through the file routes)
+    const codeState = session.entryPoint
+      ? await CodeState.findOne({ sessionId: sessionId, fileId: session.entryPoint })
+      : await CodeState.findOne({ sessionId: sessionId });
 
     res.json({
       success: true,
@@ -363,12 +425,12 @@ router.get('/public/list', authMiddleware, async (req, res) => {
 });
 
 // @route   PUT /api/sessions/:sessionId
-// @desc    Update session settings (creator only)
+// @desc    Update session settings and runtime version pin (creator only)
 // @access  Private
 router.put('/:sessionId', authMiddleware, validateObjectId('sessionId'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { name, description, settings } = req.body;
+    const { name, description, settings, runtimeVersion } = req.body;
 
     const session = await Session.findById(sessionId);
     
@@ -399,27 +461,34 @@ router.put('/:sessionId', authMiddleware, validateObjectId('sessionId'), async (
       session.description = description.trim();
     }
 
-    if (settings !== undefined) {
-      if (settings.maxParticipants !== undefined) {
-        session.settings.maxParticipants = Math.min(Math.max(settings.maxParticipants, 2), 10);
-      }
-      if (settings.isPublic !== undefined) {
-        session.settings.isPublic = Boolean(settings.isPublic);
-      }
-      if (settings.allowAnonymous !== undefined) {
-        session.settings.allowAnonymous = Boolean(settings.allowAnonymous);
-      }
-      if (settings.autoSave !== undefined) {
-        session.settings.autoSave = Boolean(settings.autoSave);
+    if (runtimeVersion !== undefined) {
+      const versionProblem = await checkRuntimeVersion(req.app.locals.languages, session.language, runtimeVersion);
+      if (versionProblem) {
+        return res.status(versionProblem.status).json({
+          error: versionProblem.error
+        });
       }
-      if (settings.executionEnabled !== undefined) {
-        session.settings.executionEnabled = Boolean(settings.executionEnabled);
+      session.runtimeVersion = runtimeVersion;
+    }
+
+    if (settings !== undefined) {
+      try {
+        session.applySettings(settings);
+      } catch (settingsError) {
+        return res.status(400).json({
+          error: settingsError.message
+        });
       }
     }
 
     await session.save();
     await session.populate('creator', 'username profile');
 
+    // Push the new settings to everyone connected to the session
+    if (settings !== undefined && req.app.locals.notifySettingsChange) {
+      req.app.locals.notifySettingsChange(sessionId, session.settings, req.userId);
+    }
+
     res.json({
       success: true,
       message: 'Session updated successfully',
@@ -434,6 +503,62 @@ router.put('/:sessionId', authMiddleware, validateObjectId('sessionId'), async (
   }
 });
 
+// @route   PUT /api/sessions/:sessionId/participants/:userId/role
+// @desc    Promote or demote a participant (creator only)
+// @access  Private
+router.put('/:sessionId/participants/:userId/role', authMiddleware, validateObjectId('sessionId'), validateObjectId('userId'), async (req, res) => {
+  try {
+    const { sessionId, userId } = req.params;
+    const { role } = req.body;
+
+    const session = await Session.findById(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    // Check if user is the creator
+    if (session.creator.toString() !== req.userId) {
+      return res.status(403).json({
+        error: 'Only session creator can change participant roles'
+      });
+    }
+
+    // Invalid role changes throw before anything is saved
+    let saveRole;
+    try {
+      saveRole = session.setParticipantRole(userId, role);
+    } catch (roleError) {
+      return res.status(400).json({
+        error: roleError.message
+      });
+    }
+    await saveRole;
+
+    // Update live permissions and tell the room
+    if (req.app.locals.notifyRoleChange) {
+      req.app.locals.notifyRoleChange(sessionId, userId, role, req.userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Participant role updated successfully',
+      userId: userId,
+      role: role
+    });
+
+    console.log(`🎭 Role changed in session ${session.sessionCode}: ${userId} -> ${role}`);
+
+  } catch (error) {
+    console.error('Change participant role error:', error);
+    res.status(500).json({
+      error: 'Failed to change participant role'
+    });
+  }
+});
+
 // @route   POST /api/sessions/:sessionId/leave
 // @desc    Leave a session
 // @access  Private
@@ -492,8 +617,8 @@ router.delete('/:sessionId', authMiddleware, validateObjectId('sessionId'), asyn
     // End the session instead of deleting (preserve history)
     await session.endSession();
 
-    // Also delete the code state
-    await CodeState.deleteOne({ sessionId: sessionId });
+    // Also delete the code states of every file
+    await CodeState.deleteMany({ sessionId: sessionId });
 
     res.json({
       success: true,
@@ -536,10 +661,24 @@ router.get('/:sessionId/history', authMiddleware, validateObjectId('sessionId'),
       });
     }
 
+    // Full code history lives under /:sessionId/revisions (entry point file here)
+    const { entryPoint } = await ensureFileTree(session);
+    const { revisions } = await Revision.list(sessionId, entryPoint, { limit: 10 });
+
+    // Same shape as before revisions existed
+    const codeHistory = await Promise.all(revisions.map(async (revision) => ({
+      code: await Revision.getContent(sessionId, entryPoint, revision.number),
+      changedBy: revision.author ? revision.author._id || revision.author : null,
+      timestamp: revision.createdAt,
+      changeType: revision.changeType,
+      revisionNumber: revision.number
+    })));
+
     res.json({
       success: true,
       history: session.executionHistory.slice(0, 20), // Last 20 executions
-      codeHistory: session.codeHistory.slice(0, 10) // Last 10 code changes
+      codeHistory: codeHistory, // Last 10 code changes
+      revisions: revisions // The same changes as saved revisions
     });
 
   } catch (error) {
@@ -550,4 +689,482 @@ router.get('/:sessionId/history', authMiddleware, validateObjectId('sessionId'),
   }
 });
 
+// Helper to parse a revision number from params/query
+const parseRevisionNumber = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Middleware to resolve the file a revision route is about (?fileId=, default: entry point).
+// Sets req.session (with its file tree) and req.file.
+const resolveRevisionFile = async (req, res, next) => {
+  try {
+    req.session = await ensureFileTree(req.session);
+
+    const fileId = req.query.fileId || req.session.entryPoint;
+    const file = mongoose.Types.ObjectId.isValid(fileId) ? req.session.files.id(fileId) : null;
+
+    if (!file || file.type !== 'file') {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    req.file = file;
+    next();
+
+  } catch (error) {
+    console.error('Resolve revision file error:', error);
+    res.status(500).json({
+      error: 'Failed to load session files'
+    });
+  }
+};
+
+// @route   GET /api/sessions/:sessionId/revisions?fileId=
+// @desc    List saved revisions of a file (newest first, paginated)
+// @access  Private
+router.get('/:sessionId/revisions', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), resolveRevisionFile, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { revisions, total } = await Revision.list(req.session._id, req.file._id, { page, limit });
+
+    res.json({
+      success: true,
+      fileId: req.file._id,
+      revisions: revisions,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// @route   GET /api/sessions/:sessionId/revisions/diff?fileId=&from=&to=
+// @desc    Unified diff between two revisions of a file (defaults: latest and the one before it)
+// @access  Private
+router.get('/:sessionId/revisions/diff', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), resolveRevisionFile, async (req, res) => {
+  try {
+    const sessionId = req.session._id;
+    const fileId = req.file._id;
+
+    const latest = await Revision.findOne({ sessionId: sessionId, fileId: fileId }).sort({ number: -1 }).select('number');
+    if (!latest) {
+      return res.status(404).json({
+        error: 'This file has no saved revisions yet'
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseRevisionNumber(req.query.to) : latest.number;
+    const from = req.query.from !== undefined ? parseRevisionNumber(req.query.from) : Math.max((to || 1) - 1, 1);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Revision numbers must be positive integers'
+      });
+    }
+
+    const [fromContent, toContent] = await Promise.all([
+      Revision.getContent(sessionId, fileId, from),
+      Revision.getContent(sessionId, fileId, to)
+    ]);
+
+    if (fromContent === null || toContent === null) {
+      return res.status(404).json({
+        error: `Revision ${fromContent === null ? from : to} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      fileId: fileId,
+      from: from,
+      to: to,
+      stats: textDiff.countChanges(fromContent, toContent),
+      diff: textDiff.unifiedDiff(fromContent, toContent, {
+        fromLabel: `${req.file.path} (revision ${from})`,
+        toLabel: `${req.file.path} (revision ${to})`
+      })
+    });
+
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(500).json({
+      error: 'Failed to compute revision diff'
+    });
+  }
+});
+
+// @route   GET /api/sessions/:sessionId/revisions/:number?fileId=
+// @desc    View a file at a revision
+// @access  Private
+router.get('/:sessionId/revisions/:number', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), resolveRevisionFile, async (req, res) => {
+  try {
+    const number = parseRevisionNumber(req.params.number);
+    if (!number) {
+      return res.status(400).json({
+        error: 'Revision number must be a positive integer'
+      });
+    }
+
+    const found = await Revision.findWithContent(req.session._id, req.file._id, number);
+    if (!found) {
+      return res.status(404).json({
+        error: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision: {
+        ...found.revision.toObject(),
+        content: found.content
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revision'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:sessionId/revisions/:number/restore?fileId=
+// @desc    Restore a file's revision; connected users receive it as a new revision
+// @access  Private (editors and creator)
+router.post('/:sessionId/revisions/:number/restore', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), resolveRevisionFile, async (req, res) => {
+  try {
+    const session = req.session;
+    const number = parseRevisionNumber(req.params.number);
+
+    if (!number) {
+      return res.status(400).json({
+        error: 'Revision number must be a positive integer'
+      });
+    }
+
+    if (!Session.roleHasPermission(session.getParticipantRole(req.userId), 'edit')) {
+      return res.status(403).json({
+        error: 'Your role does not allow editing this session',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (session.status === 'ended' || session.status === 'archived') {
+      return res.status(400).json({
+        error: 'Cannot restore revisions of an ended session'
+      });
+    }
+
+    const content = await Revision.getContent(session._id, req.file._id, number);
+    if (content === null) {
+      return res.status(404).json({
+        error: 'Revision not found'
+      });
+    }
+
+    const result = await req.app.locals.restoreDocument(session, req.file._id, content, {
+      userId: req.userId,
+      username: req.user.username,
+      restoredFrom: number
+    });
+
+    res.json({
+      success: true,
+      message: result.unchanged
+        ? `${req.file.path} already matches this revision`
+        : `Revision ${number} of ${req.file.path} restored`,
+      fileId: req.file._id,
+      restoredFrom: number,
+      revisionNumber: result.revisionNumber,
+      documentRevision: result.documentRevision
+    });
+
+    console.log(`⏪ ${req.file.path} in session ${session.sessionCode} restored to revision ${number}`);
+
+  } catch (error) {
+    if (error.code === 'RESTORE_NOT_APPLIED') {
+      return res.status(503).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:sessionId/checkpoints
+// @desc    Create a named checkpoint of the current code
+// @access  Private (editors and creator)
+router.post('/:sessionId/checkpoints', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await ensureFileTree(req.session);
+    const { name, description } = req.body;
+
+    if (!Session.roleHasPermission(session.getParticipantRole(req.userId), 'edit')) {
+      return res.status(403).json({
+        error: 'Your role does not allow creating checkpoints in this session',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Checkpoint name is required'
+      });
+    }
+
+    const existing = await Checkpoint.findOne({ sessionId: session._id, name: name.trim() });
+    if (existing) {
+      return res.status(409).json({
+        error: 'A checkpoint with this name already exists'
+      });
+    }
+
+    // Pin the live code of every file (including unsaved edits) to a revision
+    const files = [];
+    let entryPoint = null;
+
+    for (const file of session.files.filter(entry => entry.type === 'file')) {
+      const live = await req.app.locals.readDocument(session, file._id);
+      const revision = await Revision.forContent({
+        sessionId: session._id,
+        fileId: file._id,
+        content: live.content,
+        author: req.userId,
+        documentRevision: live.version
+      });
+
+      files.push({ fileId: file._id, path: file.path, revisionNumber: revision.number });
+      if (file._id.equals(session.entryPoint)) {
+        entryPoint = { revisionNumber: revision.number, documentRevision: live.version };
+      }
+    }
+
+    const lastExecution = session.executionHistory[0];
+    const checkpoint = await Checkpoint.create({
+      sessionId: session._id,
+      name: name,
+      description: description,
+      revisionNumber: entryPoint.revisionNumber,
+      documentRevision: entryPoint.documentRevision,
+      files: files,
+      createdBy: req.userId,
+      execution: lastExecution
+        ? {
+          language: lastExecution.language,
+          input: lastExecution.input,
+          output: lastExecution.output,
+          error: lastExecution.error,
+          executionTime: lastExecution.executionTime,
+          memoryUsed: lastExecution.memoryUsed,
+          runtimeVersion: lastExecution.runtimeVersion,
+          kind: lastExecution.kind,
+          tests: lastExecution.tests,
+          executedBy: lastExecution.executedBy,
+          executedAt: lastExecution.executedAt
+        }
+        : null
+    });
+
+    await checkpoint.populate('createdBy', 'username profile');
+
+    res.status(201).json({
+      success: true,
+      message: 'Checkpoint created successfully',
+      checkpoint: checkpoint
+    });
+
+    console.log(`🏷️ Checkpoint "${checkpoint.name}" created in session ${session.sessionCode} (${files.length} files)`);
+
+  } catch (error) {
+    console.error('Create checkpoint error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: messages[0]
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A checkpoint with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create checkpoint'
+    });
+  }
+});
+
+// @route   GET /api/sessions/:sessionId/checkpoints
+// @desc    List checkpoints (newest first)
+// @access  Private
+router.get('/:sessionId/checkpoints', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), async (req, res) => {
+  try {
+    const checkpoints = await Checkpoint.find({ sessionId: req.params.sessionId })
+      .populate('createdBy', 'username profile')
+      .populate('execution.executedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      checkpoints: checkpoints,
+      total: checkpoints.length
+    });
+
+  } catch (error) {
+    console.error('List checkpoints error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch checkpoints'
+    });
+  }
+});
+
+// @route   DELETE /api/sessions/:sessionId/checkpoints/:checkpointId
+// @desc    Delete a checkpoint (its author or the session creator)
+// @access  Private
+router.delete('/:sessionId/checkpoints/:checkpointId', authMiddleware, validateObjectId('sessionId'), validateObjectId('checkpointId'), requireSessionAccess(), async (req, res) => {
+  try {
+    const session = req.session;
+
+    const checkpoint = await Checkpoint.findOne({
+      _id: req.params.checkpointId,
+      sessionId: session._id
+    });
+
+    if (!checkpoint) {
+      return res.status(404).json({
+        error: 'Checkpoint not found'
+      });
+    }
+
+    if (checkpoint.createdBy.toString() !== req.userId && session.creator.toString() !== req.userId) {
+      return res.status(403).json({
+        error: 'Only the checkpoint author or session creator can delete this checkpoint'
+      });
+    }
+
+    await checkpoint.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Checkpoint deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete checkpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to delete checkpoint'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:sessionId/checkpoints/:checkpointId/restore
+// @desc    Restore the code of a checkpoint; connected users receive it as a new revision
+// @access  Private (editors and creator)
+router.post('/:sessionId/checkpoints/:checkpointId/restore', authMiddleware, validateObjectId('sessionId'), validateObjectId('checkpointId'), requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await ensureFileTree(req.session);
+
+    if (!Session.roleHasPermission(session.getParticipantRole(req.userId), 'edit')) {
+      return res.status(403).json({
+        error: 'Your role does not allow editing this session',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (session.status === 'ended' || session.status === 'archived') {
+      return res.status(400).json({
+        error: 'Cannot restore checkpoints of an ended session'
+      });
+    }
+
+    const checkpoint = await Checkpoint.findOne({
+      _id: req.params.checkpointId,
+      sessionId: session._id
+    });
+
+    if (!checkpoint) {
+      return res.status(404).json({
+        error: 'Checkpoint not found'
+      });
+    }
+
+    // Checkpoints taken before file trees existed only cover the entry point
+    const checkpointFiles = checkpoint.files.length > 0
+      ? checkpoint.files
+      : [{ fileId: session.entryPoint, revisionNumber: checkpoint.revisionNumber }];
+
+    // Files deleted since the checkpoint are skipped
+    const restorable = checkpointFiles.filter(entry => session.files.id(entry.fileId));
+    const contents = await Promise.all(
+      restorable.map(entry => Revision.getContent(session._id, entry.fileId, entry.revisionNumber))
+    );
+
+    if (restorable.length === 0 || contents.includes(null)) {
+      return res.status(404).json({
+        error: 'The revisions for this checkpoint are no longer available'
+      });
+    }
+
+    const restored = [];
+    for (let i = 0; i < restorable.length; i++) {
+      const result = await req.app.locals.restoreDocument(session, restorable[i].fileId, contents[i], {
+        userId: req.userId,
+        username: req.user.username,
+        restoredFrom: restorable[i].revisionNumber
+      });
+
+      restored.push({
+        fileId: restorable[i].fileId,
+        unchanged: result.unchanged,
+        revisionNumber: result.revisionNumber,
+        documentRevision: result.documentRevision
+      });
+    }
+
+    res.json({
+      success: true,
+      message: restored.every(file => file.unchanged)
+        ? 'The project already matches this checkpoint'
+        : `Checkpoint "${checkpoint.name}" restored`,
+      checkpoint: checkpoint,
+      files: restored,
+      skipped: checkpointFiles.length - restorable.length
+    });
+
+    console.log(`⏪ Session ${session.sessionCode} restored to checkpoint "${checkpoint.name}"`);
+
+  } catch (error) {
+    if (error.code === 'RESTORE_NOT_APPLIED') {
+      return res.status(503).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Restore checkpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to restore checkpoint'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,162 @@
+// test-case-routes.js - Test cases saved with a session (run by POST /api/execute/test)
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('./Session');
+const { authMiddleware, requireSessionAccess } = require('./auth-middleware');
+
+const router = express.Router();
+
+// ObjectId validation middleware
+const validateObjectId = (paramName) => {
+  return (req, res, next) => {
+    const id = req.params[paramName];
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: `Invalid ${paramName} format`
+      });
+    }
+    next();
+  };
+};
+
+// Middleware for routes that change test cases: editors and creator only
+const requireTestCaseEdit = (req, res, next) => {
+  if (!Session.roleHasPermission(req.session.getParticipantRole(req.userId), 'edit')) {
+    return res.status(403).json({
+      error: 'Your role does not allow changing test cases in this session',
+      code: 'PERMISSION_DENIED'
+    });
+  }
+  next();
+};
+
+// Helper to save a test case change; concurrent changes surface as a VersionError
+const saveTestCases = async (session, res) => {
+  try {
+    await session.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      res.status(409).json({
+        error: 'The test cases were changed by someone else, please retry'
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// @route   GET /api/sessions/:sessionId/test-cases
+// @desc    Get the session's test cases
+// @access  Private
+router.get('/:sessionId/test-cases', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), async (req, res) => {
+  res.json({
+    success: true,
+    testCases: req.session.testCases
+  });
+});
+
+// @route   POST /api/sessions/:sessionId/test-cases
+// @desc    Add a test case ({ name, input, expectedOutput, whitespace, floatTolerance })
+// @access  Private (editors and creator)
+router.post('/:sessionId/test-cases', authMiddleware, validateObjectId('sessionId'), requireSessionAccess(), requireTestCaseEdit, async (req, res) => {
+  try {
+    const session = req.session;
+
+    let testCase;
+    try {
+      testCase = session.addTestCase(req.body, req.userId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: validationError.message
+      });
+    }
+
+    if (!await saveTestCases(session, res)) {
+      return;
+    }
+
+    res.status(201).json({
+      success: true,
+      testCase: testCase
+    });
+
+  } catch (error) {
+    console.error('Create test case error:', error);
+    res.status(500).json({
+      error: 'Failed to create test case'
+    });
+  }
+});
+
+// @route   PUT /api/sessions/:sessionId/test-cases/:caseId
+// @desc    Change a test case (fields left out keep their value)
+// @access  Private (editors and creator)
+router.put('/:sessionId/test-cases/:caseId', authMiddleware, validateObjectId('sessionId'), validateObjectId('caseId'), requireSessionAccess(), requireTestCaseEdit, async (req, res) => {
+  try {
+    const session = req.session;
+
+    if (!session.testCases.id(req.params.caseId)) {
+      return res.status(404).json({
+        error: 'Test case not found'
+      });
+    }
+
+    let testCase;
+    try {
+      testCase = session.updateTestCase(req.params.caseId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: validationError.message
+      });
+    }
+
+    if (!await saveTestCases(session, res)) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      testCase: testCase
+    });
+
+  } catch (error) {
+    console.error('Update test case error:', error);
+    res.status(500).json({
+      error: 'Failed to update test case'
+    });
+  }
+});
+
+// @route   DELETE /api/sessions/:sessionId/test-cases/:caseId
+// @desc    Delete a test case
+// @access  Private (editors and creator)
+router.delete('/:sessionId/test-cases/:caseId', authMiddleware, validateObjectId('sessionId'), validateObjectId('caseId'), requireSessionAccess(), requireTestCaseEdit, async (req, res) => {
+  try {
+    const session = req.session;
+
+    if (!session.testCases.id(req.params.caseId)) {
+      return res.status(404).json({
+        error: 'Test case not found'
+      });
+    }
+
+    session.testCases.pull(req.params.caseId);
+    if (!await saveTestCases(session, res)) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: 'Test case deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete test case error:', error);
+    res.status(500).json({
+      error: 'Failed to delete test case'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// test-cases.js - Test cases for POST /api/execute/test: validation and output comparison
+//
+// Each case compares the program's stdout with its expected output. `whitespace` says
+// how strictly: 'exact' compares byte for byte, 'trim' (default) ignores trailing spaces
+// on each line and trailing blank lines, 'ignore' compares whitespace-separated tokens.
+// With `floatTolerance`, numeric tokens match when they differ by at most that much
+// (absolute for values up to 1, relative above).
+const MAX_TEST_CASES = 50; // Per session and per run
+const MAX_CASE_TEXT_LENGTH = 64 * 1024; // Characters of input or expected output
+const MAX_CASE_NAME_LENGTH = 100;
+const WHITESPACE_MODES = ['exact', 'trim', 'ignore'];
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Helper to validate a test case from a request; throws with a message for the client
+const parseTestCase = (fields, index = 0) => {
+  const label = fields && fields.name ? `Test case "${fields.name}"` : `Test case ${index + 1}`;
+
+  if (!fields || typeof fields !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const { name = '', input = '', expectedOutput, whitespace = 'trim', floatTolerance = null } = fields;
+
+  if (typeof name !== 'string' || name.length > MAX_CASE_NAME_LENGTH) {
+    throw new Error(`${label} name must be a string of at most ${MAX_CASE_NAME_LENGTH} characters`);
+  }
+  if (typeof input !== 'string' || typeof expectedOutput !== 'string') {
+    throw new Error(`${label} needs string input and expectedOutput`);
+  }
+  if (input.length > MAX_CASE_TEXT_LENGTH || expectedOutput.length > MAX_CASE_TEXT_LENGTH) {
+    throw new Error(`${label} input and expected output are limited to ${MAX_CASE_TEXT_LENGTH} characters`);
+  }
+  if (!WHITESPACE_MODES.includes(whitespace)) {
+    throw new Error(`${label} whitespace must be one of ${WHITESPACE_MODES.join(', ')}`);
+  }
+  if (floatTolerance !== null && !(typeof floatTolerance === 'number' && floatTolerance >= 0 && Number.isFinite(floatTolerance))) {
+    throw new Error(`${label} floatTolerance must be a non-negative number or null`);
+  }
+
+  return { name: name.trim(), input, expectedOutput, whitespace, floatTolerance };
+};
+
+// Helper to split output into tokens and the whitespace between them
+const tokenize = (text, whitespace) => {
+  let prepared = text.replace(/\r\n/g, '\n');
+
+  if (whitespace === 'trim') {
+    prepared = prepared.split('\n').map(line => line.replace(/\s+$/, '')).join('\n').replace(/\n+$/, '');
+  } else if (whitespace === 'ignore') {
+    prepared = prepared.trim();
+  }
+
+  const parts = prepared.split(/(\s+)/).filter(Boolean);
+  return whitespace === 'ignore' ? parts.filter(part => !/^\s/.test(part)) : parts;
+};
+
+const tokensMatch = (actual, expected, floatTolerance) => {
+  if (actual === expected) {
+    return true;
+  }
+  if (floatTolerance === null || !NUMBER_PATTERN.test(actual) || !NUMBER_PATTERN.test(expected)) {
+    return false;
+  }
+
+  const difference = Math.abs(Number(actual) - Number(expected));
+  return difference <= floatTolerance * Math.max(1, Math.abs(Number(expected)));
+};
+
+// Check a program's stdout against a test case's expected output
+const compareOutput = (actual, expected, { whitespace = 'trim', floatTolerance = null } = {}) => {
+  if (whitespace === 'exact' && floatTolerance === null) {
+    return actual === expected;
+  }
+
+  const actualParts = tokenize(actual, whitespace);
+  const expectedParts = tokenize(expected, whitespace);
+
+  return actualParts.length === expectedParts.length &&
+    actualParts.every((part, i) => tokensMatch(part, expectedParts[i], floatTolerance));
+};
+
+module.exports = {
+  MAX_TEST_CASES,
+  MAX_CASE_TEXT_LENGTH,
+  MAX_CASE_NAME_LENGTH,
+  WHITESPACE_MODES,
+  parseTestCase,
+  compareOutput
+};
@@ -0,0 +1,238 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const User = require('../User');
+const Login = require('../Login');
+const RefreshToken = require('../RefreshToken');
+const OidcRequest = require('../OidcRequest');
+const MockOidcIssuer = require('../mock-oidc-issuer');
+const { createOidcProviders } = require('../oidc');
+const { signReauthToken } = require('../auth-tokens');
+
+const users = useMemoryModel(User).docs;
+useMemoryModel(Login);
+useMemoryModel(RefreshToken);
+useMemoryModel(OidcRequest);
+
+const issuer = new MockOidcIssuer({
+  users: {
+    verified: { sub: 'sub-verified', email: 'verified@example.com', email_verified: true },
+    unverified: { sub: 'sub-unverified', email: 'unverified@example.com', email_verified: true },
+    newcomer: { sub: 'sub-new', email: 'New.Person@example.com', email_verified: true, name: 'New Person', preferred_username: 'new.person' },
+    unconfirmed: { sub: 'sub-unconfirmed', email: 'unconfirmed@example.com', email_verified: false }
+  }
+});
+let api;
+
+const createUser = (fields) => new User({ password: bcrypt.hashSync('secret1', 4), ...fields }).save();
+
+before(async () => {
+  const url = await issuer.listen();
+  const oidcProviders = createOidcProviders({
+    OIDC_ISSUER: url,
+    OIDC_CLIENT_ID: issuer.clientId,
+    OIDC_CLIENT_SECRET: issuer.clientSecret,
+    OIDC_LABEL: 'Example SSO',
+    APP_URL: 'http://app.test'
+  });
+  api = await startApp('/api/auth', require('../auth-routes'), { oidcProviders });
+});
+
+after(async () => {
+  await api.close();
+  await issuer.close();
+});
+
+// Walk the browser through the provider and post what it sends back
+const completeFlow = async (start, loginHint) => {
+  assert.equal(start.status, 200);
+  const response = await fetch(`${start.body.authorizationUrl}&login_hint=${loginHint}`, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  assert.equal(callback.origin + callback.pathname, 'http://app.test/auth/oidc/callback');
+  assert.equal(callback.searchParams.get('state'), start.body.state);
+
+  return api.request('POST', '/oidc/callback', {
+    body: { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') }
+  });
+};
+
+const signInWith = async (loginHint) => completeFlow(await api.request('POST', '/oidc/oidc/authorize', { body: {} }), loginHint);
+
+test('lists the configured providers', async () => {
+  const { body } = await api.request('GET', '/oidc/providers');
+  assert.deepEqual(body.providers, [{ name: 'oidc', label: 'Example SSO' }]);
+});
+
+test('links the identity to a local account whose email is verified', async () => {
+  const user = await createUser({ username: 'verified', email: 'verified@example.com', isEmailVerified: true });
+
+  const { status, body } = await signInWith('verified');
+  assert.equal(status, 200);
+  assert.equal(body.user.id, user._id.toString());
+  assert.deepEqual(user.identities.map(identity => identity.subject), ['sub-verified']);
+
+  const again = await signInWith('verified');
+  assert.equal(again.body.user.id, user._id.toString());
+  assert.equal(user.identities.length, 1);
+});
+
+test('does not take over a local account whose email was never verified', async () => {
+  const user = await createUser({ username: 'squatter', email: 'unverified@example.com' });
+
+  const { status, body } = await signInWith('unverified');
+  assert.equal(status, 409);
+  assert.equal(body.code, 'OIDC_ACCOUNT_NOT_LINKED');
+  assert.equal(user.identities.length, 0);
+  assert.equal(user.isEmailVerified, false);
+});
+
+test('creates an account for a new identity', async () => {
+  const { status, body } = await signInWith('newcomer');
+  assert.equal(status, 201);
+  assert.equal(body.created, true);
+  assert.equal(body.user.username, 'newperson');
+  assert.equal(body.user.email, 'new.person@example.com');
+  assert.equal(body.user.isEmailVerified, true);
+  assert.ok(body.token && body.refreshToken);
+});
+
+test('refuses identities whose email the provider did not verify', async () => {
+  const count = users.length;
+  const { status, body } = await signInWith('unconfirmed');
+  assert.equal(status, 403);
+  assert.equal(body.code, 'OIDC_EMAIL_NOT_VERIFIED');
+  assert.equal(users.length, count);
+});
+
+test('each sign-in request completes once', async () => {
+  const start = await api.request('POST', '/oidc/oidc/authorize', { body: {} });
+  const first = await completeFlow(start, 'verified');
+  assert.equal(first.status, 200);
+
+  const replay = await api.request('POST', '/oidc/callback', { body: { code: 'anything', state: start.body.state } });
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.code, 'OIDC_INVALID_STATE');
+});
+
+const signInWithPassword = async (username) => {
+  User.findByEmailOrUsername = (identifier) => User.findOne({ username: identifier });
+  const { status, body } = await api.request('POST', '/login', { body: { identifier: username, password: 'secret1' } });
+  assert.equal(status, 200);
+  return body.token;
+};
+
+// Start linking as one user and complete the flow with `completeWith`'s token
+const linkWith = async (token, loginHint, completeWith = token) => {
+  const start = await api.request('POST', '/oidc/oidc/link', { body: {}, token });
+  const response = await fetch(`${start.body.authorizationUrl}&login_hint=${loginHint}`, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+
+  return api.request('POST', '/oidc/callback', {
+    body: { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') },
+    token: completeWith
+  });
+};
+
+test('links an identity only for the user who started linking', async () => {
+  const owner = await createUser({ username: 'owner', email: 'owner@example.com', isEmailVerified: true });
+  await createUser({ username: 'intruder', email: 'intruder@example.com', isEmailVerified: true });
+  const ownerToken = await signInWithPassword('owner');
+  const intruderToken = await signInWithPassword('intruder');
+  issuer.users.second = { sub: 'sub-second', email: 'owner@elsewhere.example', email_verified: true };
+
+  for (const token of [null, intruderToken]) {
+    const refused = await linkWith(ownerToken, 'second', token);
+    assert.equal(refused.status, 401);
+    assert.equal(refused.body.code, 'OIDC_LINK_NOT_AUTHORIZED');
+  }
+  assert.equal(owner.identities.length, 0);
+
+  const linked = await linkWith(ownerToken, 'second');
+  assert.equal(linked.status, 200);
+  assert.deepEqual(linked.body.identities.map(identity => identity.email), ['owner@elsewhere.example']);
+
+  const { body } = await signInWith('second');
+  assert.equal(body.user.id, owner._id.toString());
+});
+
+test('an identity cannot be linked to a second user', async () => {
+  const token = await signInWithPassword('intruder');
+
+  const { status, body } = await linkWith(token, 'second');
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'OIDC_IDENTITY_IN_USE');
+});
+
+test('identities are unique across users', () => {
+  const index = User.schema.indexes().find(([fields]) => 'identities.subject' in fields);
+  assert.deepEqual(index[0], { 'identities.provider': 1, 'identities.subject': 1 });
+  assert.equal(index[1].unique, true);
+  assert.equal(index[1].sparse, true);
+});
+
+// Sign in again at the provider as the signed-in user; resolves with the callback answer
+const reauthenticateWith = async (token, loginHint) => {
+  const start = await api.request('POST', '/oidc/oidc/reauthenticate', { body: {}, token });
+  assert.equal(start.status, 200);
+  const response = await fetch(`${start.body.authorizationUrl}&login_hint=${loginHint}`, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+
+  return api.request('POST', '/oidc/callback', {
+    body: { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') },
+    token
+  });
+};
+
+test('users created at sign-in confirm changes at their provider until they set a password', async () => {
+  issuer.users.ssoOnly = { sub: 'sub-sso-only', email: 'sso.only@example.com', email_verified: true };
+  const signedIn = await signInWith('ssoOnly');
+  assert.equal(signedIn.status, 201);
+  assert.equal(signedIn.body.user.hasPassword, false);
+  const token = signedIn.body.token;
+  const [identity] = (await api.request('GET', '/oidc/identities', { token })).body.identities;
+
+  const unlink = await api.request('DELETE', `/oidc/identities/${identity.id}`, { token });
+  assert.equal(unlink.status, 400);
+  assert.equal(unlink.body.code, 'LAST_SIGN_IN_METHOD');
+
+  const guessed = await api.request('POST', '/2fa/setup', { body: { password: 'secret1' }, token });
+  assert.equal(guessed.status, 401);
+  assert.equal(guessed.body.code, 'REAUTHENTICATION_REQUIRED');
+
+  const confirmed = await reauthenticateWith(token, 'ssoOnly');
+  assert.equal(confirmed.status, 200);
+  const { reauthToken } = confirmed.body;
+
+  const setup = await api.request('POST', '/2fa/setup', { body: { reauthToken }, token });
+  assert.equal(setup.status, 200);
+  assert.ok(setup.body.secret);
+
+  const changed = await api.request('POST', '/change-password', { body: { reauthToken, newPassword: 'chosen1' }, token });
+  assert.equal(changed.status, 200);
+  const user = users.find(doc => doc.email === 'sso.only@example.com');
+  assert.equal(user.hasPassword, true);
+
+  const unlinked = await api.request('DELETE', `/oidc/identities/${identity.id}`, { token });
+  assert.equal(unlinked.status, 200);
+  assert.deepEqual(unlinked.body.identities, []);
+});
+
+test('reauthentication needs an identity of the signed-in user', async () => {
+  const intruderToken = await signInWithPassword('intruder');
+
+  const someoneElse = await reauthenticateWith(intruderToken, 'second');
+  assert.equal(someoneElse.status, 403);
+  assert.equal(someoneElse.body.code, 'OIDC_IDENTITY_NOT_LINKED');
+
+  const { reauthToken } = signReauthToken(users.find(doc => doc.username === 'owner'));
+  const borrowed = await api.request('DELETE', '/account', { body: { reauthToken }, token: intruderToken });
+  assert.equal(borrowed.status, 401);
+  assert.equal(borrowed.body.code, 'INVALID_REAUTH_TOKEN');
+  assert.ok(users.some(doc => doc.username === 'intruder'));
+});
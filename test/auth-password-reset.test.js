@@ -0,0 +1,85 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const User = require('../User');
+const Login = require('../Login');
+const AccountToken = require('../AccountToken');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(AccountToken);
+
+let api;
+const sent = [];
+const mailer = {
+  sendPasswordReset: async (user, token) => {
+    sent.push({ email: user.email, token });
+  }
+};
+
+before(async () => {
+  await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  api = await startApp('/api/auth', require('../auth-routes'), { mailer });
+});
+
+after(() => api.close());
+
+const requestReset = (email) => api.request('POST', '/password-reset/request', { body: { email } });
+
+// Emails go out after the answer; wait for the mailer to be reached
+const mailerCalled = (mock, count = 1) => new Promise(resolve => {
+  const check = () => (mock.mock.callCount() >= count ? resolve() : setImmediate(check));
+  check();
+});
+
+test('reset requests email a link to existing accounts only', async (t) => {
+  const sending = t.mock.method(mailer, 'sendPasswordReset');
+  const known = await requestReset('Alice@example.com');
+  const unknown = await requestReset('nobody@example.com');
+
+  assert.equal(known.status, 200);
+  assert.deepEqual(unknown, known);
+  await mailerCalled(sending);
+  assert.deepEqual(sent.map(mail => mail.email), ['alice@example.com']);
+});
+
+test('reset requests answer without waiting for the email', async (t) => {
+  let delivered = false;
+  let deliver;
+  const sending = t.mock.method(mailer, 'sendPasswordReset', () => new Promise(resolve => {
+    deliver = () => {
+      delivered = true;
+      resolve();
+    };
+  }));
+
+  const answering = requestReset('alice@example.com').then(response => ({ ...response, delivered }));
+  await mailerCalled(sending);
+  // Let a request that waits for the mail finish rather than hang
+  const timer = setTimeout(() => deliver(), 1000);
+  const known = await answering;
+  clearTimeout(timer);
+  deliver();
+
+  assert.equal(known.status, 200);
+  assert.equal(known.delivered, false);
+});
+
+test('mail failures answer the same as unknown addresses', async (t) => {
+  const failure = new Error('SMTP unavailable');
+  t.mock.method(mailer, 'sendPasswordReset', async () => { throw failure; });
+  const logged = t.mock.method(console, 'error', () => {});
+
+  const known = await requestReset('alice@example.com');
+  const unknown = await requestReset('nobody@example.com');
+
+  assert.deepEqual(known, unknown);
+  assert.equal(known.status, 200);
+  await mailerCalled(logged);
+  assert.ok(logged.mock.calls.some(call => call.arguments.includes(failure)));
+});
@@ -0,0 +1,77 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const User = require('../User');
+const Login = require('../Login');
+const RefreshToken = require('../RefreshToken');
+
+useMemoryModel(User);
+const logins = useMemoryModel(Login).docs;
+useMemoryModel(RefreshToken);
+
+let api;
+let user;
+
+before(async () => {
+  user = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  User.findByEmailOrUsername = (identifier) => User.findOne({ username: identifier });
+  api = await startApp('/api/auth', require('../auth-routes'));
+});
+
+after(() => api.close());
+
+const signIn = async () => {
+  const { status, body } = await api.request('POST', '/login', { body: { identifier: 'alice', password: 'secret1' } });
+  assert.equal(status, 200);
+  return body;
+};
+
+test('refresh tokens rotate and a reused one signs the login out', async () => {
+  const { refreshToken } = await signIn();
+
+  const first = await api.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, refreshToken);
+
+  const reused = await api.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+
+  const successor = await api.request('POST', '/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.equal(successor.body.code, 'REFRESH_TOKEN_REVOKED');
+});
+
+test('a locked user can retry the same refresh token once the lock is over', async () => {
+  const { refreshToken } = await signIn();
+  const loginCount = logins.filter(login => !login.revokedAt).length;
+
+  user.lockUntil = new Date(Date.now() + 60 * 60 * 1000);
+  const locked = await api.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(locked.status, 423);
+
+  const stillLocked = await api.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(stillLocked.status, 423);
+
+  user.lockUntil = undefined;
+  const retry = await api.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(retry.status, 200);
+  assert.ok(retry.body.token);
+  assert.equal(logins.filter(login => !login.revokedAt).length, loginCount);
+});
+
+test('refreshing for a deactivated user revokes the login', async () => {
+  const { refreshToken } = await signIn();
+
+  user.isActive = false;
+  const response = await api.request('POST', '/refresh', { body: { refreshToken } });
+  user.isActive = true;
+
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, 'INVALID_REFRESH_TOKEN');
+  assert.equal(logins[logins.length - 1].revokedReason, 'revoked');
+});
@@ -0,0 +1,120 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./support/memory-models');
+const AutosaveManager = require('../autosave');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(Session);
+useMemoryModel(CodeState);
+const revisions = useMemoryModel(Revision).docs;
+
+const KEY = 'document';
+
+let session;
+let codeState;
+let saves;
+let autosave;
+
+beforeEach(async () => {
+  revisions.length = 0;
+  session = await Session.create({ name: 'Autosave', language: 'python', creator: new mongoose.Types.ObjectId() });
+  codeState = new CodeState({ sessionId: session._id, content: '', language: 'python' });
+  saves = [];
+  autosave = new AutosaveManager({
+    getCodeState: () => codeState,
+    onSaved: (documentKey, result) => saves.push(result),
+    delay: 2000,
+    maxWait: 10000
+  });
+});
+
+// An edit from a client: new content, a new version and a save request
+const edit = (content, userId = session.creator) => {
+  codeState.content = content;
+  codeState.version += 1;
+  codeState.hasUnsavedChanges = true;
+  autosave.markDirty(KEY, { userId });
+};
+
+// Let the save started by a timer finish
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+const advance = async (t, ms) => {
+  t.mock.timers.tick(ms);
+  await settle();
+};
+
+test('edits are saved once, a delay after the last one', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+  edit('a');
+  await advance(t, 1500);
+  edit('ab');
+  await advance(t, 1500);
+  assert.equal(saves.length, 0);
+
+  await advance(t, 500);
+  assert.equal(saves.length, 1);
+  assert.equal(session.code, 'ab');
+  assert.equal(codeState.hasUnsavedChanges, false);
+  assert.deepEqual(revisions.map(revision => revision.number), [1]);
+});
+
+test('steady typing is saved at least every maxWait', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+  let content = '';
+  for (let elapsed = 0; elapsed < 10000; elapsed += 1000) {
+    content += 'x';
+    edit(content);
+    await advance(t, 1000);
+  }
+
+  assert.equal(saves.length, 1);
+  assert.equal(session.code, 'x'.repeat(10));
+});
+
+test('edits that arrive during a save are saved next', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const saveCode = codeState.saveCode.bind(codeState);
+  t.mock.method(codeState, 'saveCode', async () => {
+    await saveCode();
+    // Someone types while the revision is being written
+    if (codeState.content === 'first') {
+      edit('second');
+    }
+  });
+
+  edit('first');
+  await advance(t, 2000);
+  assert.deepEqual(saves.map(save => save.revision), [2]);
+  assert.equal(codeState.hasUnsavedChanges, true);
+
+  await advance(t, 2000);
+  assert.deepEqual(saves.map(save => save.revision), [2, 3]);
+  assert.equal(session.code, 'second');
+  assert.deepEqual(await Promise.all([1, 2].map(number => Revision.getContent(session._id, null, number))), ['first', 'second']);
+});
+
+test('sessions with autosave off are saved only on request', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  session.settings.autoSave = false;
+
+  edit('draft');
+  await advance(t, 2000);
+  assert.equal(saves.length, 0);
+  assert.equal(codeState.hasUnsavedChanges, true);
+
+  const result = await autosave.flush(KEY, { manual: true });
+  assert.equal(result.manual, true);
+  assert.equal(session.code, 'draft');
+});
@@ -0,0 +1,126 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+const Checkpoint = require('../Checkpoint');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(Session);
+useMemoryModel(CodeState);
+useMemoryModel(Revision);
+useMemoryModel(Checkpoint);
+
+let api;
+const tokens = {};
+let owner;
+let viewer;
+let session;
+let mainId;
+let utilId;
+
+// Live documents by file id, as collaboration.js would read and restore them
+const live = new Map();
+const restores = [];
+
+const createUser = async (username) => {
+  const user = await new User({ username, email: `${username}@example.com`, password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(user._id);
+  tokens[username] = signAccessToken(user._id, login._id);
+  return user;
+};
+
+before(async () => {
+  owner = await createUser('owner');
+  viewer = await createUser('viewer');
+
+  api = await startApp('/api/sessions', require('../session-routes'), {
+    readDocument: async (session, fileId) => live.get(fileId.toString()),
+    restoreDocument: async (session, fileId, content, { restoredFrom }) => {
+      restores.push({ fileId: fileId.toString(), content, restoredFrom });
+      const document = live.get(fileId.toString());
+      const unchanged = document.content === content;
+      if (!unchanged) {
+        live.set(fileId.toString(), { content, version: document.version + 1 });
+      }
+      return { unchanged, revisionNumber: null, documentRevision: live.get(fileId.toString()).version };
+    }
+  });
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+  mainId = new mongoose.Types.ObjectId();
+  utilId = new mongoose.Types.ObjectId();
+  session = await Session.create({
+    name: 'Checkpoints',
+    language: 'python',
+    creator: owner._id,
+    activeParticipants: [{ user: viewer._id, username: 'viewer', role: 'viewer' }],
+    files: [
+      { _id: mainId, path: 'main.py', type: 'file' },
+      { _id: utilId, path: 'util.py', type: 'file' }
+    ],
+    entryPoint: mainId
+  });
+  live.set(mainId.toString(), { content: 'import util\n', version: 3 });
+  live.set(utilId.toString(), { content: 'x = 1\n', version: 1 });
+  restores.length = 0;
+});
+
+const createCheckpoint = (name, token = tokens.owner) => {
+  return api.request('POST', `/${session._id}/checkpoints`, { body: { name, description: 'Before the refactor' }, token });
+};
+
+test('checkpoints pin the live code of every file', async () => {
+  const { status, body } = await createCheckpoint('stable');
+  assert.equal(status, 201);
+
+  const { checkpoint } = body;
+  assert.equal(checkpoint.name, 'stable');
+  assert.equal(checkpoint.revisionNumber, 1);
+  assert.equal(checkpoint.documentRevision, 3);
+  assert.deepEqual(checkpoint.files.map(file => file.path), ['main.py', 'util.py']);
+  assert.equal(await Revision.getContent(session._id, utilId, 1), 'x = 1\n');
+
+  // Unchanged files keep their revision in later checkpoints
+  live.set(mainId.toString(), { content: 'import util\nprint(util.x)\n', version: 4 });
+  const later = (await createCheckpoint('printing')).body.checkpoint;
+  assert.deepEqual(later.files.map(file => file.revisionNumber), [2, 1]);
+});
+
+test('checkpoint names are unique and viewers cannot create them', async () => {
+  assert.equal((await createCheckpoint('stable')).status, 201);
+  assert.equal((await createCheckpoint('stable')).status, 409);
+
+  const denied = await createCheckpoint('mine', tokens.viewer);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'PERMISSION_DENIED');
+});
+
+test('restoring puts back every file that still exists', async () => {
+  const { checkpoint } = (await createCheckpoint('stable')).body;
+  live.set(mainId.toString(), { content: 'broken(\n', version: 4 });
+  session.files.pull(utilId);
+
+  const { status, body } = await api.request('POST', `/${session._id}/checkpoints/${checkpoint._id}/restore`, { token: tokens.owner });
+  assert.equal(status, 200);
+  assert.equal(body.skipped, 1);
+  assert.deepEqual(restores, [{ fileId: mainId.toString(), content: 'import util\n', restoredFrom: 1 }]);
+  assert.equal(live.get(mainId.toString()).content, 'import util\n');
+
+  const again = await api.request('POST', `/${session._id}/checkpoints/${checkpoint._id}/restore`, { token: tokens.owner });
+  assert.equal(again.body.message, 'The project already matches this checkpoint');
+});
@@ -0,0 +1,117 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { io: connect } = require('socket.io-client');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startClusterHarness } = require('../cluster-harness');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(Session);
+useMemoryModel(Revision);
+// Every instance hydrates its own replica, as it would from MongoDB
+useMemoryModel(CodeState, { copies: true });
+
+let cluster;
+let session;
+let tokens;
+const sockets = [];
+
+const createUser = async (username) => {
+  const user = await new User({ username, email: `${username}@example.com`, password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(user._id);
+  return { user, token: signAccessToken(user._id, login._id) };
+};
+
+// Resolves with the first `event` the socket receives
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+// Connect to an instance and join the session; resolves with the socket and its code-sync
+const join = async (instance, token) => {
+  const socket = connect(instance.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  await next(socket, 'connect');
+
+  const synced = next(socket, 'code-sync');
+  socket.emit('join-session', { sessionId: session._id.toString() });
+  return { socket, sync: await synced };
+};
+
+before(async () => {
+  const alice = await createUser('alice');
+  const bob = await createUser('bob');
+  session = await Session.create({
+    title: 'Cluster',
+    language: 'python',
+    code: 'print("hi")\n',
+    creator: alice.user._id,
+    activeParticipants: [{ user: bob.user._id, username: 'bob', role: 'editor' }],
+    settings: { autoSave: false }
+  });
+
+  tokens = { alice: alice.token, bob: bob.token };
+  cluster = await startClusterHarness({ instances: 2 });
+});
+
+after(async () => {
+  sockets.forEach(socket => socket.disconnect());
+  await cluster.close();
+});
+
+test('concurrent edits on two instances are applied in one order everywhere', { timeout: 10000 }, async () => {
+  const [first, second] = cluster.instances;
+  const alice = await join(first, tokens.alice);
+  const bob = await join(second, tokens.bob);
+  assert.equal(alice.sync.revision, bob.sync.revision);
+
+  const base = alice.sync.revision;
+  const edits = 5;
+  const seen = { alice: [], bob: [] };
+  alice.socket.on('code-change', change => seen.alice.push(change.revision));
+  bob.socket.on('code-change', change => seen.bob.push(change.revision));
+
+  // Each user's acks, in the order they arrive
+  const acks = (socket, count) => new Promise(resolve => {
+    const revisions = [];
+    socket.on('code-ack', ack => {
+      revisions.push(ack.revision);
+      if (revisions.length === count) resolve(revisions);
+    });
+  });
+  const aliceAcks = acks(alice.socket, edits);
+  const bobAcks = acks(bob.socket, edits);
+
+  // Both type at the start of the file against the same base revision
+  for (let i = 0; i < edits; i++) {
+    alice.socket.emit('code-change', { sessionId: session._id.toString(), revision: base, operations: [{ type: 'insert', index: 0, content: 'a' }], clientOpId: `a${i}` });
+    bob.socket.emit('code-change', { sessionId: session._id.toString(), revision: base, operations: [{ type: 'insert', index: 0, content: 'b' }], clientOpId: `b${i}` });
+  }
+
+  const revisions = [...await aliceAcks, ...await bobAcks].sort((a, b) => a - b);
+  assert.deepEqual(revisions, Array.from({ length: edits * 2 }, (_, i) => base + i + 1));
+
+  // Everyone hears the other user's edits in log order
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(seen.alice, (await bobAcks).slice().sort((a, b) => a - b));
+  assert.deepEqual(seen.bob, (await aliceAcks).slice().sort((a, b) => a - b));
+
+  // Fresh connections to either instance see the same document
+  const [one, two] = await Promise.all([
+    join(first, tokens.bob),
+    join(second, tokens.alice)
+  ]);
+  assert.equal(one.sync.revision, base + edits * 2);
+  assert.equal(two.sync.revision, base + edits * 2);
+  assert.equal(one.sync.code, two.sync.code);
+  assert.match(one.sync.code, /^[ab]{10}print\("hi"\)\n$/);
+  assert.equal(one.sync.code.replace(/[^a]/g, '').length, edits);
+});
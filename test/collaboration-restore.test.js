@@ -0,0 +1,121 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const socketIo = require('socket.io');
+const { useMemoryModel } = require('./support/memory-models');
+const { attachCollaboration } = require('../collaboration');
+const MemoryAdapter = require('../memory-adapter');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(Session);
+useMemoryModel(CodeState);
+useMemoryModel(Revision);
+
+// Adapter that loses the first restore entry: never delivered, and with `unwritten`
+// missing from the log too
+class LossyAdapter extends MemoryAdapter {
+  constructor({ unwritten = false } = {}) {
+    super();
+    this.unwritten = unwritten;
+    this.lost = null;
+  }
+
+  async append(logKey, entry) {
+    const seq = await super.append(logKey, entry);
+    if (this.lost === seq && this.unwritten) {
+      const log = this.logs.get(logKey);
+      log.entries = log.entries.filter(logged => logged.seq !== seq);
+    }
+    return seq;
+  }
+
+  deliver(key, message) {
+    if (message.kind === 'log' && message.entry.type === 'replace' && this.lost === null) {
+      this.lost = message.seq;
+      return;
+    }
+    super.deliver(key, message);
+  }
+}
+
+let io;
+let session;
+let fileId;
+
+beforeEach(async () => {
+  io = socketIo();
+  fileId = new mongoose.Types.ObjectId();
+  session = await Session.create({
+    name: 'Restores',
+    language: 'python',
+    creator: new mongoose.Types.ObjectId(),
+    files: [{ _id: fileId, path: 'main.py', type: 'file' }],
+    entryPoint: fileId
+  });
+});
+
+const restore = (collaboration, content) => collaboration.restoreDocument(session, fileId, content, {
+  userId: session.creator,
+  username: 'alice',
+  restoredFrom: 1
+});
+
+// Let pending promise callbacks (the append, log delivery) run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const notApplied = { status: 503, code: 'RESTORE_NOT_APPLIED' };
+
+test('restores resolve once their entry applies and save a revision', async () => {
+  const collaboration = attachCollaboration(io, { adapter: new MemoryAdapter() });
+
+  const result = await restore(collaboration, 'print("restored")\n');
+  assert.equal(result.unchanged, false);
+  assert.equal(result.revisionNumber, 1);
+  assert.equal(await Revision.getContent(session._id, fileId, 1), 'print("restored")\n');
+});
+
+test('restores whose entry never arrives time out', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const collaboration = attachCollaboration(io, { adapter: new LossyAdapter() });
+
+  const restoring = restore(collaboration, 'lost\n');
+  await settle();
+  t.mock.timers.tick(10000);
+  await assert.rejects(restoring, notApplied);
+});
+
+test('restores fail when the replica is dropped before their entry arrives', async () => {
+  const collaboration = attachCollaboration(io, { adapter: new LossyAdapter() });
+
+  const restoring = restore(collaboration, 'lost\n');
+  await settle();
+  await collaboration.removeDocuments(session._id, [fileId]);
+  await assert.rejects(restoring, notApplied);
+});
+
+test('restores fail when their entry is skipped to close a log gap', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const adapter = new LossyAdapter({ unwritten: true });
+  const collaboration = attachCollaboration(io, { adapter });
+
+  const restoring = restore(collaboration, 'lost\n');
+  await settle();
+
+  // A later entry from another instance opens the gap
+  await adapter.append(`${session._id}:${fileId}`, {
+    type: 'replace',
+    content: 'later\n',
+    userId: session.creator,
+    username: 'bob',
+    instanceId: 'another-instance',
+    requestId: 'another-request'
+  });
+  await settle();
+
+  t.mock.timers.tick(5000);
+  await assert.rejects(restoring, notApplied);
+});
@@ -0,0 +1,50 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const mongoose = require('mongoose');
+const CrdtDocument = require('../crdt-document');
+const CodeState = require('../CodeState');
+
+// A replica's edits, typed after the seed text "ab"
+const remoteEdits = () => {
+  const replica = CrdtDocument.fromText('ab');
+  const inserts = replica.localInsert(2, 'cd', 'site-1');
+  const deletes = replica.localDelete(0, 1);
+  return { inserts, deletes, text: replica.toString() };
+};
+
+test('operations waiting for their element survive serialization', () => {
+  const { inserts, deletes, text } = remoteEdits();
+  const doc = CrdtDocument.fromText('ab');
+  const lateDelete = { type: 'delete', id: inserts[1].id };
+
+  // The second character and a delete of it arrive before the first character
+  assert.deepEqual(doc.merge([inserts[1], lateDelete]), []);
+  const restored = new CrdtDocument(JSON.parse(JSON.stringify(doc.toJSON())));
+
+  const applied = restored.merge([inserts[0], ...deletes]);
+  assert.deepEqual(applied.map(operation => operation.type), ['insert', 'insert', 'delete', 'delete']);
+  assert.equal(restored.toString(), text.slice(0, -1));
+  assert.deepEqual(restored.toJSON().pendingInserts, []);
+  assert.deepEqual(restored.toJSON().pendingDeletes, []);
+});
+
+test('code states with queued operations need saving', () => {
+  const { inserts } = remoteEdits();
+  const codeState = new CodeState({
+    sessionId: new mongoose.Types.ObjectId(),
+    content: 'ab',
+    documentMode: 'crdt'
+  });
+  codeState.hasUnsavedChanges = false;
+
+  const result = codeState.applyCrdtOperations([inserts[1]]);
+  assert.deepEqual(result.operations, []);
+  assert.equal(result.queued, true);
+  assert.equal(codeState.hasUnsavedChanges, true);
+  assert.equal(codeState.content, 'ab');
+
+  // Replaying the same operation queues nothing new
+  assert.equal(codeState.applyCrdtOperations([inserts[1]]).queued, false);
+});
@@ -0,0 +1,164 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { parseDiagnostics, mergeDiagnostics } = require('../diagnostics');
+
+const lines = (...text) => text.join('\n');
+
+test('gcc errors and warnings keep their flags and skip system headers', () => {
+  const stderr = lines(
+    '/tmp/run-1/main.c: In function \'main\':',
+    '/tmp/run-1/main.c:4:19: error: \'y\' undeclared (first use in this function)',
+    '    4 |     int x = 1 + y;',
+    '      |                 ^',
+    '/tmp/run-1/main.c:3:9: warning: unused variable \'z\' [-Wunused-variable]',
+    'src/util.h:2: note: declared here',
+    '/usr/include/stdio.h:10:1: error: something internal'
+  );
+
+  assert.deepEqual(parseDiagnostics(stderr, 'c', { files: [{ name: 'main.c' }, { name: 'src/util.h' }], stage: 'compile' }), [
+    { file: 'main.c', line: 4, column: 19, severity: 'error', message: '\'y\' undeclared (first use in this function)', code: null, stage: 'compile' },
+    { file: 'main.c', line: 3, column: 9, severity: 'warning', message: 'unused variable \'z\'', code: '-Wunused-variable', stage: 'compile' },
+    { file: 'src/util.h', line: 2, column: null, severity: 'info', message: 'declared here', code: null, stage: 'compile' }
+  ]);
+});
+
+test('javac errors take their column from the caret and exceptions from the first project frame', () => {
+  const compile = lines(
+    'Main.java:3: error: \';\' expected',
+    '        int x = 1',
+    '                 ^',
+    'Main.java:5: warning: [unchecked] unchecked call',
+    '1 error'
+  );
+  assert.deepEqual(parseDiagnostics(compile, 'java', { files: [{ name: 'Main.java' }], stage: 'compile' }), [
+    { file: 'Main.java', line: 3, column: 18, severity: 'error', message: '\';\' expected', code: null, stage: 'compile' },
+    { file: 'Main.java', line: 5, column: null, severity: 'warning', message: 'unchecked call', code: 'unchecked', stage: 'compile' }
+  ]);
+
+  const run = lines(
+    'Exception in thread "main" java.lang.ArithmeticException: / by zero',
+    '\tat java.base/java.lang.Math.floorDiv(Math.java:1)',
+    '\tat Main.divide(Main.java:7)',
+    '\tat Main.main(Main.java:3)'
+  );
+  assert.deepEqual(parseDiagnostics(run, 'java', { files: [{ name: 'Main.java' }] }), [
+    { file: 'Main.java', line: 7, column: null, severity: 'error', message: 'java.lang.ArithmeticException: / by zero', code: 'ArithmeticException', stage: 'run' }
+  ]);
+});
+
+test('rustc errors read the location line and panics use either message format', () => {
+  const compile = lines(
+    'error[E0425]: cannot find value `y` in this scope',
+    ' --> main.rs:3:20',
+    '  |',
+    'warning: unused variable: `z`',
+    ' --> src/main.rs:2:9',
+    'error: aborting due to previous error'
+  );
+  assert.deepEqual(parseDiagnostics(compile, 'rust', { files: [{ name: 'main.rs' }], stage: 'compile' }), [
+    { file: 'main.rs', line: 3, column: 20, severity: 'error', message: 'cannot find value `y` in this scope', code: 'E0425', stage: 'compile' },
+    { file: 'main.rs', line: 2, column: 9, severity: 'warning', message: 'unused variable: `z`', code: null, stage: 'compile' }
+  ]);
+
+  const files = [{ name: 'main.rs' }];
+  assert.deepEqual(parseDiagnostics('thread \'main\' panicked at \'attempt to divide by zero\', main.rs:4:5', 'rust', { files }), [
+    { file: 'main.rs', line: 4, column: 5, severity: 'error', message: 'attempt to divide by zero', code: 'panic', stage: 'run' }
+  ]);
+  assert.deepEqual(parseDiagnostics(lines('thread \'main\' panicked at main.rs:4:5:', 'index out of bounds'), 'rust', { files }), [
+    { file: 'main.rs', line: 4, column: 5, severity: 'error', message: 'index out of bounds', code: 'panic', stage: 'run' }
+  ]);
+});
+
+test('go build errors and panics point at project files', () => {
+  const files = [{ name: 'main.go' }];
+  const compile = lines(
+    '# command-line-arguments',
+    './main.go:6:2: x declared and not used',
+    './main.go:8: undefined: y'
+  );
+  assert.deepEqual(parseDiagnostics(compile, 'go', { files, stage: 'compile' }), [
+    { file: 'main.go', line: 6, column: 2, severity: 'error', message: 'x declared and not used', code: null, stage: 'compile' },
+    { file: 'main.go', line: 8, column: null, severity: 'error', message: 'undefined: y', code: null, stage: 'compile' }
+  ]);
+
+  const run = lines(
+    'panic: runtime error: integer divide by zero [recovered]',
+    '',
+    'goroutine 1 [running]:',
+    'main.divide(...)',
+    '\t/usr/local/go/src/runtime/panic.go:12 +0x1d',
+    '\t/tmp/run-2/main.go:11 +0x18',
+    'exit status 2'
+  );
+  assert.deepEqual(parseDiagnostics(run, 'go', { files }), [
+    { file: 'main.go', line: 11, column: null, severity: 'error', message: 'runtime error: integer divide by zero', code: 'panic', stage: 'run' }
+  ]);
+});
+
+test('python tracebacks report the innermost project frame with the marker column', () => {
+  const files = [
+    { name: 'main.py', content: 'from util import divide\nprint(divide(1, 0))\n' },
+    { name: 'util.py', content: 'def divide(a, b):\n    return a / b\n' }
+  ];
+  const stderr = lines(
+    'Traceback (most recent call last):',
+    '  File "/tmp/run-3/main.py", line 2, in <module>',
+    '    print(divide(1, 0))',
+    '          ^^^^^^^^^^^^',
+    '  File "/tmp/run-3/util.py", line 2, in divide',
+    '    return a / b',
+    '           ~~^~~',
+    '  File "/usr/lib/python3.12/fractions.py", line 9, in __truediv__',
+    'ZeroDivisionError: division by zero',
+    '/tmp/run-3/main.py:1: DeprecationWarning: old api'
+  );
+
+  assert.deepEqual(parseDiagnostics(stderr, 'python', { files }), [
+    { file: 'util.py', line: 2, column: 12, severity: 'error', message: 'ZeroDivisionError: division by zero', code: 'ZeroDivisionError', stage: 'run' },
+    { file: 'main.py', line: 1, column: null, severity: 'warning', message: 'old api', code: 'DeprecationWarning', stage: 'run' }
+  ]);
+});
+
+test('node errors use the first project frame, or the header for syntax errors', () => {
+  const files = [{ name: 'main.js' }, { name: 'lib/math.js' }];
+  const thrown = lines(
+    '/tmp/run-4/lib/math.js:3',
+    '  throw new RangeError(\'negative\');',
+    '  ^',
+    '',
+    'RangeError: negative',
+    '    at sqrt (/tmp/run-4/lib/math.js:3:9)',
+    '    at Object.<anonymous> (/tmp/run-4/main.js:2:1)',
+    '    at node:internal/main/run_main_module:28:49'
+  );
+  assert.deepEqual(parseDiagnostics(thrown, 'javascript', { files }), [
+    { file: 'lib/math.js', line: 3, column: 9, severity: 'error', message: 'RangeError: negative', code: 'RangeError', stage: 'run' }
+  ]);
+
+  const syntax = lines(
+    '/tmp/run-4/main.js:5',
+    'let x = ;',
+    '        ^',
+    '',
+    'SyntaxError: Unexpected token \';\'',
+    '    at internalCompileFunction (node:internal/vm:76:18)'
+  );
+  assert.deepEqual(parseDiagnostics(syntax, 'javascript', { files }), [
+    { file: 'main.js', line: 5, column: 9, severity: 'error', message: 'SyntaxError: Unexpected token \';\'', code: 'SyntaxError', stage: 'run' }
+  ]);
+});
+
+test('duplicates are dropped and unknown languages have no diagnostics', () => {
+  const stderr = lines(
+    'main.c:1:1: error: expected declaration',
+    'main.c:1:1: error: expected declaration'
+  );
+  const diagnostics = parseDiagnostics(stderr, 'c', { files: [{ name: 'main.c' }] });
+  assert.equal(diagnostics.length, 1);
+  assert.deepEqual(mergeDiagnostics([diagnostics, diagnostics]), diagnostics);
+
+  assert.deepEqual(parseDiagnostics(stderr, 'cobol', { files: [{ name: 'main.c' }] }), []);
+  assert.deepEqual(parseDiagnostics('', 'c', { files: [{ name: 'main.c' }] }), []);
+});
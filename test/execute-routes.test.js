@@ -0,0 +1,111 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const { signAccessToken } = require('../auth-tokens');
+const FakeExecutor = require('../fake-executor');
+const { ExecutorRegistry } = require('../executors');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(Session);
+
+let api;
+let token;
+let user;
+let session;
+const submitted = [];
+const contents = new Map(); // Live content by file id; print(1) when missing
+
+// Job manager that records what would have been sent to the executor
+const executionJobs = {
+  submit: async ({ request }) => {
+    submitted.push(request);
+    const job = { _id: new mongoose.Types.ObjectId(), interactive: false, toPublicJSON: () => ({}) };
+    return { job };
+  },
+  queuePosition: () => null
+};
+
+before(async () => {
+  user = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(user._id);
+  token = signAccessToken(user._id, login._id);
+
+  const entryPoint = new mongoose.Types.ObjectId();
+  session = await Session.create({
+    title: 'Pinned',
+    language: 'python',
+    runtimeVersion: '3.10.0',
+    creator: user._id,
+    files: [{ _id: entryPoint, path: 'main.py', type: 'file' }],
+    entryPoint: entryPoint
+  });
+
+  api = await startApp('/api/execute', require('../execute-routes'), {
+    executors: new ExecutorRegistry({ backend: 'fake' }).register('fake', new FakeExecutor()),
+    executionJobs: executionJobs,
+    readDocument: async (session, fileId) => ({ content: contents.get(fileId.toString()) || 'print(1)\n' })
+  });
+});
+
+after(() => api.close());
+
+test('session runs use the pinned runtime only for the session language', async () => {
+  const pinned = await api.request('POST', '/run', { token, body: { sessionId: session._id } });
+  assert.equal(pinned.status, 202);
+
+  const other = await api.request('POST', '/run', { token, body: { sessionId: session._id, language: 'javascript' } });
+  assert.equal(other.status, 202);
+
+  assert.deepEqual(submitted.map(({ language, version }) => ({ language, version })), [
+    { language: 'python', version: '3.10.0' },
+    { language: 'javascript', version: undefined }
+  ]);
+});
+
+// Java session whose only file is the entry point at `path`
+const createJavaSession = async (path, content) => {
+  const entryPoint = new mongoose.Types.ObjectId();
+  contents.set(entryPoint.toString(), content);
+  return Session.create({
+    name: 'Java',
+    language: 'java',
+    creator: user._id,
+    files: [{ _id: entryPoint, path: path, type: 'file' }],
+    entryPoint: entryPoint
+  });
+};
+
+test('java entry points keep their own class name', async () => {
+  const program = 'public class Main {\n  public static void main(String[] args) {}\n}\n';
+
+  const project = await createJavaSession('src/Calculator.java', program);
+  const run = await api.request('POST', '/run', { token, body: { sessionId: project._id } });
+  assert.equal(run.status, 202);
+  assert.equal(submitted.at(-1).files[0].name, 'src/Calculator.java');
+  assert.match(submitted.at(-1).files[0].content, /^public class Calculator \{/);
+
+  const single = await api.request('POST', '/run', { token, body: { language: 'java', code: program.replace('Main', 'Hello') } });
+  assert.equal(single.status, 202);
+  assert.equal(submitted.at(-1).files[0].name, 'Main.java');
+  assert.match(submitted.at(-1).files[0].content, /^public class Main \{/);
+});
+
+test('java entry points that cannot name a class are refused', async () => {
+  const count = submitted.length;
+  const project = await createJavaSession('hello-world.java', 'public class Main {}\n');
+
+  const { status, body } = await api.request('POST', '/run', { token, body: { sessionId: project._id } });
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_ENTRY_POINT');
+  assert.equal(submitted.length, count);
+});
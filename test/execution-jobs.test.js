@@ -0,0 +1,160 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./support/memory-models');
+const ExecutionJob = require('../ExecutionJob');
+const ExecutionLog = require('../ExecutionLog');
+const CodeState = require('../CodeState');
+const FakeExecutor = require('../fake-executor');
+const { ExecutorRegistry } = require('../executors');
+const { ExecutionJobManager } = require('../execution-jobs');
+
+useMemoryModel(ExecutionJob);
+useMemoryModel(ExecutionLog);
+useMemoryModel(CodeState);
+
+const createSession = async () => {
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    entryPoint: new mongoose.Types.ObjectId(),
+    addExecution: async () => {}
+  };
+  await CodeState.create({ sessionId: session._id, fileId: session.entryPoint, language: 'python' });
+  return session;
+};
+
+const createManager = (executorOptions = {}) => {
+  const executors = new ExecutorRegistry({ backend: 'fake' }).register('fake', new FakeExecutor(executorOptions));
+  return new ExecutionJobManager({ executors, notify: () => {} });
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), username: 'alice', incrementExecutionCount: async () => {} };
+const submission = (session) => ({
+  session,
+  user,
+  language: 'python',
+  code: 'print(1)',
+  request: { language: 'python', files: [{ name: 'main.py', content: 'print(1)' }], stdin: 'hi' }
+});
+
+test('a finished job releases the session for the next run', async () => {
+  const manager = createManager();
+  const session = await createSession();
+
+  const first = await manager.submit(submission(session));
+  await assert.rejects(manager.submit(submission(session)), { code: 'EXECUTION_RUNNING' });
+
+  assert.equal((await first.done).status, 'completed');
+  const second = await manager.submit(submission(session));
+  assert.equal((await second.done).status, 'completed');
+});
+
+test('the session is released when saving the finished job fails', async (t) => {
+  const manager = createManager();
+  const session = await createSession();
+  const errors = t.mock.method(console, 'error', () => {});
+
+  const save = ExecutionJob.prototype.save;
+  t.mock.method(ExecutionJob.prototype, 'save', function() {
+    return this.finishedAt ? Promise.reject(new Error('connection lost')) : save.call(this);
+  });
+
+  const failing = await manager.submit(submission(session));
+  await assert.rejects(failing.done, /connection lost/);
+  assert.ok(errors.mock.calls.some(call => String(call.arguments[0]).startsWith('Error finishing job')));
+
+  const state = await CodeState.findOne({ sessionId: session._id });
+  assert.equal(state.execution.isRunning, false);
+
+  t.mock.restoreAll();
+  const next = await manager.submit(submission(session));
+  assert.equal((await next.done).status, 'completed');
+});
+
+test('long jobs keep the session while their heartbeat beats', async () => {
+  const manager = createManager({ delay: 100 });
+  const session = await createSession();
+  const longAgo = new Date(Date.now() - 15 * 60 * 1000);
+
+  // Queued and running for a quarter of an hour, heartbeat still going
+  const first = await manager.submit(submission(session));
+  const state = await CodeState.findOne({ sessionId: session._id });
+  state.execution.startedAt = longAgo;
+  state.execution.heartbeatAt = longAgo;
+  const entry = manager.running.get(first.job._id.toString());
+  manager.persistProgress(entry);
+  await entry.persisting;
+  await assert.rejects(manager.submit(submission(session)), { code: 'EXECUTION_RUNNING' });
+
+  // The heartbeat of a dead instance's job stops; its lock can be taken over
+  state.execution.heartbeatAt = longAgo;
+  const second = await manager.submit(submission(session));
+  assert.equal(state.execution.jobId.toString(), second.job._id.toString());
+
+  assert.equal((await first.done).status, 'completed');
+  assert.equal(state.execution.isRunning, true);
+  assert.equal((await second.done).status, 'completed');
+  assert.equal(state.execution.isRunning, false);
+});
+
+// Backend with live stdin whose program prints everything it read
+const echoExecutor = {
+  name: 'fake',
+  supportsInteractive: true,
+  async execute(request, { stdin, onOutput }) {
+    let read = '';
+    for await (const chunk of stdin) {
+      read += chunk;
+    }
+    onOutput({ stage: 'run', stream: 'stdout', data: read });
+    return { language: request.language, version: '1.0.0', run: { stdout: read, stderr: '', output: read, code: 0, signal: null } };
+  }
+};
+
+test('interactive history records the submitted input before what was typed', async () => {
+  const executors = new ExecutorRegistry({ backend: 'fake' }).register('fake', echoExecutor);
+  const manager = new ExecutionJobManager({ executors, notify: () => {} });
+  const session = await createSession();
+  const executions = [];
+  session.addExecution = async (execution) => {
+    executions.push(execution);
+  };
+
+  const { job, done } = await manager.submit({ ...submission(session), input: 'first\n', interactive: true });
+  assert.equal(manager.writeInput(job._id, { data: 'second\n', eof: true }), true);
+
+  const finished = await done;
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.stdout, 'first\nsecond\n');
+  assert.equal(finished.stdin, 'first\nsecond\n');
+  assert.equal(executions[0].input, 'first\nsecond\n');
+});
+
+test('typed input is capped and ends with eof', async () => {
+  const executors = new ExecutorRegistry({ backend: 'fake' }).register('fake', echoExecutor);
+  const manager = new ExecutionJobManager({ executors, notify: () => {} });
+  const session = await createSession();
+
+  const { job, done } = await manager.submit({ ...submission(session), interactive: true });
+  assert.equal(job.interactive, true);
+  assert.equal(manager.writeInput(job._id, { data: 'a'.repeat(70 * 1024) }), true);
+  assert.equal(manager.writeInput(job._id, { data: 'b' }), false);
+  assert.equal(manager.writeInput(job._id, { eof: true }), true);
+  assert.equal(manager.writeInput(job._id, { data: 'c' }), false);
+
+  const finished = await done;
+  assert.equal(finished.stdin, 'a'.repeat(64 * 1024));
+  assert.equal(finished.stdout.length, 64 * 1024);
+});
+
+test('backends without live stdin run interactive requests in batch', async () => {
+  const manager = createManager();
+  const session = await createSession();
+
+  const { job, done } = await manager.submit({ ...submission(session), input: 'batch\n', interactive: true });
+  assert.equal(job.interactive, false);
+  assert.equal(manager.writeInput(job._id, { data: 'late\n' }), false);
+  assert.equal((await done).status, 'completed');
+});
@@ -0,0 +1,69 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./support/memory-models');
+const ExecutionLog = require('../ExecutionLog');
+
+useMemoryModel(ExecutionLog);
+
+const userId = new mongoose.Types.ObjectId();
+
+const log = (fields) => ExecutionLog.create({
+  userId,
+  language: 'python',
+  status: 'completed',
+  success: true,
+  ...fields
+});
+
+test('summaries report runtimes of completed executions and count the others', async () => {
+  const day = (date, time = '12:00') => new Date(`${date}T${time}:00Z`);
+
+  // Completed runs take 10..100 ms; the stopped ones would skew the percentiles
+  for (let i = 1; i <= 10; i++) {
+    await log({ durationMs: i * 10, executedAt: day('2026-03-02') });
+  }
+  await log({ language: 'java', durationMs: 1000, success: false, errorType: 'NullPointerException', executedAt: day('2026-03-02') });
+  await log({ language: 'java', status: 'cancelled', durationMs: 0, success: false, errorType: 'cancelled', executedAt: day('2026-03-04') });
+  await log({ status: 'failed', durationMs: 60000, success: false, errorType: 'backend-error', executedAt: day('2026-03-04', '23:59') });
+  await log({ status: 'failed', durationMs: 60000, success: false, errorType: 'backend-error', executedAt: day('2026-03-06') });
+  await log({ userId: new mongoose.Types.ObjectId(), durationMs: 5, executedAt: day('2026-03-02') });
+
+  const stats = await ExecutionLog.summarize({ userId }, { from: day('2026-03-01', '08:00'), to: day('2026-03-05') });
+
+  assert.equal(stats.totalExecutions, 13);
+  assert.equal(stats.failedExecutions, 1);
+  assert.equal(stats.cancelledExecutions, 1);
+  assert.equal(stats.successRate, 10 / 13);
+  assert.equal(stats.favoriteLanguage, 'python');
+  assert.deepEqual(stats.languages, [{ language: 'python', count: 11 }, { language: 'java', count: 2 }]);
+  // Nearest rank over the 11 completed runs: the 6th and the 11th
+  assert.deepEqual(stats.runtime, { p50: 60, p95: 1000 });
+  assert.deepEqual(stats.perDay, [
+    { date: '2026-03-01', count: 0, succeeded: 0 },
+    { date: '2026-03-02', count: 11, succeeded: 10 },
+    { date: '2026-03-03', count: 0, succeeded: 0 },
+    { date: '2026-03-04', count: 2, succeeded: 0 },
+    { date: '2026-03-05', count: 0, succeeded: 0 }
+  ]);
+  assert.deepEqual(stats.errorTypes, [
+    { type: 'NullPointerException', count: 1 },
+    { type: 'backend-error', count: 1 },
+    { type: 'cancelled', count: 1 }
+  ]);
+  assert.deepEqual(stats.lastExecution, day('2026-03-04', '23:59'));
+});
+
+test('summaries without executions have no runtimes', async () => {
+  const stats = await ExecutionLog.summarize({ userId: new mongoose.Types.ObjectId() }, {
+    from: new Date('2026-03-01T00:00:00Z'),
+    to: new Date('2026-03-01T23:00:00Z')
+  });
+
+  assert.equal(stats.totalExecutions, 0);
+  assert.equal(stats.successRate, null);
+  assert.deepEqual(stats.runtime, { p50: null, p95: null });
+  assert.deepEqual(stats.perDay, [{ date: '2026-03-01', count: 0, succeeded: 0 }]);
+});
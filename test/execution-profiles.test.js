@@ -0,0 +1,111 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  EXECUTION_PROFILE_LIMITS,
+  parseExecutionProfile,
+  resolveExecutionProfile,
+  effectiveExecutionProfile
+} = require('../execution-profiles');
+
+test('limits are rounded and clamped to their bounds', () => {
+  const profile = parseExecutionProfile({
+    runTimeout: 999999,
+    compileTimeout: 1,
+    runMemoryLimit: 32000000.4
+  }, 'cpp');
+
+  assert.deepEqual(profile, {
+    runTimeout: EXECUTION_PROFILE_LIMITS.runTimeout.max,
+    compileTimeout: EXECUTION_PROFILE_LIMITS.compileTimeout.min,
+    runMemoryLimit: 32000000
+  });
+  assert.throws(() => parseExecutionProfile({ runTimeout: '5000' }, 'cpp'), /runTimeout must be a number/);
+  assert.throws(() => parseExecutionProfile({ runTimeout: Infinity }, 'cpp'), /runTimeout must be a number/);
+});
+
+test('updates merge into the stored profile and null restores defaults', () => {
+  const stored = parseExecutionProfile({ runTimeout: 8000, args: ['--verbose'] }, 'python');
+
+  assert.deepEqual(parseExecutionProfile({ args: null, env: { MODE: 'fast' } }, 'python', stored), {
+    runTimeout: 8000,
+    env: { MODE: 'fast' }
+  });
+  assert.deepEqual(parseExecutionProfile(null, 'python', stored), {});
+  assert.throws(() => parseExecutionProfile({ timeout: 1000 }, 'python'), /Unknown execution profile field: timeout/);
+  assert.throws(() => parseExecutionProfile([], 'python'), /executionProfile must be an object/);
+});
+
+test('compiler flags must match the language allowlist', () => {
+  assert.deepEqual(
+    parseExecutionProfile({ compilerFlags: ['-O2', '-Wall', '-std=c++17', '-DDEBUG=1'] }, 'cpp').compilerFlags,
+    ['-O2', '-Wall', '-std=c++17', '-DDEBUG=1']
+  );
+  assert.deepEqual(parseExecutionProfile({ compilerFlags: ['-Xlint:unchecked'] }, 'java').compilerFlags, ['-Xlint:unchecked']);
+
+  assert.throws(
+    () => parseExecutionProfile({ compilerFlags: ['-O2', '-fplugin=evil.so'] }, 'cpp'),
+    /Compiler flag -fplugin=evil.so is not allowed for cpp/
+  );
+  assert.throws(() => parseExecutionProfile({ compilerFlags: ['-std=c++17'] }, 'c'), /not allowed for c$/);
+  assert.throws(() => parseExecutionProfile({ compilerFlags: ['-O2'] }, 'python'), /not allowed for python/);
+  assert.throws(() => parseExecutionProfile({ compilerFlags: '-O2' }, 'cpp'), /compilerFlags must be an array of strings/);
+});
+
+test('args are limited in count, length and content', () => {
+  assert.deepEqual(parseExecutionProfile({ args: ['a', 'b c'] }, 'python').args, ['a', 'b c']);
+  assert.throws(() => parseExecutionProfile({ args: Array(21).fill('x') }, 'python'), /at most 20 entries/);
+  assert.throws(() => parseExecutionProfile({ args: ['x'.repeat(257)] }, 'python'), /at most 256 characters/);
+  assert.throws(() => parseExecutionProfile({ args: ['a\0b'] }, 'python'), /null characters/);
+  assert.throws(() => parseExecutionProfile({ args: [1] }, 'python'), /args must be an array of strings/);
+});
+
+test('reserved and invalid environment variables are rejected', () => {
+  assert.deepEqual(parseExecutionProfile({ env: { GREETING: 'hi', _DEBUG: '1' } }, 'python').env, { GREETING: 'hi', _DEBUG: '1' });
+
+  for (const name of ['PATH', 'LD_PRELOAD', 'ld_library_path', 'PYTHONPATH', 'NODE_OPTIONS', 'JAVA_TOOL_OPTIONS', 'GOFLAGS', 'RUSTFLAGS', 'CFLAGS', 'LC_ALL']) {
+    assert.throws(() => parseExecutionProfile({ env: { [name]: 'x' } }, 'python'), new RegExp(`${name} is reserved`));
+  }
+  assert.throws(() => parseExecutionProfile({ env: { '1ABC': 'x' } }, 'python'), /Invalid environment variable name: 1ABC/);
+  assert.throws(() => parseExecutionProfile({ env: { 'A=B': 'x' } }, 'python'), /Invalid environment variable name/);
+  assert.throws(() => parseExecutionProfile({ env: { MODE: 1 } }, 'python'), /MODE must be a string/);
+  assert.throws(() => parseExecutionProfile({ env: { MODE: 'x'.repeat(1025) } }, 'python'), /MODE must be a string/);
+  assert.throws(() => parseExecutionProfile({ env: ['MODE'] }, 'python'), /env must be an object/);
+
+  const tooMany = Object.fromEntries(Array.from({ length: 21 }, (_, i) => [`VAR_${i}`, 'x']));
+  assert.throws(() => parseExecutionProfile({ env: tooMany }, 'python'), /at most 20 variables/);
+});
+
+test('resolved profiles fill in the defaults', () => {
+  assert.deepEqual(resolveExecutionProfile(undefined), {
+    compileTimeout: 10000,
+    runTimeout: 5000,
+    compileMemoryLimit: 128000000,
+    runMemoryLimit: 64000000,
+    args: [],
+    compilerFlags: null,
+    env: {}
+  });
+  assert.equal(resolveExecutionProfile({ runTimeout: 8000 }).runTimeout, 8000);
+});
+
+test('effective profiles drop what the backend or language cannot use', () => {
+  const stored = { compilerFlags: ['-O2'], env: { MODE: 'fast' }, args: ['x'] };
+
+  const full = effectiveExecutionProfile(stored, 'cpp', { supportsCompilerFlags: true, supportsEnvironment: true });
+  assert.deepEqual(full.compilerFlags, ['-O2']);
+  assert.deepEqual(full.env, { MODE: 'fast' });
+  assert.deepEqual(full.ignored, []);
+
+  const limited = effectiveExecutionProfile(stored, 'cpp', { supportsCompilerFlags: false, supportsEnvironment: false });
+  assert.equal(limited.compilerFlags, null);
+  assert.deepEqual(limited.env, {});
+  assert.deepEqual(limited.args, ['x']);
+  assert.deepEqual(limited.ignored, ['compilerFlags', 'env']);
+
+  // The session's language changed after the flags were saved
+  const overridden = effectiveExecutionProfile(stored, 'python', { supportsCompilerFlags: true, supportsEnvironment: true });
+  assert.equal(overridden.compilerFlags, null);
+  assert.deepEqual(overridden.ignored, ['compilerFlags']);
+});
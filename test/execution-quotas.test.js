@@ -0,0 +1,50 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, mock } = require('node:test');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./support/memory-models');
+const ExecutionUsage = require('../ExecutionUsage');
+const { ExecutionQuotas, parseQuotas } = require('../execution-quotas');
+
+const { docs } = useMemoryModel(ExecutionUsage);
+
+const countOf = (windowStart) => {
+  const usage = docs.find(doc => doc.windowStart.getTime() === windowStart.getTime());
+  return usage ? usage.count : 0;
+};
+
+test('consume counts every applicable quota and rejects once one is used up', async () => {
+  const quotas = new ExecutionQuotas({ quotas: parseQuotas('user:day=2,session:day=5') });
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  await quotas.consume({ userId, sessionId });
+  await quotas.consume({ userId, sessionId });
+  await assert.rejects(quotas.consume({ userId, sessionId }), { status: 429, code: 'QUOTA_EXCEEDED' });
+
+  const usage = await quotas.usage({ userId, sessionId });
+  assert.deepEqual(usage.map(({ scope, used }) => ({ scope, used })), [
+    { scope: 'user', used: 2 },
+    { scope: 'session', used: 2 }
+  ]);
+});
+
+test('refund gives back to the window that was charged, not the current one', async (t) => {
+  const quotas = new ExecutionQuotas({ quotas: parseQuotas('user:minute=10') });
+  const userId = new mongoose.Types.ObjectId();
+  const length = ExecutionUsage.WINDOW_MS.minute;
+  const charged = Math.floor(Date.now() / length) * length + length - 1;
+
+  t.after(() => mock.timers.reset());
+  mock.timers.enable({ apis: ['Date'], now: charged });
+  const counted = await quotas.consume({ userId, cost: 3 });
+
+  // The run gets refunded after the minute has turned over
+  mock.timers.setTime(charged + 1);
+  await quotas.consume({ userId });
+  await quotas.refund(counted, 3);
+
+  assert.equal(countOf(new Date(charged + 1 - length)), 0);
+  assert.equal(countOf(new Date(charged + 1)), 1);
+});
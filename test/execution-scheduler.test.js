@@ -0,0 +1,65 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const FairScheduler = require('../execution-scheduler');
+
+// Queue jobs and note the order they start in; each releases its slot right away
+const runAll = async (scheduler, jobs) => {
+  const started = [];
+  await Promise.all(jobs.map(({ name, key, group }) =>
+    scheduler.acquire(key, { group }).then(release => {
+      started.push(name);
+      release();
+    })
+  ));
+  return started;
+};
+
+test('a busy session with several users does not starve other sessions', async () => {
+  const scheduler = new FairScheduler({ concurrency: 1 });
+  const blocker = await scheduler.acquire('carol', { group: 'session:other' });
+
+  const started = runAll(scheduler, [
+    { name: 'a1', key: 'alice', group: 'session:busy' },
+    { name: 'b1', key: 'bob', group: 'session:busy' },
+    { name: 'c1', key: 'carl', group: 'session:busy' },
+    { name: 'a2', key: 'alice', group: 'session:busy' },
+    { name: 'q1', key: 'quinn', group: 'session:quiet' }
+  ]);
+  assert.deepEqual(scheduler.waiting().map(entry => entry.key), ['alice', 'quinn', 'bob', 'carl', 'alice']);
+
+  blocker();
+  assert.deepEqual(await started, ['a1', 'q1', 'b1', 'c1', 'a2']);
+});
+
+test('users take turns inside a session and positions follow the order', async () => {
+  const scheduler = new FairScheduler({ concurrency: 1 });
+  const blocker = await scheduler.acquire('x');
+  const positions = {};
+  const waiting = ['a1', 'a2', 'b1'].map(name => scheduler.acquire(name[0], {
+    group: 'session:s',
+    onPosition: position => { positions[name] = position; }
+  }));
+
+  assert.deepEqual(positions, { a1: 1, a2: 3, b1: 2 });
+  assert.equal(scheduler.queuedFor('a'), 2);
+
+  blocker();
+  (await waiting[0])();
+  (await waiting[2])();
+  (await waiting[1])();
+  assert.deepEqual(scheduler.stats(), { running: 0, queued: 0, concurrency: 1 });
+});
+
+test('jobs cancelled while waiting leave the line', async () => {
+  const scheduler = new FairScheduler({ concurrency: 1 });
+  const blocker = await scheduler.acquire('x');
+  const controller = new AbortController();
+  const cancelled = scheduler.acquire('a', { group: 'session:s', signal: controller.signal });
+
+  controller.abort();
+  await assert.rejects(cancelled, { name: 'AbortError' });
+  assert.equal(scheduler.stats().queued, 0);
+  blocker();
+});
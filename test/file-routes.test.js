@@ -0,0 +1,112 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(Session);
+useMemoryModel(Revision);
+const codeStates = useMemoryModel(CodeState).docs;
+
+let api;
+let token;
+let user;
+let session;
+const removedDocuments = [];
+const treeChanges = [];
+
+before(async () => {
+  user = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(user._id);
+  token = signAccessToken(user._id, login._id);
+
+  api = await startApp('/api/sessions', require('../file-routes'), {
+    readDocument: async () => ({ content: '', version: 1 }),
+    removeDocuments: async (sessionId, fileIds) => removedDocuments.push(...fileIds.map(String)),
+    notifyFileTreeChange: (sessionId, tree, change) => treeChanges.push(change)
+  });
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+  const entryPoint = new mongoose.Types.ObjectId();
+  session = await Session.create({
+    name: 'Project',
+    language: 'python',
+    creator: user._id,
+    files: [{ _id: entryPoint, path: 'main.py', type: 'file' }],
+    entryPoint: entryPoint
+  });
+  removedDocuments.length = 0;
+  treeChanges.length = 0;
+});
+
+const request = (method, path, body) => api.request(method, `/${session._id}${path}`, { token, body });
+const paths = () => session.files.map(file => `${file.type === 'folder' ? 'dir' : 'file'} ${file.path}`).sort();
+
+test('new files get their missing folders, first revision and live document', async () => {
+  const { status, body } = await request('POST', '/files', { path: 'src//app/util.py/', content: 'X = 1\n' });
+  assert.equal(status, 201);
+  assert.equal(body.file.path, 'src/app/util.py');
+  assert.deepEqual(paths(), ['dir src', 'dir src/app', 'file main.py', 'file src/app/util.py']);
+
+  const fileId = session.findFileByPath('src/app/util.py')._id;
+  assert.equal(codeStates.find(codeState => fileId.equals(codeState.fileId)).content, 'X = 1\n');
+  assert.equal(await Revision.getContent(session._id, fileId, 1), 'X = 1\n');
+  assert.deepEqual(treeChanges.map(change => change.action), ['created']);
+});
+
+test('invalid and clashing paths are refused', async () => {
+  for (const path of ['../secrets', 'a/./b', 'a\\b', '', 'main.py', 'main.py/inner.py']) {
+    const { status } = await request('POST', '/files', { path });
+    assert.equal(status, 400, path);
+  }
+  assert.deepEqual(paths(), ['file main.py']);
+});
+
+test('folders move and are deleted with their contents', async () => {
+  await request('POST', '/files', { path: 'lib/a.py' });
+  await request('POST', '/files', { path: 'lib/b.py' });
+  await request('POST', '/files', { path: 'vendor', type: 'folder' });
+  const lib = session.findFileByPath('lib');
+
+  assert.equal((await request('PUT', `/files/${lib._id}`, { path: 'lib/inner' })).status, 400);
+  const moved = await request('PUT', `/files/${lib._id}`, { path: 'vendor/lib' });
+  assert.equal(moved.status, 200);
+  assert.deepEqual(paths(), ['dir vendor', 'dir vendor/lib', 'file main.py', 'file vendor/lib/a.py', 'file vendor/lib/b.py']);
+
+  const renamed = await request('PUT', `/files/${session.findFileByPath('vendor/lib/a.py')._id}`, { name: 'c.py' });
+  assert.equal(renamed.body.file.path, 'vendor/lib/c.py');
+
+  const fileIds = ['vendor/lib/c.py', 'vendor/lib/b.py'].map(path => session.findFileByPath(path)._id.toString());
+  const deleted = await request('DELETE', `/files/${session.findFileByPath('vendor')._id}`);
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(paths(), ['file main.py']);
+  assert.deepEqual(removedDocuments.filter(id => fileIds.includes(id)).sort(), fileIds.sort());
+  assert.ok(codeStates.every(codeState => !fileIds.includes(String(codeState.fileId))));
+});
+
+test('the entry point is kept until another file takes its place', async () => {
+  const main = session.findFileByPath('main.py');
+  const refused = await request('DELETE', `/files/${main._id}`);
+  assert.equal(refused.status, 400);
+
+  await request('POST', '/files', { path: 'app.py' });
+  const app = session.findFileByPath('app.py');
+  assert.equal((await request('PUT', '/entry-point', { fileId: app._id })).status, 200);
+  assert.ok(session.entryPoint.equals(app._id));
+  assert.equal((await request('DELETE', `/files/${main._id}`)).status, 200);
+});
@@ -0,0 +1,133 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, beforeEach } = require('node:test');
+const { LanguageRegistry, LANGUAGE_NAMES } = require('../languages');
+const { ExecutorRegistry } = require('../executors');
+const FakeExecutor = require('../fake-executor');
+
+const TTL = 60 * 1000;
+const RETRY = 30 * 1000;
+
+let fake;
+let executors;
+let registry;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  t.mock.method(console, 'error', () => {});
+  fake = new FakeExecutor({ version: '3.12.0' });
+  executors = new ExecutorRegistry({ backend: 'fake' }).register('fake', fake);
+  registry = new LanguageRegistry({ executors, ttl: TTL });
+});
+
+const find = async (name) => (await registry.list()).find(language => language.name === name);
+
+test('runtimes are fetched once per ttl', async (t) => {
+  const runtimes = t.mock.method(fake, 'runtimes');
+
+  const python = await find('python');
+  assert.deepEqual(python.versions, ['3.12.0']);
+  assert.equal(python.version, '3.12.0');
+  assert.equal(python.available, true);
+  assert.equal(python.stale, false);
+  assert.ok(python.checkedAt instanceof Date);
+  assert.equal((await registry.list()).length, LANGUAGE_NAMES.length);
+  assert.equal(runtimes.mock.callCount(), 1);
+
+  t.mock.timers.tick(TTL - 1);
+  await registry.list();
+  assert.equal(runtimes.mock.callCount(), 1);
+
+  t.mock.timers.tick(1);
+  fake.version = '3.13.0';
+  assert.deepEqual((await find('python')).versions, ['3.13.0']);
+  assert.equal(runtimes.mock.callCount(), 2);
+});
+
+test('concurrent lists share one refresh', async (t) => {
+  const runtimes = t.mock.method(fake, 'runtimes');
+
+  await Promise.all([registry.list(), registry.list(), registry.versions('python')]);
+  assert.equal(runtimes.mock.callCount(), 1);
+});
+
+test('unreachable backends keep their last versions, marked stale, and are asked again sooner', async (t) => {
+  await registry.list();
+  t.mock.timers.tick(TTL);
+
+  const runtimes = t.mock.method(fake, 'runtimes', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  const python = await find('python');
+  assert.deepEqual(python.versions, ['3.12.0']);
+  assert.equal(python.available, true);
+  assert.equal(python.stale, false); // Fetched exactly one ttl ago
+
+  t.mock.timers.tick(1);
+  assert.equal((await find('python')).stale, true);
+  assert.equal(runtimes.mock.callCount(), 1);
+
+  t.mock.timers.tick(RETRY - 1);
+  await registry.list();
+  assert.equal(runtimes.mock.callCount(), 2);
+
+  runtimes.mock.restore();
+  fake.version = '3.13.0';
+  t.mock.timers.tick(RETRY);
+  const recovered = await find('python');
+  assert.deepEqual(recovered.versions, ['3.13.0']);
+  assert.equal(recovered.stale, false);
+});
+
+test('refresh errors are retried after the retry delay', async (t) => {
+  const runtimes = t.mock.method(executors, 'runtimes', async () => {
+    throw new Error('boom');
+  });
+
+  const python = await find('python');
+  assert.deepEqual(python.versions, []);
+  assert.equal(python.available, false);
+  assert.equal(python.stale, true);
+  assert.equal(python.checkedAt, null);
+
+  t.mock.timers.tick(RETRY - 1);
+  await registry.list();
+  assert.equal(runtimes.mock.callCount(), 1);
+
+  t.mock.timers.tick(1);
+  await registry.list();
+  assert.equal(runtimes.mock.callCount(), 2);
+});
+
+test('versions rejects for languages whose backend never answered', async () => {
+  const offline = new FakeExecutor();
+  offline.runtimes = async () => {
+    throw new Error('connect ECONNREFUSED');
+  };
+  executors = new ExecutorRegistry({ backend: 'fake', languageBackends: { java: 'piston' } })
+    .register('fake', fake)
+    .register('piston', offline);
+  registry = new LanguageRegistry({ executors, ttl: TTL });
+
+  assert.deepEqual(await registry.versions('python'), ['3.12.0']);
+  await assert.rejects(registry.versions('java'), /Runtime versions of java are unavailable/);
+
+  const java = await find('java');
+  assert.equal(java.backend, 'piston');
+  assert.equal(java.available, false);
+  assert.equal(java.stale, true);
+});
+
+test('answers from a backend the language no longer uses are ignored', async () => {
+  await registry.list();
+  executors.languageBackends = { python: 'piston' };
+  executors.register('piston', new FakeExecutor({ version: '3.11.0' }));
+
+  // Still within the ttl, so nothing is fetched from the new backend yet
+  const python = await find('python');
+  assert.equal(python.backend, 'piston');
+  assert.deepEqual(python.versions, []);
+  assert.equal(python.checkedAt, null);
+  assert.equal(python.stale, true);
+});
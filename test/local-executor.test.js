@@ -0,0 +1,81 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const LocalExecutor = require('../local-executor');
+
+const { TOOLCHAINS } = LocalExecutor;
+
+// Only the toolchains these tests run, so the version checks stay quick
+const executor = new LocalExecutor({
+  toolchains: {
+    python: TOOLCHAINS.python,
+    missing: { run: ['codecollab-no-such-runtime', '{entry}'], version: ['true'] }
+  }
+});
+
+const runPython = (content, options = {}, executeOptions = {}) => executor.execute({
+  language: 'python',
+  files: [{ name: 'main.py', content }],
+  ...options
+}, executeOptions);
+
+test('programs get stdin, arguments and their own environment', async () => {
+  const { run } = await runPython([
+    'import os, sys',
+    'print(sys.stdin.read().strip(), sys.argv[1:], os.environ["GREETING"], os.environ["HOME"] == os.getcwd())'
+  ].join('\n'), { stdin: 'typed\n', args: ['--fast'], env: { GREETING: 'hi', HOME: '/root' } });
+
+  assert.equal(run.code, 0);
+  assert.equal(run.stdout, "typed ['--fast'] hi True\n");
+});
+
+test('runs past their time limit are killed', async () => {
+  const { run } = await runPython('while True:\n    pass\n', { runTimeout: 300 });
+
+  assert.equal(run.code, null);
+  assert.equal(run.signal, 'SIGKILL');
+  assert.match(run.stderr, /Time limit exceeded \(300ms\)$/);
+});
+
+test('runs cannot allocate past their memory limit', async () => {
+  const { run } = await runPython('data = bytearray(400 * 1024 * 1024)\nprint("allocated")\n', { runMemoryLimit: 200000000 });
+
+  assert.notEqual(run.code, 0);
+  assert.match(run.stderr, /MemoryError/);
+});
+
+test('output is capped', async () => {
+  const { run } = await runPython('print("x" * 200000)\n');
+
+  assert.equal(run.stdout, `${'x'.repeat(64 * 1024)}\n[output truncated]`);
+});
+
+test('cancelled runs stop with an AbortError', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+
+  await assert.rejects(runPython('import time\ntime.sleep(10)\n', { runTimeout: 10000 }, { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('files may not leave the run directory', async () => {
+  await assert.rejects(executor.execute({
+    language: 'python',
+    files: [{ name: 'main.py', content: '' }, { name: '../escape.py', content: '' }]
+  }), { status: 400, message: 'Invalid file name: ../escape.py' });
+});
+
+test('missing toolchains are reported as unavailable', async () => {
+  await assert.rejects(executor.execute({
+    language: 'missing',
+    files: [{ name: 'main.txt', content: '' }]
+  }), { status: 503 });
+});
+
+test('java runs the class named after the entry point', () => {
+  const files = [{ name: 'src/Calculator.java' }, { name: 'src/Helper.java' }, { name: 'README.md' }];
+  const java = TOOLCHAINS.java;
+
+  assert.deepEqual(executor.expandCommand(java.compile, java, files, 256000000, null), ['javac', '-d', '.', 'src/Calculator.java', 'src/Helper.java']);
+  assert.deepEqual(executor.expandCommand(java.run, java, files, 256000000), ['java', '-Xmx256m', '-cp', '.', 'Calculator']);
+});
@@ -0,0 +1,88 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after, afterEach } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const { connectSocket, nextEvent, disconnectSockets } = require('./support/sockets');
+const { startClusterHarness } = require('../cluster-harness');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+
+let cluster;
+let api;
+let alice;
+
+before(async () => {
+  alice = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  cluster = await startClusterHarness({ instances: 2 });
+  // The routes publish through one instance; the sockets below sit on either
+  api = await startApp('/api/auth', require('../auth-routes'), {
+    notifyLoginsRevoked: cluster.instances[0].collaboration.notifyLoginsRevoked
+  });
+});
+
+afterEach(disconnectSockets);
+
+after(async () => {
+  await api.close();
+  await cluster.close();
+});
+
+// A signed-in device with a socket on instance `instance`
+const signInDevice = async (deviceLabel, instance) => {
+  const login = await Login.start(alice._id, { deviceLabel });
+  const token = signAccessToken(alice._id, login._id);
+  const socket = await connectSocket(cluster.instances[instance].url, token);
+  return { login, token, socket };
+};
+
+// Resolves with the login-revoked payload once the server has closed the socket
+const signedOut = async (socket) => {
+  const [payload] = await Promise.all([
+    nextEvent(socket, 'login-revoked'),
+    nextEvent(socket, 'disconnect')
+  ]);
+  return payload;
+};
+
+test('revoking a login disconnects its sockets on every instance and no others', async () => {
+  const laptop = await signInDevice('Laptop', 0);
+  const phone = await signInDevice('Phone', 1);
+  const phoneSignedOut = signedOut(phone.socket);
+
+  const { status } = await api.request('DELETE', `/sessions/${phone.login._id}`, { token: laptop.token });
+  assert.equal(status, 200);
+
+  assert.equal((await phoneSignedOut).reason, 'revoked');
+  assert.equal(phone.socket.connected, false);
+  assert.equal(laptop.socket.connected, true);
+});
+
+test('signing out the other logins keeps the current one connected', async () => {
+  const laptop = await signInDevice('Laptop', 0);
+  const phone = await signInDevice('Phone', 1);
+  const tablet = await signInDevice('Tablet', 0);
+  const others = [signedOut(phone.socket), signedOut(tablet.socket)];
+
+  const { body } = await api.request('DELETE', '/sessions', { token: laptop.token });
+  assert.ok(body.revoked >= 2);
+
+  assert.deepEqual((await Promise.all(others)).map(payload => payload.reason), ['revoked', 'revoked']);
+  assert.equal(laptop.socket.connected, true);
+});
+
+test('logging out disconnects the login\'s own sockets', async () => {
+  const laptop = await signInDevice('Laptop', 1);
+  const laptopSignedOut = signedOut(laptop.socket);
+
+  const { status } = await api.request('POST', '/logout', { token: laptop.token });
+  assert.equal(status, 200);
+  assert.equal((await laptopSignedOut).reason, 'logout');
+});
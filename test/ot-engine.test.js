@@ -0,0 +1,95 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  normalizeOperation,
+  normalizeOperations,
+  applyOperations,
+  transformComponent,
+  transformOperations
+} = require('../ot-engine');
+
+// Both sides end with the same text whichever edit the server saw first
+const assertConverges = (base, ops, others) => {
+  const [opsPrime, othersPrime] = transformOperations(ops, others);
+  const viaOthers = applyOperations(applyOperations(base, others), opsPrime);
+  const viaOps = applyOperations(applyOperations(base, ops), othersPrime);
+  assert.equal(viaOthers, viaOps);
+  return viaOthers;
+};
+
+test('concurrent inserts at one index keep the already applied text first', () => {
+  const ops = [{ type: 'insert', index: 1, content: 'X' }];
+  const others = [{ type: 'insert', index: 1, content: 'Y' }];
+
+  assert.equal(assertConverges('ab', ops, others), 'aYXb');
+  assert.deepEqual(transformComponent(ops[0], others[0], false), ops);
+  assert.deepEqual(transformComponent(ops[0], others[0], true), [{ type: 'insert', index: 2, content: 'X' }]);
+});
+
+test('a delete around a concurrent insert is split and keeps the inserted text', () => {
+  const remove = { type: 'delete', index: 1, length: 4 };
+  const insert = { type: 'insert', index: 3, content: '++' };
+
+  assert.deepEqual(transformComponent(remove, insert, true), [
+    { type: 'delete', index: 1, length: 2 },
+    { type: 'delete', index: 3, length: 2 }
+  ]);
+  assert.equal(assertConverges('abcdef', [remove], [insert]), 'a++f');
+});
+
+test('overlapping deletes remove the shared text once', () => {
+  assert.equal(assertConverges('abcdefgh', [{ type: 'delete', index: 1, length: 4 }], [{ type: 'delete', index: 3, length: 4 }]), 'ah');
+  assert.deepEqual(transformComponent({ type: 'delete', index: 2, length: 2 }, { type: 'delete', index: 1, length: 5 }), []);
+});
+
+test('inserts inside a concurrently deleted range land where it was', () => {
+  assert.equal(assertConverges('abcdef', [{ type: 'insert', index: 3, content: 'X' }], [{ type: 'delete', index: 1, length: 4 }]), 'aXf');
+});
+
+test('multi-component operations converge with each other', () => {
+  // Small seeded generator, so a failure can be replayed
+  let seed = 42;
+  const random = (n) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+  };
+  const randomOperation = (text) => {
+    const components = [];
+    let current = text;
+    for (let count = 1 + random(3); count > 0; count--) {
+      const index = random(current.length + 1);
+      const operation = random(2) === 0 || current.length === index
+        ? { type: 'insert', index, content: 'xyz'.slice(0, 1 + random(3)) }
+        : { type: 'delete', index, length: 1 + random(current.length - index) };
+      const [component] = normalizeOperation(operation, current);
+      current = applyOperations(current, [component]);
+      components.push(component);
+    }
+    return components;
+  };
+
+  for (let i = 0; i < 300; i++) {
+    const base = 'abcdefghij'.slice(0, random(11));
+    assertConverges(base, randomOperation(base), randomOperation(base));
+  }
+});
+
+test('client operations are validated against the text they apply to', () => {
+  assert.deepEqual(normalizeOperation({ type: 'insert', position: { line: 1, column: 2 }, content: '!' }, 'ab\ncd'), [
+    { type: 'insert', index: 5, content: '!' }
+  ]);
+  assert.deepEqual(normalizeOperations([
+    { type: 'replace', index: 0, length: 2, content: 'AB' },
+    { type: 'delete', index: 3, length: 1 }
+  ], 'abcd'), [
+    { type: 'delete', index: 0, length: 2 },
+    { type: 'insert', index: 0, content: 'AB' },
+    { type: 'delete', index: 3, length: 1 }
+  ]);
+
+  assert.throws(() => normalizeOperation({ type: 'delete', index: 2, length: 3 }, 'abcd'), { code: 'INVALID_OPERATION' });
+  assert.throws(() => normalizeOperation({ type: 'insert', index: 5, content: 'x' }, 'abcd'), { code: 'INVALID_OPERATION' });
+  assert.throws(() => normalizeOperation({ type: 'move', index: 0 }, 'abcd'), /Unsupported operation type/);
+});
@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { startApp } = require('./support/app');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(CodeState);
+const sessions = useMemoryModel(Session).docs;
+const revisions = useMemoryModel(Revision).docs;
+
+let api;
+let user;
+let token;
+
+before(async () => {
+  user = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(user._id);
+  token = signAccessToken(user._id, login._id);
+  api = await startApp('/api/sessions', require('../session-routes'));
+});
+
+after(() => api.close());
+
+// A session from before revisions and file trees, with its code history (newest first)
+const createLegacySession = async (codes) => {
+  const now = Date.now();
+  const session = await Session.create({
+    title: 'Legacy',
+    language: 'python',
+    creator: user._id,
+    code: codes[0],
+    codeHistory: codes.map((code, i) => ({
+      code,
+      changedBy: user._id,
+      timestamp: new Date(now - i * 1000),
+      changeType: i === 1 ? 'executed' : 'modified'
+    }))
+  });
+  return session;
+};
+
+test('old code history moves into revisions and keeps its /history shape', async () => {
+  const session = await createLegacySession(['print(3)\n', 'print(2)\n', 'print(2)\n', 'print(1)\n']);
+  // Saved by autosave after revisions existed, before the session had files
+  await Revision.record({ sessionId: session._id, content: 'print(4)\n', author: user._id });
+
+  const { status, body } = await api.request('GET', `/${session._id}/history`, { token });
+  assert.equal(status, 200);
+
+  // Duplicates from runs are dropped; the later revision stays the newest
+  assert.deepEqual(body.codeHistory.map(change => [change.revisionNumber, change.code]), [
+    [4, 'print(4)\n'],
+    [3, 'print(3)\n'],
+    [2, 'print(2)\n'],
+    [1, 'print(1)\n']
+  ]);
+  assert.equal(body.codeHistory[1].changedBy, user._id.toString());
+  assert.equal(body.revisions.length, 4);
+
+  const migrated = sessions.find(doc => doc._id.equals(session._id));
+  assert.equal((migrated.codeHistory || []).length, 0);
+  assert.ok(revisions.every(revision => revision.fileId && revision.fileId.equals(migrated.entryPoint)));
+
+  // A second request finds nothing left to move
+  const again = await api.request('GET', `/${session._id}/history`, { token });
+  assert.deepEqual(again.body.codeHistory, body.codeHistory);
+});
+
+test('sessions without old history answer with an empty code history', async () => {
+  const session = await createLegacySession([]);
+  const { status, body } = await api.request('GET', `/${session._id}/history`, { token });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.codeHistory, []);
+  assert.equal(await Revision.countDocuments({ sessionId: session._id }), 0);
+});
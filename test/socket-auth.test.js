@@ -0,0 +1,74 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after, afterEach } = require('node:test');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { connectSocket, nextEvent, disconnectSockets } = require('./support/sockets');
+const { startClusterHarness } = require('../cluster-harness');
+const { signAccessToken, signTwoFactorChallenge } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+
+let cluster;
+let url;
+let alice;
+
+before(async () => {
+  alice = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  cluster = await startClusterHarness({ instances: 1 });
+  url = cluster.instances[0].url;
+});
+
+afterEach(disconnectSockets);
+
+after(() => cluster.close());
+
+const signIn = async () => {
+  const login = await Login.start(alice._id);
+  return { login, token: signAccessToken(alice._id, login._id) };
+};
+
+// Resolves with the data of the connect_error the handshake was refused with
+const refusal = (token) => connectSocket(url, token).then(
+  () => assert.fail('the connection was accepted'),
+  error => error.data
+);
+
+test('handshakes without a valid access token are refused', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  assert.equal((await refusal(undefined)).status, 401);
+  assert.deepEqual(await refusal('not-a-jwt'), { status: 401, code: 'INVALID_TOKEN' });
+
+  const { login } = await signIn();
+  const foreign = jwt.sign({ userId: alice._id, loginId: login._id, type: 'access' }, 'another-secret');
+  assert.deepEqual(await refusal(foreign), { status: 401, code: 'INVALID_TOKEN' });
+
+  const expired = jwt.sign({ userId: alice._id, loginId: login._id, type: 'access' }, process.env.JWT_SECRET, { expiresIn: -10 });
+  assert.deepEqual(await refusal(expired), { status: 401, code: 'TOKEN_EXPIRED' });
+
+  // Second-step tokens only open POST /login/2fa
+  const { challengeToken } = signTwoFactorChallenge(alice);
+  assert.deepEqual(await refusal(challengeToken), { status: 401, code: 'INVALID_TOKEN' });
+});
+
+test('tokens of signed-out logins are refused', async () => {
+  const { token } = await signIn();
+  await Login.revokeUser(alice._id, 'logout');
+
+  assert.deepEqual(await refusal(token), { status: 401, code: 'TOKEN_REVOKED' });
+});
+
+test('connected sockets are the token user whatever the client claims', async () => {
+  const { token } = await signIn();
+  const socket = await connectSocket(url, token);
+
+  const answer = nextEvent(socket, 'auth-success');
+  socket.emit('authenticate', { userId: 'someone-else', username: 'mallory' });
+  assert.deepEqual((await answer).user, { id: alice._id.toString(), username: 'alice' });
+});
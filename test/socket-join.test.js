@@ -0,0 +1,98 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after, afterEach } = require('node:test');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { connectSocket, nextEvent, disconnectSockets } = require('./support/sockets');
+const { startClusterHarness } = require('../cluster-harness');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(Session);
+useMemoryModel(Revision);
+const codeStates = useMemoryModel(CodeState, { copies: true }).docs;
+
+let cluster;
+let alice;
+let token;
+
+before(async () => {
+  alice = await new User({ username: 'alice', email: 'alice@example.com', password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(alice._id);
+  token = signAccessToken(alice._id, login._id);
+  cluster = await startClusterHarness({ instances: 1 });
+});
+
+afterEach(disconnectSockets);
+
+after(() => cluster.close());
+
+// Join a session; resolves with the first code-sync, or the error the server sent
+const join = async (sessionId) => {
+  const socket = await connectSocket(cluster.instances[0].url, token);
+  const answer = Promise.race([
+    nextEvent(socket, 'code-sync').then(sync => ({ sync })),
+    nextEvent(socket, 'error').then(error => ({ error }))
+  ]);
+  socket.emit('join-session', { sessionId: sessionId.toString() });
+  return { socket, ...await answer };
+};
+
+const createSession = (fields = {}) => Session.create({
+  name: 'Hydration',
+  language: 'python',
+  creator: alice._id,
+  code: 'print("from the session")\n',
+  settings: { autoSave: false },
+  ...fields
+});
+
+test('a cold session starts from its stored code', async () => {
+  const session = await createSession();
+
+  const { sync } = await join(session._id);
+  assert.equal(sync.code, 'print("from the session")\n');
+  assert.equal(sync.language, 'python');
+  assert.equal(sync.mode, 'ot');
+
+  const stored = codeStates.find(codeState => codeState.sessionId.equals(session._id));
+  assert.equal(String(stored.fileId), sync.fileId);
+});
+
+test('rooms hydrate from the saved document, not the stale session code', async () => {
+  const fileId = new mongoose.Types.ObjectId();
+  const session = await createSession({
+    files: [{ _id: fileId, path: 'main.py', type: 'file' }],
+    entryPoint: fileId
+  });
+  await CodeState.create({
+    sessionId: session._id,
+    fileId: fileId,
+    language: 'python',
+    content: 'print("saved by the last room")\n',
+    version: 7
+  });
+
+  const { sync } = await join(session._id);
+  assert.equal(sync.code, 'print("saved by the last room")\n');
+  assert.equal(sync.revision, 7);
+  assert.equal(sync.fileId, fileId.toString());
+});
+
+test('sessions that cannot be joined answer with an error', async () => {
+  const ended = await createSession({ status: 'ended' });
+  const someoneElses = await createSession({ creator: new mongoose.Types.ObjectId() });
+
+  assert.equal((await join(new mongoose.Types.ObjectId())).error.code, 'SESSION_NOT_FOUND');
+  assert.equal((await join(ended._id)).error.code, 'SESSION_ENDED');
+  assert.equal((await join(someoneElses._id)).error.code, 'ACCESS_DENIED');
+});
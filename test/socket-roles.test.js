@@ -0,0 +1,129 @@
+process.env.JWT_SECRET = 'test-secret';
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, before, after, afterEach } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { connectSocket, nextEvent, disconnectSockets } = require('./support/sockets');
+const { startClusterHarness } = require('../cluster-harness');
+const { signAccessToken } = require('../auth-tokens');
+const User = require('../User');
+const Login = require('../Login');
+const Session = require('../Session');
+const CodeState = require('../CodeState');
+const Revision = require('../Revision');
+
+useMemoryModel(User);
+useMemoryModel(Login);
+useMemoryModel(Session);
+useMemoryModel(Revision);
+useMemoryModel(CodeState, { copies: true });
+
+let cluster;
+const people = {};
+
+const createUser = async (username) => {
+  const user = await new User({ username, email: `${username}@example.com`, password: bcrypt.hashSync('secret1', 4) }).save();
+  const login = await Login.start(user._id);
+  people[username] = { user, token: signAccessToken(user._id, login._id) };
+};
+
+before(async () => {
+  await Promise.all(['carol', 'eddie', 'vera'].map(createUser));
+  cluster = await startClusterHarness({ instances: 1 });
+});
+
+afterEach(disconnectSockets);
+
+after(() => cluster.close());
+
+const createSession = () => Session.create({
+  name: 'Roles',
+  language: 'python',
+  code: 'x = 1\n',
+  creator: people.carol.user._id,
+  activeParticipants: [
+    { user: people.eddie.user._id, username: 'eddie', role: 'editor' },
+    { user: people.vera.user._id, username: 'vera', role: 'viewer' }
+  ],
+  settings: { autoSave: false }
+});
+
+// Join as `username`; resolves with the socket once its role and code arrived
+const join = async (session, username) => {
+  const socket = await connectSocket(cluster.instances[0].url, people[username].token);
+  const joined = Promise.all([nextEvent(socket, 'session-role'), nextEvent(socket, 'code-sync')]);
+  socket.emit('join-session', { sessionId: session._id.toString() });
+  const [{ role }, sync] = await joined;
+  return { socket, role, sync };
+};
+
+const edit = (socket, session, sync, content) => {
+  socket.emit('code-change', {
+    sessionId: session._id.toString(),
+    revision: sync.revision,
+    operation: { type: 'insert', index: 0, content }
+  });
+};
+
+test('viewers cannot edit, save or manage', async () => {
+  const session = await createSession();
+  const vera = await join(session, 'vera');
+  const eddie = await join(session, 'eddie');
+  assert.equal(vera.role, 'viewer');
+
+  const changes = [];
+  eddie.socket.on('code-change', change => changes.push(change));
+
+  for (const [event, payload, action] of [
+    ['code-change', { revision: vera.sync.revision, operation: { type: 'insert', index: 0, content: '# hi\n' } }, 'edit'],
+    ['save-code', {}, 'edit'],
+    ['update-session-settings', { settings: { isPublic: true } }, 'manage']
+  ]) {
+    const denied = nextEvent(vera.socket, 'permission-denied');
+    vera.socket.emit(event, { sessionId: session._id.toString(), ...payload });
+    assert.deepEqual(await denied, {
+      sessionId: session._id.toString(),
+      event: event,
+      action: action,
+      role: 'viewer',
+      message: `Your role (viewer) does not allow you to ${action} in this session`
+    });
+  }
+
+  // The code and settings are as they were
+  const fresh = await join(session, 'eddie');
+  assert.equal(fresh.sync.code, 'x = 1\n');
+  assert.equal(changes.length, 0);
+  assert.equal(session.settings.isPublic, false);
+});
+
+test('editors edit but only the creator manages roles', async () => {
+  const session = await createSession();
+  const carol = await join(session, 'carol');
+  const eddie = await join(session, 'eddie');
+
+  const applied = nextEvent(carol.socket, 'code-change');
+  edit(eddie.socket, session, eddie.sync, 'y = 2\n');
+  assert.deepEqual((await applied).operations, [{ type: 'insert', index: 0, content: 'y = 2\n' }]);
+
+  const denied = nextEvent(eddie.socket, 'permission-denied');
+  eddie.socket.emit('change-role', { sessionId: session._id.toString(), userId: people.vera.user._id.toString(), role: 'editor' });
+  assert.equal((await denied).action, 'manage');
+  assert.equal(session.getParticipantRole(people.vera.user._id), 'viewer');
+});
+
+test('promoted viewers can edit right away', async () => {
+  const session = await createSession();
+  const carol = await join(session, 'carol');
+  const vera = await join(session, 'vera');
+
+  const promoted = nextEvent(vera.socket, 'role-changed');
+  carol.socket.emit('change-role', { sessionId: session._id.toString(), userId: people.vera.user._id.toString(), role: 'editor' });
+  assert.equal((await promoted).role, 'editor');
+
+  const acknowledged = nextEvent(vera.socket, 'code-ack');
+  edit(vera.socket, session, vera.sync, '# promoted\n');
+  assert.equal((await acknowledged).revision, vera.sync.revision + 1);
+});
@@ -0,0 +1,35 @@
+// app.js - Express app around one router for route tests
+//
+// startApp(path, router, locals) listens on a free port and resolves with
+// { request(method, url, { body, token }), close() }; request resolves with
+// { status, body } (body parsed from JSON).
+const express = require('express');
+
+const startApp = (path, router, locals = {}) => {
+  const app = express();
+  app.use(express.json());
+  Object.assign(app.locals, locals);
+  app.use(path, router);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}${path}`;
+
+      const request = async (method, url, { body, token } = {}) => {
+        const response = await fetch(base + url, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+          },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+      };
+
+      resolve({ app, request, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+};
+
+module.exports = { startApp };
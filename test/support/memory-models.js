@@ -0,0 +1,249 @@
+// memory-models.js - In-memory stand-ins for the mongoose model methods the routes
+// use, so route tests run without MongoDB.
+//
+// useMemoryModel(Model) replaces the model's query statics and document save()/
+// updateOne() with versions backed by an array, and returns { docs }. Hooks do not
+// run on save(), so store passwords already hashed.
+// Filters support plain equality (null also matches missing), dotted paths and
+// $gt, $gte, $lt, $lte, $ne, $in, $exists, $elemMatch and $or; updates support
+// $set (with the positional "array.$.field"), $unset and $inc, and findOneAndUpdate()
+// also { upsert: true } with $setOnInsert.
+// Queries can be chained with select(), sort(), skip(), limit(), populate() and lean(),
+// and run with exec() (as document populate() does).
+// aggregate() runs $match, $group ($sum and $max), $sort, $limit and $facet stages
+// with field paths, $cond, $eq and $dateToString ('%Y-%m-%d') expressions.
+// With { copies: true } queries return their own copies of the stored documents
+// and save() stores a copy, the way separate server processes see MongoDB.
+const mongoose = require('mongoose');
+
+const isOperatorObject = (value) => {
+  return value !== null && typeof value === 'object' && !(value instanceof Date)
+    && !(value instanceof mongoose.Types.ObjectId) && !Array.isArray(value)
+    && Object.keys(value).some(key => key.startsWith('$'));
+};
+
+const same = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+};
+
+const read = (doc, path) => (typeof doc.get === 'function' ? doc.get(path) : path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc));
+
+const matchesValue = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return Array.isArray(value) ? value.some(item => same(item, condition)) : same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gt': return value != null && value > operand;
+      case '$gte': return value != null && value >= operand;
+      case '$lt': return value != null && value < operand;
+      case '$lte': return value != null && value <= operand;
+      case '$ne': return !same(value, operand);
+      case '$in': return operand.some(item => same(value, item));
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, operand));
+      default: throw new Error(`memory-models: unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') {
+      return condition.some(branch => matches(doc, branch));
+    }
+    return matchesValue(read(doc, path), condition);
+  });
+};
+
+// Helper to replace the positional $ in "array.$.field" with the index of the first
+// element the filter matched in that array
+const resolvePositional = (doc, path, filter) => {
+  const [arrayPath, rest] = path.split('.$');
+  if (rest === undefined) {
+    return path;
+  }
+
+  const condition = filter[arrayPath];
+  const elementFilter = isOperatorObject(condition) && condition.$elemMatch;
+  const index = (read(doc, arrayPath) || []).findIndex(item => (elementFilter ? matches(item, elementFilter) : same(item, condition)));
+  if (index === -1) {
+    throw new Error(`memory-models: no element of ${arrayPath} matched for ${path}`);
+  }
+  return `${arrayPath}.${index}${rest}`;
+};
+
+const applyUpdate = (doc, update, filter = {}) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  for (const [path, value] of Object.entries(operators.$set || {})) {
+    doc.set(resolvePositional(doc, path, filter), value);
+  }
+  for (const path of Object.keys(operators.$unset || {})) {
+    doc.set(path, undefined);
+  }
+  for (const [path, amount] of Object.entries(operators.$inc || {})) {
+    doc.set(path, (doc.get(path) || 0) + amount);
+  }
+};
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return read(doc, expression.slice(1));
+  }
+  if (!isOperatorObject(expression)) {
+    return expression;
+  }
+
+  const [[operator, operand]] = Object.entries(expression);
+  switch (operator) {
+    case '$cond': return evaluate(doc, operand[0]) ? evaluate(doc, operand[1]) : evaluate(doc, operand[2]);
+    case '$eq': return same(evaluate(doc, operand[0]), evaluate(doc, operand[1]));
+    case '$dateToString':
+      if (operand.format !== '%Y-%m-%d') {
+        throw new Error(`memory-models: unsupported date format ${operand.format}`);
+      }
+      return new Date(evaluate(doc, operand.date)).toISOString().slice(0, 10);
+    default: throw new Error(`memory-models: unsupported expression ${operator}`);
+  }
+};
+
+const group = (docs, { _id, ...fields }) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(doc, _id);
+    const key = String(id);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: id, docs: [] });
+    }
+    groups.get(key).docs.push(doc);
+  }
+
+  return [...groups.values()].map(({ _id: id, docs: members }) => {
+    const result = { _id: id };
+    for (const [field, accumulator] of Object.entries(fields)) {
+      const [[operator, expression]] = Object.entries(accumulator);
+      const values = members.map(doc => evaluate(doc, expression));
+      switch (operator) {
+        case '$sum': result[field] = values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0); break;
+        case '$max': result[field] = values.reduce((max, value) => (max === null || value > max ? value : max), null); break;
+        default: throw new Error(`memory-models: unsupported accumulator ${operator}`);
+      }
+    }
+    return result;
+  });
+};
+
+const aggregate = (docs, pipeline) => {
+  return pipeline.reduce((results, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case '$match': return results.filter(doc => matches(doc, spec));
+      case '$group': return group(results, spec);
+      case '$limit': return results.slice(0, spec);
+      case '$sort': return results.slice().sort((a, b) => {
+        for (const [field, direction] of Object.entries(spec)) {
+          if (a[field] !== b[field]) {
+            return a[field] > b[field] ? direction : -direction;
+          }
+        }
+        return 0;
+      });
+      case '$facet': return [Object.fromEntries(Object.entries(spec).map(([facet, stages]) => [facet, aggregate(results, stages)]))];
+      default: throw new Error(`memory-models: unsupported stage ${name}`);
+    }
+  }, docs);
+};
+
+// Thenable with the chainable query helpers the code under test calls. `run` finds
+// the matching documents and `pick` shapes the result once they are sorted.
+const query = (run, pick = results => results) => {
+  const promise = Promise.resolve().then(run).then(pick);
+  for (const helper of ['select', 'populate', 'lean', 'exec']) {
+    promise[helper] = () => promise;
+  }
+  const refine = (change) => query(async () => change(await run()), pick);
+  promise.sort = (order) => refine(results => {
+    const [[field, direction]] = Object.entries(order);
+    return results.slice().sort((a, b) => (a[field] > b[field] ? direction : -direction));
+  });
+  promise.skip = (count) => refine(results => results.slice(count));
+  promise.limit = (count) => refine(results => results.slice(0, count));
+  return promise;
+};
+
+const useMemoryModel = (Model, { copies = false } = {}) => {
+  const docs = [];
+  const copy = (doc) => (copies && doc ? Model.hydrate(doc.toObject()) : doc);
+
+  Model.create = async (fields) => {
+    const doc = new Model(fields);
+    docs.push(copy(doc));
+    return doc;
+  };
+  Model.find = (filter) => query(() => docs.filter(doc => matches(doc, filter)), results => results.map(copy));
+  Model.findOne = (filter) => query(() => docs.filter(doc => matches(doc, filter)), results => copy(results[0] || null));
+  Model.findById = (id) => query(() => copy(docs.find(doc => same(doc._id, id)) || null));
+  Model.aggregate = async (pipeline) => aggregate(docs, pipeline);
+  Model.countDocuments = (filter) => query(() => docs.filter(doc => matches(doc, filter)).length);
+  Model.exists = (filter) => query(() => (docs.some(doc => matches(doc, filter)) ? { _id: true } : null));
+  Model.findOneAndUpdate = (filter, update, options = {}) => query(() => {
+    let doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc && options.upsert) {
+      const fields = Object.fromEntries(Object.entries(filter).filter(([, value]) => !isOperatorObject(value)));
+      doc = new Model({ ...fields, ...update.$setOnInsert });
+      docs.push(doc);
+    }
+    if (doc) {
+      applyUpdate(doc, update, filter);
+    }
+    return copy(doc || null);
+  });
+  Model.findByIdAndUpdate = (id, update) => Model.findOneAndUpdate({ _id: id }, update);
+  Model.findOneAndDelete = (filter) => query(() => {
+    const index = docs.findIndex(doc => matches(doc, filter));
+    return index === -1 ? null : docs.splice(index, 1)[0];
+  });
+  Model.deleteMany = (filter) => query(() => {
+    const kept = docs.filter(doc => !matches(doc, filter));
+    const deletedCount = docs.length - kept.length;
+    docs.splice(0, docs.length, ...kept);
+    return { deletedCount };
+  });
+  Model.updateOne = (filter, update) => query(() => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) {
+      applyUpdate(doc, update, filter);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  Model.updateMany = (filter, update) => query(() => {
+    const matching = docs.filter(doc => matches(doc, filter));
+    matching.forEach(doc => applyUpdate(doc, update, filter));
+    return { matchedCount: matching.length, modifiedCount: matching.length };
+  });
+
+  Model.prototype.save = async function() {
+    await this.validate();
+    const index = docs.findIndex(doc => same(doc._id, this._id));
+    if (index === -1) {
+      docs.push(copy(this));
+    } else {
+      docs[index] = copy(this);
+    }
+    return this;
+  };
+  Model.prototype.updateOne = function(update) {
+    return Model.updateOne({ _id: this._id }, update);
+  };
+
+  return { docs };
+};
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,26 @@
+// sockets.js - Socket.io clients for tests against collaboration instances
+//
+// connectSocket(url, token) resolves with a connected client, or rejects with the
+// connect_error the server answered; nextEvent(socket, event) resolves with the
+// next payload of `event`. disconnectSockets() closes every client opened here.
+const { io: connect } = require('socket.io-client');
+
+const sockets = [];
+
+const connectSocket = (url, token) => {
+  const socket = connect(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+};
+
+const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+const disconnectSockets = () => {
+  sockets.splice(0).forEach(socket => socket.disconnect());
+};
+
+module.exports = { connectSocket, nextEvent, disconnectSockets };
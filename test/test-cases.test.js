@@ -0,0 +1,58 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { compareOutput, parseTestCase } = require('../test-cases');
+
+test('trim ignores trailing spaces and blank lines only', () => {
+  assert.equal(compareOutput('1 2  \r\n3\n\n\n', '1 2\n3'), true);
+  assert.equal(compareOutput('1  2\n3\n', '1 2\n3\n'), false);
+  assert.equal(compareOutput(' 1 2\n3\n', '1 2\n3\n'), false);
+  assert.equal(compareOutput('1 2\n\n3\n', '1 2\n3\n'), false);
+});
+
+test('exact compares byte for byte', () => {
+  const exact = { whitespace: 'exact' };
+  assert.equal(compareOutput('done\n', 'done\n', exact), true);
+  assert.equal(compareOutput('done\n', 'done', exact), false);
+  assert.equal(compareOutput('done\r\n', 'done\n', exact), false);
+});
+
+test('ignore compares the tokens', () => {
+  const ignore = { whitespace: 'ignore' };
+  assert.equal(compareOutput('  1\t2\n\n 3  ', '1 2 3', ignore), true);
+  assert.equal(compareOutput('1 2 3 4', '1 2 3', ignore), false);
+  assert.equal(compareOutput('12 3', '1 2 3', ignore), false);
+});
+
+test('numbers match within the float tolerance', () => {
+  const tolerance = (floatTolerance, whitespace = 'trim') => ({ floatTolerance, whitespace });
+
+  // Absolute for small values
+  assert.equal(compareOutput('0.3333\n', '0.33333333\n', tolerance(1e-4)), true);
+  assert.equal(compareOutput('0.3333\n', '0.33333333\n', tolerance(1e-5)), false);
+  // Relative for large ones
+  assert.equal(compareOutput('1000001\n', '1e6\n', tolerance(1e-6)), true);
+  assert.equal(compareOutput('1000010\n', '1e6\n', tolerance(1e-6)), false);
+  // Words still have to be equal, and exact mode keeps the whitespace
+  assert.equal(compareOutput('pi = 3.1416\n', 'pi = 3.14159\n', tolerance(1e-4)), true);
+  assert.equal(compareOutput('PI = 3.1416\n', 'pi = 3.14159\n', tolerance(1e-4)), false);
+  assert.equal(compareOutput('pi =  3.1416\n', 'pi = 3.14159\n', tolerance(1e-4, 'exact')), false);
+  assert.equal(compareOutput('pi = 3.1416\n', 'pi = 3.14159\n', tolerance(1e-4, 'exact')), true);
+  assert.equal(compareOutput('0x10\n', '16\n', tolerance(1)), false);
+});
+
+test('test cases are validated and get defaults', () => {
+  assert.deepEqual(parseTestCase({ name: ' sums ', input: '1 2\n', expectedOutput: '3\n' }), {
+    name: 'sums',
+    input: '1 2\n',
+    expectedOutput: '3\n',
+    whitespace: 'trim',
+    floatTolerance: null
+  });
+
+  assert.throws(() => parseTestCase({ input: '1' }, 2), /^Error: Test case 3 needs string input and expectedOutput$/);
+  assert.throws(() => parseTestCase({ name: 'loose', expectedOutput: '', whitespace: 'fuzzy' }), /Test case "loose" whitespace must be one of exact, trim, ignore/);
+  assert.throws(() => parseTestCase({ expectedOutput: '', floatTolerance: -1 }), /floatTolerance must be a non-negative number/);
+  assert.throws(() => parseTestCase({ expectedOutput: 'x'.repeat(64 * 1024 + 1) }), /limited to 65536 characters/);
+});
@@ -0,0 +1,56 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./support/memory-models');
+const textDiff = require('../text-diff');
+const Revision = require('../Revision');
+
+const { docs } = useMemoryModel(Revision);
+
+const numbered = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix} ${i}\n`).join('');
+
+test('deltas rebuild the new text and count the changed lines', () => {
+  const oldText = 'one\ntwo\nthree\nfour';
+  const newText = 'one\n2\nthree\nfour\nfive\n';
+  const changes = textDiff.compare(oldText, newText);
+
+  assert.equal(textDiff.applyDelta(oldText, changes.delta), newText);
+  assert.deepEqual(changes.delta, textDiff.createDelta(oldText, newText));
+  assert.deepEqual(
+    { linesAdded: changes.linesAdded, linesRemoved: changes.linesRemoved },
+    textDiff.countChanges(oldText, newText)
+  );
+  assert.equal(changes.exact, true);
+});
+
+test('rewrites past the edit limit are replaced wholesale instead of searched', () => {
+  const oldText = `header\n${numbered(3000, 'old')}footer\n`;
+  const newText = `header\n${numbered(3000, 'new')}footer\n`;
+  const changes = textDiff.compare(oldText, newText);
+
+  assert.equal(changes.exact, false);
+  assert.equal(changes.linesAdded, 3000);
+  assert.equal(changes.linesRemoved, 3000);
+  assert.equal(textDiff.applyDelta(oldText, changes.delta), newText);
+});
+
+test('revisions of large rewrites are stored as snapshots', async () => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const first = numbered(3000, 'old');
+  const small = first.replace('old 7\n', 'changed 7\n');
+  const rewrite = numbered(3000, 'new');
+
+  await Revision.record({ sessionId, content: first });
+  const edited = await Revision.record({ sessionId, content: small });
+  const rewritten = await Revision.record({ sessionId, content: rewrite });
+
+  assert.equal(edited.snapshot, null);
+  assert.deepEqual([edited.stats.linesAdded, edited.stats.linesRemoved], [1, 1]);
+  assert.equal(rewritten.snapshot, rewrite);
+  assert.equal(rewritten.delta, null);
+  assert.equal(docs.length, 3);
+  assert.equal(await Revision.getContent(sessionId, null, 2), small);
+  assert.equal(await Revision.getContent(sessionId, null, 3), rewrite);
+});
@@ -0,0 +1,104 @@
+require('./support/quiet');
+
+const assert = require('node:assert/strict');
+const { test, beforeEach } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./support/memory-models');
+const { generateSecret, generateCode, verifyCode, otpauthUri } = require('../totp');
+const User = require('../User');
+
+useMemoryModel(User);
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+const NOW = Date.UTC(2026, 2, 2, 12, 0, 0);
+
+const stepOf = (time) => Math.floor(time / STEP_MS);
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(generateCode(RFC_SECRET, stepOf(59 * 1000)), '287082');
+  assert.equal(generateCode(RFC_SECRET, stepOf(1111111109 * 1000)), '081804');
+  assert.equal(generateCode(RFC_SECRET, stepOf(2000000000 * 1000)), '279037');
+
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(generateCode(secret.toLowerCase(), 1), generateCode(secret, 1));
+});
+
+test('codes from the neighbouring steps are accepted and others are not', () => {
+  const step = stepOf(NOW);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { time: NOW }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time: NOW }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time: NOW }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time: NOW }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time: NOW }), null);
+
+  const code = generateCode(RFC_SECRET, step);
+  assert.equal(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time: NOW }), step);
+  assert.equal(verifyCode(RFC_SECRET, '12345', { time: NOW }), null);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time: NOW }), null);
+  assert.equal(verifyCode(RFC_SECRET, undefined, { time: NOW }), null);
+});
+
+test('otpauth URIs name the issuer and account', () => {
+  const uri = new URL(otpauthUri({ secret: RFC_SECRET, account: 'alice@example.com', issuer: 'CodeCollab' }));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/CodeCollab:alice@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+let user;
+
+beforeEach(async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  user = new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: bcrypt.hashSync('secret1', 4),
+    twoFactor: { enabled: true, secret: RFC_SECRET }
+  });
+});
+
+test('an authenticator code signs in once and older codes stop working', async () => {
+  await user.save();
+  const step = stepOf(NOW);
+
+  assert.equal(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, step)), 'totp');
+  assert.equal(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, step)), null);
+  assert.equal(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, step - 1)), null);
+
+  assert.equal(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, step + 1)), 'totp');
+  assert.equal(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, step + 2)), null);
+});
+
+test('recovery codes work once each and are replaced when regenerated', async () => {
+  const codes = user.generateRecoveryCodes();
+  await user.save();
+  assert.equal(codes.length, new Set(codes).size);
+  assert.ok(codes.every(code => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)));
+
+  assert.equal(await user.verifyTwoFactorCode(codes[0]), 'recovery');
+  assert.equal(await user.verifyTwoFactorCode(codes[0]), null);
+  assert.equal(await user.verifyTwoFactorCode(codes[1]), 'recovery');
+  assert.equal(await user.verifyTwoFactorCode('00000-00000'), null);
+
+  const replaced = user.generateRecoveryCodes();
+  await user.save();
+  assert.equal(await user.verifyTwoFactorCode(codes[2]), null);
+  assert.equal(await user.verifyTwoFactorCode(replaced[0]), 'recovery');
+});
+
+test('no code is accepted while two-factor authentication is off', async () => {
+  user.twoFactor.enabled = false;
+  const codes = user.generateRecoveryCodes();
+  await user.save();
+
+  assert.equal(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, stepOf(NOW))), null);
+  assert.equal(await user.verifyTwoFactorCode(codes[0]), null);
+});
@@ -0,0 +1,285 @@
+// text-diff.js - Line diffs for the revision store
+//
+// Lines are diffed with Myers' algorithm. Its memory grows with the square of the
+// number of changed lines, so past MAX_EDIT_DISTANCE the search stops and the
+// changed region is replaced wholesale (compare() reports such diffs as inexact).
+// Stored deltas are compact arrays
+// applied left to right over the previous text:
+//   positive number -> keep that many characters
+//   negative number -> drop that many characters
+//   string          -> insert it
+// Anything after the last entry is kept, e.g. [12, -4, "foo\n"].
+
+const MAX_EDIT_DISTANCE = 1000; // Changed lines
+
+// Split text into lines that keep their trailing newline, so joining them is lossless
+const splitLines = (text) => {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+};
+
+// Shortest edit script between two line arrays (Myers, O((N+M)D)), or null when
+// it takes more than `maxDistance` edits
+const myersDiff = (a, b, maxDistance) => {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0) return b.map(value => ({ type: 'insert', value }));
+  if (m === 0) return a.map(value => ({ type: 'delete', value }));
+
+  const max = Math.min(n + m, maxDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  search:
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d-1..d+1 are read when backtracking from this step
+    trace.push({ base: -d - 1, values: v.slice(offset - d - 1, offset + d + 2) });
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break search;
+      }
+    }
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const script = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const { base, values } = trace[d];
+    const at = (k) => values[k - base];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      script.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        script.push({ type: 'insert', value: b[y - 1] });
+      } else {
+        script.push({ type: 'delete', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return script.reverse();
+};
+
+// Line edit script between two texts: { edits, exact }. Texts more than `maxDistance`
+// lines apart get a script that deletes and reinserts everything between their common
+// prefix and suffix, with `exact` false.
+const compareLines = (oldText, newText, maxDistance = MAX_EDIT_DISTANCE) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix/suffix never needs the full search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const equal = value => ({ type: 'equal', value });
+  const script = myersDiff(a.slice(start, endA), b.slice(start, endB), maxDistance);
+  const changed = script || [
+    ...a.slice(start, endA).map(value => ({ type: 'delete', value })),
+    ...b.slice(start, endB).map(value => ({ type: 'insert', value }))
+  ];
+
+  return {
+    edits: [...a.slice(0, start).map(equal), ...changed, ...a.slice(endA).map(equal)],
+    exact: script !== null
+  };
+};
+
+// Line edit script between two texts
+const diffLines = (oldText, newText) => {
+  return compareLines(oldText, newText).edits;
+};
+
+// Compact delta from an edit script
+const toDelta = (edits) => {
+  const delta = [];
+
+  const push = (entry) => {
+    const last = delta[delta.length - 1];
+    if (typeof entry === 'string' && typeof last === 'string') {
+      delta[delta.length - 1] = last + entry;
+    } else if (typeof entry === 'number' && typeof last === 'number' && Math.sign(entry) === Math.sign(last)) {
+      delta[delta.length - 1] = last + entry;
+    } else {
+      delta.push(entry);
+    }
+  };
+
+  for (const edit of edits) {
+    if (edit.type === 'equal') push(edit.value.length);
+    else if (edit.type === 'delete') push(-edit.value.length);
+    else push(edit.value);
+  }
+
+  // Trailing text is kept implicitly
+  if (typeof delta[delta.length - 1] === 'number' && delta[delta.length - 1] > 0) {
+    delta.pop();
+  }
+
+  return delta;
+};
+
+// Added/removed line counts of an edit script
+const toStats = (edits) => {
+  const stats = { linesAdded: 0, linesRemoved: 0 };
+
+  for (const edit of edits) {
+    if (edit.type === 'insert') stats.linesAdded++;
+    else if (edit.type === 'delete') stats.linesRemoved++;
+  }
+
+  return stats;
+};
+
+// Compact delta turning oldText into newText
+const createDelta = (oldText, newText) => {
+  return toDelta(diffLines(oldText, newText));
+};
+
+// Delta and line counts from a single diff of two texts:
+// { delta, linesAdded, linesRemoved, exact } (see compareLines for `exact`)
+const compare = (oldText, newText) => {
+  const { edits, exact } = compareLines(oldText, newText);
+  return { delta: toDelta(edits), ...toStats(edits), exact };
+};
+
+// Apply a delta created by createDelta
+const applyDelta = (text, delta) => {
+  let result = '';
+  let index = 0;
+
+  for (const entry of delta) {
+    if (typeof entry === 'string') {
+      result += entry;
+    } else if (entry > 0) {
+      result += text.slice(index, index + entry);
+      index += entry;
+    } else {
+      index -= entry;
+    }
+
+    if (index > text.length) {
+      throw new Error('Delta does not match the text it is applied to');
+    }
+  }
+
+  return result + text.slice(index);
+};
+
+// Added/removed line counts between two texts
+const countChanges = (oldText, newText) => {
+  return toStats(diffLines(oldText, newText));
+};
+
+// Unified diff (as produced by `diff -u`) between two texts
+const unifiedDiff = (oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) => {
+  // Number every edit with the old/new line counts before it
+  let oldLine = 0;
+  let newLine = 0;
+  const edits = diffLines(oldText, newText).map(edit => {
+    const numbered = { ...edit, oldLine, newLine };
+    if (edit.type !== 'insert') oldLine++;
+    if (edit.type !== 'delete') newLine++;
+    return numbered;
+  });
+
+  // Group changes that are within 2 * context lines of each other
+  const hunks = [];
+  edits.forEach((edit, i) => {
+    if (edit.type === 'equal') return;
+
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.lastChange <= context * 2 + 1) {
+      last.lastChange = i;
+    } else {
+      hunks.push({ firstChange: i, lastChange: i });
+    }
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const formatLine = (prefix, value) => {
+    return value.endsWith('\n')
+      ? prefix + value
+      : `${prefix}${value}\n\\ No newline at end of file\n`;
+  };
+
+  const formatRange = (start, length) => {
+    return `${length === 0 ? start : start + 1},${length}`;
+  };
+
+  let output = `--- ${fromLabel}\n+++ ${toLabel}\n`;
+
+  for (const hunk of hunks) {
+    const lines = edits.slice(
+      Math.max(hunk.firstChange - context, 0),
+      Math.min(hunk.lastChange + context + 1, edits.length)
+    );
+    const oldLength = lines.filter(edit => edit.type !== 'insert').length;
+    const newLength = lines.filter(edit => edit.type !== 'delete').length;
+
+    output += `@@ -${formatRange(lines[0].oldLine, oldLength)} +${formatRange(lines[0].newLine, newLength)} @@\n`;
+
+    for (const edit of lines) {
+      const prefix = edit.type === 'insert' ? '+' : edit.type === 'delete' ? '-' : ' ';
+      output += formatLine(prefix, edit.value);
+    }
+  }
+
+  return output;
+};
+
+module.exports = {
+  MAX_EDIT_DISTANCE,
+  splitLines,
+  diffLines,
+  createDelta,
+  applyDelta,
+  countChanges,
+  compare,
+  unifiedDiff
+};